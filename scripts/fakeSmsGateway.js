@@ -0,0 +1,138 @@
+// scripts/fakeSmsGateway.js
+// Local stand-in for the HTTP SMS gateway (OTP_PROVIDERS=http).
+// Records every accepted message so tests / manual runs can read the code.
+//
+// Usage:
+//   node scripts/fakeSmsGateway.js
+//   SMS_HTTP_URL=http://localhost:4010/sms OTP_PROVIDERS=http npm run dev
+//
+// Endpoints:
+//   POST   /sms        { to, from, text } -> 200 { id }
+//   GET    /messages   recorded messages (newest last); ?to=+964... filters
+//   DELETE /messages   clear the recording
+//
+// Env:
+//   FAKE_SMS_PORT        default 4010
+//   FAKE_SMS_TOKEN       if set, POST /sms requires "Authorization: Bearer <token>"
+//   FAKE_SMS_FAIL_FIRST  answer the first N POSTs with FAKE_SMS_FAIL_STATUS
+//   FAKE_SMS_FAIL_STATUS default 503 (retryable); use e.g. 400 to test failover
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create (but don't start) a fake gateway.
+ *
+ * @param {{ token?: string|null, failFirst?: number, failStatus?: number }} [options]
+ * @returns {{ server: http.Server, messages: object[], requests: number }}
+ */
+function createFakeSmsGateway({ token = null, failFirst = 0, failStatus = 503 } = {}) {
+  const state = { messages: [], requests: 0 };
+
+  state.server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && url.pathname === '/sms') {
+      state.requests += 1;
+
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return sendJson(res, 401, { error: 'unauthorized' });
+      }
+
+      if (state.requests <= failFirst) {
+        return sendJson(res, failStatus, { error: 'simulated failure' });
+      }
+
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        return sendJson(res, 400, { error: 'invalid JSON' });
+      }
+
+      if (typeof body.to !== 'string' || typeof body.text !== 'string') {
+        return sendJson(res, 400, { error: 'to and text are required' });
+      }
+
+      const message = {
+        id: crypto.randomUUID(),
+        to: body.to,
+        from: body.from || null,
+        text: body.text,
+        receivedAt: new Date().toISOString(),
+      };
+      state.messages.push(message);
+
+      return sendJson(res, 200, { id: message.id });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      const to = url.searchParams.get('to');
+      const messages = to
+        ? state.messages.filter((m) => m.to === to)
+        : state.messages;
+      return sendJson(res, 200, { messages });
+    }
+
+    if (req.method === 'DELETE' && url.pathname === '/messages') {
+      state.messages.length = 0;
+      return sendJson(res, 200, { status: 'cleared' });
+    }
+
+    return sendJson(res, 404, { error: 'not found' });
+  });
+
+  return state;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_SMS_PORT || '4010', 10);
+
+  const gateway = createFakeSmsGateway({
+    token: process.env.FAKE_SMS_TOKEN || null,
+    failFirst: parseInt(process.env.FAKE_SMS_FAIL_FIRST || '0', 10),
+    failStatus: parseInt(process.env.FAKE_SMS_FAIL_STATUS || '503', 10),
+  });
+
+  gateway.server.listen(port, () => {
+    console.log(`Fake SMS gateway listening on http://localhost:${port}/sms`);
+  });
+}
+
+module.exports = {
+  createFakeSmsGateway,
+};
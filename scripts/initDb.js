@@ -9,6 +9,7 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
 const { MongoClient } = require('mongodb');
 
 const MONGO_URI = process.env.MONGO_URI;
@@ -60,21 +61,21 @@ const parties = [
 ];
 
 const candidates = [
-  { electionId: ELECTION_ID, candidateId: 'c1', partyId: 'p1', name: 'علي حسن', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c2', partyId: 'p1', name: 'زهراء كريم', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c3', partyId: 'p1', name: 'عمر صباح', status: 'active' },
+  { electionId: ELECTION_ID, candidateId: 'c1', partyId: 'p1', name: 'علي حسن', gender: 'male', status: 'active', order: 1 },
+  { electionId: ELECTION_ID, candidateId: 'c2', partyId: 'p1', name: 'زهراء كريم', gender: 'female', status: 'active', order: 2 },
+  { electionId: ELECTION_ID, candidateId: 'c3', partyId: 'p1', name: 'عمر صباح', gender: 'male', status: 'active', order: 3 },
 
-  { electionId: ELECTION_ID, candidateId: 'c4', partyId: 'p2', name: 'مريم عبد الله', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c5', partyId: 'p2', name: 'حسين ناظم', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c6', partyId: 'p2', name: 'نور عباس', status: 'active' },
+  { electionId: ELECTION_ID, candidateId: 'c4', partyId: 'p2', name: 'مريم عبد الله', gender: 'female', status: 'active', order: 1 },
+  { electionId: ELECTION_ID, candidateId: 'c5', partyId: 'p2', name: 'حسين ناظم', gender: 'male', status: 'active', order: 2 },
+  { electionId: ELECTION_ID, candidateId: 'c6', partyId: 'p2', name: 'نور عباس', gender: 'female', status: 'active', order: 3 },
 
-  { electionId: ELECTION_ID, candidateId: 'c7', partyId: 'p3', name: 'أحمد جاسم', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c8', partyId: 'p3', name: 'فاطمة مهدي', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c9', partyId: 'p3', name: 'سجاد قاسم', status: 'active' },
+  { electionId: ELECTION_ID, candidateId: 'c7', partyId: 'p3', name: 'أحمد جاسم', gender: 'male', status: 'active', order: 1 },
+  { electionId: ELECTION_ID, candidateId: 'c8', partyId: 'p3', name: 'فاطمة مهدي', gender: 'female', status: 'active', order: 2 },
+  { electionId: ELECTION_ID, candidateId: 'c9', partyId: 'p3', name: 'سجاد قاسم', gender: 'male', status: 'active', order: 3 },
 
-  { electionId: ELECTION_ID, candidateId: 'c10', partyId: 'p4', name: 'مصطفى رياض', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c11', partyId: 'p4', name: 'آية محمد', status: 'active' },
-  { electionId: ELECTION_ID, candidateId: 'c12', partyId: 'p4', name: 'كرار سامي', status: 'active' },
+  { electionId: ELECTION_ID, candidateId: 'c10', partyId: 'p4', name: 'مصطفى رياض', gender: 'male', status: 'active', order: 1 },
+  { electionId: ELECTION_ID, candidateId: 'c11', partyId: 'p4', name: 'آية محمد', gender: 'female', status: 'active', order: 2 },
+  { electionId: ELECTION_ID, candidateId: 'c12', partyId: 'p4', name: 'كرار سامي', gender: 'male', status: 'active', order: 3 },
 ];
 
 async function createIndexes(db) {
@@ -107,6 +108,21 @@ async function createIndexes(db) {
     }
   );
 
+  await db.collection('elections').createIndex(
+    { status: 1, startsAt: 1 },
+    { name: 'idx_elections_status_startsAt' }
+  );
+
+  await db.collection('elections').createIndex(
+    { status: 1, endsAt: 1 },
+    { name: 'idx_elections_status_endsAt' }
+  );
+
+  await db.collection('electionTransitions').createIndex(
+    { electionId: 1, at: 1 },
+    { name: 'idx_electionTransitions_election_at' }
+  );
+
   await db.collection('parties').createIndex(
     { electionId: 1, partyId: 1 },
     {
@@ -131,6 +147,27 @@ async function createIndexes(db) {
     }
   );
 
+  await db.collection('candidates').createIndex(
+    { electionId: 1, partyId: 1, order: 1 },
+    { name: 'idx_candidates_election_party_order' }
+  );
+
+  // Per-district candidate lists (ballot, reorder)
+  await db.collection('candidates').createIndex(
+    { electionId: 1, districtId: 1, partyId: 1, order: 1 },
+    { name: 'idx_candidates_election_district_party_order' }
+  );
+
+  await db.collection('districts').createIndex(
+    { electionId: 1, districtId: 1 },
+    { unique: true, name: 'uniq_districts_election_district' }
+  );
+
+  await db.collection('districts').createIndex(
+    { electionId: 1, order: 1 },
+    { name: 'idx_districts_election_order' }
+  );
+
   await db.collection('votingTokens').createIndex(
     { tokenId: 1 },
     {
@@ -148,6 +185,21 @@ async function createIndexes(db) {
     }
   );
 
+  // Blind-signed ballot tokens: one ballot per token (tokenHash = SHA-256)
+  await db.collection('spentBallotTokens').createIndex(
+    { electionId: 1, tokenHash: 1 },
+    { unique: true, name: 'uniq_spentBallotTokens_election_token' }
+  );
+
+  // Spent tokens the mixer hasn't counted in the turnout yet
+  await db.collection('spentBallotTokens').createIndex(
+    { electionId: 1, mixWindow: 1 },
+    {
+      name: 'idx_spentBallotTokens_election_window',
+      partialFilterExpression: { counted: false },
+    }
+  );
+
   await db.collection('otp_attempts').createIndex(
     { phoneHash: 1 },
     {
@@ -157,6 +209,226 @@ async function createIndexes(db) {
     }
   );
 
+  await db.collection('otps').createIndex(
+    { phoneHash: 1, purpose: 1 },
+    { unique: true, name: 'uniq_otps_phoneHash_purpose' }
+  );
+
+  await db.collection('otps').createIndex(
+    { expiresAt: 1 },
+    {
+      name: 'ttl_otps_expiresAt',
+      expireAfterSeconds: 0,
+    }
+  );
+
+  await db.collection('otpDeliveries').createIndex(
+    { deliveryId: 1 },
+    { unique: true, name: 'uniq_otpDeliveries_deliveryId' }
+  );
+
+  await db.collection('otpDeliveries').createIndex(
+    { status: 1, createdAt: -1 },
+    { name: 'idx_otpDeliveries_status_createdAt' }
+  );
+
+  // Delivery records are operational data: keep them 30 days
+  await db.collection('otpDeliveries').createIndex(
+    { createdAt: 1 },
+    {
+      name: 'ttl_otpDeliveries_createdAt',
+      expireAfterSeconds: 30 * 24 * 60 * 60,
+    }
+  );
+
+  await db.collection('adminLoginChallenges').createIndex(
+    { challengeHash: 1 },
+    { unique: true, name: 'uniq_adminLoginChallenges_hash' }
+  );
+
+  await db.collection('adminLoginChallenges').createIndex(
+    { expiresAt: 1 },
+    {
+      name: 'ttl_adminLoginChallenges_expiresAt',
+      expireAfterSeconds: 0,
+    }
+  );
+
+  await db.collection('voterRolls').createIndex(
+    { rollId: 1 },
+    { unique: true, name: 'uniq_voterRolls_rollId' }
+  );
+
+  await db.collection('voterRolls').createIndex(
+    { electionId: 1, version: 1 },
+    {
+      unique: true,
+      name: 'uniq_voterRolls_election_version',
+      partialFilterExpression: { version: { $type: 'number' } },
+    }
+  );
+
+  await db.collection('voterRolls').createIndex(
+    { electionId: 1, createdAt: -1 },
+    { name: 'idx_voterRolls_election_createdAt' }
+  );
+
+  // Also serves ordered reads (content hash, diffs) and duplicate detection
+  await db.collection('voterRollEntries').createIndex(
+    { rollId: 1, voterId: 1 },
+    { unique: true, name: 'uniq_voterRollEntries_roll_voter' }
+  );
+
+  // District turnout (registered voters per district)
+  await db.collection('voterRollEntries').createIndex(
+    { rollId: 1, districtId: 1 },
+    { name: 'idx_voterRollEntries_roll_district' }
+  );
+
+  // One signed snapshot per election (legacy unsigned ones are left alone)
+  await db.collection('electionSnapshots').createIndex(
+    { electionId: 1 },
+    {
+      unique: true,
+      name: 'uniq_electionSnapshots_electionId_signed',
+      partialFilterExpression: { 'signature.keyId': { $type: 'string' } },
+    }
+  );
+
+  await db.collection('electionKeys').createIndex(
+    { electionId: 1, purpose: 1 },
+    { unique: true, name: 'uniq_electionKeys_election_purpose' }
+  );
+
+  await db.collection('electionKeys').createIndex(
+    { electionId: 1, keyId: 1 },
+    { name: 'idx_electionKeys_election_keyId' }
+  );
+
+  // One document per counter shard; totals read every shard of an election
+  await db.collection('tallyCounters').createIndex(
+    { electionId: 1, shard: 1 },
+    { unique: true, name: 'uniq_tallyCounters_election_shard' }
+  );
+
+  await db.collection('tallyReconciliations').createIndex(
+    { electionId: 1, checkedAt: -1 },
+    { name: 'idx_tallyReconciliations_election_checkedAt' }
+  );
+
+  // Encrypted elections: one encrypted total per election, one set of
+  // partial decryptions per trustee
+  await db.collection('encryptedTallies').createIndex(
+    { electionId: 1 },
+    { unique: true, name: 'uniq_encryptedTallies_election' }
+  );
+
+  await db.collection('decryptionShares').createIndex(
+    { electionId: 1, trusteeIndex: 1 },
+    { unique: true, name: 'uniq_decryptionShares_election_trustee' }
+  );
+
+  await db.collection('trustees').createIndex(
+    { trusteeId: 1 },
+    { unique: true, name: 'uniq_trusteeId' }
+  );
+
+  await db.collection('keyCeremonies').createIndex(
+    { ceremonyId: 1 },
+    { unique: true, name: 'uniq_keyCeremonies_ceremonyId' }
+  );
+
+  // One ceremony in progress per election
+  await db.collection('keyCeremonies').createIndex(
+    { electionId: 1 },
+    {
+      unique: true,
+      name: 'uniq_keyCeremonies_enrolling_election',
+      partialFilterExpression: { status: 'enrolling' },
+    }
+  );
+
+  await db.collection('keyCeremonies').createIndex(
+    { electionId: 1, createdAt: -1 },
+    { name: 'idx_keyCeremonies_election_createdAt' }
+  );
+
+  await db.collection('keyCeremonies').createIndex(
+    { 'trustees.trusteeId': 1, createdAt: -1 },
+    { name: 'idx_keyCeremonies_trustee_createdAt' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { seq: 1 },
+    { unique: true, name: 'uniq_auditLog_seq' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { action: 1, seq: 1 },
+    { name: 'idx_auditLog_action_seq' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { 'actor.id': 1, seq: 1 },
+    { name: 'idx_auditLog_actorId_seq' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { 'target.type': 1, 'target.id': 1, seq: 1 },
+    { name: 'idx_auditLog_target_seq' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { 'target.electionId': 1, seq: 1 },
+    { name: 'idx_auditLog_electionId_seq' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { requestId: 1 },
+    { name: 'idx_auditLog_requestId' }
+  );
+
+  await db.collection('auditLog').createIndex(
+    { createdAt: 1 },
+    { name: 'idx_auditLog_createdAt' }
+  );
+
+  await db.collection('auditChains').createIndex(
+    { scope: 1 },
+    { unique: true, name: 'uniq_auditChains_scope' }
+  );
+
+  await db.collection('refreshTokens').createIndex(
+    { tokenId: 1 },
+    { unique: true, name: 'uniq_refreshTokens_tokenId' }
+  );
+
+  await db.collection('refreshTokens').createIndex(
+    { familyId: 1 },
+    { name: 'idx_refreshTokens_familyId' }
+  );
+
+  await db.collection('refreshTokens').createIndex(
+    { expiresAt: 1 },
+    {
+      name: 'ttl_refreshTokens_expiresAt',
+      expireAfterSeconds: 0,
+    }
+  );
+
+  await db.collection('revokedJtis').createIndex(
+    { jti: 1 },
+    { unique: true, name: 'uniq_revokedJtis_jti' }
+  );
+
+  await db.collection('revokedJtis').createIndex(
+    { expiresAt: 1 },
+    {
+      name: 'ttl_revokedJtis_expiresAt',
+      expireAfterSeconds: 0,
+    }
+  );
+
   await db.collection('login_attempts').createIndex(
     { voterId: 1 },
     {
@@ -166,6 +438,28 @@ async function createIndexes(db) {
     }
   );
 
+  await db.collection('login_attempts').createIndex(
+    { adminId: 1 },
+    {
+      unique: true,
+      name: 'uniq_loginAttempts_adminId',
+      partialFilterExpression: { adminId: { $type: 'string' } },
+    }
+  );
+
+  await db.collection('participations').createIndex(
+    { voterId: 1, electionId: 1 },
+    {
+      unique: true,
+      name: 'uniq_participation_voter_election',
+    }
+  );
+
+  await db.collection('participations').createIndex(
+    { electionId: 1 },
+    { name: 'idx_participations_electionId' }
+  );
+
   await db.collection('votes').createIndex(
     { electionId: 1, candidateId: 1 },
     {
@@ -173,6 +467,51 @@ async function createIndexes(db) {
     }
   );
 
+  await db.collection('votes').createIndex(
+    { receiptId: 1 },
+    {
+      unique: true,
+      name: 'uniq_votes_receiptId',
+      partialFilterExpression: { receiptId: { $type: 'string' } },
+    }
+  );
+
+  await db.collection('votes').createIndex(
+    { electionId: 1, seq: 1 },
+    {
+      unique: true,
+      name: 'uniq_votes_election_seq',
+      partialFilterExpression: { seq: { $type: 'number' } },
+    }
+  );
+
+  // Mixing pool: due ballots per election, batch lookup by receipt
+  await db.collection('pendingBallots').createIndex(
+    { electionId: 1, mixWindow: 1 },
+    { name: 'idx_pendingBallots_election_window' }
+  );
+
+  await db.collection('pendingBallots').createIndex(
+    { 'receipt.receiptId': 1 },
+    { unique: true, name: 'uniq_pendingBallots_receiptId' }
+  );
+
+  // Participation pool: one claim per voter and election, due entries
+  await db.collection('pendingParticipations').createIndex(
+    { voterId: 1, electionId: 1 },
+    { unique: true, name: 'uniq_pendingParticipations_voter_election' }
+  );
+
+  await db.collection('pendingParticipations').createIndex(
+    { electionId: 1, mixWindow: 1 },
+    { name: 'idx_pendingParticipations_election_window' }
+  );
+
+  await db.collection('voteChains').createIndex(
+    { electionId: 1 },
+    { unique: true, name: 'uniq_voteChains_electionId' }
+  );
+
   console.log('Indexes created/verified.');
 }
 
@@ -186,9 +525,26 @@ async function seedElection(db) {
     {
       $setOnInsert: {
         electionId: ELECTION_ID,
+        title: 'Iraqi demo election',
+        description: '',
+        timezone: 'Asia/Baghdad',
+        ballotType: 'single',
+        ballotRules: null,
+        // 6 seats, modified Sainte-Laguë (first divisor 1.7), 25% women per list
+        seats: 6,
+        seatAllocation: {
+          method: 'modified-sainte-lague',
+          firstDivisor: 1.7,
+          threshold: 0,
+          womenQuota: { share: 0.25 },
+        },
+        startsAt: null,
+        endsAt: null,
         status: 'open',
+        openAt: now,
         createdAt: now,
         updatedAt: now,
+        version: 1,
         meta: {
           seededBy: 'scripts/initDb.js',
           seedType: 'default-election',
@@ -205,6 +561,103 @@ async function seedElection(db) {
   }
 }
 
+// Voters from before per-election participation only have voters.hasVoted.
+// Those votes were cast in the default election, so record them there.
+// The legacy field itself is left in place (this script never deletes data).
+async function migrateLegacyHasVoted(db) {
+  console.log('\nMigrating legacy voters.hasVoted to participations...');
+
+  const legacyVoters = await db
+    .collection('voters')
+    .find({ hasVoted: true }, { projection: { _id: 0, voterId: 1, updatedAt: 1 } })
+    .toArray();
+
+  let upserted = 0;
+
+  for (const voter of legacyVoters) {
+    const result = await db.collection('participations').updateOne(
+      { voterId: voter.voterId, electionId: ELECTION_ID },
+      {
+        $setOnInsert: {
+          voterId: voter.voterId,
+          electionId: ELECTION_ID,
+          status: 'voted',
+          votedAt: voter.updatedAt || null,
+          version: 1,
+          meta: {
+            migratedBy: 'scripts/initDb.js',
+            migratedFrom: 'voters.hasVoted',
+          },
+        },
+      },
+      { upsert: true }
+    );
+
+    upserted += result.upsertedCount || 0;
+  }
+
+  console.log(
+    `Legacy voters with hasVoted: ${legacyVoters.length}, participations created: ${upserted}`
+  );
+}
+
+// Roll entries imported while phone hashes were plain sha256(phone) are
+// re-keyed from phoneEnc (see src/lib/phoneHash.js), and the contentHash of
+// every roll that changed is recomputed. Also run after changing JWT_SECRET.
+async function rekeyRollPhoneHashes(db) {
+  console.log('\nRe-keying voter roll phone hashes...');
+
+  const entries = db.collection('voterRollEntries');
+
+  if ((await entries.countDocuments({ phoneEnc: { $ne: null } })) === 0) {
+    console.log('No phone-bound roll entries');
+    return;
+  }
+
+  // Needs AES_GCM_KEY and JWT_SECRET (src/lib/config.js)
+  const { decodePII } = require('../src/lib/aesgcm');
+  const hashPhone = require('../src/lib/phoneHash');
+
+  const changedRolls = new Set();
+  let rekeyed = 0;
+
+  const cursor = entries.find(
+    { phoneEnc: { $ne: null } },
+    { projection: { _id: 1, rollId: 1, phoneHash: 1, phoneEnc: 1 } }
+  );
+
+  for await (const entry of cursor) {
+    const phoneHash = hashPhone(decodePII(entry.phoneEnc));
+    if (phoneHash === entry.phoneHash) continue;
+
+    await entries.updateOne({ _id: entry._id }, { $set: { phoneHash } });
+    changedRolls.add(entry.rollId);
+    rekeyed += 1;
+  }
+
+  for (const rollId of changedRolls) {
+    // Same lines as voterRollService.computeContentHash
+    const hash = crypto.createHash('sha256');
+    const rollEntries = entries
+      .find({ rollId }, { projection: { _id: 0, voterId: 1, phoneHash: 1, districtId: 1 } })
+      .sort({ voterId: 1 });
+
+    for await (const entry of rollEntries) {
+      const district = entry.districtId ? `\t${entry.districtId}` : '';
+      hash.update(`${entry.voterId}\t${entry.phoneHash || ''}${district}\n`);
+    }
+
+    const contentHash = hash.digest('hex');
+
+    await db.collection('voterRolls').updateOne({ rollId }, { $set: { contentHash } });
+    await db
+      .collection('elections')
+      .updateOne({ 'voterRoll.rollId': rollId }, { $set: { 'voterRoll.contentHash': contentHash } });
+  }
+
+  console.log(`Roll entries re-keyed: ${rekeyed}, rolls updated: ${changedRolls.size}`);
+}
+
 async function seedParties(db) {
   console.log('\nSeeding Iraqi demo parties...');
 
@@ -285,14 +738,37 @@ async function printSummary(db) {
   const collections = [
     'admins',
     'voters',
+    'participations',
     'otp_attempts',
+    'otps',
+    'otpDeliveries',
     'login_attempts',
+    'adminLoginChallenges',
+    'refreshTokens',
+    'revokedJtis',
     'elections',
+    'electionTransitions',
     'parties',
+    'districts',
     'candidates',
     'votingTokens',
+    'spentBallotTokens',
     'votes',
+    'pendingBallots',
+    'pendingParticipations',
+    'voteChains',
     'electionSnapshots',
+    'electionKeys',
+    'tallyCounters',
+    'tallyReconciliations',
+    'encryptedTallies',
+    'decryptionShares',
+    'trustees',
+    'keyCeremonies',
+    'voterRolls',
+    'voterRollEntries',
+    'auditLog',
+    'auditChains',
   ];
 
   for (const name of collections) {
@@ -343,6 +819,8 @@ async function main() {
 
     await createIndexes(db);
     await seedElection(db);
+    await migrateLegacyHasVoted(db);
+    await rekeyRollPhoneHashes(db);
     await seedParties(db);
     await seedCandidates(db);
     await printSummary(db);
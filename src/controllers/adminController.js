@@ -4,7 +4,37 @@
 const { getDb } = require('../lib/mongo');
 const config = require('../lib/config');
 const { verifyPassword } = require('../lib/password');
-const { signJwt } = require('../lib/jwt');
+const { normalizeRole } = require('../lib/permissions');
+const electionService = require('../services/electionService');
+const voteService = require('../services/voteService');
+const snapshotService = require('../services/snapshotService');
+const tallyService = require('../services/tallyService');
+const ballotMixService = require('../services/ballotMixService');
+const otpDeliveryService = require('../services/otpDeliveryService');
+const tokenService = require('../services/tokenService');
+const loginAttemptService = require('../services/loginAttemptService');
+const adminMfaService = require('../services/adminMfaService');
+const auditService = require('../services/auditService');
+
+/**
+ * Audit a login attempt. The caller isn't authenticated yet, so the actor
+ * is the adminId that was tried.
+ */
+function auditLogin(req, adminId, outcome, details) {
+  const id = adminId.slice(0, 64);
+
+  return auditService.recordAdminAction(req, {
+    action: 'admin.login',
+    outcome,
+    actor: { type: 'admin', id },
+    target: { type: 'admin', id },
+    details,
+  });
+}
+
+function getAdminActor(req) {
+  return { type: 'admin', id: (req.user && req.user.adminId) || null };
+}
 
 function getElectionIdFromReq(req) {
   return (
@@ -15,8 +45,34 @@ function getElectionIdFromReq(req) {
   );
 }
 
+async function issueAdminSession(admin) {
+  const session = await tokenService.createSession({
+    subjectType: 'admin',
+    subjectId: admin.adminId,
+    claims: { adminId: admin.adminId, role: normalizeRole(admin.role), scope: ['admin'] },
+  });
+
+  return {
+    ...session,
+    admin: {
+      adminId: admin.adminId,
+      role: normalizeRole(admin.role),
+      status: admin.status,
+      mfaEnabled: adminMfaService.isEnrolled(admin),
+    },
+  };
+}
+
 // ---------- POST /admin/login ----------
 
+/**
+ * Step 1: adminId + password.
+ *
+ * - TOTP enabled: returns { status: "mfa_required", challengeId } (finish with /admin/login/verify)
+ * - TOTP not enabled but ADMIN_MFA_REQUIRED=true:
+ *   returns { status: "mfa_enrollment_required", challengeId } (see /admin/login/enroll)
+ * - otherwise: tokens right away
+ */
 async function adminLogin(req, res, next) {
   try {
     const { adminId, password } = req.body || {};
@@ -34,12 +90,30 @@ async function adminLogin(req, res, next) {
       });
     }
 
+    const normalizedAdminId = adminId.trim();
+    const attemptKey = { adminId: normalizedAdminId };
+    const now = new Date();
+
+    const { locked, attemptDoc } = await loginAttemptService.checkLockout(
+      attemptKey,
+      now
+    );
+
+    if (locked) {
+      await auditLogin(req, normalizedAdminId, 'failure', { reason: 'account_locked' });
+      return res.status(423).json(loginAttemptService.lockedError());
+    }
+
     const db = getDb();
     const admins = db.collection('admins');
 
-    const admin = await admins.findOne({ adminId: adminId.trim() });
+    const admin = await admins.findOne({ adminId: normalizedAdminId });
 
     if (!admin) {
+      // Count unknown ids too (prevents enumeration)
+      await loginAttemptService.recordLoginFailure(attemptKey, attemptDoc, now);
+      await auditLogin(req, normalizedAdminId, 'failure', { reason: 'unknown_admin' });
+
       return res.status(401).json({
         code: 'INVALID_CREDENTIALS',
         message: 'Invalid adminId or password',
@@ -48,6 +122,7 @@ async function adminLogin(req, res, next) {
     }
 
     if (admin.status !== 'active') {
+      await auditLogin(req, admin.adminId, 'failure', { reason: 'admin_inactive' });
       return res.status(403).json({
         code: 'ADMIN_INACTIVE',
         message: 'Admin account is not active',
@@ -58,6 +133,9 @@ async function adminLogin(req, res, next) {
     const passwordOk = await verifyPassword(password.trim(), admin.passwordHash);
 
     if (!passwordOk) {
+      await loginAttemptService.recordLoginFailure(attemptKey, attemptDoc, now);
+      await auditLogin(req, admin.adminId, 'failure', { reason: 'invalid_password' });
+
       return res.status(401).json({
         code: 'INVALID_CREDENTIALS',
         message: 'Invalid adminId or password',
@@ -65,61 +143,193 @@ async function adminLogin(req, res, next) {
       });
     }
 
-    // Issue admin JWT
-    const token = signJwt(
-      {
-        adminId: admin.adminId,
-        role: admin.role,
-        scope: ['admin'],
-      },
-      {
-        subject: admin.adminId,
-        expiresIn: '2h',
-      }
-    );
+    if (adminMfaService.isEnrolled(admin)) {
+      const challenge = await adminMfaService.createLoginChallenge(admin.adminId, 'verify');
+      return res.json({ status: 'mfa_required', ...challenge });
+    }
 
-    return res.json({
-      token,
-      admin: {
-        adminId: admin.adminId,
-        role: admin.role,
-        status: admin.status,
-      },
+    if (config.adminMfaRequired) {
+      const challenge = await adminMfaService.createLoginChallenge(admin.adminId, 'enroll');
+      return res.json({ status: 'mfa_enrollment_required', ...challenge });
+    }
+
+    await loginAttemptService.clearLoginFailures(attemptKey);
+    await auditLogin(req, admin.adminId, 'success', { method: 'password' });
+
+    return res.json(await issueAdminSession(admin));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/login/enroll ----------
+
+/**
+ * Body: { "challengeId": "..." } from a "mfa_enrollment_required" login.
+ * Returns { secret, otpauthUri }; confirm with /admin/login/verify + code.
+ */
+async function startLoginEnrollment(req, res, next) {
+  try {
+    const { challengeId } = req.body || {};
+    const challenge = await adminMfaService.getChallenge(challengeId);
+
+    if (challenge.purpose !== 'enroll') {
+      return res.status(409).json({
+        code: 'MFA_ALREADY_ENABLED',
+        message: 'TOTP is already enabled; verify a code instead',
+        details: {},
+      });
+    }
+
+    const enrollment = await adminMfaService.startEnrollment(challenge.adminId, {
+      audit: auditService.adminAuditHook(req, () => ({
+        action: 'admin.mfa.enroll_start',
+        actor: { type: 'admin', id: challenge.adminId },
+        target: { type: 'admin', id: challenge.adminId },
+      })),
     });
+
+    return res.json(enrollment);
   } catch (err) {
     next(err);
   }
 }
 
-// ---------- POST /admin/open ----------
+// ---------- POST /admin/login/verify ----------
 
-async function openElection(req, res, next) {
+/**
+ * Step 2. Body: { "challengeId": "...", "code": "123456" }
+ *         or   { "challengeId": "...", "recoveryCode": "ABCDE-FGHIJ" }
+ *
+ * Wrong codes count against the challenge (5 tries) and the same
+ * per-admin lockout as wrong passwords.
+ */
+async function verifyAdminLogin(req, res, next) {
   try {
-    const electionId = getElectionIdFromReq(req);
-    const db = getDb();
-    const elections = db.collection('elections');
+    const { challengeId, code, recoveryCode } = req.body || {};
+
+    if (
+      (typeof code !== 'string' || !code.trim()) &&
+      (typeof recoveryCode !== 'string' || !recoveryCode.trim())
+    ) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'code or recoveryCode is required',
+        details: {},
+      });
+    }
 
+    const challenge = await adminMfaService.claimChallengeAttempt(challengeId);
+    const attemptKey = { adminId: challenge.adminId };
     const now = new Date();
 
-    await elections.updateOne(
-      { electionId },
-      {
-        $set: {
-          electionId,
-          status: 'open',
-          updatedAt: now,
-        },
-        $setOnInsert: {
-          createdAt: now,
-          meta: {},
-        },
-      },
-      { upsert: true }
+    const { locked, attemptDoc } = await loginAttemptService.checkLockout(
+      attemptKey,
+      now
     );
 
+    if (locked) {
+      await adminMfaService.deleteChallenge(challenge);
+      await auditLogin(req, challenge.adminId, 'failure', { reason: 'account_locked' });
+      return res.status(423).json(loginAttemptService.lockedError());
+    }
+
+    const db = getDb();
+    const admin = await db.collection('admins').findOne({ adminId: challenge.adminId });
+
+    if (!admin || admin.status !== 'active') {
+      await adminMfaService.deleteChallenge(challenge);
+      await auditLogin(req, challenge.adminId, 'failure', { reason: 'admin_inactive' });
+      return res.status(403).json({
+        code: 'ADMIN_INACTIVE',
+        message: 'Admin account is not active',
+        details: {},
+      });
+    }
+
+    let recoveryCodes = null;
+    let ok;
+    let method = 'enrollment';
+
+    if (challenge.purpose === 'enroll') {
+      recoveryCodes = await adminMfaService.confirmEnrollment(
+        admin.adminId,
+        typeof code === 'string' ? code : '',
+        {
+          audit: auditService.adminAuditHook(req, () => ({
+            action: 'admin.mfa.enable',
+            actor: { type: 'admin', id: admin.adminId, role: normalizeRole(admin.role) },
+            target: { type: 'admin', id: admin.adminId },
+          })),
+        }
+      );
+      ok = recoveryCodes !== null;
+    } else {
+      ({ ok, method } = await adminMfaService.verifySecondFactor(admin, {
+        code: typeof code === 'string' ? code : undefined,
+        recoveryCode: typeof recoveryCode === 'string' ? recoveryCode : undefined,
+      }));
+    }
+
+    if (!ok) {
+      await loginAttemptService.recordLoginFailure(attemptKey, attemptDoc, now);
+      await auditLogin(req, admin.adminId, 'failure', { reason: 'invalid_mfa_code' });
+
+      return res.status(401).json({
+        code: 'INVALID_MFA_CODE',
+        message: 'Invalid authentication code',
+        details: {},
+      });
+    }
+
+    await adminMfaService.deleteChallenge(challenge);
+    await loginAttemptService.clearLoginFailures(attemptKey);
+    await auditLogin(req, admin.adminId, 'success', { method });
+
+    const updated = await db.collection('admins').findOne({ adminId: admin.adminId });
+    const response = await issueAdminSession(updated);
+
+    if (recoveryCodes) {
+      // Shown once; only hashes are stored
+      response.recoveryCodes = recoveryCodes;
+    }
+
+    return res.json(response);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/logout ----------
+
+async function adminLogout(req, res, next) {
+  try {
+    await tokenService.logout(req.user);
+
+    await auditService.recordAdminAction(req, {
+      action: 'admin.logout',
+      target: { type: 'admin', id: req.admin.adminId },
+    });
+
+    return res.json({ status: 'logged_out' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/open ----------
+
+async function openElection(req, res, next) {
+  try {
+    const electionId = getElectionIdFromReq(req);
+    const election = await electionService.transitionElection(electionId, 'open', {
+      actor: getAdminActor(req),
+      audit: auditService.requestContext(req),
+    });
+
     return res.json({
       electionId,
-      status: 'open',
+      status: election.status,
     });
   } catch (err) {
     next(err);
@@ -131,30 +341,14 @@ async function openElection(req, res, next) {
 async function closeElection(req, res, next) {
   try {
     const electionId = getElectionIdFromReq(req);
-    const db = getDb();
-    const elections = db.collection('elections');
-
-    const now = new Date();
-
-    await elections.updateOne(
-      { electionId },
-      {
-        $set: {
-          electionId,
-          status: 'closed',
-          updatedAt: now,
-        },
-        $setOnInsert: {
-          createdAt: now,
-          meta: {},
-        },
-      },
-      { upsert: true }
-    );
+    const election = await electionService.transitionElection(electionId, 'closed', {
+      actor: getAdminActor(req),
+      audit: auditService.requestContext(req),
+    });
 
     return res.json({
       electionId,
-      status: 'closed',
+      status: election.status,
     });
   } catch (err) {
     next(err);
@@ -166,271 +360,94 @@ async function closeElection(req, res, next) {
 async function getTotals(req, res, next) {
   try {
     const electionId = getElectionIdFromReq(req);
-    const db = getDb();
+    const election = await electionService.getElectionOrThrow(electionId);
 
-    const voters = db.collection('voters');
-    const votes = db.collection('votes');
-    const candidates = db.collection('candidates');
-    const parties = db.collection('parties');
+    const totals = await voteService.computeTotals(election);
 
-    // Turnout
-    const [totalVoters, votersVoted] = await Promise.all([
-      voters.countDocuments({}),
-      voters.countDocuments({ hasVoted: true }),
-    ]);
+    return res.json(totals);
+  } catch (err) {
+    next(err);
+  }
+}
 
-    const turnoutRate =
-      totalVoters > 0 ? votersVoted / totalVoters : 0;
+// ---------- POST /admin/finalize ----------
 
-    // Candidate totals (aggregation)
-    const candidateTotalsAgg = await votes
-      .aggregate([
-        { $match: { electionId } },
-        {
-          $group: {
-            _id: '$candidateId',
-            votes: { $sum: 1 },
-          },
-        },
-        {
-          $lookup: {
-            from: 'candidates',
-            let: { candidateId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$candidateId', '$$candidateId'] },
-                      { $eq: ['$electionId', electionId] },
-                    ],
-                  },
-                },
-              },
-              {
-                $project: {
-                  _id: 0,
-                  candidateId: 1,
-                  name: 1,
-                  partyId: 1,
-                },
-              },
-            ],
-            as: 'candidate',
-          },
-        },
-        { $unwind: '$candidate' },
-        {
-          $project: {
-            _id: 0,
-            candidateId: '$candidate.candidateId',
-            name: '$candidate.name',
-            partyId: '$candidate.partyId',
-            votes: 1,
-          },
-        },
-      ])
-      .toArray();
-
-    // Party info
-    const partyDocs = await parties
-      .find(
-        { electionId },
-        { projection: { _id: 0, partyId: 1, name: 1 } }
-      )
-      .toArray();
-
-    const partyInfoById = new Map();
-    for (const p of partyDocs) {
-      partyInfoById.set(p.partyId, {
-        partyId: p.partyId,
-        name: p.name,
+/**
+ * One-time: counts the results, stores them as a signed snapshot and moves
+ * the election to "finalized". Later calls return the stored snapshot.
+ */
+async function finalizeElection(req, res, next) {
+  try {
+    const electionId = getElectionIdFromReq(req);
+
+    const existing = await snapshotService.getSnapshot(electionId);
+    if (existing) {
+      return res.json(existing);
+    }
+
+    // Only a closed election may be finalized; check before doing the work.
+    const election = await electionService.getElectionOrThrow(electionId);
+    electionService.assertTransition(election, 'finalized');
+
+    // Late ballots may still arrive during the grace window
+    const graceEndsAt = voteService.getGraceEndsAt(election);
+    if (graceEndsAt && graceEndsAt > new Date()) {
+      return res.status(409).json({
+        code: 'GRACE_WINDOW_ACTIVE',
+        message: 'Election cannot be finalized until the grace window ends',
+        details: { electionId, graceEndsAt },
       });
     }
 
-    // Party totals derived from candidate totals
-    const partyTotalsMap = new Map();
-    for (const ct of candidateTotalsAgg) {
-      const partyId = ct.partyId || null;
-      const votesCount = ct.votes || 0;
-
-      if (!partyTotalsMap.has(partyId)) {
-        const info = partyInfoById.get(partyId) || {
-          partyId,
-          name: null,
-        };
-        partyTotalsMap.set(partyId, {
-          partyId: info.partyId,
-          name: info.name,
-          votes: 0,
+    // Ballots still in the mixing pool are stored before counting
+    await ballotMixService.flushElection(electionId);
+
+    // The snapshot counts from the tally counters: check them against the
+    // raw votes first, and refuse to finalize on drift
+    if (election.tallyCounters) {
+      const check = tallyService.countersReady(election)
+        ? await tallyService.reconcileElection(electionId, { actor: getAdminActor(req) })
+        : { status: tallyService.COUNTERS_DRIFT, drift: [] };
+
+      if (check.status === tallyService.COUNTERS_DRIFT) {
+        return res.status(409).json({
+          code: 'TALLY_DRIFT',
+          message: 'Tally counters differ from the recorded votes; rebuild them before finalizing',
+          details: { electionId, drift: check.drift },
         });
       }
-
-      const entry = partyTotalsMap.get(partyId);
-      entry.votes += votesCount;
     }
 
-    const partyTotals = Array.from(partyTotalsMap.values());
-
-    return res.json({
-      electionId,
-      turnout: {
-        totalVoters,
-        votersVoted,
-        turnoutRate,
-      },
-      candidateTotals: candidateTotalsAgg,
-      partyTotals,
+    // election.finalize is audited in the snapshot's transaction
+    const { snapshot } = await snapshotService.createFinalSnapshot(election, {
+      actor: getAdminActor(req),
+      audit: auditService.requestContext(req),
     });
+
+    return res.json(snapshot);
   } catch (err) {
     next(err);
   }
 }
 
-// ---------- POST /admin/finalize ----------
+// ---------- GET /admin/otp-deliveries?status=failed&limit=50 ----------
 
-async function finalizeElection(req, res, next) {
+async function listOtpDeliveries(req, res, next) {
   try {
-    const electionId = getElectionIdFromReq(req);
-    const db = getDb();
-    const elections = db.collection('elections');
-    const snapshots = db.collection('electionSnapshots');
-
-    // Reuse getTotals logic by calling it internally? For now,
-    // recompute similar to getTotals to avoid circular calls.
-    const voters = db.collection('voters');
-    const votes = db.collection('votes');
-    const candidates = db.collection('candidates');
-    const parties = db.collection('parties');
-
-    const [totalVoters, votersVoted] = await Promise.all([
-      voters.countDocuments({}),
-      voters.countDocuments({ hasVoted: true }),
-    ]);
-
-    const turnoutRate =
-      totalVoters > 0 ? votersVoted / totalVoters : 0;
-
-    const candidateTotalsAgg = await votes
-      .aggregate([
-        { $match: { electionId } },
-        {
-          $group: {
-            _id: '$candidateId',
-            votes: { $sum: 1 },
-          },
-        },
-        {
-          $lookup: {
-            from: 'candidates',
-            let: { candidateId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$candidateId', '$$candidateId'] },
-                      { $eq: ['$electionId', electionId] },
-                    ],
-                  },
-                },
-              },
-              {
-                $project: {
-                  _id: 0,
-                  candidateId: 1,
-                  name: 1,
-                  partyId: 1,
-                },
-              },
-            ],
-            as: 'candidate',
-          },
-        },
-        { $unwind: '$candidate' },
-        {
-          $project: {
-            _id: 0,
-            candidateId: '$candidate.candidateId',
-            name: '$candidate.name',
-            partyId: '$candidate.partyId',
-            votes: 1,
-          },
-        },
-      ])
-      .toArray();
-
-    const partyDocs = await parties
-      .find(
-        { electionId },
-        { projection: { _id: 0, partyId: 1, name: 1 } }
-      )
-      .toArray();
-
-    const partyInfoById = new Map();
-    for (const p of partyDocs) {
-      partyInfoById.set(p.partyId, {
-        partyId: p.partyId,
-        name: p.name,
-      });
-    }
+    const status =
+      req.query && req.query.status ? String(req.query.status) : undefined;
+    const limit = req.query && req.query.limit ? Number(req.query.limit) : 50;
 
-    const partyTotalsMap = new Map();
-    for (const ct of candidateTotalsAgg) {
-      const partyId = ct.partyId || null;
-      const votesCount = ct.votes || 0;
-
-      if (!partyTotalsMap.has(partyId)) {
-        const info = partyInfoById.get(partyId) || {
-          partyId,
-          name: null,
-        };
-        partyTotalsMap.set(partyId, {
-          partyId: info.partyId,
-          name: info.name,
-          votes: 0,
-        });
-      }
-
-      const entry = partyTotalsMap.get(partyId);
-      entry.votes += votesCount;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'limit must be an integer between 1 and 500',
+        details: {},
+      });
     }
 
-    const partyTotals = Array.from(partyTotalsMap.values());
-
-    const snapshot = {
-      electionId,
-      createdAt: new Date(),
-      turnout: {
-        totalVoters,
-        votersVoted,
-        turnoutRate,
-      },
-      candidateTotals: candidateTotalsAgg,
-      partyTotals,
-    };
-
-    // Store snapshot (optional but useful)
-    await snapshots.insertOne(snapshot);
-
-    // Mark election as finalized
-    await elections.updateOne(
-      { electionId },
-      {
-        $set: {
-          electionId,
-          status: 'finalized',
-          updatedAt: new Date(),
-        },
-        $setOnInsert: {
-          createdAt: new Date(),
-          meta: {},
-        },
-      },
-      { upsert: true }
-    );
-
-    return res.json(snapshot);
+    const deliveries = await otpDeliveryService.listDeliveries({ status, limit });
+    return res.json({ deliveries });
   } catch (err) {
     next(err);
   }
@@ -438,8 +455,12 @@ async function finalizeElection(req, res, next) {
 
 module.exports = {
   adminLogin,
+  startLoginEnrollment,
+  verifyAdminLogin,
+  adminLogout,
   openElection,
   closeElection,
   getTotals,
   finalizeElection,
+  listOtpDeliveries,
 };
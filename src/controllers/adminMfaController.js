@@ -0,0 +1,133 @@
+// src/controllers/adminMfaController.js
+// TOTP self-service for the logged-in admin: enroll, confirm, new recovery
+// codes, disable.
+
+const adminMfaService = require('../services/adminMfaService');
+const auditService = require('../services/auditService');
+
+// Written by the service in the same transaction as the MFA change
+function auditMfa(req, action) {
+  return {
+    audit: auditService.adminAuditHook(req, () => ({
+      action,
+      target: { type: 'admin', id: req.admin.adminId },
+    })),
+  };
+}
+
+function requireCode(req, res) {
+  const { code } = req.body || {};
+
+  if (typeof code !== 'string' || !code.trim()) {
+    res.status(400).json({
+      code: 'VALIDATION_ERROR',
+      message: 'code is required',
+      details: {},
+    });
+    return null;
+  }
+
+  return code.trim();
+}
+
+function invalidCode(res) {
+  return res.status(400).json({
+    code: 'INVALID_MFA_CODE',
+    message: 'Invalid authentication code',
+    details: {},
+  });
+}
+
+// ---------- POST /admin/mfa/enroll ----------
+
+async function startEnrollment(req, res, next) {
+  try {
+    const enrollment = await adminMfaService.startEnrollment(
+      req.admin.adminId,
+      auditMfa(req, 'admin.mfa.enroll_start')
+    );
+    return res.json(enrollment);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/mfa/confirm ----------
+
+/**
+ * Body: { "code": "123456" } from the authenticator app.
+ * Returns the recovery codes (only time they are shown).
+ */
+async function confirmEnrollment(req, res, next) {
+  try {
+    const code = requireCode(req, res);
+    if (code === null) return undefined;
+
+    const recoveryCodes = await adminMfaService.confirmEnrollment(
+      req.admin.adminId,
+      code,
+      auditMfa(req, 'admin.mfa.enable')
+    );
+
+    if (!recoveryCodes) {
+      return invalidCode(res);
+    }
+
+    return res.json({ mfaEnabled: true, recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/mfa/recovery-codes ----------
+
+async function regenerateRecoveryCodes(req, res, next) {
+  try {
+    const code = requireCode(req, res);
+    if (code === null) return undefined;
+
+    const recoveryCodes = await adminMfaService.regenerateRecoveryCodes(
+      req.admin.adminId,
+      code,
+      auditMfa(req, 'admin.mfa.recovery_codes')
+    );
+
+    if (!recoveryCodes) {
+      return invalidCode(res);
+    }
+
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/mfa/disable ----------
+
+async function disableMfa(req, res, next) {
+  try {
+    const code = requireCode(req, res);
+    if (code === null) return undefined;
+
+    const ok = await adminMfaService.disableMfa(
+      req.admin.adminId,
+      code,
+      auditMfa(req, 'admin.mfa.disable')
+    );
+
+    if (!ok) {
+      return invalidCode(res);
+    }
+
+    return res.json({ mfaEnabled: false });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableMfa,
+};
@@ -0,0 +1,135 @@
+// src/controllers/adminUserController.js
+// Superadmin management of admin accounts.
+
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const { normalizeRole, permissionsFor } = require('../lib/permissions');
+
+// ---------- GET /admin/me ----------
+
+async function getCurrentAdmin(req, res, next) {
+  try {
+    const { adminId, role, mfaEnabled } = req.admin;
+    return res.json({ adminId, role, mfaEnabled, permissions: permissionsFor(role) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/admins ----------
+
+async function listAdmins(req, res, next) {
+  try {
+    const admins = await adminService.listAdmins();
+    return res.json({ admins });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/admins ----------
+
+/**
+ * Body: { "adminId": "manager1", "password": "...", "role": "electionManager" }
+ */
+async function createAdmin(req, res, next) {
+  try {
+    const admin = await adminService.createAdmin(req.body || {}, {
+      actorId: req.admin.adminId,
+      audit: auditService.adminAuditHook(req, (created) => ({
+        action: 'admin.create',
+        target: { type: 'admin', id: created.adminId },
+        after: created,
+      })),
+    });
+
+    return res.status(201).json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- PATCH /admin/admins/:adminId ----------
+
+/**
+ * Body: { "role": "auditor" }
+ */
+async function updateAdmin(req, res, next) {
+  try {
+    const { role } = req.body || {};
+
+    if (typeof role !== 'string') {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'role is required',
+        details: {},
+      });
+    }
+
+    const { adminId } = req.params;
+    const before = await adminService.getAdminOrThrow(adminId);
+    const admin = await adminService.changeAdminRole(
+      adminId,
+      // Accept legacy names, always store the current one
+      normalizeRole(role) || role,
+      {
+        actorId: req.admin.adminId,
+        audit: auditService.adminAuditHook(req, (updated) => ({
+          action: 'admin.role_change',
+          target: { type: 'admin', id: adminId },
+          before: { role: before.role },
+          after: { role: updated.role },
+        })),
+      }
+    );
+
+    return res.json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function changeStatus(req, status) {
+  const { adminId } = req.params;
+  const before = await adminService.getAdminOrThrow(adminId);
+  return adminService.setAdminStatus(adminId, status, {
+    actorId: req.admin.adminId,
+    audit: auditService.adminAuditHook(req, (updated) => ({
+      action: 'admin.status_change',
+      target: { type: 'admin', id: adminId },
+      before: { status: before.status },
+      after: { status: updated.status },
+    })),
+  });
+}
+
+// ---------- POST /admin/admins/:adminId/suspend ----------
+
+async function suspendAdmin(req, res, next) {
+  try {
+    const admin = await changeStatus(req, 'suspended');
+    return res.json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/admins/:adminId/reactivate ----------
+
+async function reactivateAdmin(req, res, next) {
+  try {
+    const admin = await changeStatus(req, 'active');
+    return res.json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  suspendAdmin,
+  reactivateAdmin,
+};
@@ -0,0 +1,231 @@
+// src/controllers/auditController.js
+// Audit log access for auditors: query, export, chain verification.
+
+const auditService = require('../services/auditService');
+const { csvLine } = require('../lib/csv');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+
+const CSV_COLUMNS = [
+  'seq',
+  'createdAt',
+  'action',
+  'outcome',
+  'actorType',
+  'actorId',
+  'actorRole',
+  'ip',
+  'userAgent',
+  'requestId',
+  'targetType',
+  'targetId',
+  'electionId',
+  'before',
+  'after',
+  'details',
+  'prevHash',
+  'entryHash',
+];
+
+/**
+ * Read the filter query parameters shared by list and export.
+ *
+ * @returns {{ query?: object, error?: string }}
+ */
+function parseAuditQuery(q = {}) {
+  const query = {};
+
+  for (const name of [
+    'action',
+    'actorId',
+    'targetType',
+    'targetId',
+    'electionId',
+    'requestId',
+    'outcome',
+  ]) {
+    if (q[name] !== undefined) {
+      if (typeof q[name] !== 'string' || q[name].length > 200) {
+        return { error: `${name} must be a string` };
+      }
+      query[name] = q[name];
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    if (q[name] !== undefined) {
+      const date = new Date(String(q[name]));
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${name} must be an ISO 8601 date` };
+      }
+      query[name] = date;
+    }
+  }
+
+  const afterSeq = parseInt(q.afterSeq || '0', 10);
+  if (Number.isNaN(afterSeq) || afterSeq < 0) {
+    return { error: 'afterSeq must be >= 0' };
+  }
+  query.afterSeq = afterSeq;
+
+  return { query };
+}
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    code: 'VALIDATION_ERROR',
+    message,
+    details: {},
+  });
+}
+
+// ---------- GET /admin/audit?action=election.*&afterSeq=0&limit=100 ----------
+
+/**
+ * Page through entries in seq order. Filters: action ("election.*" for a
+ * prefix), actorId, targetType, targetId, electionId, requestId, outcome,
+ * from, to (createdAt range).
+ */
+async function listAuditLog(req, res, next) {
+  try {
+    const { query, error } = parseAuditQuery(req.query);
+    if (error) {
+      return badRequest(res, error);
+    }
+
+    const limit = parseInt(req.query.limit || String(DEFAULT_PAGE_SIZE), 10);
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return badRequest(res, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const [head, entries] = await Promise.all([
+      auditService.getAuditHead(),
+      auditService.listAuditEntries(query, { limit }),
+    ]);
+
+    return res.json({
+      head,
+      entries,
+      nextAfterSeq:
+        entries.length === limit ? entries[entries.length - 1].seq : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+function toCsvRow(entry) {
+  const actor = entry.actor || {};
+  const target = entry.target || {};
+
+  return [
+    entry.seq,
+    entry.createdAt,
+    entry.action,
+    entry.outcome,
+    actor.type,
+    actor.id,
+    actor.role,
+    entry.ip,
+    entry.userAgent,
+    entry.requestId,
+    target.type,
+    target.id,
+    target.electionId,
+    entry.before,
+    entry.after,
+    entry.details,
+    entry.prevHash,
+    entry.entryHash,
+  ];
+}
+
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => res.once('drain', resolve));
+}
+
+// ---------- GET /admin/audit/export?format=ndjson ----------
+
+/**
+ * Stream every matching entry. NDJSON (default) keeps the stored fields
+ * as-is, so an export can be re-verified offline; CSV is for reading.
+ */
+async function exportAuditLog(req, res, next) {
+  try {
+    const format = req.query.format ? String(req.query.format) : 'ndjson';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return badRequest(res, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { query, error } = parseAuditQuery(req.query);
+    if (error) {
+      return badRequest(res, error);
+    }
+
+    const head = await auditService.getAuditHead();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    res.setHeader(
+      'Content-Type',
+      format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="audit-log-${stamp}.${format}"`
+    );
+    res.setHeader('X-Audit-Head-Seq', String(head.seq));
+    res.setHeader('X-Audit-Head', head.head);
+
+    if (format === 'csv') {
+      await write(res, csvLine(CSV_COLUMNS));
+    }
+
+    let count = 0;
+
+    for await (const entry of auditService.streamAuditEntries(query)) {
+      count += 1;
+      await write(
+        res,
+        format === 'csv' ? csvLine(toCsvRow(entry)) : `${JSON.stringify(entry)}\n`
+      );
+    }
+
+    res.end();
+
+    await auditService.recordAdminAction(req, {
+      action: 'audit.export',
+      target: { type: 'auditLog', id: null },
+      details: { format, query, count },
+    });
+  } catch (err) {
+    // Headers may already be out; all we can do then is cut the stream
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    next(err);
+  }
+}
+
+// ---------- GET /admin/audit/verify ----------
+
+/**
+ * Walk the audit hash chain and report any break (full scan).
+ */
+async function verifyAuditLog(req, res, next) {
+  try {
+    const report = await auditService.verifyAuditLog();
+    return res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listAuditLog,
+  exportAuditLog,
+  verifyAuditLog,
+};
@@ -1,28 +1,24 @@
 // src/controllers/authController.js
 // Handles registration, OTP, and voter login.
 
-const crypto = require('crypto');
 const { getDb } = require('../lib/mongo');
 const { encodePII } = require('../lib/aesgcm');
 const { hashPassword, verifyPassword } = require('../lib/password');
-const { signJwt } = require('../lib/jwt');
+const hashPhone = require('../lib/phoneHash');
 const otpService = require('../services/otpService');
+const voteService = require('../services/voteService');
+const tokenService = require('../services/tokenService');
+const loginAttemptService = require('../services/loginAttemptService');
+const voterRollService = require('../services/voterRollService');
 
 const OTP_WINDOW_MS = 60 * 60 * 1000; // 1 hour window per phoneHash
 const OTP_MAX_PER_WINDOW = 10;        // Max 10 OTPs per hour per phoneHash
 
-const LOGIN_WINDOW_MS = 15 * 60 * 1000; // 15 min for lockout window
-const LOGIN_MAX_FAILED = 5;             // Lock after 5 failed attempts
-
-function hashPhone(phone) {
-  return crypto.createHash('sha256').update(phone).digest('hex');
-}
-
 // ---------- POST /auth/otp/send ----------
 
 async function sendOtp(req, res, next) {
   try {
-    const { phone } = req.body || {};
+    const { phone, purpose = 'registration' } = req.body || {};
 
     if (typeof phone !== 'string' || !phone.trim()) {
       return res.status(400).json({
@@ -32,6 +28,14 @@ async function sendOtp(req, res, next) {
       });
     }
 
+    if (!otpService.OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: `purpose must be one of: ${otpService.OTP_PURPOSES.join(', ')}`,
+        details: {},
+      });
+    }
+
     const normalizedPhone = phone.trim();
     const phoneHash = hashPhone(normalizedPhone);
 
@@ -76,12 +80,17 @@ async function sendOtp(req, res, next) {
       );
     }
 
-    // Generate + "send" OTP via stub service
-    await otpService.sendOtp(normalizedPhone, phoneHash);
+    // Generate + send OTP via the configured providers
+    const { expiresAt } = await otpService.sendOtp(
+      normalizedPhone,
+      phoneHash,
+      purpose
+    );
 
     return res.json({
       status: 'ok',
-      message: 'OTP sent (stub). Check server logs for code in dev.',
+      message: 'OTP sent',
+      expiresAt,
     });
   } catch (err) {
     next(err);
@@ -115,9 +124,9 @@ async function verifyOtpAndCreateVoter(req, res, next) {
     const phoneHash = hashPhone(normalizedPhone);
 
     const otpValid = await otpService.verifyOtp(
-      normalizedPhone,
       phoneHash,
-      otpCode
+      otpCode,
+      'registration'
     );
 
     if (!otpValid) {
@@ -128,6 +137,16 @@ async function verifyOtpAndCreateVoter(req, res, next) {
       });
     }
 
+    // Only voterIds on a current electoral roll (with the bound phone, if any)
+    const eligible = await voterRollService.canRegister(normalizedVoterId, phoneHash);
+    if (!eligible) {
+      return res.status(403).json({
+        code: 'NOT_ON_ROLL',
+        message: 'This voterId is not on the electoral roll for this phone',
+        details: {},
+      });
+    }
+
     const db = getDb();
     const voters = db.collection('voters');
 
@@ -148,7 +167,6 @@ async function verifyOtpAndCreateVoter(req, res, next) {
       voterId: normalizedVoterId,
       phoneEnc, // { iv, data, tag }
       passwordHash,
-      hasVoted: false,
       status: 'active', // after OTP verification
       createdAt: now,
       updatedAt: now,
@@ -158,25 +176,17 @@ async function verifyOtpAndCreateVoter(req, res, next) {
 
     await voters.insertOne(voterDoc);
 
-    // Issue voter JWT
-    const token = signJwt(
-      {
-        voterId: voterDoc.voterId,
-        hasVoted: voterDoc.hasVoted,
-        status: voterDoc.status,
-        scope: ['voter'],
-      },
-      {
-        subject: voterDoc.voterId,
-        expiresIn: '1h',
-      }
-    );
+    // Issue voter access + refresh token
+    const session = await tokenService.createSession({
+      subjectType: 'voter',
+      subjectId: voterDoc.voterId,
+      claims: { voterId: voterDoc.voterId, scope: ['voter'] },
+    });
 
     return res.status(201).json({
-      token,
+      ...session,
       voter: {
         voterId: voterDoc.voterId,
-        hasVoted: voterDoc.hasVoted,
         status: voterDoc.status,
       },
     });
@@ -207,37 +217,25 @@ async function login(req, res, next) {
     const normalizedVoterId = voterId.trim();
     const db = getDb();
     const voters = db.collection('voters');
-    const loginAttempts = db.collection('login_attempts');
+    const attemptKey = { voterId: normalizedVoterId };
 
     const now = new Date();
 
     // Check lockout
-    const attemptDoc = await loginAttempts.findOne({
-      voterId: normalizedVoterId,
-    });
+    const { locked, attemptDoc } = await loginAttemptService.checkLockout(
+      attemptKey,
+      now
+    );
 
-    if (
-      attemptDoc &&
-      attemptDoc.windowEndsAt &&
-      attemptDoc.windowEndsAt > now &&
-      attemptDoc.count >= LOGIN_MAX_FAILED
-    ) {
-      return res.status(423).json({
-        code: 'ACCOUNT_LOCKED',
-        message:
-          'Too many failed login attempts. Please try again after the lockout window.',
-        details: {
-          maxFailedAttempts: LOGIN_MAX_FAILED,
-          windowMs: LOGIN_WINDOW_MS,
-        },
-      });
+    if (locked) {
+      return res.status(423).json(loginAttemptService.lockedError());
     }
 
     const voter = await voters.findOne({ voterId: normalizedVoterId });
 
     if (!voter) {
       // Increment failed attempts for this voterId anyway (prevents enumeration)
-      await recordLoginFailure(loginAttempts, normalizedVoterId, attemptDoc, now);
+      await loginAttemptService.recordLoginFailure(attemptKey, attemptDoc, now);
 
       return res.status(401).json({
         code: 'INVALID_CREDENTIALS',
@@ -258,7 +256,7 @@ async function login(req, res, next) {
 
     const passwordOk = await verifyPassword(password.trim(), voter.passwordHash);
     if (!passwordOk) {
-      await recordLoginFailure(loginAttempts, normalizedVoterId, attemptDoc, now);
+      await loginAttemptService.recordLoginFailure(attemptKey, attemptDoc, now);
 
       return res.status(401).json({
         code: 'INVALID_CREDENTIALS',
@@ -268,27 +266,19 @@ async function login(req, res, next) {
     }
 
     // Successful login: clear attempts
-    await loginAttempts.deleteOne({ voterId: normalizedVoterId });
+    await loginAttemptService.clearLoginFailures(attemptKey);
 
-    // Issue voter JWT
-    const token = signJwt(
-      {
-        voterId: voter.voterId,
-        hasVoted: voter.hasVoted,
-        status: voter.status,
-        scope: ['voter'],
-      },
-      {
-        subject: voter.voterId,
-        expiresIn: '1h',
-      }
-    );
+    // Issue voter access + refresh token
+    const session = await tokenService.createSession({
+      subjectType: 'voter',
+      subjectId: voter.voterId,
+      claims: { voterId: voter.voterId, scope: ['voter'] },
+    });
 
     return res.json({
-      token,
+      ...session,
       voter: {
         voterId: voter.voterId,
-        hasVoted: voter.hasVoted,
         status: voter.status,
       },
     });
@@ -297,31 +287,40 @@ async function login(req, res, next) {
   }
 }
 
-async function recordLoginFailure(loginAttempts, voterId, attemptDoc, now) {
-  if (
-    !attemptDoc ||
-    !attemptDoc.windowEndsAt ||
-    attemptDoc.windowEndsAt <= now
-  ) {
-    const windowEndsAt = new Date(now.getTime() + LOGIN_WINDOW_MS);
-    await loginAttempts.updateOne(
-      { voterId },
-      {
-        $set: {
-          voterId,
-          count: 1,
-          windowEndsAt,
-          createdAt: now,
-          meta: {},
-        },
-      },
-      { upsert: true }
-    );
-  } else {
-    await loginAttempts.updateOne(
-      { voterId },
-      { $inc: { count: 1 } }
-    );
+// ---------- POST /auth/refresh ----------
+
+/**
+ * Body: { "refreshToken": "..." }
+ * Works for voter and admin sessions. Returns a new access token and a new
+ * refresh token; the presented refresh token is used up.
+ */
+async function refresh(req, res, next) {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken.trim()) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'refreshToken is required',
+        details: {},
+      });
+    }
+
+    const session = await tokenService.refreshSession(refreshToken.trim());
+    return res.json(session);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /auth/logout (Auth: voter) ----------
+
+async function logout(req, res, next) {
+  try {
+    await tokenService.logout(req.user);
+    return res.json({ status: 'logged_out' });
+  } catch (err) {
+    next(err);
   }
 }
 
@@ -345,7 +344,7 @@ async function getMe(req, res, next) {
 
     const voter = await voters.findOne(
       { voterId },
-      { projection: { _id: 0, voterId: 1, hasVoted: 1, status: 1 } }
+      { projection: { _id: 0, voterId: 1, status: 1 } }
     );
 
     if (!voter) {
@@ -356,7 +355,13 @@ async function getMe(req, res, next) {
       });
     }
 
-    return res.json(voter);
+    // Per-election participation (voted or not), never the choice itself
+    const participation = await voteService.listParticipation(voterId);
+
+    return res.json({
+      ...voter,
+      participation,
+    });
   } catch (err) {
     next(err);
   }
@@ -366,5 +371,7 @@ module.exports = {
   sendOtp,
   verifyOtpAndCreateVoter,
   login,
+  refresh,
+  logout,
   getMe,
 };
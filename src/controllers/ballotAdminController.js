@@ -0,0 +1,326 @@
+// src/controllers/ballotAdminController.js
+// Admin CRUD for districts, parties and candidates of an election.
+
+const ballotService = require('../services/ballotService');
+const auditService = require('../services/auditService');
+
+function districtTarget(electionId, districtId) {
+  return { type: 'district', id: districtId, electionId };
+}
+
+function partyTarget(electionId, partyId) {
+  return { type: 'party', id: partyId, electionId };
+}
+
+function candidateTarget(electionId, candidateId) {
+  return { type: 'candidate', id: candidateId, electionId };
+}
+
+function orderOf(items, idField) {
+  return items.map((item) => item[idField]);
+}
+
+// ---------- GET /admin/elections/:electionId/districts ----------
+
+async function listDistricts(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const districts = await ballotService.listDistricts(electionId);
+    return res.json({ electionId, districts });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/districts ----------
+
+async function createDistrict(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const district = await ballotService.createDistrict(electionId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (created) => ({
+        action: 'district.create',
+        target: districtTarget(electionId, created.districtId),
+        after: created,
+      })),
+    });
+
+    return res.status(201).json(district);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- PATCH /admin/elections/:electionId/districts/:districtId ----------
+
+async function updateDistrict(req, res, next) {
+  try {
+    const { electionId, districtId } = req.params;
+    const before = await ballotService.findDistrict(electionId, districtId);
+    const district = await ballotService.updateDistrict(electionId, districtId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'district.update',
+        target: districtTarget(electionId, districtId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(district);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/districts/:districtId/deactivate ----------
+
+async function deactivateDistrict(req, res, next) {
+  try {
+    const { electionId, districtId } = req.params;
+    const before = await ballotService.findDistrict(electionId, districtId);
+    const district = await ballotService.deactivateDistrict(electionId, districtId, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'district.deactivate',
+        target: districtTarget(electionId, districtId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(district);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/parties ----------
+
+async function listParties(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const parties = await ballotService.listParties(electionId);
+    return res.json({ electionId, parties });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/parties ----------
+
+async function createParty(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const party = await ballotService.createParty(electionId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (created) => ({
+        action: 'party.create',
+        target: partyTarget(electionId, created.partyId),
+        after: created,
+      })),
+    });
+
+    return res.status(201).json(party);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- PATCH /admin/elections/:electionId/parties/:partyId ----------
+
+async function updateParty(req, res, next) {
+  try {
+    const { electionId, partyId } = req.params;
+    const before = await ballotService.findParty(electionId, partyId);
+    const party = await ballotService.updateParty(electionId, partyId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'party.update',
+        target: partyTarget(electionId, partyId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(party);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/parties/:partyId/deactivate ----------
+
+async function deactivateParty(req, res, next) {
+  try {
+    const { electionId, partyId } = req.params;
+    const before = await ballotService.findParty(electionId, partyId);
+    const party = await ballotService.deactivateParty(electionId, partyId, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'party.deactivate',
+        target: partyTarget(electionId, partyId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(party);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/parties/reorder ----------
+
+/**
+ * Body: { "partyIds": ["p2", "p1", "p3"] }
+ */
+async function reorderParties(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const { partyIds } = req.body || {};
+
+    const before = await ballotService.listParties(electionId);
+    const parties = await ballotService.reorderParties(electionId, partyIds, {
+      audit: auditService.adminAuditHook(req, (reordered) => ({
+        action: 'party.reorder',
+        target: { type: 'election', id: electionId, electionId },
+        before: { partyIds: orderOf(before, 'partyId') },
+        after: { partyIds: orderOf(reordered, 'partyId') },
+      })),
+    });
+
+    return res.json({ electionId, parties });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/candidates?partyId=p1&districtId=d1 ----------
+
+async function listCandidates(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const partyId =
+      req.query && req.query.partyId ? String(req.query.partyId) : undefined;
+    const districtId =
+      req.query && req.query.districtId ? String(req.query.districtId) : undefined;
+
+    const candidates = await ballotService.listCandidates(electionId, {
+      partyId,
+      districtId,
+    });
+    return res.json({ electionId, candidates });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/candidates ----------
+
+async function createCandidate(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const candidate = await ballotService.createCandidate(electionId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (created) => ({
+        action: 'candidate.create',
+        target: candidateTarget(electionId, created.candidateId),
+        after: created,
+      })),
+    });
+
+    return res.status(201).json(candidate);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- PATCH /admin/elections/:electionId/candidates/:candidateId ----------
+
+async function updateCandidate(req, res, next) {
+  try {
+    const { electionId, candidateId } = req.params;
+    const before = await ballotService.findCandidate(electionId, candidateId);
+    const candidate = await ballotService.updateCandidate(electionId, candidateId, req.body || {}, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'candidate.update',
+        target: candidateTarget(electionId, candidateId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(candidate);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/candidates/:candidateId/deactivate ----------
+
+async function deactivateCandidate(req, res, next) {
+  try {
+    const { electionId, candidateId } = req.params;
+    const before = await ballotService.findCandidate(electionId, candidateId);
+    const candidate = await ballotService.deactivateCandidate(electionId, candidateId, {
+      audit: auditService.adminAuditHook(req, (updated) => ({
+        action: 'candidate.deactivate',
+        target: candidateTarget(electionId, candidateId),
+        before,
+        after: updated,
+      })),
+    });
+
+    return res.json(candidate);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/candidates/reorder ----------
+
+/**
+ * Body: { "partyId": "p1", "districtId": "d1", "candidateIds": ["c3", "c1", "c2"] }
+ * (districtId only in elections with districts)
+ */
+async function reorderCandidates(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const { partyId, candidateIds } = req.body || {};
+    const districtId = (req.body && req.body.districtId) || null;
+
+    const before =
+      typeof partyId === 'string' && (districtId === null || typeof districtId === 'string')
+        ? await ballotService.listCandidates(electionId, {
+            partyId,
+            districtId: districtId || undefined,
+          })
+        : [];
+    const candidates = await ballotService.reorderCandidates(electionId, partyId, candidateIds, {
+      districtId,
+      audit: auditService.adminAuditHook(req, (reordered) => ({
+        action: 'candidate.reorder',
+        target: partyTarget(electionId, partyId),
+        before: { districtId, candidateIds: orderOf(before, 'candidateId') },
+        after: { districtId, candidateIds: orderOf(reordered, 'candidateId') },
+      })),
+    });
+
+    return res.json({ electionId, partyId, districtId, candidates });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listDistricts,
+  createDistrict,
+  updateDistrict,
+  deactivateDistrict,
+  listParties,
+  createParty,
+  updateParty,
+  deactivateParty,
+  reorderParties,
+  listCandidates,
+  createCandidate,
+  updateCandidate,
+  deactivateCandidate,
+  reorderCandidates,
+};
@@ -1,15 +1,81 @@
 // src/controllers/ballotController.js
-// Handles GET /ballot?electionId=...
+// Handles GET /ballot?electionId=... (the voter's district ballot in elections
+// with districts)
 
 const { getDb } = require('../lib/mongo');
 const config = require('../lib/config');
+const { getSelectionRules } = require('../services/electionService');
+const ballotService = require('../services/ballotService');
+const voterRollService = require('../services/voterRollService');
+const encryptionService = require('../services/encryptionService');
 
 /**
- * GET /ballot?electionId=default
+ * The district whose ballot is requested: the voter's own district (from
+ * the roll) when a voter token is sent, otherwise ?districtId=.
+ * Returns null when the election has no districts; otherwise the district,
+ * or an error response { status, body }.
+ */
+async function resolveBallotDistrict(req, election) {
+  const districts = await ballotService.getDistricts(election.electionId);
+  if (districts.length === 0) {
+    return { district: null };
+  }
+
+  const user = req.user || {};
+  const voterId = user.voterId || user.sub;
+  let districtId;
+
+  if (voterId) {
+    districtId = await voterRollService.getVoterDistrict(election, voterId);
+  } else if (req.query.districtId) {
+    districtId = String(req.query.districtId);
+  } else {
+    return {
+      error: {
+        status: 400,
+        body: {
+          code: 'DISTRICT_REQUIRED',
+          message: 'This election has districts: sign in as a voter or pass districtId',
+          details: {
+            districts: districts
+              .filter((d) => d.status === 'active')
+              .map((d) => ({ districtId: d.districtId, name: d.name })),
+          },
+        },
+      },
+    };
+  }
+
+  const district = districts.find((d) => d.districtId === districtId && d.status === 'active');
+  if (!district) {
+    return {
+      error: {
+        status: 404,
+        body: {
+          code: 'DISTRICT_NOT_FOUND',
+          message: 'District not found',
+          details: { electionId: election.electionId, districtId },
+        },
+      },
+    };
+  }
+
+  return { district };
+}
+
+/**
+ * GET /ballot?electionId=default[&districtId=d1]
+ * Auth: optional voter token (elections with districts: the voter's district)
  *
  * Response shape:
  * {
  *   electionId: "default",
+ *   ballotType: "single" | "ranked" | "multi" | "approval",
+ *   seats: 1,                                                // the district's seats, if any
+ *   ballotRules: { minSelections, maxSelections } | null,   // multi/approval only
+ *   district: { districtId, name, seats } | null,
+ *   encryption: { scheme, group, publicKey, minSelections, maxSelections } | null,
+ *                                                           // encrypt for every candidate listed
  *   parties: [
  *     {
  *       partyId,
@@ -19,7 +85,7 @@ const config = require('../lib/config');
  *       order,
  *       status,
  *       candidates: [
- *         { candidateId, name, status, partyId }
+ *         { candidateId, name, status, partyId, order }
  *       ]
  *     },
  *     ...
@@ -34,6 +100,32 @@ async function getBallot(req, res, next) {
       'default';
 
     const db = getDb();
+    const election = await db
+      .collection('elections')
+      .findOne(
+        { electionId },
+        {
+          projection: {
+            _id: 0,
+            electionId: 1,
+            ballotType: 1,
+            ballotRules: 1,
+            seats: 1,
+            voterRoll: 1,
+            encryption: 1,
+          },
+        }
+      );
+
+    let district = null;
+    if (election) {
+      const resolved = await resolveBallotDistrict(req, election);
+      if (resolved.error) {
+        return res.status(resolved.error.status).json(resolved.error.body);
+      }
+      district = resolved.district;
+    }
+
     const partiesCol = db.collection('parties');
     const candidatesCol = db.collection('candidates');
 
@@ -60,12 +152,13 @@ async function getBallot(req, res, next) {
       .sort({ order: 1 })
       .toArray();
 
-    // 2) Fetch active candidates for this election
+    // 2) Fetch active candidates for this election (district), in list order
     const candidateDocs = await candidatesCol
       .find(
         {
           electionId,
           status: 'active',
+          ...(district ? { districtId: district.districtId } : {}),
         },
         {
           projection: {
@@ -75,9 +168,11 @@ async function getBallot(req, res, next) {
             partyId: 1,
             name: 1,
             status: 1,
+            order: 1,
           },
         }
       )
+      .sort({ order: 1 })
       .toArray();
 
     // Group candidates by partyId
@@ -91,22 +186,37 @@ async function getBallot(req, res, next) {
         name: c.name,
         status: c.status,
         partyId: c.partyId,
+        order: c.order,
       });
     }
 
-    // Attach candidates to each party, preserving party order
-    const parties = partyDocs.map((p) => ({
-      partyId: p.partyId,
-      name: p.name,
-      symbol: p.symbol || null,
-      color: p.color || null,
-      order: p.order,
-      status: p.status,
-      candidates: candidatesByParty.get(p.partyId) || [],
-    }));
+    // Attach candidates to each party, preserving party order; a district
+    // ballot only lists the parties standing there
+    const parties = partyDocs
+      .filter((p) => !district || candidatesByParty.has(p.partyId))
+      .map((p) => ({
+        partyId: p.partyId,
+        name: p.name,
+        symbol: p.symbol || null,
+        color: p.color || null,
+        order: p.order,
+        status: p.status,
+        candidates: candidatesByParty.get(p.partyId) || [],
+      }));
 
     return res.json({
       electionId,
+      // Tells the client how to fill in the ballot
+      ballotType: (election && election.ballotType) || 'single',
+      seats: district ? district.seats : (election && election.seats) || 1,
+      ballotRules:
+        election && ['multi', 'approval'].includes(election.ballotType)
+          ? getSelectionRules(election)
+          : null,
+      district: district
+        ? { districtId: district.districtId, name: district.name, seats: district.seats }
+        : null,
+      encryption: encryptionService.getBallotEncryption(election, candidateDocs.length),
       parties,
     });
   } catch (err) {
@@ -0,0 +1,71 @@
+// src/controllers/bulletinController.js
+// Public bulletin board: the append-only vote hash chain of an election.
+
+const chainService = require('../services/chainService');
+const electionService = require('../services/electionService');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// ---------- GET /bulletin/:electionId/head ----------
+
+async function getHead(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    await electionService.getElectionOrThrow(electionId);
+
+    const head = await chainService.getChainHead(electionId);
+    return res.json(head);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /bulletin/:electionId?afterSeq=0&limit=100 ----------
+
+/**
+ * Page through chain entries in seq order. Entries never contain the
+ * choice: { seq, receiptId, ballotHash, prevHash, chainHash }.
+ */
+async function listEntries(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const afterSeq = parseInt(req.query.afterSeq || '0', 10);
+    const limit = parseInt(req.query.limit || String(DEFAULT_PAGE_SIZE), 10);
+
+    if (
+      Number.isNaN(afterSeq) ||
+      afterSeq < 0 ||
+      Number.isNaN(limit) ||
+      limit < 1 ||
+      limit > MAX_PAGE_SIZE
+    ) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: `afterSeq must be >= 0 and limit between 1 and ${MAX_PAGE_SIZE}`,
+        details: {},
+      });
+    }
+
+    await electionService.getElectionOrThrow(electionId);
+
+    const [head, entries] = await Promise.all([
+      chainService.getChainHead(electionId),
+      chainService.listChainEntries(electionId, { afterSeq, limit }),
+    ]);
+
+    return res.json({
+      electionId,
+      head,
+      entries,
+      nextAfterSeq: entries.length > 0 ? entries[entries.length - 1].seq : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getHead,
+  listEntries,
+};
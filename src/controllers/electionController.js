@@ -0,0 +1,202 @@
+// src/controllers/electionController.js
+// Admin election lifecycle: create, list, read, edit, status transitions.
+
+const electionService = require('../services/electionService');
+const chainService = require('../services/chainService');
+const snapshotService = require('../services/snapshotService');
+const auditService = require('../services/auditService');
+
+function electionTarget(electionId) {
+  return { type: 'election', id: electionId, electionId };
+}
+
+// ---------- POST /admin/elections ----------
+
+async function createElection(req, res, next) {
+  try {
+    const election = await electionService.createElection(req.body || {});
+
+    await auditService.recordAdminAction(req, {
+      action: 'election.create',
+      target: electionTarget(election.electionId),
+      after: election,
+    });
+
+    return res.status(201).json(election);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections?status=open ----------
+
+async function listElections(req, res, next) {
+  try {
+    const status =
+      req.query && req.query.status ? String(req.query.status) : undefined;
+
+    const elections = await electionService.listElections({ status });
+    return res.json({ elections });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId ----------
+
+async function getElection(req, res, next) {
+  try {
+    const election = await electionService.getElectionOrThrow(
+      req.params.electionId
+    );
+    return res.json(election);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- PATCH /admin/elections/:electionId ----------
+
+async function updateElection(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const before = await electionService.getElectionOrThrow(electionId);
+    const election = await electionService.updateElection(electionId, req.body || {});
+
+    if (election.version !== before.version) {
+      await auditService.recordAdminAction(req, {
+        action: 'election.update',
+        target: electionTarget(electionId),
+        before,
+        after: election,
+      });
+    }
+
+    return res.json(election);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/transitions ----------
+
+/**
+ * Body: { "status": "scheduled" | "draft" | "open" | "closed" | "archived" }
+ *
+ * Finalization is not available here because it must produce a results
+ * snapshot; use POST /admin/finalize instead.
+ */
+async function transitionElection(req, res, next) {
+  try {
+    const { status } = req.body || {};
+
+    if (typeof status !== 'string' || !status.trim()) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'status is required',
+        details: {},
+      });
+    }
+
+    if (status === 'finalized') {
+      return res.status(400).json({
+        code: 'FINALIZE_REQUIRED',
+        message: 'Use POST /admin/finalize to finalize an election',
+        details: {},
+      });
+    }
+
+    const { electionId } = req.params;
+    const election = await electionService.transitionElection(
+      electionId,
+      status.trim(),
+      {
+        actor: { type: 'admin', id: req.user && req.user.adminId },
+        audit: auditService.requestContext(req),
+      }
+    );
+
+    return res.json(election);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/transitions ----------
+
+async function listTransitions(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    await electionService.getElectionOrThrow(electionId);
+
+    const transitions = await electionService.listTransitions(electionId);
+    return res.json({ electionId, transitions });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/chain/verify ----------
+
+/**
+ * Walk the vote hash chain and report any break (full scan).
+ */
+async function verifyChain(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    await electionService.getElectionOrThrow(electionId);
+
+    const report = await chainService.verifyChain(electionId);
+    return res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/snapshot/verify ----------
+
+/**
+ * Re-hash the final snapshot and check its election-key signature and,
+ * for encrypted elections, the trustee co-signatures (ok needs
+ * `threshold` of them).
+ */
+async function verifySnapshot(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    await electionService.getElectionOrThrow(electionId);
+
+    const snapshot = await snapshotService.getSnapshot(electionId);
+    if (!snapshot) {
+      return res.status(404).json({
+        code: 'SNAPSHOT_NOT_FOUND',
+        message: 'Election has no finalized snapshot',
+        details: { electionId },
+      });
+    }
+
+    const report = await snapshotService.verifySnapshot(snapshot);
+    return res.json({
+      electionId,
+      ok:
+        report.signed &&
+        report.hashValid &&
+        report.signatureValid &&
+        report.endorsements.endorsed &&
+        report.endorsements.invalid.length === 0,
+      ...report,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createElection,
+  listElections,
+  getElection,
+  updateElection,
+  transitionElection,
+  listTransitions,
+  verifyChain,
+  verifySnapshot,
+};
@@ -0,0 +1,45 @@
+// src/controllers/electionKeyController.js
+// Public keys of an election, for verifying its signatures offline.
+
+const electionService = require('../services/electionService');
+const electionKeyService = require('../services/electionKeyService');
+const signing = require('../lib/signing');
+
+// ---------- GET /elections/:electionId/keys ----------
+
+/**
+ * Election keys (the snapshot key exists once the election is finalized)
+ * plus the server key used for receipts and exports, and the ballot
+ * encryption key with the trustees' verification keys (encrypted elections).
+ */
+async function getElectionKeys(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const election = await electionService.getElectionOrThrow(electionId);
+
+    const keys = await electionKeyService.listPublicKeys(electionId);
+
+    return res.json({
+      electionId,
+      keys,
+      serverKey: signing.getPublicKeyInfo(),
+      encryption: election.encryption
+        ? {
+            scheme: election.encryption.scheme,
+            group: election.encryption.group,
+            ceremonyId: election.encryption.ceremonyId,
+            publicKey: election.encryption.publicKey,
+            threshold: election.encryption.threshold,
+            trustees: election.encryption.trustees,
+            verificationKeys: election.encryption.verificationKeys,
+          }
+        : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getElectionKeys,
+};
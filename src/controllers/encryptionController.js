@@ -0,0 +1,49 @@
+// src/controllers/encryptionController.js
+// Encrypted-ballot mode of an election: switching it off and decryption
+// progress (keys come from the key ceremony, see keyCeremonyController).
+
+const electionService = require('../services/electionService');
+const encryptionService = require('../services/encryptionService');
+const auditService = require('../services/auditService');
+
+function electionTarget(electionId) {
+  return { type: 'election', id: electionId, electionId };
+}
+
+// ---------- DELETE /admin/elections/:electionId/encryption ----------
+
+async function disableEncryption(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const before = await electionService.getElectionOrThrow(electionId);
+    const election = await encryptionService.disableEncryption(electionId);
+
+    await auditService.recordAdminAction(req, {
+      action: 'encryption.disable',
+      target: electionTarget(electionId),
+      before: { encryption: before.encryption || null },
+      after: { encryption: null },
+    });
+
+    return res.json({ electionId, encryption: election.encryption });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/decryption ----------
+
+async function getDecryptionStatus(req, res, next) {
+  try {
+    const election = await electionService.getElectionOrThrow(req.params.electionId);
+    const status = await encryptionService.getDecryptionStatus(election);
+    return res.json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  disableEncryption,
+  getDecryptionStatus,
+};
@@ -0,0 +1,309 @@
+// src/controllers/keyCeremonyController.js
+// Trustee registry, key ceremonies of encrypted elections, and the
+// trustee-only steps (passphrase enrollment, decryption shares, snapshot
+// endorsements). Every step is recorded in the audit log; passphrases and
+// shares never are.
+
+const keyCeremonyService = require('../services/keyCeremonyService');
+const snapshotService = require('../services/snapshotService');
+const auditService = require('../services/auditService');
+
+function electionTarget(electionId) {
+  return { type: 'election', id: electionId, electionId };
+}
+
+// ---------- GET /admin/trustees ----------
+
+async function listTrustees(req, res, next) {
+  try {
+    const trustees = await keyCeremonyService.listTrustees({ status: req.query.status });
+    return res.json({ trustees });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/trustees ----------
+
+/**
+ * Body: { "trusteeId": "trustee1", "name": "..." } (trusteeId = an admin
+ * account with role "trustee").
+ */
+async function registerTrustee(req, res, next) {
+  try {
+    const trustee = await keyCeremonyService.registerTrustee(req.body || {}, {
+      actorId: req.admin.adminId,
+    });
+
+    await auditService.recordAdminAction(req, {
+      action: 'trustee.register',
+      target: { type: 'trustee', id: trustee.trusteeId },
+      after: trustee,
+    });
+
+    return res.status(201).json(trustee);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/trustees/:trusteeId/retire ----------
+
+async function retireTrustee(req, res, next) {
+  try {
+    const { trusteeId } = req.params;
+    const before = await keyCeremonyService.getTrusteeOrThrow(trusteeId);
+    const trustee = await keyCeremonyService.retireTrustee(trusteeId);
+
+    await auditService.recordAdminAction(req, {
+      action: 'trustee.retire',
+      target: { type: 'trustee', id: trusteeId },
+      before: { status: before.status },
+      after: { status: trustee.status },
+    });
+
+    return res.json(trustee);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/key-ceremony ----------
+
+/**
+ * Body: { "threshold": 2, "trusteeIds": ["trustee1", "trustee2", "trustee3"] }
+ */
+async function startCeremony(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const ceremony = await keyCeremonyService.startCeremony(electionId, req.body || {}, {
+      actorId: req.admin.adminId,
+    });
+
+    await auditService.recordAdminAction(req, {
+      action: 'ceremony.start',
+      target: electionTarget(electionId),
+      details: {
+        ceremonyId: ceremony.ceremonyId,
+        threshold: ceremony.threshold,
+        trusteeIds: ceremony.trustees.map((t) => t.trusteeId),
+      },
+    });
+
+    return res.status(201).json(ceremony);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/key-ceremony ----------
+
+async function getCeremony(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const ceremony = await keyCeremonyService.getLatestCeremony(electionId);
+
+    if (!ceremony) {
+      return res.status(404).json({
+        code: 'CEREMONY_NOT_FOUND',
+        message: 'No key ceremony for this election',
+        details: { electionId },
+      });
+    }
+
+    return res.json(ceremony);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- DELETE /admin/elections/:electionId/key-ceremony ----------
+
+async function cancelCeremony(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const ceremony = await keyCeremonyService.cancelCeremony(electionId);
+
+    await auditService.recordAdminAction(req, {
+      action: 'ceremony.cancel',
+      target: electionTarget(electionId),
+      details: {
+        ceremonyId: ceremony.ceremonyId,
+        enrolled: ceremony.trustees.filter((t) => t.enrolledAt).map((t) => t.trusteeId),
+      },
+    });
+
+    return res.json(ceremony);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/trustee/ceremonies ----------
+
+/**
+ * Ceremonies the signed-in trustee takes part in.
+ */
+async function listMyCeremonies(req, res, next) {
+  try {
+    const ceremonies = await keyCeremonyService.listTrusteeCeremonies(req.admin.adminId);
+    return res.json({ ceremonies });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/trustee/ceremonies/:ceremonyId/enroll ----------
+
+/**
+ * Body: { "passphrase": "...", "signingKey": "<base64url Ed25519 public key>" }.
+ * The trustee's share will be sealed to the passphrase; it is needed again
+ * to submit the share. The signing key's private half (kept by the
+ * trustee) co-signs the final snapshot.
+ */
+async function enroll(req, res, next) {
+  try {
+    const { ceremonyId } = req.params;
+    const enrolled = await keyCeremonyService.enrollTrustee(
+      ceremonyId,
+      req.admin.adminId,
+      req.body || {}
+    );
+    const { trusteeIndex } = enrolled;
+    const target = electionTarget(enrolled.ceremony.electionId);
+
+    await auditService.recordAdminAction(req, {
+      action: 'ceremony.enroll',
+      target,
+      details: { ceremonyId, trusteeIndex },
+    });
+
+    const completed = await keyCeremonyService.completeCeremony(ceremonyId);
+
+    if (completed) {
+      await auditService.recordAdminAction(req, {
+        action: 'ceremony.complete',
+        target,
+        details: {
+          ceremonyId,
+          threshold: completed.threshold,
+          trustees: completed.trustees.length,
+          publicKey: completed.publicKey,
+        },
+      });
+    }
+
+    return res.json({ ...(completed || enrolled.ceremony), trusteeIndex, enrolled: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/trustee/elections/:electionId/decryption-share ----------
+
+/**
+ * Body: { "passphrase": "..." }. Opens the trustee's sealed share and
+ * submits it. Rejected shares (wrong passphrase, share not matching) are
+ * audited as failures.
+ */
+async function submitShare(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    let result;
+
+    try {
+      result = await keyCeremonyService.submitTrusteeShare(
+        electionId,
+        req.admin.adminId,
+        req.body || {}
+      );
+    } catch (err) {
+      if (err && (err.code === 'INVALID_PASSPHRASE' || err.code === 'INVALID_SHARE')) {
+        await auditService.recordAdminAction(req, {
+          action: 'decryption.share',
+          outcome: 'failure',
+          target: electionTarget(electionId),
+          details: { reason: err.code, trusteeIndex: err.details.trusteeIndex },
+        });
+      }
+      throw err;
+    }
+
+    const { trusteeIndex, status } = result;
+
+    await auditService.recordAdminAction(req, {
+      action: 'decryption.share',
+      target: electionTarget(electionId),
+      details: {
+        trusteeIndex,
+        aggregateHash: status.aggregateHash,
+        received: status.received.length,
+        threshold: status.threshold,
+      },
+    });
+
+    return res.status(201).json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/trustee/elections/:electionId/snapshot-endorsement ----------
+
+async function getSnapshotEndorsement(req, res, next) {
+  try {
+    const request = await snapshotService.getEndorsementRequest(
+      req.params.electionId,
+      req.admin.adminId
+    );
+    return res.json(request);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/trustee/elections/:electionId/snapshot-endorsement ----------
+
+/**
+ * Body: { "signature": "<base64url Ed25519 signature of the payload>" },
+ * made with the private half of the signingKey enrolled in the ceremony.
+ */
+async function endorseSnapshot(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const result = await snapshotService.endorseSnapshot(
+      electionId,
+      req.admin.adminId,
+      req.body || {}
+    );
+
+    await auditService.recordAdminAction(req, {
+      action: 'snapshot.endorse',
+      target: electionTarget(electionId),
+      details: {
+        trusteeIndex: result.trusteeIndex,
+        snapshotHash: result.snapshotHash,
+        valid: result.endorsements.valid.length,
+        required: result.endorsements.required,
+      },
+    });
+
+    return res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listTrustees,
+  registerTrustee,
+  retireTrustee,
+  startCeremony,
+  getCeremony,
+  cancelCeremony,
+  listMyCeremonies,
+  enroll,
+  submitShare,
+  getSnapshotEndorsement,
+  endorseSnapshot,
+};
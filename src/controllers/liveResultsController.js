@@ -0,0 +1,210 @@
+// src/controllers/liveResultsController.js
+// Live turnout / tallies pushed to dashboards: Server-Sent Events, and a
+// WebSocket endpoint when LIVE_RESULTS_WEBSOCKET=true.
+//
+// Every viewer gets "turnout" events; per-candidate "tally" events only go
+// to roles with results:read.
+
+const electionService = require('../services/electionService');
+const liveResultsService = require('../services/liveResultsService');
+const tokenService = require('../services/tokenService');
+const { hasPermission } = require('../lib/permissions');
+const { acceptWebSocket, rejectUpgrade } = require('../lib/websocket');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const SSE_RETRY_MS = 5000;
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const WEBSOCKET_PATH = /^\/admin\/elections\/([^/]+)\/live\/ws$/;
+
+/**
+ * The events one viewer gets for a state update.
+ *
+ * @returns {Array<{ event: "turnout" | "tally", id: number, data: object }>}
+ */
+function eventsFor(state, canSeeTally) {
+  const events = [
+    { event: 'turnout', id: state.seq, data: liveResultsService.toTurnoutEvent(state) },
+  ];
+
+  if (canSeeTally) {
+    events.push({ event: 'tally', id: state.seq, data: liveResultsService.toTallyEvent(state) });
+  }
+
+  return events;
+}
+
+// ---------- POST /admin/elections/:electionId/live/tickets ----------
+
+/**
+ * Single-use ticket (60 s) for opening the stream without an
+ * Authorization header: EventSource(`.../live?ticket=...`) or the WebSocket.
+ */
+async function createStreamTicket(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    await electionService.getElectionOrThrow(electionId);
+
+    const { ticket, ticketExpiresAt } = tokenService.createStreamTicket({
+      adminId: req.admin.adminId,
+      electionId,
+    });
+
+    return res.status(201).json({ electionId, ticket, ticketExpiresAt });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/live (text/event-stream) ----------
+
+async function streamLiveResults(req, res, next) {
+  let election;
+  try {
+    election = await electionService.getElectionOrThrow(req.params.electionId);
+  } catch (err) {
+    return next(err);
+  }
+
+  const { electionId } = election;
+  const canSeeTally = hasPermission(req.admin.role, 'results:read');
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // nginx: don't buffer the stream
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = null;
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  }
+
+  req.on('close', cleanup);
+
+  function onState(state) {
+    // A client that stopped reading is dropped instead of buffered forever
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      res.destroy();
+      return;
+    }
+
+    for (const { event, id, data } of eventsFor(state, canSeeTally)) {
+      res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  try {
+    unsubscribe = await liveResultsService.subscribe(electionId, onState);
+    if (closed) unsubscribe();
+  } catch (err) {
+    res.write(
+      `event: error\ndata: ${JSON.stringify({
+        code: err.code || 'INTERNAL_ERROR',
+        message: err.status ? err.message : 'Live results are unavailable',
+      })}\n\n`
+    );
+    res.end();
+    cleanup();
+  }
+}
+
+// ---------- WebSocket /admin/elections/:electionId/live/ws?ticket=... ----------
+
+/**
+ * Push the live events of an election to an accepted WebSocket.
+ */
+async function pushToWebSocket(ws, electionId, admin) {
+  const canSeeTally = hasPermission(admin.role, 'results:read');
+  let unsubscribe = null;
+  let closed = false;
+
+  ws.on('error', () => {});
+  ws.on('close', () => {
+    closed = true;
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    unsubscribe = await liveResultsService.subscribe(electionId, (state) => {
+      // A client that stopped reading is dropped instead of buffered forever
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        ws.terminate();
+        return;
+      }
+
+      for (const message of eventsFor(state, canSeeTally)) {
+        ws.send(JSON.stringify(message));
+      }
+    });
+    if (closed) unsubscribe();
+  } catch (err) {
+    ws.close(1011);
+  }
+}
+
+/**
+ * `upgrade` handler of the HTTP server. Messages are JSON
+ * { event, id, data } with the same events as the SSE stream.
+ */
+async function handleUpgrade(req, socket, head) {
+  socket.on('error', () => {});
+
+  const url = new URL(req.url, 'http://localhost');
+  const match = WEBSOCKET_PATH.exec(url.pathname);
+
+  if (!match) {
+    return rejectUpgrade(socket, 404, {
+      code: 'NOT_FOUND',
+      message: 'No WebSocket endpoint at this path',
+      details: {},
+    });
+  }
+
+  let electionId;
+  let admin;
+
+  try {
+    electionId = decodeURIComponent(match[1]);
+    admin = await tokenService.consumeStreamTicket(
+      url.searchParams.get('ticket') || '',
+      electionId
+    );
+
+    if (!hasPermission(admin.role, 'elections:read')) {
+      return rejectUpgrade(socket, 403, {
+        code: 'FORBIDDEN',
+        message: 'Your admin role does not allow this action',
+        details: { permission: 'elections:read', role: admin.role },
+      });
+    }
+
+    await electionService.getElectionOrThrow(electionId);
+  } catch (err) {
+    if (err instanceof URIError) {
+      err.status = 400;
+      err.code = 'VALIDATION_ERROR';
+    }
+    return rejectUpgrade(socket, err.status || 500, {
+      code: err.status ? err.code : 'INTERNAL_ERROR',
+      message: err.status ? err.message : 'Internal server error',
+      details: err.status ? err.details || {} : {},
+    });
+  }
+
+  return acceptWebSocket(req, socket, head, (ws) => pushToWebSocket(ws, electionId, admin));
+}
+
+module.exports = {
+  createStreamTicket,
+  streamLiveResults,
+  handleUpgrade,
+};
@@ -0,0 +1,60 @@
+// src/controllers/receiptController.js
+// Public receipt verification + server public key.
+
+const receiptService = require('../services/receiptService');
+const signing = require('../lib/signing');
+
+// ---------- POST /receipts/verify ----------
+
+/**
+ * Body: the receipt returned by POST /vote/submit
+ * { "receiptId", "electionId", "ballotHash", "signature" }
+ */
+async function verifyReceipt(req, res, next) {
+  try {
+    const { receiptId, electionId, ballotHash, signature } = req.body || {};
+
+    if (
+      typeof receiptId !== 'string' ||
+      !receiptId.trim() ||
+      typeof electionId !== 'string' ||
+      !electionId.trim() ||
+      typeof ballotHash !== 'string' ||
+      !/^[0-9a-f]{64}$/.test(ballotHash) ||
+      typeof signature !== 'string' ||
+      !signature.trim()
+    ) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'receiptId, electionId, ballotHash and signature are required',
+        details: {},
+      });
+    }
+
+    const result = await receiptService.verifyReceipt({
+      receiptId: receiptId.trim(),
+      electionId: electionId.trim(),
+      ballotHash,
+      signature: signature.trim(),
+    });
+
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /receipts/public-key ----------
+
+async function getPublicKey(req, res, next) {
+  try {
+    return res.json(signing.getPublicKeyInfo());
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  verifyReceipt,
+  getPublicKey,
+};
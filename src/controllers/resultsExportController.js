@@ -0,0 +1,162 @@
+// src/controllers/resultsExportController.js
+// Signed results exports (CSV / canonical JSON / HTML report) and their
+// verification against the stored snapshot.
+
+const electionService = require('../services/electionService');
+const resultsExportService = require('../services/resultsExportService');
+const auditService = require('../services/auditService');
+
+const {
+  EXPORT_FORMATS,
+  EXPORT_SOURCES,
+  CSV_TABLES,
+  REPORT_LANGUAGES,
+} = resultsExportService;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+function badRequest(res, message, details = {}) {
+  return res.status(400).json({
+    code: 'VALIDATION_ERROR',
+    message,
+    details,
+  });
+}
+
+// ---------- GET /admin/elections/:electionId/results/export?format=csv&table=parties ----------
+
+/**
+ * Query: format (csv | json | html, default json), source (snapshot | live;
+ * default snapshot once finalized, live before), table (csv: candidates |
+ * parties), lang (html: ar | en, default ar).
+ *
+ * The signed manifest of the file is returned in X-Results-* headers.
+ */
+async function exportResults(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const format = req.query.format ? String(req.query.format) : 'json';
+    const table = req.query.table ? String(req.query.table) : 'candidates';
+    const lang = req.query.lang ? String(req.query.lang) : 'ar';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return badRequest(res, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if (req.query.source !== undefined && !EXPORT_SOURCES.includes(req.query.source)) {
+      return badRequest(res, `source must be one of: ${EXPORT_SOURCES.join(', ')}`);
+    }
+    if (!CSV_TABLES.includes(table)) {
+      return badRequest(res, `table must be one of: ${CSV_TABLES.join(', ')}`);
+    }
+    if (!REPORT_LANGUAGES.includes(lang)) {
+      return badRequest(res, `lang must be one of: ${REPORT_LANGUAGES.join(', ')}`);
+    }
+
+    const election = await electionService.getElectionOrThrow(electionId);
+    const source =
+      req.query.source ||
+      (['finalized', 'archived'].includes(election.status) ? 'snapshot' : 'live');
+
+    const file = await resultsExportService.buildExport(election, {
+      source,
+      format,
+      table,
+      lang,
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.setHeader('X-Results-Source', file.manifest.source);
+    res.setHeader('X-Results-Generated-At', file.manifest.generatedAt);
+    res.setHeader('X-Results-Hash', file.manifest.resultsHash);
+    res.setHeader('X-Content-SHA256', file.manifest.contentHash);
+    res.setHeader('X-Signature', file.signature);
+    res.setHeader('X-Signature-Key-Id', file.keyId);
+
+    res.send(file.body);
+
+    await auditService.recordAdminAction(req, {
+      action: 'results.export',
+      target: { type: 'election', id: electionId, electionId },
+      details: file.manifest,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/results/verify ----------
+
+/**
+ * Body, either
+ * - from a JSON/HTML export: { source, resultsHash, generatedAt, signature }
+ * - from the export headers: the same plus { format, table?, lang?, contentHash }
+ *   (contentHash = sha256 of the downloaded file)
+ */
+async function verifyResultsExport(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const body = req.body || {};
+
+    const errors = {};
+
+    if (!EXPORT_SOURCES.includes(body.source)) {
+      errors.source = `source must be one of: ${EXPORT_SOURCES.join(', ')}`;
+    }
+    if (typeof body.resultsHash !== 'string' || !HEX_64.test(body.resultsHash)) {
+      errors.resultsHash = 'resultsHash must be a sha256 hex string';
+    }
+    if (typeof body.generatedAt !== 'string' || !body.generatedAt) {
+      errors.generatedAt = 'generatedAt is required';
+    }
+    if (typeof body.signature !== 'string' || !body.signature.trim()) {
+      errors.signature = 'signature is required';
+    }
+
+    if (body.contentHash !== undefined) {
+      if (typeof body.contentHash !== 'string' || !HEX_64.test(body.contentHash)) {
+        errors.contentHash = 'contentHash must be a sha256 hex string';
+      }
+      if (!EXPORT_FORMATS.includes(body.format)) {
+        errors.format = `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+      }
+      if (body.table !== undefined && body.table !== null && !CSV_TABLES.includes(body.table)) {
+        errors.table = `table must be one of: ${CSV_TABLES.join(', ')}`;
+      }
+      if (
+        body.lang !== undefined &&
+        body.lang !== null &&
+        !REPORT_LANGUAGES.includes(body.lang)
+      ) {
+        errors.lang = `lang must be one of: ${REPORT_LANGUAGES.join(', ')}`;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return badRequest(res, 'Invalid verification request', errors);
+    }
+
+    await electionService.getElectionOrThrow(electionId);
+
+    const result = await resultsExportService.verifyExport({
+      electionId,
+      source: body.source,
+      resultsHash: body.resultsHash,
+      generatedAt: body.generatedAt,
+      signature: body.signature.trim(),
+      format: body.format,
+      table: body.format === 'csv' ? body.table : null,
+      lang: body.format === 'html' ? body.lang : null,
+      contentHash: body.contentHash,
+    });
+
+    return res.json({ electionId, ...result });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  exportResults,
+  verifyResultsExport,
+};
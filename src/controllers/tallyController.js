@@ -0,0 +1,93 @@
+// src/controllers/tallyController.js
+// Tally counters of an election: state, reconciliation against the raw
+// votes, and rebuild.
+
+const electionService = require('../services/electionService');
+const tallyService = require('../services/tallyService');
+const auditService = require('../services/auditService');
+
+function getAdminActor(req) {
+  return { type: 'admin', id: (req.user && req.user.adminId) || null };
+}
+
+// ---------- GET /admin/elections/:electionId/tally ----------
+
+/**
+ * Counter state, summed counters and the latest reconciliation report.
+ */
+async function getTally(req, res, next) {
+  try {
+    const status = await tallyService.getTallyStatus(req.params.electionId);
+    return res.json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/tally/reconcile ----------
+
+/**
+ * Recount from the raw votes now and compare (drift flags the counters).
+ */
+async function reconcileTally(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const report = await tallyService.reconcileElection(electionId, {
+      actor: getAdminActor(req),
+    });
+
+    if (report.status === tallyService.COUNTERS_DRIFT) {
+      await auditService.recordAdminAction(req, {
+        action: 'tally.drift',
+        target: { type: 'election', id: electionId, electionId },
+        details: { checkedAt: report.checkedAt, drift: report.drift },
+      });
+    }
+
+    return res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- POST /admin/elections/:electionId/tally/rebuild ----------
+
+/**
+ * Replace the counters with a recount of the raw votes and mark them ready.
+ */
+async function rebuildTally(req, res, next) {
+  try {
+    const { electionId } = req.params;
+    const election = await electionService.getElectionOrThrow(electionId);
+
+    if (election.status === 'finalized' || election.status === 'archived') {
+      return res.status(409).json({
+        code: 'ELECTION_FINALIZED',
+        message: 'Results of a finalized election come from its snapshot',
+        details: { electionId, status: election.status },
+      });
+    }
+
+    const result = await tallyService.rebuildCounters(electionId);
+
+    await auditService.recordAdminAction(req, {
+      action: 'tally.rebuild',
+      target: { type: 'election', id: electionId, electionId },
+      before: { tallyCounters: result.previous },
+      after: {
+        tallyCounters: { status: tallyService.COUNTERS_READY, rebuiltAt: result.rebuiltAt },
+      },
+      details: { ballotsCast: result.counts.ballotsCast },
+    });
+
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getTally,
+  reconcileTally,
+  rebuildTally,
+};
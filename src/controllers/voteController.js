@@ -1,11 +1,17 @@
 // src/controllers/voteController.js
-// Handles issuing and submitting voting tokens.
+// Handles issuing and submitting voting tokens, and anonymous ballots cast
+// with blind-signed tokens.
 
 const crypto = require('crypto');
 
 const { getDb, withTransaction } = require('../lib/mongo');
 const config = require('../lib/config');
 const voteService = require('../services/voteService');
+const receiptService = require('../services/receiptService');
+const voterRollService = require('../services/voterRollService');
+const encryptionService = require('../services/encryptionService');
+const blindTokenService = require('../services/blindTokenService');
+const ballotMixService = require('../services/ballotMixService');
 
 const TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes (for issueToken)
 
@@ -35,9 +41,11 @@ async function issueToken(req, res, next) {
     const voters = db.collection('voters');
     const votingTokens = db.collection('votingTokens');
 
-    // 1) Check election is open
-    const isOpen = await voteService.isElectionOpen(electionId);
-    if (!isOpen) {
+    const now = new Date();
+
+    // 1) Check election is open (status + startsAt/endsAt window)
+    const election = await db.collection('elections').findOne({ electionId });
+    if (!voteService.isOpenAt(election, now)) {
       return res.status(409).json({
         code: 'ELECTION_NOT_OPEN',
         message: 'Election is not open for voting',
@@ -47,6 +55,15 @@ async function issueToken(req, res, next) {
       });
     }
 
+    // Anonymous-only elections: the server must not see who casts which ballot
+    if (election.anonymousBallots) {
+      return res.status(409).json({
+        code: 'ANONYMOUS_BALLOTS_ONLY',
+        message: 'This election only accepts anonymous ballots (/vote/blind-sign, /vote/anonymous)',
+        details: { electionId },
+      });
+    }
+
     // 2) Load voter
     const voter = await voters.findOne({ voterId });
 
@@ -68,17 +85,28 @@ async function issueToken(req, res, next) {
       });
     }
 
-    if (voter.hasVoted) {
+    if (!(await voterRollService.isEligible(election, voterId))) {
+      return res.status(403).json({
+        code: 'NOT_ELIGIBLE',
+        message: 'Voter is not on the electoral roll of this election',
+        details: { electionId },
+      });
+    }
+
+    // Participation is tracked per (voterId, electionId)
+    const participation = await ballotMixService.findParticipation({ db, electionId, voterId });
+
+    if (participation) {
       return res.status(409).json({
         code: 'ALREADY_VOTED',
-        message: 'Voter has already cast a vote',
-        details: {},
+        message: 'Voter has already cast a vote in this election',
+        details: { electionId },
       });
     }
 
     // 3) Insert voting token (no voterId stored!)
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + TOKEN_TTL_MS);
+    // Expiry is capped at endsAt + grace window (VOTE_GRACE_MS).
+    const expiresAt = voteService.getTokenExpiresAt(election, now, TOKEN_TTL_MS);
     const tokenId = crypto.randomUUID();
     const nonce = crypto.randomBytes(16).toString('hex');
 
@@ -108,6 +136,56 @@ async function issueToken(req, res, next) {
   }
 }
 
+/**
+ * Validate a ballot and accept it, inside the vote transaction: the choice
+ * against the election ballot type, every referenced candidate against the
+ * active candidates (of the district, if the election has districts), and
+ * encrypted ballots' proofs (bound to `credential`, the tokenId or the
+ * blind-signed token). The ballot gets its signed receipt and goes to
+ * the mixing pool; it is stored, chained and counted later, shuffled with
+ * others (ballotMixService). It never carries a voterId.
+ *
+ * @param {{ db, session, election: object, districtId: string | null,
+ *   credential: string, body: object, now: Date }} args
+ * @returns {Promise<{ choice: object, receipt: object }>} public receipt
+ */
+async function acceptBallot({ db, session, election, districtId, credential, body, now }) {
+  const { electionId } = election;
+
+  const choice = voteService.parseChoice(election, body);
+
+  await voteService.assertActiveCandidates({
+    db,
+    session,
+    electionId,
+    candidateIds: voteService.getChoiceCandidateIds(choice),
+    districtId,
+  });
+
+  // Encrypted elections: one ciphertext per candidate on the ballot,
+  // with valid proofs (0/1 each, selection count within the rules)
+  if (encryptionService.isEncrypted(election)) {
+    await encryptionService.assertValidEncryptedBallot({
+      db,
+      session,
+      election,
+      districtId,
+      credential,
+      encryptedBallot: choice.encryptedBallot,
+    });
+  }
+
+  // The receipt commits to the choice without revealing it
+  const receipt = receiptService.createReceipt({
+    electionId,
+    choice,
+  });
+
+  await ballotMixService.holdBallot({ db, session, electionId, districtId, choice, receipt, now });
+
+  return { choice, receipt: receiptService.toPublicReceipt({ electionId, ...receipt }) };
+}
+
 /**
  * POST /vote/submit
  * Auth: voter
@@ -115,20 +193,32 @@ async function issueToken(req, res, next) {
  * Body:
  * {
  *   "tokenId": "uuid-from-issue-token",
- *   "candidateId": "c1",
+ *   "candidateId": "c1",                 // ballotType "single"
+ *   "ranking": ["c3", "c1", "c2"],       // ballotType "ranked" (instead of candidateId)
+ *   "selections": ["c1", "c3"],          // ballotType "multi" / "approval"
+ *   "encryptedBallot": { ciphertexts, proof },  // encrypted elections (instead of the above)
  *   "electionId": "default",       // optional, defaults to config.electionId
  *   "nonce": "nonce-from-issue-token"  // optional but recommended
  * }
  *
  * Transaction steps:
+ *  0) election must be open, or closed less than VOTE_GRACE_MS ago with a
+ *     token issued before the close
  *  1) votingTokens.updateOne(...) -> spent:true  (only if unspent + not expired)
- *  2) votes.insertOne({ electionId, candidateId, createdAt, serverSig, ... })
- *  3) voters.updateOne({ voterId }, { hasVoted:true, updatedAt: now })
+ *  2) pendingBallots.insertOne({ electionId, districtId?,
+ *                       choice: candidateId | ranking | selections | encryptedBallot,
+ *                       receipt, ... })  (see acceptBallot; the mixer stores it
+ *     in votes later, shuffled with other ballots and without the cast time)
+ *  3) pendingParticipations.insertOne({ voterId, electionId, districtId?,
+ *     status:"voted", votedAt: <coarse>, ... })  (the mixer moves it to
+ *     participations and counts the turnout later, in its own batches;
+ *     votes never store voterId)
  *
  * Error codes:
- *  - 400 INVALID_CANDIDATE / INVALID_SUBMISSION / TOKEN_NONCE_MISMATCH
+ *  - 400 INVALID_CANDIDATE / CANDIDATE_OUTSIDE_DISTRICT / INVALID_BALLOT / TOKEN_NONCE_MISMATCH
+ *  - 403 NOT_ELIGIBLE / NO_DISTRICT (elections with districts)
  *  - 404 VOTER_NOT_FOUND
- *  - 409 ALREADY_VOTED / TOKEN_ALREADY_USED
+ *  - 409 ALREADY_VOTED / TOKEN_ALREADY_USED / ELECTION_NOT_OPEN / ANONYMOUS_BALLOTS_ONLY
  *  - 410 TOKEN_EXPIRED
  */
 async function submitVote(req, res, next) {
@@ -144,27 +234,21 @@ async function submitVote(req, res, next) {
       });
     }
 
-    const { tokenId, candidateId, nonce } = req.body || {};
+    const { tokenId, nonce } = req.body || {};
     const electionId =
       (req.body && req.body.electionId) ||
       config.electionId ||
       'default';
 
-    if (
-      typeof tokenId !== 'string' ||
-      !tokenId.trim() ||
-      typeof candidateId !== 'string' ||
-      !candidateId.trim()
-    ) {
+    if (typeof tokenId !== 'string' || !tokenId.trim()) {
       return res.status(400).json({
         code: 'VALIDATION_ERROR',
-        message: 'tokenId and candidateId are required',
+        message: 'tokenId is required',
         details: {},
       });
     }
 
     const trimmedTokenId = tokenId.trim();
-    const trimmedCandidateId = candidateId.trim();
 
     const now = new Date();
 
@@ -172,8 +256,17 @@ async function submitVote(req, res, next) {
     const result = await withTransaction(async ({ db, session }) => {
       const voters = db.collection('voters');
       const votingTokens = db.collection('votingTokens');
-      const candidates = db.collection('candidates');
-      const votes = db.collection('votes');
+      const elections = db.collection('elections');
+
+      const election = await elections.findOne({ electionId }, { session });
+
+      if (election && election.anonymousBallots) {
+        const error = new Error('This election only accepts anonymous ballots (/vote/blind-sign, /vote/anonymous)');
+        error.code = 'ANONYMOUS_BALLOTS_ONLY';
+        error.status = 409;
+        error.details = { electionId };
+        throw error;
+      }
 
       // 1) Load voter (with session)
       const voter = await voters.findOne(
@@ -196,10 +289,18 @@ async function submitVote(req, res, next) {
         throw error;
       }
 
-      if (voter.hasVoted) {
-        const error = new Error('Voter has already cast a vote');
+      const participation = await ballotMixService.findParticipation({
+        db,
+        session,
+        electionId,
+        voterId,
+      });
+
+      if (participation) {
+        const error = new Error('Voter has already cast a vote in this election');
         error.code = 'ALREADY_VOTED';
         error.status = 409;
+        error.details = { electionId };
         throw error;
       }
 
@@ -246,24 +347,16 @@ async function submitVote(req, res, next) {
         }
       }
 
-      // 3) Validate candidate
-      const candidate = await candidates.findOne(
-        {
-          electionId,
-          candidateId: trimmedCandidateId,
-          status: 'active',
-        },
-        { session }
-      );
-
-      if (!candidate) {
-        const error = new Error('Invalid candidate for this election');
-        error.code = 'INVALID_CANDIDATE';
-        error.status = 400;
+      // Election open, or token issued before close and still within grace
+      if (!voteService.canAcceptBallot(election, tokenDoc, now)) {
+        const error = new Error('Election is not open for voting');
+        error.code = 'ELECTION_NOT_OPEN';
+        error.status = 409;
+        error.details = { electionId };
         throw error;
       }
 
-      // 4) Mark token as spent (single-use)
+      // 3) Mark token as spent (single-use)
       const updateTokenResult = await votingTokens.updateOne(
         {
           _id: tokenDoc._id,
@@ -285,84 +378,218 @@ async function submitVote(req, res, next) {
         throw error;
       }
 
-      // 5) Insert vote (NO voterId)
-      const serverSig = crypto.randomBytes(32).toString('hex');
+      // 4) Validate the ballot and put it in the mixing pool (NO voterId)
+      const districtId = await voterRollService.getVoterDistrict(election, voterId, {
+        session,
+      });
+      const { choice, receipt } = await acceptBallot({
+        db,
+        session,
+        election,
+        districtId,
+        credential: trimmedTokenId,
+        body: req.body,
+        now,
+      });
 
-      await votes.insertOne(
-        {
-          electionId,
-          candidateId: trimmedCandidateId,
-          createdAt: now,
-          serverSig,
-          version: 1,
-          meta: {},
-        },
-        { session }
-      );
+      // 5) Claim the participation for (voterId, electionId) in its pool.
+      //    The unique index makes a concurrent second ballot fail here.
+      await ballotMixService.holdParticipation({
+        db,
+        session,
+        electionId,
+        voterId,
+        districtId,
+        status: 'voted',
+        now,
+      });
 
-      // 6) Mark voter as hasVoted = true
-      const updateVoterResult = await voters.updateOne(
-        { voterId },
-        {
-          $set: {
-            hasVoted: true,
-            updatedAt: now,
-          },
-        },
-        { session }
-      );
+      return { electionId, choice, receipt };
+    });
 
-      if (updateVoterResult.matchedCount === 0) {
-        const error = new Error('Voter not found during update');
-        error.code = 'VOTER_NOT_FOUND';
-        error.status = 404;
-        throw error;
-      }
+    // If we reach here, transaction committed successfully
+    return sendAccepted(res, result);
+  } catch (err) {
+    handleVoteError(err, res, next);
+  }
+}
 
-      // Everything done
-      return {
-        electionId,
-        candidateId: trimmedCandidateId,
-      };
+function sendAccepted(res, { electionId, choice, receipt }) {
+  // Encrypted ballots are not echoed back
+  return res.status(201).json({
+    status: 'accepted',
+    electionId,
+    ...(choice.encryptedBallot ? { encrypted: true } : choice),
+    receipt,
+  });
+}
+
+function handleVoteError(err, res, next) {
+  // If error was thrown inside transaction with status/code, respect it
+  if (err && err.status && err.code) {
+    return res.status(err.status).json({
+      code: err.code,
+      message: err.message || 'Vote submission failed',
+      details: err.details || {},
     });
+  }
 
-    // If we reach here, transaction committed successfully
-    return res.status(201).json({
-      status: 'accepted',
-      electionId: result.electionId,
-      candidateId: result.candidateId,
+  // Replica set / transaction errors (common dev issue)
+  if (
+    err &&
+    err.message &&
+    err.message.includes(
+      'Transaction numbers are only allowed on a replica set member or mongos'
+    )
+  ) {
+    return res.status(500).json({
+      code: 'TRANSACTION_NOT_SUPPORTED',
+      message:
+        'MongoDB transactions require a replica set. Please ensure your MongoDB instance is a replica set or use Atlas.',
+      details: {},
+    });
+  }
+
+  next(err);
+}
+
+function getRequestElectionId(req) {
+  const source = req.method === 'GET' ? req.query : req.body;
+  return (source && source.electionId) || config.electionId || 'default';
+}
+
+/**
+ * GET /vote/blind-key?electionId=...
+ * Auth: voter
+ *
+ * Public key the voter's ballot token must be blinded with (per district
+ * for elections with districts): { electionId, districtId, algorithm,
+ * keyId, publicKeyPem }.
+ */
+async function getBlindTokenKey(req, res, next) {
+  try {
+    const user = req.user || {};
+    const voterId = user.voterId || user.sub;
+    const electionId = getRequestElectionId(req);
+
+    const db = getDb();
+    const election = await db.collection('elections').findOne({ electionId });
+    const key = await blindTokenService.getVoterTokenKey({ db, election, voterId });
+
+    return res.json(key);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /vote/blind-sign
+ * Auth: voter
+ *
+ * Body: { "electionId": "default", "blindedMessage": "<base64url>" }
+ * Signs the blinded ballot token once per voter and records the voter's
+ * participation; the same blinded message may be resent to get the same
+ * blindSignature again.
+ *
+ * Error codes:
+ *  - 400 VALIDATION_ERROR / INVALID_BLINDED_MESSAGE
+ *  - 403 VOTER_INACTIVE / NOT_ELIGIBLE / NO_DISTRICT
+ *  - 404 VOTER_NOT_FOUND
+ *  - 409 ELECTION_NOT_OPEN / ALREADY_VOTED
+ */
+async function issueBlindToken(req, res, next) {
+  try {
+    const user = req.user || {};
+    const voterId = user.voterId || user.sub;
+    const electionId = getRequestElectionId(req);
+
+    const election = await getDb().collection('elections').findOne({ electionId });
+    const result = await blindTokenService.issueBlindSignature({
+      election,
+      voterId,
+      blindedMessage: (req.body || {}).blindedMessage,
     });
+
+    return res.status(201).json(result);
   } catch (err) {
-    // If error was thrown inside transaction with status/code, respect it
-    if (err && err.status && err.code) {
-      return res.status(err.status).json({
-        code: err.code,
-        message: err.message || 'Vote submission failed',
-        details: err.details || {},
+    handleVoteError(err, res, next);
+  }
+}
+
+/**
+ * POST /vote/anonymous
+ * Auth: none (the blind-signed token is the credential)
+ *
+ * Body: { "electionId", "keyId", "token", "signature",
+ *         + the choice as in /vote/submit }
+ * token = the 32 random bytes (base64url) the voter blinded; signature =
+ * the unblinded signature over blindTokenService.tokenMessage(...).
+ *
+ * Error codes:
+ *  - 400 VALIDATION_ERROR / INVALID_VOTE_TOKEN / INVALID_CANDIDATE /
+ *    CANDIDATE_OUTSIDE_DISTRICT / INVALID_BALLOT
+ *  - 409 TOKEN_ALREADY_USED / ELECTION_NOT_OPEN
+ */
+async function castAnonymousBallot(req, res, next) {
+  try {
+    const body = req.body || {};
+    const electionId = getRequestElectionId(req);
+
+    const { districtId } = await blindTokenService.verifyBallotToken({
+      electionId,
+      keyId: body.keyId,
+      token: body.token,
+      signature: body.signature,
+    });
+
+    const now = new Date();
+
+    const result = await withTransaction(async ({ db, session }) => {
+      const election = await db.collection('elections').findOne({ electionId }, { session });
+
+      // Tokens are only signed while the election is open
+      if (!voteService.canAcceptAnonymousBallot(election, now)) {
+        const error = new Error('Election is not open for voting');
+        error.code = 'ELECTION_NOT_OPEN';
+        error.status = 409;
+        error.details = { electionId };
+        throw error;
+      }
+
+      // Single use; the mixer counts the voter in the turnout later. The
+      // participation was recorded (as token_issued) when the token was signed
+      await blindTokenService.spendBallotToken({
+        db,
+        session,
+        electionId,
+        districtId,
+        token: body.token,
+        now,
       });
-    }
 
-    // Replica set / transaction errors (common dev issue)
-    if (
-      err &&
-      err.message &&
-      err.message.includes(
-        'Transaction numbers are only allowed on a replica set member or mongos'
-      )
-    ) {
-      return res.status(500).json({
-        code: 'TRANSACTION_NOT_SUPPORTED',
-        message:
-          'MongoDB transactions require a replica set. Please ensure your MongoDB instance is a replica set or use Atlas.',
-        details: {},
+      const { choice, receipt } = await acceptBallot({
+        db,
+        session,
+        election,
+        districtId,
+        credential: body.token,
+        body,
+        now,
       });
-    }
 
-    next(err);
+      return { electionId, choice, receipt };
+    });
+
+    return sendAccepted(res, result);
+  } catch (err) {
+    handleVoteError(err, res, next);
   }
 }
 
 module.exports = {
   issueToken,
   submitVote,
+  getBlindTokenKey,
+  issueBlindToken,
+  castAnonymousBallot,
 };
@@ -0,0 +1,45 @@
+// src/controllers/voterAdminController.js
+// Registrar endpoints for voter accounts.
+
+const voterAdminService = require('../services/voterAdminService');
+const auditService = require('../services/auditService');
+
+// ---------- POST /admin/voters/:voterId/status ----------
+
+/**
+ * Body: { "status": "blocked" | "active", "reason": "optional note" }
+ */
+async function setVoterStatus(req, res, next) {
+  try {
+    const { voterId } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (typeof status !== 'string' || (reason !== undefined && typeof reason !== 'string')) {
+      return res.status(400).json({
+        code: 'VALIDATION_ERROR',
+        message: 'status is required and reason must be a string',
+        details: {},
+      });
+    }
+
+    const { after } = await voterAdminService.setVoterStatus(voterId, status, {
+      actorId: req.admin.adminId,
+      reason: reason ? reason.trim().slice(0, 500) : null,
+      audit: auditService.adminAuditHook(req, ({ before, after }) => ({
+        action: 'voter.status_change',
+        target: { type: 'voter', id: voterId },
+        before: { status: before.status },
+        after: { status: after.status },
+        details: { reason: after.meta && after.meta.statusReason },
+      })),
+    });
+
+    return res.json(after);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  setVoterStatus,
+};
@@ -0,0 +1,180 @@
+// src/controllers/voterRollController.js
+// Electoral roll upload, history, entries and version diffs.
+
+const voterRollService = require('../services/voterRollService');
+const auditService = require('../services/auditService');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+function badRequest(res, message) {
+  return res.status(400).json({
+    code: 'VALIDATION_ERROR',
+    message,
+    details: {},
+  });
+}
+
+/**
+ * Optional positive integer query parameter.
+ *
+ * @returns {number|undefined|null} null when present but invalid
+ */
+function parseVersion(value) {
+  if (value === undefined) return undefined;
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value || String(DEFAULT_PAGE_SIZE), 10);
+  return Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE ? null : limit;
+}
+
+// ---------- POST /admin/elections/:electionId/roll?skipInvalid=true ----------
+
+/**
+ * Upload the complete roll for an election:
+ * - Content-Type text/csv: header row with voterId[,phone]
+ * - Content-Type application/x-ndjson: one { voterId, phone? } per line
+ * - Content-Type application/json: array of { voterId, phone? } or voterId strings
+ *
+ * CSV and NDJSON are read as a stream; JSON is limited by the body size limit.
+ */
+async function importRoll(req, res, next) {
+  try {
+    const { electionId } = req.params;
+
+    let format;
+    let source = req;
+
+    if (req.is('text/csv')) {
+      format = 'csv';
+    } else if (req.is('application/x-ndjson')) {
+      format = 'ndjson';
+    } else if (Array.isArray(req.body)) {
+      format = 'json';
+      source = req.body;
+    } else {
+      return res.status(415).json({
+        code: 'UNSUPPORTED_MEDIA_TYPE',
+        message: 'Send text/csv, application/x-ndjson or a JSON array',
+        details: {},
+      });
+    }
+
+    const report = await voterRollService.importRoll(
+      electionId,
+      voterRollService.readRollRows(format, source),
+      {
+        format,
+        actorId: req.admin.adminId,
+        skipInvalid: req.query.skipInvalid === 'true',
+        audit: auditService.adminAuditHook(req, (imported) => {
+          const { errors, ...counts } = imported;
+          const target = { type: 'voterRoll', id: imported.rollId, electionId };
+
+          if (imported.status === 'rejected') {
+            return {
+              action: 'roll.import',
+              outcome: 'failure',
+              target,
+              details: { ...counts, reason: 'row_errors' },
+            };
+          }
+
+          return {
+            action: 'roll.import',
+            target,
+            before: { version: imported.diff.fromVersion },
+            after: { version: imported.version },
+            details: counts,
+          };
+        }),
+      }
+    );
+
+    if (report.status === 'rejected') {
+      return res.status(422).json({
+        code: 'ROLL_IMPORT_REJECTED',
+        message: 'The roll has invalid rows; fix them or upload with skipInvalid=true',
+        details: report,
+      });
+    }
+
+    return res.status(report.unchanged ? 200 : 201).json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/roll ----------
+
+async function getRoll(req, res, next) {
+  try {
+    const overview = await voterRollService.getRollOverview(req.params.electionId);
+    return res.json(overview);
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/roll/entries?version=2&afterVoterId=&limit=100 ----------
+
+async function listRollEntries(req, res, next) {
+  try {
+    const version = parseVersion(req.query.version);
+    const limit = parseLimit(req.query.limit);
+
+    if (version === null || limit === null) {
+      return badRequest(res, `version must be >= 1 and limit between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const afterVoterId =
+      typeof req.query.afterVoterId === 'string' ? req.query.afterVoterId : undefined;
+
+    const page = await voterRollService.listRollEntries(req.params.electionId, {
+      version,
+      afterVoterId,
+      limit,
+    });
+
+    return res.json({
+      ...page,
+      nextAfterVoterId:
+        page.entries.length === limit ? page.entries[page.entries.length - 1].voterId : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ---------- GET /admin/elections/:electionId/roll/diff?from=1&to=2&limit=100 ----------
+
+async function diffRoll(req, res, next) {
+  try {
+    const from = parseVersion(req.query.from);
+    const to = parseVersion(req.query.to);
+    const limit = parseLimit(req.query.limit);
+
+    if (from === null || to === null || limit === null) {
+      return badRequest(res, `from/to must be >= 1 and limit between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const diff = await voterRollService.diffRollVersions(req.params.electionId, {
+      from,
+      to,
+      limit,
+    });
+    return res.json(diff);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  importRoll,
+  getRoll,
+  listRollEntries,
+  diffRoll,
+};
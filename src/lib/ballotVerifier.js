@@ -0,0 +1,110 @@
+// src/lib/ballotVerifier.js
+// Encrypted ballot verification (elgamal.verifyBallot) off the event loop.
+// Checking the proofs of one ballot takes tens of milliseconds per
+// candidate of BigInt arithmetic, which would stall every other request;
+// this runs it in a small pool of worker threads instead.
+//
+// The same file is the worker: loaded in a worker thread it answers
+// { id, params } messages with { id, result } or { id, error }.
+
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+const elgamal = require('./elgamal');
+
+const POOL_SIZE = Math.max(1, Math.min(4, os.availableParallelism() - 1));
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', ({ id, params }) => {
+    try {
+      parentPort.postMessage({ id, result: elgamal.verifyBallot(params) });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err.message });
+    }
+  });
+}
+
+const idle = [];
+const queue = [];
+const pending = new Map();
+let workerCount = 0;
+let nextId = 1;
+
+function spawnWorker() {
+  const worker = new Worker(__filename);
+  workerCount += 1;
+
+  worker.on('message', ({ id, result, error }) => {
+    const job = pending.get(id);
+    pending.delete(id);
+    worker.currentJob = null;
+
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+
+    release(worker);
+  });
+
+  // A crashed worker fails its job and is replaced on demand
+  let failure = null;
+  worker.on('error', (err) => {
+    failure = err;
+  });
+
+  worker.on('exit', (code) => {
+    const job = worker.currentJob && pending.get(worker.currentJob);
+    if (job) {
+      pending.delete(worker.currentJob);
+      job.reject(failure || new Error(`ballot verifier exited with code ${code}`));
+    }
+
+    workerCount -= 1;
+    const index = idle.indexOf(worker);
+    if (index !== -1) idle.splice(index, 1);
+    drain();
+  });
+
+  return worker;
+}
+
+function release(worker) {
+  // Idle workers don't keep the process alive
+  worker.unref();
+  idle.push(worker);
+  drain();
+}
+
+function drain() {
+  while (queue.length > 0) {
+    let worker = idle.pop();
+
+    if (!worker) {
+      if (workerCount >= POOL_SIZE) return;
+      worker = spawnWorker();
+    }
+
+    const job = queue.shift();
+    pending.set(job.id, job);
+    worker.currentJob = job.id;
+    worker.ref();
+    worker.postMessage({ id: job.id, params: job.params });
+  }
+}
+
+/**
+ * elgamal.verifyBallot in a worker thread.
+ *
+ * @param {object} params - as for elgamal.verifyBallot
+ * @returns {Promise<{ valid: true, ciphertexts: Map<string, { a, b }> } |
+ *   { valid: false, reason: string, candidateId?: string }>}
+ */
+function verifyBallot(params) {
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextId++, params, resolve, reject });
+    drain();
+  });
+}
+
+module.exports = {
+  verifyBallot,
+};
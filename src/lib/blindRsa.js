@@ -0,0 +1,234 @@
+// src/lib/blindRsa.js
+// RSA blind signatures, RFC 9474 variant RSABSSA-SHA384-PSS-Deterministic
+// (SHA-384, MGF1-SHA-384, 48-byte salt, no message preparation; messages
+// signed here already carry 256 random bits).
+//
+//   client                                server
+//   { blindedMsg, inv } = blind(pk, msg)
+//                          blindedMsg ->
+//                                         blindSig = blindSign(sk, blindedMsg)
+//                          <- blindSig
+//   sig = finalize(pk, msg, blindSig, inv)
+//
+// The server never sees msg before it is presented with sig, and can't
+// tell which blindSign produced it. sig is an ordinary RSASSA-PSS signature
+// (verify uses node's crypto.verify).
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'RSABSSA-SHA384-PSS-Deterministic';
+const HASH = 'sha384';
+const HASH_LENGTH = 48;
+const SALT_LENGTH = 48;
+
+function bytesToBigInt(bytes) {
+  return bytes.length === 0 ? 0n : BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+}
+
+function bigIntToBytes(value, length) {
+  const hex = value.toString(16).padStart(length * 2, '0');
+  if (hex.length > length * 2) {
+    throw new Error('integer too large');
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+
+  return result;
+}
+
+/**
+ * Inverse of a mod m, or null when gcd(a, m) != 1.
+ */
+function modInv(a, m) {
+  let [oldR, r] = [((a % m) + m) % m, m];
+  let [oldS, s] = [1n, 0n];
+
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+
+  return oldR === 1n ? ((oldS % m) + m) % m : null;
+}
+
+/**
+ * { n, e, modulusLength (bytes), bits } of an RSA public key (PEM or KeyObject).
+ */
+function publicNumbers(publicKey) {
+  const key =
+    publicKey instanceof crypto.KeyObject && publicKey.type === 'public'
+      ? publicKey
+      : crypto.createPublicKey(publicKey);
+  const jwk = key.export({ format: 'jwk' });
+  const n = bytesToBigInt(Buffer.from(jwk.n, 'base64url'));
+
+  return {
+    key,
+    n,
+    e: bytesToBigInt(Buffer.from(jwk.e, 'base64url')),
+    bits: n.toString(2).length,
+    modulusLength: Math.ceil(n.toString(2).length / 8),
+  };
+}
+
+function mgf1(seed, length) {
+  const chunks = [];
+  for (let counter = 0; chunks.length * HASH_LENGTH < length; counter += 1) {
+    const c = Buffer.alloc(4);
+    c.writeUInt32BE(counter);
+    chunks.push(crypto.createHash(HASH).update(seed).update(c).digest());
+  }
+  return Buffer.concat(chunks).subarray(0, length);
+}
+
+/**
+ * EMSA-PSS-ENCODE (RFC 8017 9.1.1) with a random salt.
+ */
+function emsaPssEncode(msg, emBits) {
+  const emLength = Math.ceil(emBits / 8);
+  const mHash = crypto.createHash(HASH).update(msg).digest();
+  const salt = crypto.randomBytes(SALT_LENGTH);
+
+  const h = crypto
+    .createHash(HASH)
+    .update(Buffer.alloc(8))
+    .update(mHash)
+    .update(salt)
+    .digest();
+
+  const db = Buffer.concat([
+    Buffer.alloc(emLength - SALT_LENGTH - HASH_LENGTH - 2),
+    Buffer.from([0x01]),
+    salt,
+  ]);
+  const mask = mgf1(h, emLength - HASH_LENGTH - 1);
+  for (let i = 0; i < db.length; i += 1) db[i] ^= mask[i];
+
+  // Clear the bits above emBits
+  db[0] &= 0xff >> (8 * emLength - emBits);
+
+  return Buffer.concat([db, h, Buffer.from([0xbc])]);
+}
+
+function randomUnit(n) {
+  const length = Math.ceil(n.toString(2).length / 8) + 16;
+
+  for (;;) {
+    const r = bytesToBigInt(crypto.randomBytes(length)) % n;
+    const inv = r > 1n ? modInv(r, n) : null;
+    if (inv !== null) return { r, inv };
+  }
+}
+
+/**
+ * Blind a message for signing (client side).
+ *
+ * @param {string|crypto.KeyObject} publicKey - RSA public key
+ * @param {Buffer} msg
+ * @returns {{ blindedMsg: Buffer, inv: bigint }} keep inv for finalize
+ */
+function blind(publicKey, msg) {
+  const { n, e, bits, modulusLength } = publicNumbers(publicKey);
+  const m = bytesToBigInt(emsaPssEncode(msg, bits - 1));
+
+  if (modInv(m, n) === null) {
+    throw new Error('invalid input');
+  }
+
+  const { r, inv } = randomUnit(n);
+  const z = (m * modPow(r, e, n)) % n;
+
+  return { blindedMsg: bigIntToBytes(z, modulusLength), inv };
+}
+
+/**
+ * Sign a blinded message (server side). The result is checked with the
+ * public key before it is returned (RFC 9474 4.2).
+ *
+ * @param {crypto.KeyObject} privateKey - RSA private key
+ * @param {Buffer} blindedMsg
+ * @returns {Buffer} blind signature
+ * @throws {Error} for blinded messages of the wrong size or out of range
+ */
+function blindSign(privateKey, blindedMsg) {
+  const { n, e, modulusLength } = publicNumbers(crypto.createPublicKey(privateKey));
+  const m = bytesToBigInt(blindedMsg);
+
+  if (blindedMsg.length !== modulusLength || m >= n) {
+    throw new Error('message representative out of range');
+  }
+
+  // Raw RSA (m^d mod n, with CRT)
+  const s = crypto.privateDecrypt(
+    { key: privateKey, padding: crypto.constants.RSA_NO_PADDING },
+    blindedMsg
+  );
+
+  if (modPow(bytesToBigInt(s), e, n) !== m) {
+    throw new Error('signing failure');
+  }
+
+  return s;
+}
+
+/**
+ * Verify an (unblinded) signature over msg.
+ */
+function verify(publicKey, msg, signature) {
+  try {
+    return crypto.verify(
+      HASH,
+      msg,
+      {
+        key: publicNumbers(publicKey).key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: SALT_LENGTH,
+      },
+      signature
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Unblind the server's blind signature (client side).
+ *
+ * @returns {Buffer} signature over msg
+ * @throws {Error} if the result doesn't verify
+ */
+function finalize(publicKey, msg, blindSig, inv) {
+  const { n, modulusLength } = publicNumbers(publicKey);
+
+  if (blindSig.length !== modulusLength) {
+    throw new Error('unexpected input size');
+  }
+
+  const signature = bigIntToBytes((bytesToBigInt(blindSig) * inv) % n, modulusLength);
+
+  if (!verify(publicKey, msg, signature)) {
+    throw new Error('invalid signature');
+  }
+
+  return signature;
+}
+
+module.exports = {
+  ALGORITHM,
+  blind,
+  blindSign,
+  finalize,
+  verify,
+};
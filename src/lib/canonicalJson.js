@@ -0,0 +1,53 @@
+// src/lib/canonicalJson.js
+// Deterministic JSON serialization for hashing and signing.
+//
+// Rules:
+// - object keys sorted (code point order), no whitespace
+// - Date -> ISO 8601 string
+// - undefined object values are dropped (like JSON.stringify)
+// - non-finite numbers are rejected
+
+function normalize(value) {
+  if (value === null) return null;
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((v) => (v === undefined ? null : normalize(v)));
+  }
+
+  if (typeof value === 'object') {
+    // ObjectId, Decimal128, ... expose toJSON / toString
+    if (typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) {
+        out[key] = normalize(value[key]);
+      }
+    }
+    return out;
+  }
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error('canonicalJson: non-finite numbers are not allowed');
+  }
+
+  return value;
+}
+
+/**
+ * Serialize `value` to canonical JSON.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  return JSON.stringify(normalize(value));
+}
+
+module.exports = canonicalJson;
@@ -0,0 +1,140 @@
+// src/lib/csv.js
+// Minimal CSV (RFC 4180): line builder for exports and a streaming parser
+// for uploads.
+
+const { StringDecoder } = require('string_decoder');
+const httpError = require('./httpError');
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const DEFAULT_MAX_RECORD_LENGTH = 64 * 1024;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line (CRLF-terminated).
+ *
+ * @param {Array<*>} values - objects are written as JSON
+ * @returns {string}
+ */
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Parse a CSV byte stream record by record (quoted fields may contain
+ * commas, quotes and newlines). Blank lines are skipped; a UTF-8 BOM is
+ * ignored.
+ *
+ * @param {AsyncIterable<Buffer|string>} stream - e.g. the request
+ * @param {{ maxRecordLength?: number }} [options]
+ * @yields {{ record: number, fields: string[] }} record counts from 1 (header included)
+ * @throws {Error} 400 CSV_RECORD_TOO_LARGE / CSV_UNTERMINATED_QUOTE
+ */
+async function* parseCsv(stream, { maxRecordLength = DEFAULT_MAX_RECORD_LENGTH } = {}) {
+  const decoder = new StringDecoder('utf8');
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside a quoted field: escape or closing
+  let length = 0;
+  let record = 0;
+  let first = true;
+
+  function endRecord() {
+    fields.push(field);
+    const done = fields;
+    fields = [];
+    field = '';
+    length = 0;
+    return done.length === 1 && done[0] === '' ? null : done;
+  }
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    if (first && text.length > 0) {
+      first = false;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i += 1) {
+      const c = text[i];
+
+      length += 1;
+      if (length > maxRecordLength) {
+        throw httpError(400, 'CSV_RECORD_TOO_LARGE', 'CSV record is too large', {
+          record: record + 1,
+          maxRecordLength,
+        });
+      }
+
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (c === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false; // closing quote; handle c below
+        } else if (c === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += c;
+          continue;
+        }
+      }
+
+      if (c === '"' && field === '') {
+        inQuotes = true;
+      } else if (c === ',') {
+        fields.push(field);
+        field = '';
+      } else if (c === '\n') {
+        const done = endRecord();
+        if (done) {
+          record += 1;
+          yield { record, fields: done };
+        }
+      } else if (c !== '\r') {
+        field += c;
+      }
+    }
+  }
+
+  if (inQuotes && !quoteSeen) {
+    throw httpError(400, 'CSV_UNTERMINATED_QUOTE', 'CSV ends inside a quoted field', {
+      record: record + 1,
+    });
+  }
+
+  field += decoder.end();
+  const done = endRecord();
+  if (done) {
+    record += 1;
+    yield { record, fields: done };
+  }
+}
+
+module.exports = {
+  csvLine,
+  parseCsv,
+};
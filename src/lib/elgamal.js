@@ -0,0 +1,659 @@
+// src/lib/elgamal.js
+// Exponential ElGamal for encrypted ballots, with the zero-knowledge proofs
+// and threshold decryption around it. Used by the server and usable as-is by
+// Node clients (no dependencies besides crypto / canonicalJson).
+//
+// Group "evote-2048-256-v1": 2048-bit prime P = k*Q + 1, 256-bit prime Q,
+// G of order Q. Derived from the public seed "evote/elgamal-group/v1" so
+// nobody chose them: with H(label) = SHAKE256("evote/elgamal-group/v1/" + label)
+//   Q = first prime >= H("q", 32 bytes) | 2^255 | 1
+//   k = H("k/<c>", 224 bytes) | 2^1791, made even; c = 0, 1, ... until
+//       P = k*Q + 1 is a 2048-bit prime (c = 700)
+//   G = (H("g/0", 256 bytes) mod P)^k mod P
+//
+// Encryption of a small integer m under public key Y = G^x:
+//   (a, b) = (G^r, G^m * Y^r)
+// Ciphertexts multiply component-wise to add their plaintexts, so the
+// product of every ballot's ciphertext for a candidate encrypts its votes.
+// Decryption gives G^m; m is recovered by a bounded discrete log (m never
+// exceeds the number of ballots).
+//
+// Numbers cross the API as lowercase hex strings without "0x".
+
+const crypto = require('crypto');
+const canonicalJson = require('./canonicalJson');
+
+const GROUP_ID = 'evote-2048-256-v1';
+
+const P = BigInt(
+  '0x' +
+    '8096aff7bd108f4d317214e1e7197af42ae8d01c0d81b576a852621651e675e5' +
+    '74b40fc85b1491090693d681b5f11e7feb06ef41a6d5e1e545947ef7c6329e2e' +
+    '6e8c46a8ee9ce5f7fc7f75c3df5b1d1c283d320b5e71af8d7aae3109e9e75c57' +
+    'd6d9b9810ee1f2567912ba500f7b18d6c81bafe773da52ea2f467e09131f39c9' +
+    '4598874116e01a11520f62457fc12e65dc6ca060fe24d8d2e3cce7a5f0afcdd5' +
+    '2acbbd46d9cad0892e77574b324dab011bfc658c6e6df2db1cd093dd98c494e6' +
+    '1d19fef6a33464ab163952f670178282ab63287a35dfaddb018ee50bbb5365a5' +
+    '17dc03ddd150b277c127f86c636bf57f16eab55beed3bc0fa344974ea1d97057'
+);
+const Q = BigInt('0xa75d1367a80fc3c32ead9dfa463261616dfbebd42ad75d1366d40698688afaa1');
+const G = BigInt(
+  '0x' +
+    '7dff714fd81182e17dc483b2997debe5f9e9ac4f6fa7373d99891a8990989d0f' +
+    'cdfe9b56d5a64a205836f40128aba348ee7a9bb24d3eb6417121a0c4ad4dcfaf' +
+    '82d25f05d80458b9d91a5c76e59a01d83fc1bb357b9516b8d5aaf742e04e7474' +
+    '6ec153275d24af61e660deb9dad0666d125b81659acd77014319be9f8c9009b0' +
+    '097b9fe57b20db407fbc2cd5e9646b7a1c3fbe31dfd7cef2f52492e1b6db7ca7' +
+    '30c6d7e04d7de932aa872237e7d4d7d7dc753245c52571559b4c134c6108a5d8' +
+    '44e789448731dfcfa7f177273791c40252791815002f7af916ca9f00c229ee94' +
+    '3dad5af8d9d9a5f91cc15d7ee46d8a9d7be7e32e2c4cd633343e7c77865765c2'
+);
+
+const HEX_PATTERN = /^[0-9a-f]{1,512}$/;
+
+// Extra random bytes beyond Q's 32, so reducing mod Q has negligible bias
+const SCALAR_BYTES = 40;
+
+function modPow(base, exp, mod = P) {
+  let result = 1n;
+  let b = ((base % mod) + mod) % mod;
+  let e = exp;
+
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % mod;
+    e >>= 1n;
+    b = (b * b) % mod;
+  }
+
+  return result;
+}
+
+/**
+ * Inverse of a modulo mod (extended Euclid; a and mod coprime).
+ */
+function modInv(a, mod = P) {
+  let [oldR, r] = [((a % mod) + mod) % mod, mod];
+  let [oldS, s] = [1n, 0n];
+
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+
+  if (oldR !== 1n) {
+    throw new Error('Value is not invertible');
+  }
+
+  return ((oldS % mod) + mod) % mod;
+}
+
+function mod(value, m) {
+  return ((value % m) + m) % m;
+}
+
+/**
+ * Uniformly random exponent in [1, Q - 1].
+ */
+function randomScalar() {
+  const n = BigInt(`0x${crypto.randomBytes(SCALAR_BYTES).toString('hex')}`);
+  return (n % (Q - 1n)) + 1n;
+}
+
+function toHex(n) {
+  return n.toString(16);
+}
+
+/**
+ * Parse a hex string; null if it is not one.
+ */
+function fromHex(value) {
+  if (typeof value !== 'string' || !HEX_PATTERN.test(value)) {
+    return null;
+  }
+  return BigInt(`0x${value}`);
+}
+
+/**
+ * Member of the order-Q subgroup (every ciphertext part and key must be).
+ */
+function isGroupElement(x) {
+  return typeof x === 'bigint' && x > 0n && x < P && modPow(x, Q) === 1n;
+}
+
+function isScalar(x) {
+  return typeof x === 'bigint' && x >= 0n && x < Q;
+}
+
+/**
+ * Fiat-Shamir challenge: sha256 over the canonical JSON of the statement.
+ */
+function hashToScalar(statement) {
+  const digest = crypto.createHash('sha256').update(canonicalJson(statement)).digest('hex');
+  return BigInt(`0x${digest}`) % Q;
+}
+
+/**
+ * G^m for a (possibly negative) small integer m.
+ */
+function encodeMessage(m) {
+  return modPow(G, mod(BigInt(m), Q));
+}
+
+/**
+ * @param {bigint} publicKey - Y
+ * @param {number} m - small non-negative integer
+ * @param {bigint} [r] - randomness (fresh if omitted)
+ * @returns {{ a: bigint, b: bigint, r: bigint }}
+ */
+function encrypt(publicKey, m, r = randomScalar()) {
+  return {
+    a: modPow(G, r),
+    b: (encodeMessage(m) * modPow(publicKey, r)) % P,
+    r,
+  };
+}
+
+/**
+ * Component-wise product: encrypts the sum of the plaintexts.
+ */
+function addCiphertexts(x, y) {
+  return { a: (x.a * y.a) % P, b: (x.b * y.b) % P };
+}
+
+const ZERO_CIPHERTEXT = Object.freeze({ a: 1n, b: 1n });
+
+function ciphertextToJson({ a, b }) {
+  return { a: toHex(a), b: toHex(b) };
+}
+
+/**
+ * Parse { a, b } hex; null unless both are group elements.
+ */
+function ciphertextFromJson(value) {
+  if (!value || typeof value !== 'object') return null;
+
+  const a = fromHex(value.a);
+  const b = fromHex(value.b);
+
+  if (a === null || b === null || !isGroupElement(a) || !isGroupElement(b)) {
+    return null;
+  }
+
+  return { a, b };
+}
+
+// ---------- Proof that a ciphertext encrypts one of a set of values ----------
+//
+// Disjunctive Chaum-Pedersen (Cramer-Damgard-Schoenmakers): for each allowed
+// value m_j the verifier recomputes the commitments
+//   A_j = G^s_j / a^c_j,   B_j = Y^s_j / (b / G^m_j)^c_j
+// and accepts if the challenges c_j add up to H(context, Y, a, b, A, B).
+// Only the branch of the real value is proven; the others are simulated.
+
+function rangeStatement({ context, publicKey, ciphertext, commitments }) {
+  return {
+    context,
+    publicKey: toHex(publicKey),
+    a: toHex(ciphertext.a),
+    b: toHex(ciphertext.b),
+    commitments: commitments.map(([A, B]) => [toHex(A), toHex(B)]),
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {bigint} params.publicKey
+ * @param {{ a: bigint, b: bigint }} params.ciphertext
+ * @param {number} params.value - the encrypted value
+ * @param {bigint} params.randomness - r used to encrypt it
+ * @param {number[]} params.allowed - values the proof allows (value among them)
+ * @param {object} params.context - bound into the challenge (election, item)
+ * @returns {{ challenges: string[], responses: string[] }}
+ */
+function proveOneOf({ publicKey, ciphertext, value, randomness, allowed, context }) {
+  const real = allowed.indexOf(value);
+  if (real === -1) {
+    throw new Error('Encrypted value is not one of the allowed values');
+  }
+
+  const challenges = [];
+  const responses = [];
+  const commitments = [];
+  const w = randomScalar();
+
+  allowed.forEach((m, j) => {
+    if (j === real) {
+      challenges.push(0n);
+      responses.push(0n);
+      commitments.push([modPow(G, w), modPow(publicKey, w)]);
+      return;
+    }
+
+    const c = randomScalar();
+    const s = randomScalar();
+    const bOverGm = (ciphertext.b * modInv(encodeMessage(m))) % P;
+
+    challenges.push(c);
+    responses.push(s);
+    commitments.push([
+      (modPow(G, s) * modInv(modPow(ciphertext.a, c))) % P,
+      (modPow(publicKey, s) * modInv(modPow(bOverGm, c))) % P,
+    ]);
+  });
+
+  const total = hashToScalar(rangeStatement({ context, publicKey, ciphertext, commitments }));
+  const others = challenges.reduce((sum, c) => sum + c, 0n);
+
+  challenges[real] = mod(total - others, Q);
+  responses[real] = mod(w + challenges[real] * randomness, Q);
+
+  return { challenges: challenges.map(toHex), responses: responses.map(toHex) };
+}
+
+/**
+ * @returns {boolean}
+ */
+function verifyOneOf({ publicKey, ciphertext, allowed, context, proof }) {
+  if (
+    !proof ||
+    !Array.isArray(proof.challenges) ||
+    !Array.isArray(proof.responses) ||
+    proof.challenges.length !== allowed.length ||
+    proof.responses.length !== allowed.length
+  ) {
+    return false;
+  }
+
+  const challenges = proof.challenges.map(fromHex);
+  const responses = proof.responses.map(fromHex);
+
+  if (!challenges.every(isScalar) || !responses.every(isScalar)) {
+    return false;
+  }
+
+  const aInv = modInv(ciphertext.a);
+  const commitments = allowed.map((m, j) => {
+    const bOverGmInv = modInv((ciphertext.b * modInv(encodeMessage(m))) % P);
+    return [
+      (modPow(G, responses[j]) * modPow(aInv, challenges[j])) % P,
+      (modPow(publicKey, responses[j]) * modPow(bOverGmInv, challenges[j])) % P,
+    ];
+  });
+
+  const total = hashToScalar(rangeStatement({ context, publicKey, ciphertext, commitments }));
+  return challenges.reduce((sum, c) => sum + c, 0n) % Q === total;
+}
+
+// ---------- Ballots ----------
+//
+// One ciphertext per candidate on the ballot (1 = selected, 0 = not), each
+// with a proof that it encrypts 0 or 1, plus a proof that their product
+// encrypts a selection count within [minSelections, maxSelections].
+//
+// The proofs are bound to the ballot's credential (`binding`, see
+// ballotBinding), so a ballot copied from another voter fails verification
+// under the copier's own token. Verification costs a few modular
+// exponentiations per candidate, hence the cap on candidates per ballot.
+
+const MAX_BALLOT_CANDIDATES = 50;
+const BINDING_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Per-ballot value the proofs are bound to: sha256 (hex) of the voting
+ * credential - the tokenId for /vote/submit, the blind-signed token for
+ * /vote/anonymous.
+ */
+function ballotBinding(credential) {
+  return crypto.createHash('sha256').update(`evote-ballot-binding:${credential}`).digest('hex');
+}
+
+function candidateContext(electionId, binding, candidateId) {
+  return { type: 'evote-ballot-choice', v: 2, electionId, binding, candidateId };
+}
+
+function countContext(electionId, binding) {
+  return { type: 'evote-ballot-count', v: 2, electionId, binding };
+}
+
+function range(min, max) {
+  const values = [];
+  for (let v = min; v <= max; v += 1) values.push(v);
+  return values;
+}
+
+/**
+ * Encrypt a ballot (client side).
+ *
+ * @param {object} params
+ * @param {string} params.publicKey - election public key (hex)
+ * @param {string} params.electionId
+ * @param {string} params.binding - ballotBinding(credential)
+ * @param {string[]} params.candidateIds - every candidate on the ballot
+ * @param {string[]} params.selected - the chosen ones
+ * @param {number} params.minSelections
+ * @param {number} params.maxSelections
+ * @returns {{ ciphertexts: Array<{ candidateId, a, b, proof }>, proof }}
+ */
+function encryptBallot({ publicKey, electionId, binding, candidateIds, selected, minSelections, maxSelections }) {
+  if (!BINDING_PATTERN.test(binding)) {
+    throw new Error('binding must be ballotBinding(credential)');
+  }
+  if (candidateIds.length > MAX_BALLOT_CANDIDATES) {
+    throw new Error(`at most ${MAX_BALLOT_CANDIDATES} candidates per encrypted ballot`);
+  }
+
+  const y = fromHex(publicKey);
+  const chosen = new Set(selected);
+  let sum = ZERO_CIPHERTEXT;
+  let randomness = 0n;
+
+  const ciphertexts = candidateIds.map((candidateId) => {
+    const value = chosen.has(candidateId) ? 1 : 0;
+    const { r, ...ciphertext } = encrypt(y, value);
+
+    sum = addCiphertexts(sum, ciphertext);
+    randomness = mod(randomness + r, Q);
+
+    return {
+      candidateId,
+      ...ciphertextToJson(ciphertext),
+      proof: proveOneOf({
+        publicKey: y,
+        ciphertext,
+        value,
+        randomness: r,
+        allowed: [0, 1],
+        context: candidateContext(electionId, binding, candidateId),
+      }),
+    };
+  });
+
+  return {
+    ciphertexts,
+    proof: proveOneOf({
+      publicKey: y,
+      ciphertext: sum,
+      value: chosen.size,
+      randomness,
+      allowed: range(minSelections, maxSelections),
+      context: countContext(electionId, binding),
+    }),
+  };
+}
+
+/**
+ * Check an encrypted ballot: exactly one well-formed ciphertext per
+ * candidate on the ballot, each proven 0/1, and a valid selection count.
+ *
+ * @param {object} params - publicKey (hex), electionId, binding,
+ *   candidateIds, minSelections, maxSelections, ballot
+ * @returns {{ valid: true, ciphertexts: Map<string, { a, b }> } |
+ *   { valid: false, reason: string, candidateId?: string }}
+ */
+function verifyBallot({ publicKey, electionId, binding, candidateIds, minSelections, maxSelections, ballot }) {
+  const y = fromHex(publicKey);
+
+  if (!BINDING_PATTERN.test(binding)) {
+    return { valid: false, reason: 'missing ballot binding' };
+  }
+
+  if (candidateIds.length > MAX_BALLOT_CANDIDATES) {
+    return { valid: false, reason: `more than ${MAX_BALLOT_CANDIDATES} candidates on the ballot` };
+  }
+
+  if (!ballot || !Array.isArray(ballot.ciphertexts)) {
+    return { valid: false, reason: 'ciphertexts must be an array' };
+  }
+
+  const expected = new Set(candidateIds);
+  const ciphertexts = new Map();
+
+  for (const entry of ballot.ciphertexts) {
+    const candidateId = entry && entry.candidateId;
+
+    if (!expected.has(candidateId) || ciphertexts.has(candidateId)) {
+      return { valid: false, reason: 'unknown or repeated candidate', candidateId };
+    }
+
+    const ciphertext = ciphertextFromJson(entry);
+    if (!ciphertext) {
+      return { valid: false, reason: 'malformed ciphertext', candidateId };
+    }
+
+    ciphertexts.set(candidateId, ciphertext);
+  }
+
+  if (ciphertexts.size !== expected.size) {
+    return { valid: false, reason: 'every candidate on the ballot needs a ciphertext' };
+  }
+
+  let sum = ZERO_CIPHERTEXT;
+
+  for (const entry of ballot.ciphertexts) {
+    const ciphertext = ciphertexts.get(entry.candidateId);
+    sum = addCiphertexts(sum, ciphertext);
+
+    const ok = verifyOneOf({
+      publicKey: y,
+      ciphertext,
+      allowed: [0, 1],
+      context: candidateContext(electionId, binding, entry.candidateId),
+      proof: entry.proof,
+    });
+
+    if (!ok) {
+      return { valid: false, reason: 'invalid proof', candidateId: entry.candidateId };
+    }
+  }
+
+  const countOk = verifyOneOf({
+    publicKey: y,
+    ciphertext: sum,
+    allowed: range(minSelections, maxSelections),
+    context: countContext(electionId, binding),
+    proof: ballot.proof,
+  });
+
+  if (!countOk) {
+    return { valid: false, reason: 'invalid selection count proof' };
+  }
+
+  return { valid: true, ciphertexts };
+}
+
+// ---------- Threshold keys (Shamir over Z_Q) ----------
+
+/**
+ * Key pair whose secret is split into `trustees` shares, any `threshold`
+ * of which can decrypt. The secret itself is not returned.
+ *
+ * @returns {{ publicKey: string, shares: Array<{ index: number, share: string }>,
+ *   verificationKeys: Array<{ index: number, key: string }> }}
+ */
+function generateThresholdKey({ threshold, trustees }) {
+  const coefficients = [];
+  for (let i = 0; i < threshold; i += 1) coefficients.push(randomScalar());
+
+  const shares = [];
+  for (let index = 1; index <= trustees; index += 1) {
+    // Horner: f(index) = c0 + c1*index + ... (mod Q)
+    let value = 0n;
+    for (let i = coefficients.length - 1; i >= 0; i -= 1) {
+      value = mod(value * BigInt(index) + coefficients[i], Q);
+    }
+    shares.push({ index, value });
+  }
+
+  return {
+    publicKey: toHex(modPow(G, coefficients[0])),
+    shares: shares.map(({ index, value }) => ({ index, share: toHex(value) })),
+    verificationKeys: shares.map(({ index, value }) => ({
+      index,
+      key: toHex(modPow(G, value)),
+    })),
+  };
+}
+
+/**
+ * Lagrange coefficient of share `index` for interpolating f(0) from the
+ * shares in `indices`.
+ */
+function lagrangeCoefficient(index, indices) {
+  let numerator = 1n;
+  let denominator = 1n;
+
+  for (const j of indices) {
+    if (j === index) continue;
+    numerator = mod(numerator * BigInt(j), Q);
+    denominator = mod(denominator * BigInt(j - index), Q);
+  }
+
+  return mod(numerator * modInv(denominator, Q), Q);
+}
+
+// ---------- Partial decryption ----------
+//
+// Trustee i with share x_i publishes d = a^x_i and a Chaum-Pedersen proof
+// that log_G(V_i) = log_a(d), V_i = G^x_i being its verification key.
+
+function partialStatement({ context, verificationKey, a, d, A, B }) {
+  return {
+    context,
+    verificationKey: toHex(verificationKey),
+    a: toHex(a),
+    d: toHex(d),
+    A: toHex(A),
+    B: toHex(B),
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.share - trustee share (hex)
+ * @param {string} params.verificationKey - G^share (hex)
+ * @param {{ a: bigint }} params.ciphertext
+ * @param {object} params.context
+ * @returns {{ d: string, proof: { challenge: string, response: string } }}
+ */
+function partialDecrypt({ share, verificationKey, ciphertext, context }) {
+  const x = fromHex(share);
+  const v = fromHex(verificationKey);
+  const d = modPow(ciphertext.a, x);
+  const w = randomScalar();
+
+  const challenge = hashToScalar(
+    partialStatement({
+      context,
+      verificationKey: v,
+      a: ciphertext.a,
+      d,
+      A: modPow(G, w),
+      B: modPow(ciphertext.a, w),
+    })
+  );
+
+  return {
+    d: toHex(d),
+    proof: { challenge: toHex(challenge), response: toHex(mod(w + challenge * x, Q)) },
+  };
+}
+
+/**
+ * @returns {boolean}
+ */
+function verifyPartialDecryption({ verificationKey, ciphertext, context, partial }) {
+  const v = fromHex(verificationKey);
+  const d = partial && fromHex(partial.d);
+  const c = partial && partial.proof && fromHex(partial.proof.challenge);
+  const s = partial && partial.proof && fromHex(partial.proof.response);
+
+  if (d === null || !isGroupElement(d) || !isScalar(c) || !isScalar(s)) {
+    return false;
+  }
+
+  const A = (modPow(G, s) * modInv(modPow(v, c))) % P;
+  const B = (modPow(ciphertext.a, s) * modInv(modPow(d, c))) % P;
+
+  return hashToScalar(partialStatement({ context, verificationKey: v, a: ciphertext.a, d, A, B })) === c;
+}
+
+/**
+ * Does `share` belong to `verificationKey`?
+ */
+function shareMatches(share, verificationKey) {
+  const x = fromHex(share);
+  return isScalar(x) && toHex(modPow(G, x)) === verificationKey;
+}
+
+/**
+ * Smallest m in [0, max] with G^m = target (baby-step giant-step), or null.
+ */
+function discreteLog(target, max) {
+  const step = BigInt(Math.ceil(Math.sqrt(max + 1)));
+  const baby = new Map();
+
+  let value = 1n;
+  for (let j = 0n; j < step; j += 1n) {
+    if (!baby.has(value)) baby.set(value, j);
+    value = (value * G) % P;
+  }
+
+  const giant = modInv(modPow(G, step));
+  let gamma = target;
+
+  for (let i = 0n; i * step <= BigInt(max); i += 1n) {
+    if (baby.has(gamma)) {
+      const m = i * step + baby.get(gamma);
+      return m <= BigInt(max) ? Number(m) : null;
+    }
+    gamma = (gamma * giant) % P;
+  }
+
+  return null;
+}
+
+/**
+ * Combine at least `threshold` partial decryptions of one ciphertext.
+ *
+ * @param {{ a: bigint, b: bigint }} ciphertext
+ * @param {Array<{ index: number, d: string }>} partials - from distinct trustees
+ * @param {number} max - upper bound of the plaintext
+ * @returns {number | null} the plaintext, null if not within [0, max]
+ */
+function combinePartials(ciphertext, partials, max) {
+  const indices = partials.map((p) => p.index);
+  let ax = 1n;
+
+  for (const { index, d } of partials) {
+    ax = (ax * modPow(fromHex(d), lagrangeCoefficient(index, indices))) % P;
+  }
+
+  return discreteLog((ciphertext.b * modInv(ax)) % P, max);
+}
+
+module.exports = {
+  GROUP_ID,
+  P,
+  Q,
+  G,
+  fromHex,
+  toHex,
+  isGroupElement,
+  encrypt,
+  addCiphertexts,
+  ZERO_CIPHERTEXT,
+  ciphertextToJson,
+  ciphertextFromJson,
+  proveOneOf,
+  verifyOneOf,
+  MAX_BALLOT_CANDIDATES,
+  ballotBinding,
+  encryptBallot,
+  verifyBallot,
+  generateThresholdKey,
+  partialDecrypt,
+  verifyPartialDecryption,
+  shareMatches,
+  combinePartials,
+};
@@ -0,0 +1,38 @@
+// src/lib/hashChain.js
+// SHA-256 hash-chain helpers (append-only logs).
+//
+//   genesis   = sha256(canonical { type: "evote-chain-genesis", scope })
+//   entryHash = sha256(canonical { prevHash, entry })
+
+const crypto = require('crypto');
+const canonicalJson = require('./canonicalJson');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Starting hash of a chain, unique per scope (e.g. "votes:default").
+ *
+ * @param {string} scope
+ * @returns {string} hex
+ */
+function genesisHash(scope) {
+  return sha256Hex(canonicalJson({ type: 'evote-chain-genesis', scope }));
+}
+
+/**
+ * Hash linking `entry` to the previous chain element.
+ *
+ * @param {string} prevHash - hex
+ * @param {object} entry - the fields covered by the link
+ * @returns {string} hex
+ */
+function linkHash(prevHash, entry) {
+  return sha256Hex(canonicalJson({ prevHash, entry }));
+}
+
+module.exports = {
+  genesisHash,
+  linkHash,
+};
@@ -0,0 +1,22 @@
+// src/lib/httpError.js
+// Helper for building errors in the { status, code, message, details } shape
+// understood by the error handler in server.js.
+
+/**
+ * Create an Error carrying HTTP status + API error code.
+ *
+ * @param {number} status - HTTP status code (e.g. 409)
+ * @param {string} code - Machine-readable error code (e.g. "INVALID_TRANSITION")
+ * @param {string} message - Human-readable message
+ * @param {object} [details] - Extra context returned to the client
+ * @returns {Error}
+ */
+function httpError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+module.exports = httpError;
@@ -0,0 +1,23 @@
+// src/lib/keyDerivation.js
+// HKDF-SHA256 sub-keys derived from JWT_SECRET, used when a dedicated key
+// is not configured. Each purpose gets its own label so keys never overlap.
+
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Derive `length` bytes for `label` from JWT_SECRET.
+ *
+ * @param {string} label - e.g. "evote/server-signing-key"
+ * @param {number} [length=32]
+ * @returns {Buffer}
+ */
+function deriveKey(label, length = 32) {
+  return Buffer.from(
+    crypto.hkdfSync('sha256', config.jwtSecret, Buffer.alloc(0), label, length)
+  );
+}
+
+module.exports = {
+  deriveKey,
+};
@@ -0,0 +1,62 @@
+// src/lib/ndjson.js
+// Streaming reader for newline-delimited JSON uploads.
+
+const { StringDecoder } = require('string_decoder');
+const httpError = require('./httpError');
+
+const DEFAULT_MAX_LINE_LENGTH = 64 * 1024;
+
+/**
+ * Parse an NDJSON byte stream line by line. Blank lines are skipped.
+ * A line that isn't valid JSON is yielded with `error` instead of `value`,
+ * so the caller can report it and carry on.
+ *
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {{ maxLineLength?: number }} [options]
+ * @yields {{ line: number, value?: *, error?: string }}
+ * @throws {Error} 400 NDJSON_LINE_TOO_LARGE
+ */
+async function* parseNdjson(stream, { maxLineLength = DEFAULT_MAX_LINE_LENGTH } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let line = 0;
+
+  function parseLine(text) {
+    line += 1;
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+
+    try {
+      return { line, value: JSON.parse(trimmed) };
+    } catch (err) {
+      return { line, error: 'Invalid JSON' };
+    }
+  }
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const parsed = parseLine(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (parsed) yield parsed;
+      newline = buffer.indexOf('\n');
+    }
+
+    if (buffer.length > maxLineLength) {
+      throw httpError(400, 'NDJSON_LINE_TOO_LARGE', 'NDJSON line is too large', {
+        line: line + 1,
+        maxLineLength,
+      });
+    }
+  }
+
+  buffer += decoder.end();
+  const parsed = parseLine(buffer);
+  if (parsed) yield parsed;
+}
+
+module.exports = {
+  parseNdjson,
+};
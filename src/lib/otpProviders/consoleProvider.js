@@ -0,0 +1,20 @@
+// src/lib/otpProviders/consoleProvider.js
+// Development provider: writes the message to the server log.
+// The phone number is always masked. The code is only shown outside
+// production (config refuses this provider when NODE_ENV=production).
+
+const maskPhone = require('./maskPhone');
+
+function createConsoleProvider({ nodeEnv }) {
+  return {
+    name: 'console',
+
+    async send({ to, code, ttlMinutes }) {
+      const shown = nodeEnv === 'production' ? '******' : code;
+      console.log(`[OTP] ${maskPhone(to)}: ${shown} (valid ${ttlMinutes} minutes)`);
+      return { providerMessageId: null };
+    },
+  };
+}
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,17 @@
+// src/lib/otpProviders/deliveryError.js
+// Error thrown by OTP providers. `retryable` tells the delivery service
+// whether to retry the same provider or move on to the next one.
+
+/**
+ * @param {string} message - safe to log/store (never includes the code or phone)
+ * @param {{ retryable?: boolean, status?: number|null }} [options]
+ * @returns {Error}
+ */
+function deliveryError(message, { retryable = false, status = null } = {}) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.providerStatus = status;
+  return error;
+}
+
+module.exports = deliveryError;
@@ -0,0 +1,58 @@
+// src/lib/otpProviders/httpSmsProvider.js
+// Generic HTTP SMS gateway.
+//
+// Request:  POST SMS_HTTP_URL
+//           Authorization: Bearer SMS_HTTP_TOKEN   (if set)
+//           { "to": "+964...", "from": SMS_HTTP_SENDER, "text": "..." }
+// Response: any 2xx; "id" or "messageId" in a JSON body is kept as the
+//           provider message id.
+//
+// Network errors, timeouts, 429 and 5xx are retryable; other 4xx are not
+// (the gateway rejected the message, retrying would not help).
+
+const deliveryError = require('./deliveryError');
+
+function createHttpSmsProvider({ url, token, sender, timeoutMs }) {
+  return {
+    name: 'http',
+
+    async send({ to, text }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ to, from: sender, text }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        const reason = err && err.name === 'TimeoutError' ? 'timeout' : 'network error';
+        throw deliveryError(`SMS gateway ${reason}`, { retryable: true });
+      }
+
+      if (!response.ok) {
+        throw deliveryError(`SMS gateway responded ${response.status}`, {
+          retryable: response.status === 429 || response.status >= 500,
+          status: response.status,
+        });
+      }
+
+      let body = null;
+      try {
+        body = await response.json();
+      } catch (err) {
+        // Gateways that reply with an empty/non-JSON 2xx body are fine
+      }
+
+      const id = body && (body.id || body.messageId);
+      return { providerMessageId: id ? String(id) : null };
+    },
+  };
+}
+
+module.exports = createHttpSmsProvider;
@@ -0,0 +1,44 @@
+// src/lib/otpProviders/index.js
+// Builds the configured OTP providers (OTP_PROVIDERS, in failover order).
+//
+// Provider interface:
+//   {
+//     name: string,
+//     send({ to, text, code, ttlMinutes }) -> Promise<{ providerMessageId: string|null }>
+//   }
+// Failures are thrown with lib/otpProviders/deliveryError.
+
+const config = require('../config');
+const createConsoleProvider = require('./consoleProvider');
+const createHttpSmsProvider = require('./httpSmsProvider');
+const createSmtpProvider = require('./smtpProvider');
+
+const factories = {
+  console: () => createConsoleProvider({ nodeEnv: config.nodeEnv }),
+  http: () =>
+    createHttpSmsProvider({
+      ...config.smsHttp,
+      timeoutMs: config.otpProviderTimeoutMs,
+    }),
+  smtp: () =>
+    createSmtpProvider({
+      ...config.smtp,
+      timeoutMs: config.otpProviderTimeoutMs,
+    }),
+};
+
+let providers = null;
+
+/**
+ * Configured providers, created once on first use.
+ */
+function getOtpProviders() {
+  if (!providers) {
+    providers = config.otpProviders.map((name) => factories[name]());
+  }
+  return providers;
+}
+
+module.exports = {
+  getOtpProviders,
+};
@@ -0,0 +1,14 @@
+// src/lib/otpProviders/maskPhone.js
+// Phone masking for logs: "+9647701234567" -> "+96*******4567".
+
+function maskPhone(phone) {
+  const value = String(phone || '');
+
+  if (value.length <= 7) {
+    return '*'.repeat(value.length);
+  }
+
+  return value.slice(0, 3) + '*'.repeat(value.length - 7) + value.slice(-4);
+}
+
+module.exports = maskPhone;
@@ -0,0 +1,45 @@
+// src/lib/otpProviders/smtpProvider.js
+// SMTP sender for email-to-SMS gateways: the message is mailed to
+// <phone digits>@OTP_EMAIL_SMS_DOMAIN.
+//
+// Connection problems and 4xx SMTP replies (temporary) are retryable,
+// 5xx replies (permanent, e.g. unknown mailbox) are not.
+
+const nodemailer = require('nodemailer');
+const deliveryError = require('./deliveryError');
+
+function createSmtpProvider({ url, from, smsDomain, timeoutMs }) {
+  const transport = nodemailer.createTransport(url, {
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, text }) {
+      const digits = String(to).replace(/\D/g, '');
+
+      let info;
+      try {
+        info = await transport.sendMail({
+          from,
+          to: `${digits}@${smsDomain}`,
+          subject: 'Verification code',
+          text,
+        });
+      } catch (err) {
+        const smtpStatus = err && err.responseCode ? err.responseCode : null;
+        throw deliveryError(
+          smtpStatus ? `SMTP server responded ${smtpStatus}` : 'SMTP connection error',
+          { retryable: !smtpStatus || smtpStatus < 500, status: smtpStatus }
+        );
+      }
+
+      return { providerMessageId: info && info.messageId ? info.messageId : null };
+    },
+  };
+}
+
+module.exports = createSmtpProvider;
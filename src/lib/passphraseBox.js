@@ -0,0 +1,128 @@
+// src/lib/passphraseBox.js
+// Seal secrets (trustee key shares) to a passphrase the server never keeps.
+//
+// Enrollment: scrypt(passphrase, random salt) is used as an X25519 private
+// key; only its public key (and the salt) is stored.
+// Sealing: ephemeral X25519 key + ECDH with that public key, HKDF-SHA256 ->
+// AES-256-GCM key; `aad` binds the box to where it is stored.
+// Opening needs the passphrase again (wrong passphrase = GCM tag failure).
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// PKCS#8 DER prefix for a raw 32-byte X25519 private key (RFC 8410)
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+const HKDF_INFO = 'evote/passphrase-box/v1';
+
+// scrypt cost: ~32 MB and ~0.1 s per derivation
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+function privateKeyFromSeed(seed) {
+  return crypto.createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+}
+
+function exportPublicKey(publicKey) {
+  return publicKey.export({ format: 'jwk' }).x;
+}
+
+function importPublicKey(x) {
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x }, format: 'jwk' });
+}
+
+async function derivePrivateKey(passphrase, kdf) {
+  const seed = await scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 128 * kdf.N * kdf.r * 2,
+  });
+  return privateKeyFromSeed(seed);
+}
+
+function boxKey(sharedSecret, aad) {
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(aad, 'utf8'), HKDF_INFO, 32));
+}
+
+/**
+ * Public key of a passphrase (fresh salt each call).
+ *
+ * @param {string} passphrase
+ * @returns {Promise<{ publicKey: string, kdf: { alg: "scrypt", salt: string, N, r, p } }>}
+ *   publicKey = base64url raw X25519 key
+ */
+async function createRecipient(passphrase) {
+  const kdf = { alg: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...KDF_PARAMS };
+  const publicKey = crypto.createPublicKey(await derivePrivateKey(passphrase, kdf));
+  return { publicKey: exportPublicKey(publicKey), kdf };
+}
+
+/**
+ * Encrypt `plaintext` to a recipient public key.
+ *
+ * @param {string} recipientPublicKey - from createRecipient
+ * @param {string} plaintext
+ * @param {string} aad - context the box is bound to
+ * @returns {{ ephemeralPublicKey: string, iv: string, data: string, tag: string }}
+ */
+function seal(recipientPublicKey, plaintext, aad) {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const key = boxKey(
+    crypto.diffieHellman({
+      privateKey: ephemeral.privateKey,
+      publicKey: importPublicKey(recipientPublicKey),
+    }),
+    aad
+  );
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    ephemeralPublicKey: exportPublicKey(ephemeral.publicKey),
+    iv: iv.toString('base64'),
+    data: data.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a box with the passphrase it was sealed to.
+ *
+ * @returns {Promise<string | null>} null when the passphrase (or aad) is wrong
+ */
+async function open(passphrase, kdf, box, aad) {
+  const key = boxKey(
+    crypto.diffieHellman({
+      privateKey: await derivePrivateKey(passphrase, kdf),
+      publicKey: importPublicKey(box.ephemeralPublicKey),
+    }),
+    aad
+  );
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(box.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  createRecipient,
+  seal,
+  open,
+};
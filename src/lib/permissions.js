@@ -0,0 +1,75 @@
+// src/lib/permissions.js
+// Admin roles and the permission matrix applied per route
+// (see middlewares/requirePermission.js and routes/adminRoutes.js).
+//
+//   superadmin       everything, including managing other admins
+//   electionManager  elections, ballots, open/close/finalize, results
+//   registrar        voter registration operations (OTP deliveries, voter roll)
+//   auditor          read-only: elections, ballots, results, audit trails
+//   trustee          key ceremonies and decryption shares (own slot only)
+
+const ROLES = ['superadmin', 'electionManager', 'registrar', 'auditor', 'trustee'];
+
+// Roles stored by earlier versions
+const LEGACY_ROLE_ALIASES = {
+  electionAdmin: 'electionManager',
+  viewer: 'auditor',
+};
+
+const PERMISSIONS = {
+  'elections:read': ['superadmin', 'electionManager', 'registrar', 'auditor', 'trustee'],
+  'elections:write': ['superadmin', 'electionManager'],
+  'elections:lifecycle': ['superadmin', 'electionManager'],
+  'elections:finalize': ['superadmin', 'electionManager'],
+  'ballot:read': ['superadmin', 'electionManager', 'registrar', 'auditor'],
+  'ballot:write': ['superadmin', 'electionManager'],
+  'results:read': ['superadmin', 'electionManager', 'auditor'],
+  'audit:read': ['superadmin', 'electionManager', 'auditor'],
+  'tally:manage': ['superadmin', 'electionManager'],
+  'voters:manage': ['superadmin', 'registrar'],
+  'otp:read': ['superadmin', 'registrar'],
+  'admins:manage': ['superadmin'],
+  'trustees:manage': ['superadmin'],
+  'ceremony:participate': ['trustee'],
+};
+
+/**
+ * Map legacy role names to current ones. Unknown roles map to null
+ * (no permissions).
+ */
+function normalizeRole(role) {
+  if (ROLES.includes(role)) return role;
+  return LEGACY_ROLE_ALIASES[role] || null;
+}
+
+/**
+ * @param {string} role - stored role (legacy names accepted)
+ * @param {string} permission - key of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return allowed.includes(normalizeRole(role));
+}
+
+/**
+ * Permissions granted to a role (for GET /admin/me style responses).
+ */
+function permissionsFor(role) {
+  const normalized = normalizeRole(role);
+  return Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].includes(normalized));
+}
+
+module.exports = {
+  ROLES,
+  LEGACY_ROLE_ALIASES,
+  PERMISSIONS,
+  normalizeRole,
+  hasPermission,
+  permissionsFor,
+};
@@ -0,0 +1,19 @@
+// src/lib/phoneHash.js
+// Keyed hash of a (trimmed) phone number: the lookup key for OTPs, rate
+// limits and roll-bound phones. The phone itself is only stored encrypted.
+//
+// HMAC-SHA256 under a key derived from JWT_SECRET: phone numbers are few
+// enough to hash them all, so a plain sha256 in a leaked table would give
+// the numbers back. Changing JWT_SECRET changes every phoneHash; run
+// `npm run db:init` afterwards to re-key the roll entries.
+
+const crypto = require('crypto');
+const { deriveKey } = require('./keyDerivation');
+
+const phoneHashKey = deriveKey('evote/phone-hash');
+
+function hashPhone(phone) {
+  return crypto.createHmac('sha256', phoneHashKey).update(phone).digest('hex');
+}
+
+module.exports = hashPhone;
@@ -0,0 +1,193 @@
+// src/lib/rankedTally.js
+// Preferential vote counting: instant-runoff (single seat) and single
+// transferable vote (multi-seat, Droop quota, fractional Gregory transfers).
+//
+// Input ballots are grouped: [{ ranking: ["c3", "c1"], count: 12 }, ...].
+// Every round is reported so results can be audited step by step.
+//
+// Ties (for elimination or election order) are broken by the most recent
+// earlier round in which the tied candidates differed, then by candidateId
+// (lexicographically smaller wins / is kept).
+
+const PRECISION = 1e6;
+
+function round6(n) {
+  return Math.round(n * PRECISION) / PRECISION;
+}
+
+function compareForTie(a, b, history) {
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const diff = (history[i][a] || 0) - (history[i][b] || 0);
+    if (diff !== 0) return diff;
+  }
+  // Deterministic last resort: smaller id ranks "higher"
+  return a < b ? 1 : a > b ? -1 : 0;
+}
+
+/**
+ * Next continuing candidate on a ballot after position `from`.
+ */
+function nextPreference(ranking, from, continuing) {
+  for (let i = from; i < ranking.length; i += 1) {
+    if (continuing.has(ranking[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Count a preferential election.
+ *
+ * @param {object} params
+ * @param {Array<{ ranking: string[], count: number }>} params.ballots
+ * @param {string[]} params.candidateIds - candidates standing (continuing at start)
+ * @param {number} [params.seats=1]
+ * @returns {{
+ *   method: "irv" | "stv",
+ *   seats: number,
+ *   validBallots: number,
+ *   quota: number | null,
+ *   elected: string[],
+ *   rounds: Array<object>
+ * }}
+ */
+function countRanked({ ballots, candidateIds, seats = 1 }) {
+  const method = seats === 1 ? 'irv' : 'stv';
+  const standing = new Set(candidateIds);
+  const continuing = new Set(candidateIds);
+
+  // Parcels: { ranking, pos, weight }, weight = number of ballots * transfer value
+  const piles = new Map(candidateIds.map((id) => [id, []]));
+  let exhausted = 0;
+  let validBallots = 0;
+
+  for (const b of ballots) {
+    // Ignore preferences for candidates no longer standing
+    const ranking = b.ranking.filter((id) => standing.has(id));
+    if (ranking.length === 0 || b.count <= 0) continue;
+
+    validBallots += b.count;
+    piles.get(ranking[0]).push({ ranking, pos: 0, weight: b.count });
+  }
+
+  // Droop quota for STV; IRV uses a majority of the continuing votes per round
+  const quota = method === 'stv' ? Math.floor(validBallots / (seats + 1)) + 1 : null;
+
+  const elected = [];
+  const rounds = [];
+  const history = [];
+
+  function tallyOf(id) {
+    return piles.get(id).reduce((sum, p) => sum + p.weight, 0);
+  }
+
+  /**
+   * Move every parcel of `fromId` to its next continuing preference,
+   * scaled by `factor` (1 for eliminations, surplus/total for surpluses).
+   */
+  function transfer(fromId, factor) {
+    const to = {};
+    let exhaustedNow = 0;
+
+    for (const parcel of piles.get(fromId)) {
+      const weight = parcel.weight * factor;
+      if (weight <= 0) continue;
+
+      const pos = nextPreference(parcel.ranking, parcel.pos + 1, continuing);
+      if (pos === -1) {
+        exhaustedNow += weight;
+        continue;
+      }
+
+      const target = parcel.ranking[pos];
+      piles.get(target).push({ ranking: parcel.ranking, pos, weight });
+      to[target] = (to[target] || 0) + weight;
+    }
+
+    piles.set(fromId, []);
+    exhausted += exhaustedNow;
+
+    return {
+      to: Object.fromEntries(Object.entries(to).map(([k, v]) => [k, round6(v)])),
+      exhausted: round6(exhaustedNow),
+    };
+  }
+
+  while (elected.length < seats && continuing.size > 0) {
+    const tallies = {};
+    for (const id of continuing) {
+      tallies[id] = tallyOf(id);
+    }
+
+    const ordered = Array.from(continuing).sort(
+      (a, b) => tallies[b] - tallies[a] || compareForTie(b, a, history)
+    );
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: Object.fromEntries(ordered.map((id) => [id, round6(tallies[id])])),
+      exhausted: round6(exhausted),
+      elected: [],
+      eliminated: null,
+      transfer: null,
+    };
+    rounds.push(round);
+    history.push(tallies);
+
+    // Few enough candidates left: all of them fill the remaining seats
+    if (continuing.size <= seats - elected.length) {
+      for (const id of ordered) {
+        elected.push(id);
+        round.elected.push(id);
+        continuing.delete(id);
+      }
+      break;
+    }
+
+    const leader = ordered[0];
+    const continuingTotal = ordered.reduce((sum, id) => sum + tallies[id], 0);
+    const threshold = method === 'stv' ? quota : continuingTotal / 2;
+    const reached =
+      method === 'stv' ? tallies[leader] >= threshold : tallies[leader] > threshold;
+
+    if (reached) {
+      elected.push(leader);
+      round.elected.push(leader);
+      continuing.delete(leader);
+
+      if (method === 'stv' && elected.length < seats) {
+        const surplus = tallies[leader] - quota;
+        const factor = tallies[leader] > 0 ? surplus / tallies[leader] : 0;
+        round.transfer = {
+          from: leader,
+          type: 'surplus',
+          amount: round6(surplus),
+          ...transfer(leader, factor),
+        };
+      }
+      continue;
+    }
+
+    const loser = ordered[ordered.length - 1];
+    continuing.delete(loser);
+    round.eliminated = loser;
+    round.transfer = {
+      from: loser,
+      type: 'elimination',
+      amount: round6(tallies[loser]),
+      ...transfer(loser, 1),
+    };
+  }
+
+  return {
+    method,
+    seats,
+    validBallots,
+    quota,
+    elected,
+    rounds,
+  };
+}
+
+module.exports = {
+  countRanked,
+};
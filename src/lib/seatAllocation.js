@@ -0,0 +1,157 @@
+// src/lib/seatAllocation.js
+// Party-list proportional representation: highest-averages seat allocation
+// (D'Hondt, Sainte-Laguë, modified Sainte-Laguë) with an optional threshold,
+// and filling each list's seats with an optional women's quota.
+//
+// Divisor sequences:
+//   dhondt                 1, 2, 3, 4, ...
+//   sainte-lague           1, 3, 5, 7, ...
+//   modified-sainte-lague  firstDivisor, 3, 5, 7, ...   (e.g. 1.4, or 1.7 in Iraq)
+//
+// Ties for a seat go to the party with more votes, then the smaller partyId.
+
+const SEAT_ALLOCATION_METHODS = ['dhondt', 'sainte-lague', 'modified-sainte-lague'];
+
+const DEFAULT_FIRST_DIVISOR = 1.4;
+
+function divisorFor(method, index, firstDivisor) {
+  if (method === 'dhondt') return index + 1;
+  if (index === 0 && method === 'modified-sainte-lague') return firstDivisor;
+  return 2 * index + 1;
+}
+
+/**
+ * Allocate `seats` between parties by the highest-averages method.
+ *
+ * @param {object} params
+ * @param {Array<{ partyId: string, votes: number }>} params.parties
+ * @param {number} params.seats
+ * @param {string} params.method - one of SEAT_ALLOCATION_METHODS
+ * @param {number} [params.firstDivisor] - modified-sainte-lague only
+ * @param {number} [params.threshold=0] - minimum share of valid votes (0..1)
+ * @returns {{
+ *   validVotes: number,
+ *   thresholdVotes: number,
+ *   seatsByParty: Object<string, number>,
+ *   eligible: string[],
+ *   allocations: Array<{ seat: number, partyId: string, divisor: number, quotient: number }>
+ * }}
+ */
+function allocateSeats({
+  parties,
+  seats,
+  method,
+  firstDivisor = DEFAULT_FIRST_DIVISOR,
+  threshold = 0,
+}) {
+  if (!SEAT_ALLOCATION_METHODS.includes(method)) {
+    throw new Error(`Unknown seat allocation method: ${method}`);
+  }
+
+  const validVotes = parties.reduce((sum, p) => sum + p.votes, 0);
+  const thresholdVotes = validVotes * (threshold || 0);
+
+  const eligible = parties
+    .filter((p) => p.votes > 0 && p.votes >= thresholdVotes)
+    .sort((a, b) => b.votes - a.votes || (a.partyId < b.partyId ? -1 : 1));
+
+  const seatsByParty = Object.fromEntries(parties.map((p) => [p.partyId, 0]));
+  const allocations = [];
+
+  if (eligible.length === 0) {
+    return { validVotes, thresholdVotes, seatsByParty, eligible: [], allocations };
+  }
+
+  for (let seat = 1; seat <= seats; seat += 1) {
+    let best = null;
+
+    // eligible is sorted by votes desc / partyId asc, so a strict ">" keeps
+    // the tie-break order
+    for (const p of eligible) {
+      const divisor = divisorFor(method, seatsByParty[p.partyId], firstDivisor);
+      const quotient = p.votes / divisor;
+
+      if (!best || quotient > best.quotient) {
+        best = { partyId: p.partyId, divisor, quotient };
+      }
+    }
+
+    seatsByParty[best.partyId] += 1;
+    allocations.push({
+      seat,
+      partyId: best.partyId,
+      divisor: best.divisor,
+      quotient: Math.round(best.quotient * 1e6) / 1e6,
+    });
+  }
+
+  return {
+    validVotes,
+    thresholdVotes,
+    seatsByParty,
+    eligible: eligible.map((p) => p.partyId),
+    allocations,
+  };
+}
+
+/**
+ * Pick the elected candidates of one list.
+ *
+ * Candidates must already be in list-ranking order. The top `seatsWon`
+ * are elected; if fewer than floor(seatsWon * womenShare) of them are
+ * women, the lowest-ranked elected men are replaced by the highest-ranked
+ * women not yet elected, one at a time.
+ *
+ * @param {object} params
+ * @param {Array<{ candidateId: string, gender?: string }>} params.candidates
+ * @param {number} params.seatsWon
+ * @param {number|null} [params.womenShare] - e.g. 0.25
+ * @returns {{ elected: object[], replacements: Array<{ removed: string, added: string }>,
+ *   womenRequired: number, vacant: number }}
+ */
+function fillListSeats({ candidates, seatsWon, womenShare = null }) {
+  const elected = candidates.slice(0, seatsWon);
+  const waiting = candidates.slice(seatsWon);
+  const replacements = [];
+
+  // Small epsilon so 4 * 0.25 is 1, not 0.9999...
+  const womenRequired = womenShare ? Math.floor(seatsWon * womenShare + 1e-9) : 0;
+
+  let women = elected.filter((c) => c.gender === 'female').length;
+
+  while (women < womenRequired) {
+    const inIndex = waiting.findIndex((c) => c.gender === 'female');
+    let outIndex = -1;
+    for (let i = elected.length - 1; i >= 0; i -= 1) {
+      if (elected[i].gender !== 'female') {
+        outIndex = i;
+        break;
+      }
+    }
+
+    // Not enough women on the list: the quota cannot be met
+    if (inIndex === -1 || outIndex === -1) break;
+
+    const [added] = waiting.splice(inIndex, 1);
+    const [removed] = elected.splice(outIndex, 1);
+    elected.push(added);
+    waiting.unshift(removed);
+
+    replacements.push({ removed: removed.candidateId, added: added.candidateId });
+    women += 1;
+  }
+
+  return {
+    elected,
+    replacements,
+    womenRequired,
+    vacant: seatsWon - elected.length,
+  };
+}
+
+module.exports = {
+  SEAT_ALLOCATION_METHODS,
+  DEFAULT_FIRST_DIVISOR,
+  allocateSeats,
+  fillListSeats,
+};
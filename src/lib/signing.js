@@ -0,0 +1,101 @@
+// src/lib/signing.js
+// Server Ed25519 signing key (receipts, exports, ...).
+//
+// Key source:
+// - SERVER_SIGNING_KEY: base64-encoded 32-byte Ed25519 seed (recommended)
+// - otherwise derived from JWT_SECRET via HKDF (dev convenience)
+
+const crypto = require('crypto');
+const config = require('./config');
+const { deriveKey } = require('./keyDerivation');
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 private key (RFC 8410)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Build an Ed25519 KeyObject pair from a 32-byte seed.
+ *
+ * @param {Buffer} seed
+ * @returns {{ privateKey: crypto.KeyObject, publicKey: crypto.KeyObject }}
+ */
+function keyPairFromSeed(seed) {
+  if (!Buffer.isBuffer(seed) || seed.length !== 32) {
+    throw new Error('Ed25519 seed must be 32 bytes');
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+}
+
+/**
+ * Short, stable identifier of a public key: first 16 hex chars of
+ * sha256(SPKI DER).
+ */
+function getKeyId(publicKey) {
+  const der = publicKey.export({ format: 'der', type: 'spki' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+const seed = config.serverSigningKeyBase64
+  ? Buffer.from(config.serverSigningKeyBase64, 'base64')
+  : deriveKey('evote/server-signing-key');
+
+const { privateKey, publicKey } = keyPairFromSeed(seed);
+const keyId = getKeyId(publicKey);
+
+/**
+ * Sign data with the server key.
+ *
+ * @param {string|Buffer} data
+ * @returns {string} base64url signature
+ */
+function sign(data) {
+  return crypto.sign(null, Buffer.from(data), privateKey).toString('base64url');
+}
+
+/**
+ * Verify a server signature. Returns false on any malformed input.
+ *
+ * @param {string|Buffer} data
+ * @param {string} signature - base64url
+ * @returns {boolean}
+ */
+function verify(data, signature) {
+  if (typeof signature !== 'string' || !signature) return false;
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(data),
+      publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Public half of the server key, for offline verification.
+ */
+function getPublicKeyInfo() {
+  return {
+    algorithm: 'Ed25519',
+    keyId,
+    publicKeyPem: publicKey.export({ format: 'pem', type: 'spki' }),
+  };
+}
+
+module.exports = {
+  keyPairFromSeed,
+  getKeyId,
+  sign,
+  verify,
+  getPublicKeyInfo,
+  keyId,
+};
@@ -0,0 +1,49 @@
+// src/lib/websocket.js
+// WebSocket upgrades for push-only channels (live results), on top of the
+// `ws` package (handshake, framing, ping/pong, close). Client messages are
+// not used; ws closes connections sending more than MAX_CLIENT_PAYLOAD.
+
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+
+const MAX_CLIENT_PAYLOAD = 4 * 1024;
+
+// Attached to no port: upgrades are handed over by the HTTP server's
+// `upgrade` handler once the request is authorized
+const server = new WebSocketServer({
+  noServer: true,
+  maxPayload: MAX_CLIENT_PAYLOAD,
+  clientTracking: false,
+});
+
+/**
+ * Answer an upgrade request with a plain HTTP error and close the socket.
+ */
+function rejectUpgrade(socket, status, body) {
+  const text = JSON.stringify(body);
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status] || 'Error'}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(text)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      text
+  );
+}
+
+/**
+ * Complete the handshake of an HTTP upgrade request. Invalid WebSocket
+ * requests are answered 400 by ws and `onConnection` is not called.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head - first packet of the upgraded stream
+ * @param {(ws: import('ws').WebSocket) => void} onConnection
+ */
+function acceptWebSocket(req, socket, head, onConnection) {
+  server.handleUpgrade(req, socket, head, onConnection);
+}
+
+module.exports = {
+  acceptWebSocket,
+  rejectUpgrade,
+};
@@ -1,7 +1,12 @@
 // src/middlewares/authAdmin.js
 // Middleware to authenticate admin JWTs (scope: "admin").
+// The admin is re-read from the database on every request, so suspensions
+// and role changes apply immediately (req.admin = { adminId, role, mfaEnabled }).
 
+const { getDb } = require('../lib/mongo');
 const { verifyJwt } = require('../lib/jwt');
+const { normalizeRole } = require('../lib/permissions');
+const tokenService = require('../services/tokenService');
 
 function extractBearerToken(req) {
   const authHeader = req.headers['authorization'] || req.headers['Authorization'];
@@ -36,7 +41,7 @@ function hasScope(payload, requiredScope) {
   return false;
 }
 
-module.exports = function authAdmin(req, res, next) {
+module.exports = async function authAdmin(req, res, next) {
   const token = extractBearerToken(req);
 
   if (!token) {
@@ -58,13 +63,56 @@ module.exports = function authAdmin(req, res, next) {
       });
     }
 
+    // Logged out / revoked sessions (jti denylist)
+    if (await tokenService.isJtiRevoked(decoded.jti)) {
+      return res.status(401).json({
+        code: 'TOKEN_REVOKED',
+        message: 'Token has been revoked',
+        details: {},
+      });
+    }
+
+    const admin = await getDb()
+      .collection('admins')
+      .findOne(
+        { adminId: decoded.adminId },
+        { projection: { _id: 0, adminId: 1, role: 1, status: 1, 'mfa.enabled': 1 } }
+      );
+
+    if (!admin) {
+      return res.status(401).json({
+        code: 'INVALID_TOKEN',
+        message: 'Invalid or expired token',
+        details: {},
+      });
+    }
+
+    if (admin.status !== 'active') {
+      return res.status(403).json({
+        code: 'ADMIN_INACTIVE',
+        message: 'Admin account is not active',
+        details: { status: admin.status },
+      });
+    }
+
     req.user = decoded;
-    next();
+    req.admin = {
+      adminId: admin.adminId,
+      role: normalizeRole(admin.role),
+      mfaEnabled: Boolean(admin.mfa && admin.mfa.enabled),
+    };
   } catch (err) {
+    // Anything but a bad token (e.g. DB down) goes to the error handler
+    if (err.code !== 'INVALID_TOKEN') {
+      return next(err);
+    }
+
     return res.status(err.status || 401).json({
       code: err.code || 'INVALID_TOKEN',
       message: err.message || 'Invalid or expired token',
       details: err.details || {},
     });
   }
+
+  next();
 };
@@ -0,0 +1,37 @@
+// src/middlewares/authLiveStream.js
+// Authentication for the live results stream: a normal admin Bearer token,
+// or `?ticket=` (single-use stream ticket) for clients that can't send
+// headers (EventSource). Sets req.admin like authAdmin.
+
+const authAdmin = require('./authAdmin');
+const tokenService = require('../services/tokenService');
+
+module.exports = async function authLiveStream(req, res, next) {
+  const { ticket } = req.query;
+
+  if (ticket === undefined) {
+    return authAdmin(req, res, next);
+  }
+
+  try {
+    const admin = await tokenService.consumeStreamTicket(
+      String(ticket),
+      req.params.electionId
+    );
+
+    req.user = { adminId: admin.adminId, role: admin.role };
+    req.admin = { adminId: admin.adminId, role: admin.role, mfaEnabled: null };
+  } catch (err) {
+    if (!err.status) {
+      return next(err);
+    }
+
+    return res.status(err.status).json({
+      code: err.code,
+      message: err.message,
+      details: err.details || {},
+    });
+  }
+
+  next();
+};
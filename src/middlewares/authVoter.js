@@ -2,6 +2,7 @@
 // Middleware to authenticate voter JWTs (scope: "voter").
 
 const { verifyJwt } = require('../lib/jwt');
+const tokenService = require('../services/tokenService');
 
 function extractBearerToken(req) {
   const authHeader = req.headers['authorization'] || req.headers['Authorization'];
@@ -38,7 +39,7 @@ function hasScope(payload, requiredScope) {
   return false;
 }
 
-module.exports = function authVoter(req, res, next) {
+module.exports = async function authVoter(req, res, next) {
   const token = extractBearerToken(req);
 
   if (!token) {
@@ -60,10 +61,23 @@ module.exports = function authVoter(req, res, next) {
       });
     }
 
+    // Logged out / revoked sessions (jti denylist)
+    if (await tokenService.isJtiRevoked(decoded.jti)) {
+      return res.status(401).json({
+        code: 'TOKEN_REVOKED',
+        message: 'Token has been revoked',
+        details: {},
+      });
+    }
+
     // Attach user info to request
     req.user = decoded;
-    next();
   } catch (err) {
+    // Anything but a bad token (e.g. DB down) goes to the error handler
+    if (err.code !== 'INVALID_TOKEN') {
+      return next(err);
+    }
+
     // verifyJwt already normalizes error
     return res.status(err.status || 401).json({
       code: err.code || 'INVALID_TOKEN',
@@ -71,4 +85,6 @@ module.exports = function authVoter(req, res, next) {
       details: err.details || {},
     });
   }
+
+  next();
 };
@@ -0,0 +1,14 @@
+// src/middlewares/optionalAuthVoter.js
+// Voter authentication for endpoints that also answer anonymously
+// (GET /ballot): with an Authorization header it behaves like authVoter,
+// without one the request continues with no req.user.
+
+const authVoter = require('./authVoter');
+
+module.exports = function optionalAuthVoter(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return authVoter(req, res, next);
+};
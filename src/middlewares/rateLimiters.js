@@ -1,5 +1,5 @@
 // src/middlewares/rateLimiters.js
-// Basic rate limiters for OTP and login endpoints.
+// Basic rate limiters for OTP, login and public endpoints.
 // NOTE: These are IP-based. We'll also enforce per-phone/per-voter limits
 // using MongoDB collections (otp_attempts, login_attempts) in later steps.
 
@@ -39,7 +39,46 @@ const loginRateLimiter = rateLimit({
   },
 });
 
+// Public, unauthenticated lookups (e.g. receipt verification)
+const publicReadRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,             // 30 requests per minute per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, _next, options) => {
+    res.status(429).json({
+      code: 'RATE_LIMITED',
+      message: 'Too many requests. Please slow down.',
+      details: {
+        windowMs: options.windowMs,
+        max: options.max,
+      },
+    });
+  },
+});
+
+// Anonymous ballots (POST /vote/anonymous): no voter to limit per, and
+// many voters may share one address
+const anonymousBallotRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,             // 60 ballots per minute per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, _next, options) => {
+    res.status(429).json({
+      code: 'RATE_LIMITED',
+      message: 'Too many ballots from this address. Please try again shortly.',
+      details: {
+        windowMs: options.windowMs,
+        max: options.max,
+      },
+    });
+  },
+});
+
 module.exports = {
   otpRateLimiter,
   loginRateLimiter,
+  publicReadRateLimiter,
+  anonymousBallotRateLimiter,
 };
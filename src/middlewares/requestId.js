@@ -0,0 +1,18 @@
+// src/middlewares/requestId.js
+// Attach a request ID (req.requestId) and echo it as X-Request-Id.
+// A well-formed incoming X-Request-Id (e.g. from a proxy) is kept so logs
+// can be correlated across services; anything else is replaced.
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+module.exports = function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+
+  req.requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+};
@@ -9,6 +9,7 @@ module.exports = function requestLogger(req, res, next) {
 
     // Minimal, structured log line
     const log = {
+      requestId: req.requestId,
       method: req.method,
       path: req.originalUrl,
       status: res.statusCode,
@@ -0,0 +1,27 @@
+// src/middlewares/requirePermission.js
+// Route guard for admin permissions. Use after authAdmin, which loads the
+// admin's current role from the database into req.admin.
+
+const { hasPermission } = require('../lib/permissions');
+
+/**
+ * @param {string} permission - e.g. "elections:finalize"
+ */
+module.exports = function requirePermission(permission) {
+  // Fail at startup on a typo instead of denying every request
+  hasPermission('superadmin', permission);
+
+  return function checkPermission(req, res, next) {
+    const role = req.admin && req.admin.role;
+
+    if (!role || !hasPermission(role, permission)) {
+      return res.status(403).json({
+        code: 'FORBIDDEN',
+        message: 'Your admin role does not allow this action',
+        details: { permission, role: role || null },
+      });
+    }
+
+    next();
+  };
+};
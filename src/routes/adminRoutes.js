@@ -1,20 +1,436 @@
 // src/routes/adminRoutes.js
-// Admin routes: login, open/close election, totals, finalize.
+// Admin routes: login, election lifecycle, ballot encryption, trustees & key
+// ceremonies, districts/parties/candidates, totals, tally counters, live results, results exports, admin
+// accounts, voters, audit log. Every protected route names the permission it needs (matrix in
+// lib/permissions.js).
 
 const express = require('express');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
+const adminUserController = require('../controllers/adminUserController');
+const adminMfaController = require('../controllers/adminMfaController');
+const voterAdminController = require('../controllers/voterAdminController');
+const voterRollController = require('../controllers/voterRollController');
+const auditController = require('../controllers/auditController');
+const resultsExportController = require('../controllers/resultsExportController');
+const liveResultsController = require('../controllers/liveResultsController');
+const electionController = require('../controllers/electionController');
+const tallyController = require('../controllers/tallyController');
+const encryptionController = require('../controllers/encryptionController');
+const keyCeremonyController = require('../controllers/keyCeremonyController');
+const ballotAdminController = require('../controllers/ballotAdminController');
 const authAdmin = require('../middlewares/authAdmin');
+const authLiveStream = require('../middlewares/authLiveStream');
+const requirePermission = require('../middlewares/requirePermission');
+const { loginRateLimiter } = require('../middlewares/rateLimiters');
 
-// Public: admin login
-router.post('/login', adminController.adminLogin);
+// Public: admin login (password step, then TOTP step when enabled/required)
+router.post('/login', loginRateLimiter, adminController.adminLogin);
+router.post('/login/enroll', loginRateLimiter, adminController.startLoginEnrollment);
+router.post('/login/verify', loginRateLimiter, adminController.verifyAdminLogin);
+
+// Protected: end the admin session (refresh via POST /auth/refresh)
+router.post('/logout', authAdmin, adminController.adminLogout);
+
+// Protected: current admin + permissions
+router.get('/me', authAdmin, adminUserController.getCurrentAdmin);
+
+// Protected: own TOTP settings
+router.post('/mfa/enroll', authAdmin, adminMfaController.startEnrollment);
+router.post('/mfa/confirm', authAdmin, adminMfaController.confirmEnrollment);
+router.post('/mfa/recovery-codes', authAdmin, adminMfaController.regenerateRecoveryCodes);
+router.post('/mfa/disable', authAdmin, adminMfaController.disableMfa);
+
+// Protected: admin accounts (superadmin only)
+router.get(
+  '/admins',
+  authAdmin,
+  requirePermission('admins:manage'),
+  adminUserController.listAdmins
+);
+router.post(
+  '/admins',
+  authAdmin,
+  requirePermission('admins:manage'),
+  adminUserController.createAdmin
+);
+router.patch(
+  '/admins/:adminId',
+  authAdmin,
+  requirePermission('admins:manage'),
+  adminUserController.updateAdmin
+);
+router.post(
+  '/admins/:adminId/suspend',
+  authAdmin,
+  requirePermission('admins:manage'),
+  adminUserController.suspendAdmin
+);
+router.post(
+  '/admins/:adminId/reactivate',
+  authAdmin,
+  requirePermission('admins:manage'),
+  adminUserController.reactivateAdmin
+);
+
+// Protected: election lifecycle
+router.post(
+  '/elections',
+  authAdmin,
+  requirePermission('elections:write'),
+  electionController.createElection
+);
+router.get(
+  '/elections',
+  authAdmin,
+  requirePermission('elections:read'),
+  electionController.listElections
+);
+router.get(
+  '/elections/:electionId',
+  authAdmin,
+  requirePermission('elections:read'),
+  electionController.getElection
+);
+router.patch(
+  '/elections/:electionId',
+  authAdmin,
+  requirePermission('elections:write'),
+  electionController.updateElection
+);
+router.post(
+  '/elections/:electionId/transitions',
+  authAdmin,
+  requirePermission('elections:lifecycle'),
+  electionController.transitionElection
+);
+router.get(
+  '/elections/:electionId/transitions',
+  authAdmin,
+  requirePermission('audit:read'),
+  electionController.listTransitions
+);
+router.get(
+  '/elections/:electionId/chain/verify',
+  authAdmin,
+  requirePermission('audit:read'),
+  electionController.verifyChain
+);
+router.get(
+  '/elections/:electionId/snapshot/verify',
+  authAdmin,
+  requirePermission('audit:read'),
+  electionController.verifySnapshot
+);
+
+// Protected: tally counters (reconcile against the raw votes, rebuild)
+router.get(
+  '/elections/:electionId/tally',
+  authAdmin,
+  requirePermission('results:read'),
+  tallyController.getTally
+);
+router.post(
+  '/elections/:electionId/tally/reconcile',
+  authAdmin,
+  requirePermission('tally:manage'),
+  tallyController.reconcileTally
+);
+router.post(
+  '/elections/:electionId/tally/rebuild',
+  authAdmin,
+  requirePermission('tally:manage'),
+  tallyController.rebuildTally
+);
+
+// Protected: encrypted ballots (key from a ceremony while editable, decryption once closed)
+router.post(
+  '/elections/:electionId/key-ceremony',
+  authAdmin,
+  requirePermission('elections:write'),
+  keyCeremonyController.startCeremony
+);
+router.get(
+  '/elections/:electionId/key-ceremony',
+  authAdmin,
+  requirePermission('elections:read'),
+  keyCeremonyController.getCeremony
+);
+router.delete(
+  '/elections/:electionId/key-ceremony',
+  authAdmin,
+  requirePermission('elections:write'),
+  keyCeremonyController.cancelCeremony
+);
+router.delete(
+  '/elections/:electionId/encryption',
+  authAdmin,
+  requirePermission('elections:write'),
+  encryptionController.disableEncryption
+);
+router.get(
+  '/elections/:electionId/decryption',
+  authAdmin,
+  requirePermission('results:read'),
+  encryptionController.getDecryptionStatus
+);
+
+// Protected: trustee registry (trustees are admin accounts with role "trustee")
+router.get(
+  '/trustees',
+  authAdmin,
+  requirePermission('elections:read'),
+  keyCeremonyController.listTrustees
+);
+router.post(
+  '/trustees',
+  authAdmin,
+  requirePermission('trustees:manage'),
+  keyCeremonyController.registerTrustee
+);
+router.post(
+  '/trustees/:trusteeId/retire',
+  authAdmin,
+  requirePermission('trustees:manage'),
+  keyCeremonyController.retireTrustee
+);
+
+// Protected: the signed-in trustee's own ceremony steps
+router.get(
+  '/trustee/ceremonies',
+  authAdmin,
+  requirePermission('ceremony:participate'),
+  keyCeremonyController.listMyCeremonies
+);
+router.post(
+  '/trustee/ceremonies/:ceremonyId/enroll',
+  authAdmin,
+  requirePermission('ceremony:participate'),
+  keyCeremonyController.enroll
+);
+router.post(
+  '/trustee/elections/:electionId/decryption-share',
+  authAdmin,
+  requirePermission('ceremony:participate'),
+  keyCeremonyController.submitShare
+);
+router.get(
+  '/trustee/elections/:electionId/snapshot-endorsement',
+  authAdmin,
+  requirePermission('ceremony:participate'),
+  keyCeremonyController.getSnapshotEndorsement
+);
+router.post(
+  '/trustee/elections/:electionId/snapshot-endorsement',
+  authAdmin,
+  requirePermission('ceremony:participate'),
+  keyCeremonyController.endorseSnapshot
+);
+
+// Protected: districts, parties & candidates (writes locked once the election opens)
+// NOTE: /reorder routes are declared before /:partyId and /:candidateId ones.
+router.get(
+  '/elections/:electionId/districts',
+  authAdmin,
+  requirePermission('ballot:read'),
+  ballotAdminController.listDistricts
+);
+router.post(
+  '/elections/:electionId/districts',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.createDistrict
+);
+router.patch(
+  '/elections/:electionId/districts/:districtId',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.updateDistrict
+);
+router.post(
+  '/elections/:electionId/districts/:districtId/deactivate',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.deactivateDistrict
+);
+
+router.get(
+  '/elections/:electionId/parties',
+  authAdmin,
+  requirePermission('ballot:read'),
+  ballotAdminController.listParties
+);
+router.post(
+  '/elections/:electionId/parties',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.createParty
+);
+router.post(
+  '/elections/:electionId/parties/reorder',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.reorderParties
+);
+router.patch(
+  '/elections/:electionId/parties/:partyId',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.updateParty
+);
+router.post(
+  '/elections/:electionId/parties/:partyId/deactivate',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.deactivateParty
+);
+
+router.get(
+  '/elections/:electionId/candidates',
+  authAdmin,
+  requirePermission('ballot:read'),
+  ballotAdminController.listCandidates
+);
+router.post(
+  '/elections/:electionId/candidates',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.createCandidate
+);
+router.post(
+  '/elections/:electionId/candidates/reorder',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.reorderCandidates
+);
+router.patch(
+  '/elections/:electionId/candidates/:candidateId',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.updateCandidate
+);
+router.post(
+  '/elections/:electionId/candidates/:candidateId/deactivate',
+  authAdmin,
+  requirePermission('ballot:write'),
+  ballotAdminController.deactivateCandidate
+);
+
+// Protected: electoral roll (locked once the election opens)
+router.post(
+  '/elections/:electionId/roll',
+  authAdmin,
+  requirePermission('voters:manage'),
+  voterRollController.importRoll
+);
+router.get(
+  '/elections/:electionId/roll',
+  authAdmin,
+  requirePermission('voters:manage'),
+  voterRollController.getRoll
+);
+router.get(
+  '/elections/:electionId/roll/entries',
+  authAdmin,
+  requirePermission('voters:manage'),
+  voterRollController.listRollEntries
+);
+router.get(
+  '/elections/:electionId/roll/diff',
+  authAdmin,
+  requirePermission('voters:manage'),
+  voterRollController.diffRoll
+);
 
 // Protected: election management
-router.post('/open', authAdmin, adminController.openElection);
-router.post('/close', authAdmin, adminController.closeElection);
+router.post(
+  '/open',
+  authAdmin,
+  requirePermission('elections:lifecycle'),
+  adminController.openElection
+);
+router.post(
+  '/close',
+  authAdmin,
+  requirePermission('elections:lifecycle'),
+  adminController.closeElection
+);
+
+router.get(
+  '/totals',
+  authAdmin,
+  requirePermission('results:read'),
+  adminController.getTotals
+);
+router.post(
+  '/finalize',
+  authAdmin,
+  requirePermission('elections:finalize'),
+  adminController.finalizeElection
+);
+
+// Protected: live turnout / tallies (SSE; tallies only with results:read)
+router.post(
+  '/elections/:electionId/live/tickets',
+  authAdmin,
+  requirePermission('elections:read'),
+  liveResultsController.createStreamTicket
+);
+router.get(
+  '/elections/:electionId/live',
+  authLiveStream,
+  requirePermission('elections:read'),
+  liveResultsController.streamLiveResults
+);
+
+// Protected: signed results exports
+router.get(
+  '/elections/:electionId/results/export',
+  authAdmin,
+  requirePermission('results:read'),
+  resultsExportController.exportResults
+);
+router.post(
+  '/elections/:electionId/results/verify',
+  authAdmin,
+  requirePermission('results:read'),
+  resultsExportController.verifyResultsExport
+);
+
+// Protected: voter accounts
+router.post(
+  '/voters/:voterId/status',
+  authAdmin,
+  requirePermission('voters:manage'),
+  voterAdminController.setVoterStatus
+);
+
+// Protected: audit log
+router.get(
+  '/audit',
+  authAdmin,
+  requirePermission('audit:read'),
+  auditController.listAuditLog
+);
+router.get(
+  '/audit/export',
+  authAdmin,
+  requirePermission('audit:read'),
+  auditController.exportAuditLog
+);
+router.get(
+  '/audit/verify',
+  authAdmin,
+  requirePermission('audit:read'),
+  auditController.verifyAuditLog
+);
 
-router.get('/totals', authAdmin, adminController.getTotals);
-router.post('/finalize', authAdmin, adminController.finalizeElection);
+router.get(
+  '/otp-deliveries',
+  authAdmin,
+  requirePermission('otp:read'),
+  adminController.listOtpDeliveries
+);
 
 module.exports = router;
@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
+const authVoter = require('../middlewares/authVoter');
 const {
   otpRateLimiter,
   loginRateLimiter,
@@ -22,4 +23,10 @@ router.post(
 // POST /auth/login
 router.post('/login', loginRateLimiter, authController.login);
 
+// POST /auth/refresh (voter or admin refresh token)
+router.post('/refresh', loginRateLimiter, authController.refresh);
+
+// POST /auth/logout
+router.post('/logout', authVoter, authController.logout);
+
 module.exports = router;
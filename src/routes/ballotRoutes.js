@@ -5,8 +5,9 @@ const express = require('express');
 const router = express.Router();
 
 const ballotController = require('../controllers/ballotController');
+const optionalAuthVoter = require('../middlewares/optionalAuthVoter');
 
-// Public ballot endpoint
-router.get('/', ballotController.getBallot);
+// Public ballot endpoint; a voter token selects the voter's district ballot
+router.get('/', optionalAuthVoter, ballotController.getBallot);
 
 module.exports = router;
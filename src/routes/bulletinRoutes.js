@@ -0,0 +1,16 @@
+// src/routes/bulletinRoutes.js
+// Public bulletin-board routes (vote hash chain).
+
+const express = require('express');
+const router = express.Router();
+
+const bulletinController = require('../controllers/bulletinController');
+const { publicReadRateLimiter } = require('../middlewares/rateLimiters');
+
+// GET /bulletin/:electionId/head
+router.get('/:electionId/head', publicReadRateLimiter, bulletinController.getHead);
+
+// GET /bulletin/:electionId?afterSeq=0&limit=100
+router.get('/:electionId', publicReadRateLimiter, bulletinController.listEntries);
+
+module.exports = router;
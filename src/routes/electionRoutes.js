@@ -0,0 +1,13 @@
+// src/routes/electionRoutes.js
+// Public per-election routes (signing keys).
+
+const express = require('express');
+const router = express.Router();
+
+const electionKeyController = require('../controllers/electionKeyController');
+const { publicReadRateLimiter } = require('../middlewares/rateLimiters');
+
+// GET /elections/:electionId/keys
+router.get('/:electionId/keys', publicReadRateLimiter, electionKeyController.getElectionKeys);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// src/routes/receiptRoutes.js
+// Public receipt routes (verify a vote receipt, fetch server public key).
+
+const express = require('express');
+const router = express.Router();
+
+const receiptController = require('../controllers/receiptController');
+const { publicReadRateLimiter } = require('../middlewares/rateLimiters');
+
+// POST /receipts/verify
+router.post('/verify', publicReadRateLimiter, receiptController.verifyReceipt);
+
+// GET /receipts/public-key
+router.get('/public-key', receiptController.getPublicKey);
+
+module.exports = router;
@@ -1,11 +1,12 @@
 // src/routes/voteRoutes.js
-// Voting routes (issue token, submit vote).
+// Voting routes (issue token, submit vote, blind-signed anonymous ballots).
 
 const express = require('express');
 const router = express.Router();
 
 const voteController = require('../controllers/voteController');
 const authVoter = require('../middlewares/authVoter');
+const { anonymousBallotRateLimiter } = require('../middlewares/rateLimiters');
 
 // Issue a single-use voting token
 router.post('/issue-token', authVoter, voteController.issueToken);
@@ -13,4 +14,10 @@ router.post('/issue-token', authVoter, voteController.issueToken);
 // Submit vote (transaction)
 router.post('/submit', authVoter, voteController.submitVote);
 
+// Blind-signature flow: key + blind signature for the signed-in voter,
+// then the ballot on an unauthenticated endpoint (unlinkable)
+router.get('/blind-key', authVoter, voteController.getBlindTokenKey);
+router.post('/blind-sign', authVoter, voteController.issueBlindToken);
+router.post('/anonymous', anonymousBallotRateLimiter, voteController.castAnonymousBallot);
+
 module.exports = router;
@@ -9,6 +9,7 @@ const helmet = require('helmet');
 
 const config = require('./lib/config');
 const { connectMongo, getDb } = require('./lib/mongo');
+const requestId = require('./middlewares/requestId');
 const requestLogger = require('./middlewares/requestLogger'); // 🔴 add this
 
 const authRoutes = require('./routes/authRoutes');
@@ -19,9 +20,17 @@ const ballotRoutes = require('./routes/ballotRoutes');
 
 const voteRoutes = require('./routes/voteRoutes');
 
+const receiptRoutes = require('./routes/receiptRoutes');
+const bulletinRoutes = require('./routes/bulletinRoutes');
+const electionRoutes = require('./routes/electionRoutes');
+
 
 const adminRoutes = require('./routes/adminRoutes');
+const liveResultsController = require('./controllers/liveResultsController');
 const adminService = require('./services/adminService');
+const { startElectionScheduler } = require('./services/electionScheduler');
+const { startTallyReconciler } = require('./services/tallyReconciler');
+const { startBallotMixer } = require('./services/ballotMixer');
 
 const app = express();
 
@@ -59,7 +68,8 @@ app.use(cors(corsOptions));
 app.use(express.json());
 
 
-// Request logger
+// Request ID (X-Request-Id) + request logger
+app.use(requestId);
 app.use(requestLogger);
 
 // Auth routes
@@ -71,6 +81,15 @@ app.use('/ballot', ballotRoutes);
 // Vote routes
 app.use('/vote', voteRoutes);
 
+// Public receipt verification
+app.use('/receipts', receiptRoutes);
+
+// Public bulletin board (vote hash chain)
+app.use('/bulletin', bulletinRoutes);
+
+// Public election keys (offline signature verification)
+app.use('/elections', electionRoutes);
+
 // /me at root (not under /auth)
 app.get('/me', authVoter, authController.getMe);
 
@@ -133,9 +152,23 @@ async function start() {
     // 🔴 Seed initial admin if needed
     await adminService.ensureInitialAdmin();
 
-    app.listen(PORT, () => {
+    // Auto open/close elections at startsAt/endsAt
+    startElectionScheduler();
+
+    // Check the tally counters against the raw votes
+    startTallyReconciler();
+
+    // Store pooled ballots in shuffled batches
+    startBallotMixer();
+
+    const server = app.listen(PORT, () => {
       console.log(`Evote API listening on port ${PORT}`);
     });
+
+    // Live results over WebSocket (the SSE endpoint is always available)
+    if (config.liveResults.webSocket) {
+      server.on('upgrade', liveResultsController.handleUpgrade);
+    }
   } catch (err) {
     console.error('Failed to start server:', err);
     process.exit(1);
@@ -0,0 +1,373 @@
+// src/services/adminMfaService.js
+// TOTP second factor for admin accounts: enrollment, verification with
+// replay protection, one-time recovery codes and the short-lived login
+// challenges that connect the password step to the code step.
+//
+// admins.mfa:
+// {
+//   enabled: Boolean,
+//   secretEnc,            // AES-GCM encrypted base32 secret (lib/aesgcm)
+//   pendingSecretEnc,     // enrollment started but not confirmed yet
+//   enrolledAt, lastUsedStep,
+//   recoveryCodes: [{ hash, usedAt }]
+// }
+//
+// Collection: adminLoginChallenges
+// { challengeHash, adminId, purpose: "verify" | "enroll", attempts, expiresAt (TTL), createdAt }
+
+const crypto = require('crypto');
+const { getDb, withTransaction } = require('../lib/mongo');
+const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+const { encodePII, decodePII } = require('../lib/aesgcm');
+const { deriveKey } = require('../lib/keyDerivation');
+const totp = require('../lib/totp');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const recoveryCodeKey = deriveKey('evote/admin-recovery-codes');
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHmac('sha256', recoveryCodeKey)
+    .update(normalizeRecoveryCode(code))
+    .digest('hex');
+}
+
+/**
+ * RECOVERY_CODE_COUNT fresh codes like "ABCDE-FGHIJ" (50 bits each).
+ *
+ * @returns {{ codes: string[], stored: Array<{ hash: string, usedAt: null }> }}
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    stored: codes.map((code) => ({ hash: hashRecoveryCode(code), usedAt: null })),
+  };
+}
+
+function isEnrolled(admin) {
+  return Boolean(admin && admin.mfa && admin.mfa.enabled);
+}
+
+async function loadAdmin(adminId) {
+  const admin = await getDb().collection('admins').findOne({ adminId });
+
+  if (!admin) {
+    throw httpError(404, 'ADMIN_NOT_FOUND', 'Admin not found', { adminId });
+  }
+
+  return admin;
+}
+
+// ---------- login challenges ----------
+
+/**
+ * Start the second login step after a correct password.
+ *
+ * @param {string} adminId
+ * @param {"verify" | "enroll"} purpose
+ * @returns {Promise<{ challengeId: string, challengeExpiresAt: Date }>}
+ */
+async function createLoginChallenge(adminId, purpose) {
+  const challengeId = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + CHALLENGE_TTL_MS);
+
+  await getDb().collection('adminLoginChallenges').insertOne({
+    challengeHash: sha256Hex(challengeId),
+    adminId,
+    purpose,
+    attempts: 0,
+    expiresAt,
+    createdAt: now,
+  });
+
+  return { challengeId, challengeExpiresAt: expiresAt };
+}
+
+/**
+ * Look up a live challenge and count one attempt against it.
+ *
+ * @throws {Error} 401 INVALID_CHALLENGE
+ */
+async function claimChallengeAttempt(challengeId) {
+  if (typeof challengeId !== 'string' || !challengeId) {
+    throw httpError(401, 'INVALID_CHALLENGE', 'Invalid or expired login challenge');
+  }
+
+  const challenge = await getDb()
+    .collection('adminLoginChallenges')
+    .findOneAndUpdate(
+      {
+        challengeHash: sha256Hex(challengeId),
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: CHALLENGE_MAX_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    );
+
+  if (!challenge) {
+    throw httpError(401, 'INVALID_CHALLENGE', 'Invalid or expired login challenge');
+  }
+
+  return challenge;
+}
+
+/**
+ * Look up a live challenge without counting an attempt (enrollment start).
+ */
+async function getChallenge(challengeId) {
+  if (typeof challengeId !== 'string' || !challengeId) {
+    throw httpError(401, 'INVALID_CHALLENGE', 'Invalid or expired login challenge');
+  }
+
+  const challenge = await getDb()
+    .collection('adminLoginChallenges')
+    .findOne({
+      challengeHash: sha256Hex(challengeId),
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: CHALLENGE_MAX_ATTEMPTS },
+    });
+
+  if (!challenge) {
+    throw httpError(401, 'INVALID_CHALLENGE', 'Invalid or expired login challenge');
+  }
+
+  return challenge;
+}
+
+async function deleteChallenge(challenge) {
+  await getDb()
+    .collection('adminLoginChallenges')
+    .deleteOne({ challengeHash: challenge.challengeHash });
+}
+
+// ---------- enrollment ----------
+
+/**
+ * Apply a self-service MFA change and its audit entry (`audit`, from
+ * auditService.adminAuditHook) in one transaction.
+ */
+async function updateAdminMfa(adminId, update, audit) {
+  await withTransaction(async ({ db, session }) => {
+    await db.collection('admins').updateOne({ adminId }, update, { session });
+    if (audit) await audit(null, { db, session });
+  });
+}
+
+/**
+ * Generate a new secret (kept as pending until confirmed with a code).
+ *
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ * @throws {Error} 409 MFA_ALREADY_ENABLED
+ */
+async function startEnrollment(adminId, { audit = null } = {}) {
+  const admin = await loadAdmin(adminId);
+
+  if (isEnrolled(admin)) {
+    throw httpError(409, 'MFA_ALREADY_ENABLED', 'TOTP is already enabled for this admin');
+  }
+
+  const secret = totp.generateSecret();
+
+  await updateAdminMfa(
+    adminId,
+    { $set: { 'mfa.pendingSecretEnc': encodePII(secret), updatedAt: new Date() } },
+    audit
+  );
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: adminId,
+      issuer: config.adminMfaIssuer,
+    }),
+  };
+}
+
+/**
+ * Confirm the pending secret with a first code and enable TOTP.
+ *
+ * @returns {Promise<string[] | null>} recovery codes (shown once), or null if the code is wrong
+ * @throws {Error} 409 MFA_ENROLLMENT_NOT_STARTED / MFA_ALREADY_ENABLED
+ */
+async function confirmEnrollment(adminId, code, { audit = null } = {}) {
+  const admin = await loadAdmin(adminId);
+
+  if (isEnrolled(admin)) {
+    throw httpError(409, 'MFA_ALREADY_ENABLED', 'TOTP is already enabled for this admin');
+  }
+
+  if (!admin.mfa || !admin.mfa.pendingSecretEnc) {
+    throw httpError(
+      409,
+      'MFA_ENROLLMENT_NOT_STARTED',
+      'Start TOTP enrollment before confirming it'
+    );
+  }
+
+  const secret = decodePII(admin.mfa.pendingSecretEnc);
+  const step = totp.verifyTotp(secret, code);
+
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, stored } = generateRecoveryCodes();
+  const now = new Date();
+
+  await updateAdminMfa(
+    adminId,
+    {
+      $set: {
+        mfa: {
+          enabled: true,
+          secretEnc: admin.mfa.pendingSecretEnc,
+          enrolledAt: now,
+          lastUsedStep: step,
+          recoveryCodes: stored,
+        },
+        updatedAt: now,
+      },
+    },
+    audit
+  );
+
+  return codes;
+}
+
+// ---------- verification ----------
+
+/**
+ * Check a TOTP code (each time step only once) or an unused recovery code.
+ *
+ * @param {object} admin - admins document
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<{ ok: boolean, method?: "totp" | "recovery_code" }>}
+ */
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+  const admins = getDb().collection('admins');
+
+  if (!isEnrolled(admin)) {
+    return { ok: false };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+
+    const result = await admins.updateOne(
+      {
+        adminId: admin.adminId,
+        'mfa.recoveryCodes': { $elemMatch: { hash, usedAt: null } },
+      },
+      { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+    );
+
+    return result.modifiedCount === 1 ? { ok: true, method: 'recovery_code' } : { ok: false };
+  }
+
+  const step = totp.verifyTotp(decodePII(admin.mfa.secretEnc), code);
+
+  if (step === null) {
+    return { ok: false };
+  }
+
+  // Replay protection: a step is accepted once, and never an older one
+  const result = await admins.updateOne(
+    { adminId: admin.adminId, 'mfa.lastUsedStep': { $lt: step } },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1 ? { ok: true, method: 'totp' } : { ok: false };
+}
+
+/**
+ * Replace all recovery codes (requires a valid TOTP code).
+ *
+ * @returns {Promise<string[] | null>} new codes, or null if the code is wrong
+ */
+async function regenerateRecoveryCodes(adminId, code, { audit = null } = {}) {
+  const admin = await loadAdmin(adminId);
+
+  if (!isEnrolled(admin)) {
+    throw httpError(409, 'MFA_NOT_ENABLED', 'TOTP is not enabled for this admin');
+  }
+
+  const { ok } = await verifySecondFactor(admin, { code });
+  if (!ok) {
+    return null;
+  }
+
+  const { codes, stored } = generateRecoveryCodes();
+
+  await updateAdminMfa(
+    adminId,
+    { $set: { 'mfa.recoveryCodes': stored, updatedAt: new Date() } },
+    audit
+  );
+
+  return codes;
+}
+
+/**
+ * Turn TOTP off (requires a valid code; refused while ADMIN_MFA_REQUIRED=true).
+ *
+ * @returns {Promise<boolean>} false if the code is wrong
+ */
+async function disableMfa(adminId, code, { audit = null } = {}) {
+  if (config.adminMfaRequired) {
+    throw httpError(409, 'MFA_REQUIRED', 'TOTP is mandatory for admins and cannot be disabled');
+  }
+
+  const admin = await loadAdmin(adminId);
+
+  if (!isEnrolled(admin)) {
+    throw httpError(409, 'MFA_NOT_ENABLED', 'TOTP is not enabled for this admin');
+  }
+
+  const { ok } = await verifySecondFactor(admin, { code });
+  if (!ok) {
+    return false;
+  }
+
+  await updateAdminMfa(
+    adminId,
+    { $unset: { mfa: '' }, $set: { updatedAt: new Date() } },
+    audit
+  );
+
+  return true;
+}
+
+module.exports = {
+  isEnrolled,
+  createLoginChallenge,
+  claimChallengeAttempt,
+  getChallenge,
+  deleteChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableMfa,
+};
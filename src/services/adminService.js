@@ -1,9 +1,18 @@
 // src/services/adminService.js
-// Admin-related helpers (e.g., seeding initial admin).
+// Admin accounts: seeding the initial superadmin and management of other
+// admins by superadmins (create, change role, suspend / reactivate).
 
-const { getDb } = require('../lib/mongo');
+const { getDb, withTransaction } = require('../lib/mongo');
 const { hashPassword } = require('../lib/password');
 const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+const { ROLES, normalizeRole } = require('../lib/permissions');
+
+const ADMIN_ID_PATTERN = /^[A-Za-z0-9_.-]{3,64}$/;
+const ADMIN_PASSWORD_MIN_LENGTH = 12;
+const ADMIN_STATUSES = ['active', 'suspended'];
+
+const ADMIN_PROJECTION = { _id: 0, passwordHash: 0 };
 
 /**
  * Ensure there is at least one admin user.
@@ -38,6 +47,216 @@ async function ensureInitialAdmin() {
   );
 }
 
+function toPublicAdmin(doc) {
+  // Never expose TOTP secrets or recovery-code hashes
+  const { mfa, ...rest } = doc;
+  return {
+    ...rest,
+    role: normalizeRole(doc.role) || doc.role,
+    mfaEnabled: Boolean(mfa && mfa.enabled),
+  };
+}
+
+async function getAdminOrThrow(adminId) {
+  const db = getDb();
+  const admin = await db
+    .collection('admins')
+    .findOne({ adminId }, { projection: ADMIN_PROJECTION });
+
+  if (!admin) {
+    throw httpError(404, 'ADMIN_NOT_FOUND', 'Admin not found', { adminId });
+  }
+
+  return admin;
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid admin fields', {
+      role: `role must be one of: ${ROLES.join(', ')}`,
+    });
+  }
+}
+
+/**
+ * Apply `update` to an admin and write the audit entry (`audit`, from
+ * auditService.adminAuditHook) in the same transaction.
+ */
+async function updateAdminDoc(adminId, update, audit) {
+  return withTransaction(async ({ db, session }) => {
+    const doc = await db
+      .collection('admins')
+      .findOneAndUpdate(
+        { adminId },
+        update,
+        { session, returnDocument: 'after', projection: ADMIN_PROJECTION }
+      );
+
+    if (!doc) {
+      throw httpError(404, 'ADMIN_NOT_FOUND', 'Admin not found', { adminId });
+    }
+
+    const admin = toPublicAdmin(doc);
+    if (audit) await audit(admin, { db, session });
+    return admin;
+  });
+}
+
+/**
+ * A change must never leave the system without an active superadmin.
+ */
+async function assertOtherActiveSuperadmin(adminId) {
+  const db = getDb();
+  const others = await db.collection('admins').countDocuments({
+    adminId: { $ne: adminId },
+    role: 'superadmin',
+    status: 'active',
+  });
+
+  if (others === 0) {
+    throw httpError(
+      409,
+      'LAST_SUPERADMIN',
+      'At least one active superadmin must remain',
+      { adminId }
+    );
+  }
+}
+
+async function listAdmins() {
+  const db = getDb();
+  const admins = await db
+    .collection('admins')
+    .find({}, { projection: ADMIN_PROJECTION })
+    .sort({ adminId: 1 })
+    .toArray();
+
+  return admins.map(toPublicAdmin);
+}
+
+/**
+ * Create an admin.
+ *
+ * @param {{ adminId: string, password: string, role: string }} input
+ * @param {{ actorId: string, audit?: Function }} context
+ *   audit = auditService.adminAuditHook, run in the creating transaction
+ * @throws {Error} 400 VALIDATION_ERROR, 409 ADMIN_EXISTS
+ */
+async function createAdmin(input, { actorId, audit = null }) {
+  const { adminId, password, role } = input || {};
+  const errors = {};
+
+  if (typeof adminId !== 'string' || !ADMIN_ID_PATTERN.test(adminId)) {
+    errors.adminId = 'adminId must be 3-64 characters of [A-Za-z0-9_.-]';
+  }
+
+  if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+    errors.password = `password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters`;
+  }
+
+  if (!ROLES.includes(role)) {
+    errors.role = `role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid admin fields', errors);
+  }
+
+  const now = new Date();
+  const doc = {
+    adminId,
+    passwordHash: await hashPassword(password),
+    role,
+    status: 'active',
+    createdAt: now,
+    updatedAt: now,
+    version: 1,
+    meta: { createdBy: actorId },
+  };
+
+  try {
+    return await withTransaction(async ({ db, session }) => {
+      await db.collection('admins').insertOne({ ...doc }, { session });
+
+      const { passwordHash, ...stored } = doc;
+      const admin = toPublicAdmin(stored);
+      if (audit) await audit(admin, { db, session });
+      return admin;
+    });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(409, 'ADMIN_EXISTS', 'Admin already exists', { adminId });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change the role of another admin. Takes effect on their next request.
+ * `audit` as for createAdmin.
+ */
+async function changeAdminRole(adminId, role, { actorId, audit = null }) {
+  assertRole(role);
+
+  if (adminId === actorId) {
+    throw httpError(409, 'CANNOT_MODIFY_SELF', 'You cannot change your own role', {
+      adminId,
+    });
+  }
+
+  const admin = await getAdminOrThrow(adminId);
+
+  if (normalizeRole(admin.role) === 'superadmin' && role !== 'superadmin') {
+    await assertOtherActiveSuperadmin(adminId);
+  }
+
+  return updateAdminDoc(
+    adminId,
+    { $set: { role, updatedAt: new Date() }, $inc: { version: 1 } },
+    audit
+  );
+}
+
+/**
+ * Suspend or reactivate another admin. A suspended admin's tokens stop
+ * working immediately (authAdmin re-reads the status on every request).
+ * `audit` as for createAdmin.
+ */
+async function setAdminStatus(adminId, status, { actorId, audit = null }) {
+  if (!ADMIN_STATUSES.includes(status)) {
+    throw httpError(400, 'INVALID_STATUS', 'Unknown admin status', {
+      allowed: ADMIN_STATUSES,
+    });
+  }
+
+  if (adminId === actorId) {
+    throw httpError(409, 'CANNOT_MODIFY_SELF', 'You cannot change your own status', {
+      adminId,
+    });
+  }
+
+  const admin = await getAdminOrThrow(adminId);
+
+  if (
+    status !== 'active' &&
+    admin.status === 'active' &&
+    normalizeRole(admin.role) === 'superadmin'
+  ) {
+    await assertOtherActiveSuperadmin(adminId);
+  }
+
+  return updateAdminDoc(
+    adminId,
+    { $set: { status, updatedAt: new Date() }, $inc: { version: 1 } },
+    audit
+  );
+}
+
 module.exports = {
   ensureInitialAdmin,
+  listAdmins,
+  getAdminOrThrow,
+  createAdmin,
+  changeAdminRole,
+  setAdminStatus,
 };
@@ -0,0 +1,428 @@
+// src/services/auditService.js
+// Append-only, hash-chained audit log of admin actions.
+//
+// Collection: auditLog
+// {
+//   seq,                                   // 1, 2, 3, ... (no gaps)
+//   action,                                // e.g. "election.transition"
+//   outcome: "success" | "failure",
+//   actor: { type: "admin" | "scheduler" | "anonymous", id, role },
+//   ip, userAgent, requestId,
+//   target: { type, id, electionId },
+//   before, after,                         // state snapshots (secrets stripped)
+//   details,
+//   createdAt,
+//   prevHash, entryHash                    // entryHash = linkHash(prevHash, entry fields)
+// }
+//
+// The head lives in auditChains { scope: "audit", seq, head } and is advanced
+// in the same transaction as the insert, exactly like the vote chain.
+// Actions that run in a transaction pass it ({ db, session }) so their entry
+// commits or aborts with them; any other failed write fails the request.
+// The application never updates or deletes auditLog entries; editing,
+// removing or reordering one afterwards breaks the chain.
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const { genesisHash, linkHash } = require('../lib/hashChain');
+const canonicalJson = require('../lib/canonicalJson');
+
+const AUDIT_SCOPE = 'audit';
+const MAX_REPORTED_BREAKS = 100;
+
+// Fields never copied into before/after snapshots
+const REDACTED_FIELDS = ['_id', 'passwordHash', 'phoneEnc', 'mfa'];
+
+/**
+ * Plain JSON copy (Dates as ISO strings, undefined dropped), so what is
+ * stored reads back exactly as it was hashed.
+ */
+function toPlain(value) {
+  return value === undefined || value === null ? null : JSON.parse(canonicalJson(value));
+}
+
+/**
+ * Copy of a document safe to keep in the log forever.
+ */
+function auditState(doc) {
+  if (!doc) return null;
+
+  const state = { ...doc };
+  for (const field of REDACTED_FIELDS) {
+    delete state[field];
+  }
+
+  if (doc.mfa !== undefined) {
+    state.mfaEnabled = Boolean(doc.mfa && doc.mfa.enabled);
+  }
+
+  return toPlain(state);
+}
+
+/**
+ * The fields covered by entryHash (everything but the chain fields).
+ */
+function auditEntry(doc) {
+  return {
+    seq: doc.seq,
+    action: doc.action,
+    outcome: doc.outcome,
+    actor: doc.actor,
+    ip: doc.ip,
+    userAgent: doc.userAgent,
+    requestId: doc.requestId,
+    target: doc.target,
+    before: doc.before,
+    after: doc.after,
+    details: doc.details,
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * Who/where of an admin request: actor from req.admin (or req.user), IP,
+ * user agent and request ID.
+ */
+function requestContext(req) {
+  const admin = req.admin || (req.user && req.user.adminId ? req.user : null);
+
+  return {
+    actor: admin
+      ? { type: 'admin', id: admin.adminId, role: admin.role || null }
+      : { type: 'anonymous', id: null, role: null },
+    ip: req.ip || null,
+    userAgent: (req.get && req.get('User-Agent')) || null,
+    requestId: req.requestId || null,
+  };
+}
+
+/**
+ * Append one entry to the audit log.
+ *
+ * @param {object} params
+ * @param {string} params.action
+ * @param {{ type: string, id?: string, role?: string }} params.actor
+ * @param {"success" | "failure"} [params.outcome]
+ * @param {string} [params.ip]
+ * @param {string} [params.userAgent]
+ * @param {string} [params.requestId]
+ * @param {{ type: string, id?: string, electionId?: string }} [params.target]
+ * @param {object} [params.before]
+ * @param {object} [params.after]
+ * @param {object} [params.details]
+ * @param {{ db, session }} [tx] - the caller's transaction (own one if omitted)
+ * @returns {Promise<{ seq: number, entryHash: string }>}
+ */
+async function appendAudit(
+  {
+    action,
+    actor,
+    outcome = 'success',
+    ip = null,
+    userAgent = null,
+    requestId = null,
+    target = null,
+    before = null,
+    after = null,
+    details = {},
+  },
+  tx = null
+) {
+  const write = async ({ db, session }) => {
+    const now = new Date();
+
+    const chain = await db.collection('auditChains').findOneAndUpdate(
+      { scope: AUDIT_SCOPE },
+      {
+        $inc: { seq: 1 },
+        $setOnInsert: { scope: AUDIT_SCOPE, createdAt: now },
+      },
+      { session, upsert: true, returnDocument: 'after' }
+    );
+
+    const doc = {
+      seq: chain.seq,
+      action,
+      outcome,
+      actor: {
+        type: actor.type,
+        id: actor.id || null,
+        role: actor.role || null,
+      },
+      ip,
+      userAgent,
+      requestId,
+      target: target
+        ? {
+            type: target.type,
+            id: target.id || null,
+            electionId: target.electionId || null,
+          }
+        : null,
+      before: auditState(before),
+      after: auditState(after),
+      details: toPlain(details) || {},
+      createdAt: now,
+    };
+
+    doc.prevHash = chain.head || genesisHash(AUDIT_SCOPE);
+    doc.entryHash = linkHash(doc.prevHash, auditEntry(doc));
+
+    await db.collection('auditLog').insertOne(doc, { session });
+
+    await db.collection('auditChains').updateOne(
+      { scope: AUDIT_SCOPE },
+      { $set: { head: doc.entryHash, updatedAt: now } },
+      { session }
+    );
+
+    return { seq: doc.seq, entryHash: doc.entryHash };
+  };
+
+  return tx ? write(tx) : withTransaction(write);
+}
+
+/**
+ * Append an entry for an action (admin request, scheduler).
+ *
+ * With `tx` the entry is part of the action's transaction and a failed
+ * write aborts both. Without it the action has already happened: a failed
+ * write is logged and turned into 500 AUDIT_WRITE_FAILED, so the caller
+ * never reports success for an unaudited action.
+ *
+ * @param {{ actor, ip?, userAgent?, requestId? }} context
+ * @param {object} entry - see appendAudit
+ * @param {{ db, session }} [tx]
+ * @throws {Error} 500 AUDIT_WRITE_FAILED (without tx), the driver error (with tx)
+ */
+async function recordAction(context, entry, tx = null) {
+  try {
+    return await appendAudit({ ...context, ...entry }, tx);
+  } catch (err) {
+    console.error(
+      JSON.stringify({
+        code: 'AUDIT_WRITE_FAILED',
+        action: entry.action,
+        requestId: context.requestId || null,
+        message: err && err.message,
+      })
+    );
+
+    // Inside a transaction: let withTransaction abort (or retry) it
+    if (tx) throw err;
+
+    throw httpError(500, 'AUDIT_WRITE_FAILED', 'The action could not be recorded in the audit log', {
+      action: entry.action,
+      requestId: context.requestId || null,
+    });
+  }
+}
+
+/**
+ * Record an admin action from a request handler (actor, IP and request ID
+ * are taken from `req`).
+ *
+ * @param {object} req
+ * @param {object} entry - see appendAudit
+ * @param {{ db, session }} [tx] - see recordAction
+ */
+async function recordAdminAction(req, entry, tx = null) {
+  return recordAction(requestContext(req), entry, tx);
+}
+
+/**
+ * Audit hook for a service that runs an admin action in a transaction.
+ * The service calls it with its result before committing, so the action
+ * and its entry are written (or aborted) together.
+ *
+ * @param {object} req
+ * @param {(result: any) => object | null} entryFor - entry for the result
+ *   (see appendAudit); null records nothing
+ * @returns {(result: any, tx: { db, session }) => Promise<object | null>}
+ */
+function adminAuditHook(req, entryFor) {
+  const context = requestContext(req);
+
+  return async (result, tx) => {
+    const entry = entryFor(result);
+    return entry ? recordAction(context, entry, tx) : null;
+  };
+}
+
+/**
+ * Current head ({ seq: 0, head: genesis } while the log is empty).
+ */
+async function getAuditHead() {
+  const db = getDb();
+  const chain = await db
+    .collection('auditChains')
+    .findOne(
+      { scope: AUDIT_SCOPE },
+      { projection: { _id: 0, seq: 1, head: 1, updatedAt: 1 } }
+    );
+
+  return {
+    seq: (chain && chain.seq) || 0,
+    head: (chain && chain.head) || genesisHash(AUDIT_SCOPE),
+    updatedAt: (chain && chain.updatedAt) || null,
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mongo filter for the query/export endpoints.
+ *
+ * @param {object} query - { action, actorId, targetType, targetId, electionId,
+ *                           requestId, outcome, from, to, afterSeq }
+ */
+function buildAuditFilter({
+  action,
+  actorId,
+  targetType,
+  targetId,
+  electionId,
+  requestId,
+  outcome,
+  from,
+  to,
+  afterSeq,
+} = {}) {
+  const filter = {};
+
+  if (action) {
+    // "election.*" matches every election action
+    filter.action = action.endsWith('.*')
+      ? { $regex: `^${escapeRegex(action.slice(0, -2))}\\.` }
+      : action;
+  }
+  if (actorId) filter['actor.id'] = actorId;
+  if (targetType) filter['target.type'] = targetType;
+  if (targetId) filter['target.id'] = targetId;
+  if (electionId) filter['target.electionId'] = electionId;
+  if (requestId) filter.requestId = requestId;
+  if (outcome) filter.outcome = outcome;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lt = to;
+  }
+
+  if (afterSeq) {
+    filter.seq = { $gt: afterSeq };
+  }
+
+  return filter;
+}
+
+/**
+ * One page of entries in seq order.
+ */
+async function listAuditEntries(query = {}, { limit = 100 } = {}) {
+  const db = getDb();
+
+  return db
+    .collection('auditLog')
+    .find(buildAuditFilter(query), { projection: { _id: 0 } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Cursor over all matching entries (export).
+ */
+function streamAuditEntries(query = {}) {
+  const db = getDb();
+
+  return db
+    .collection('auditLog')
+    .find(buildAuditFilter(query), { projection: { _id: 0 } })
+    .sort({ seq: 1 });
+}
+
+/**
+ * Walk the whole log and report every break found.
+ *
+ * Checks per entry: seq continuity, prevHash link, entryHash. Then: the
+ * stored head matches the last link.
+ *
+ * @returns {Promise<{ ok, checked, head, breakCount, breaks }>}
+ */
+async function verifyAuditLog() {
+  const db = getDb();
+
+  const breaks = [];
+  let breakCount = 0;
+
+  function report(problem, details = {}) {
+    breakCount += 1;
+    if (breaks.length < MAX_REPORTED_BREAKS) {
+      breaks.push({ problem, ...details });
+    }
+  }
+
+  let expectedSeq = 1;
+  let prevHash = genesisHash(AUDIT_SCOPE);
+  let checked = 0;
+
+  const cursor = db.collection('auditLog').find({}).sort({ seq: 1 });
+
+  for await (const entry of cursor) {
+    checked += 1;
+    const where = { seq: entry.seq, action: entry.action };
+
+    if (entry.seq !== expectedSeq) {
+      report(entry.seq < expectedSeq ? 'DUPLICATE_SEQ' : 'MISSING_SEQ', {
+        ...where,
+        expectedSeq,
+      });
+    }
+
+    if (entry.prevHash !== prevHash) {
+      report('PREV_HASH_MISMATCH', where);
+    }
+
+    if (entry.entryHash !== linkHash(entry.prevHash, auditEntry(entry))) {
+      report('ENTRY_HASH_MISMATCH', where);
+    }
+
+    // Continue from what is stored so one edit is reported once
+    prevHash = entry.entryHash;
+    expectedSeq = entry.seq + 1;
+  }
+
+  const head = await getAuditHead();
+
+  if (head.seq !== checked || head.head !== prevHash) {
+    report('HEAD_MISMATCH', {
+      storedSeq: head.seq,
+      storedHead: head.head,
+      walkedSeq: checked,
+      walkedHead: prevHash,
+    });
+  }
+
+  return {
+    ok: breakCount === 0,
+    checked,
+    head,
+    breakCount,
+    breaks,
+  };
+}
+
+module.exports = {
+  requestContext,
+  appendAudit,
+  recordAction,
+  recordAdminAction,
+  adminAuditHook,
+  getAuditHead,
+  listAuditEntries,
+  streamAuditEntries,
+  verifyAuditLog,
+};
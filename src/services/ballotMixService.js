@@ -0,0 +1,376 @@
+// src/services/ballotMixService.js
+// Mixing pool between casting a ballot and storing it, so that neither the
+// time nor the order of stored ballots links them to the voters who cast
+// them.
+//
+// Casting (POST /vote/submit, /vote/anonymous) validates the ballot, signs
+// its receipt and puts it in pendingBallots, in the same transaction that
+// claims the participation or spends the token:
+//   { _id: uuid, electionId, districtId?, choice, receipt: { receiptId,
+//     ballotHash, ballotSalt, serverSig, keyId }, mixWindow, mixKey,
+//     castPeriod }
+// mixWindow = the BALLOT_MIX_WINDOW_MS slot the ballot was cast in plus a
+// random delay of 0..BALLOT_MIX_MAX_DELAY_WINDOWS slots,
+// mixKey = random (picks which ballots go into a batch).
+//
+// Participations go through a pool of their own, pendingParticipations
+// (unique per voter and election, so it also stops a second ballot):
+//   { _id: uuid, voterId, electionId, districtId?, status, blindToken?,
+//     votedAt, mixWindow, mixKey }
+// Spent blind-signed tokens (spentBallotTokens) are pooled in place: they
+// carry counted: false, mixWindow and mixKey until the mixer counts them
+// in the turnout.
+// Nothing written at cast time carries the time of the write: _ids are
+// random UUIDs instead of ObjectIds (which embed their creation second).
+// Each document draws its own delay, so the ballot and the participation
+// (or spent token) of one cast leave their pools in unrelated windows.
+//
+// Not covered: the ballot and the participation are written in the cast
+// transaction, i.e. in one commit. Whoever can read the oplog or a change
+// stream on the pools (a database operator) sees them together and can
+// pair them. Committing them separately would mean that a crash in between
+// loses a ballot or allows a second one.
+//
+// The mixer (ballotMixer.js) takes entries whose window has passed - at
+// least BALLOT_MIX_MIN_BATCH of them while the election still accepts
+// ballots, all of them afterwards - shuffles them and stores them. Pool
+// delete, vote insert, hash chain link and tally counters share one
+// transaction, so every ballot is stored exactly once; the same goes for
+// participations and the turnout counter, in separate batches.
+//
+// Stored votes keep castPeriod and participations votedAt = the start of
+// the BALLOT_TIME_BUCKET_MS bucket (null with 0), never the exact time.
+
+const crypto = require('crypto');
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+const chainService = require('./chainService');
+const tallyService = require('./tallyService');
+const { canAcceptAnonymousBallot } = require('./voteService');
+
+function mixWindowOf(now) {
+  return Math.floor(now.getTime() / config.ballotMix.windowMs);
+}
+
+/**
+ * Pool fields of a document written at `now`, drawn separately for each
+ * document: its window plus a random delay, and a random batch key.
+ *
+ * @param {Date} now
+ * @returns {{ mixWindow: number, mixKey: string }}
+ */
+function mixSlot(now) {
+  return {
+    mixWindow: mixWindowOf(now) + crypto.randomInt(config.ballotMix.maxDelayWindows + 1),
+    mixKey: crypto.randomBytes(16).toString('hex'),
+  };
+}
+
+/**
+ * Coarse time stored instead of `now`: start of its BALLOT_TIME_BUCKET_MS
+ * bucket, or null when no time is kept.
+ *
+ * @param {Date} now
+ * @returns {Date | null}
+ */
+function coarseTime(now) {
+  const { timeBucketMs } = config.ballotMix;
+
+  if (!timeBucketMs) {
+    return null;
+  }
+
+  return new Date(Math.floor(now.getTime() / timeBucketMs) * timeBucketMs);
+}
+
+/**
+ * Put an accepted ballot in the pool. Call inside the cast transaction.
+ *
+ * @param {{ db, session, electionId: string, districtId: string | null,
+ *   choice: object, receipt: object, now: Date }} args
+ *   receipt = receiptService.createReceipt(...) output
+ */
+async function holdBallot({ db, session, electionId, districtId, choice, receipt, now }) {
+  await db.collection('pendingBallots').insertOne(
+    {
+      _id: crypto.randomUUID(),
+      electionId,
+      ...(districtId ? { districtId } : {}),
+      choice,
+      receipt: {
+        receiptId: receipt.receiptId,
+        ballotHash: receipt.ballotHash,
+        ballotSalt: receipt.ballotSalt,
+        serverSig: receipt.serverSig,
+        keyId: receipt.keyId,
+      },
+      ...mixSlot(now),
+      castPeriod: coarseTime(now),
+    },
+    { session }
+  );
+}
+
+/**
+ * Claim a voter's participation in the pool. Call inside the cast (or
+ * blind-sign) transaction; the mixer moves it to participations and counts
+ * the turnout later.
+ *
+ * @param {{ db, session, electionId: string, voterId: string,
+ *   districtId: string | null, status: 'voted' | 'token_issued',
+ *   blindToken?: object, now: Date }} args
+ * @throws 409 ALREADY_VOTED when the voter has a participation already
+ */
+async function holdParticipation({ db, session, electionId, voterId, districtId, status, blindToken, now }) {
+  try {
+    await db.collection('pendingParticipations').insertOne(
+      {
+        _id: crypto.randomUUID(),
+        voterId,
+        electionId,
+        ...(districtId ? { districtId } : {}),
+        status,
+        ...(blindToken ? { blindToken } : {}),
+        votedAt: coarseTime(now),
+        ...mixSlot(now),
+      },
+      { session }
+    );
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(409, 'ALREADY_VOTED', 'Voter has already cast a vote in this election', {
+        electionId,
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * A voter's participation, stored or still in the pool.
+ *
+ * @param {{ db, session?, electionId: string, voterId: string }} args
+ * @returns {Promise<{ status: string, blindToken?: object } | null>}
+ */
+async function findParticipation({ db, session, electionId, voterId }) {
+  const filter = { voterId, electionId };
+  const options = { session, projection: { _id: 0, status: 1, blindToken: 1 } };
+
+  return (
+    (await db.collection('participations').findOne(filter, options)) ||
+    db.collection('pendingParticipations').findOne(filter, options)
+  );
+}
+
+// Fisher-Yates with a CSPRNG
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Due entries of a pool, shuffled; [] while fewer than BALLOT_MIX_MIN_BATCH
+async function takeBatch(pool, { session, electionId, all, now, match = {} }) {
+  const { minBatch, maxBatch } = config.ballotMix;
+  const filter = all
+    ? { electionId, ...match }
+    : { electionId, ...match, mixWindow: { $lt: mixWindowOf(now) } };
+
+  const batch = await pool
+    .find(filter, { session })
+    .sort({ mixKey: 1 })
+    .limit(maxBatch)
+    .toArray();
+
+  if (!all && batch.length < minBatch) {
+    return [];
+  }
+
+  return shuffle(batch);
+}
+
+/**
+ * Store one shuffled batch (up to BALLOT_MIX_MAX_BATCH ballots).
+ *
+ * @returns {Promise<number>} ballots stored (0 = nothing due)
+ */
+async function mixBatch(electionId, { all, now }) {
+  return withTransaction(async ({ db, session }) => {
+    const pool = db.collection('pendingBallots');
+    const batch = await takeBatch(pool, { session, electionId, all, now });
+
+    let stored = 0;
+
+    for (const ballot of batch) {
+      const { deletedCount } = await pool.deleteOne({ _id: ballot._id }, { session });
+      if (deletedCount !== 1) {
+        continue; // stored by a concurrent mixer
+      }
+
+      const { districtId = null, choice, receipt } = ballot;
+
+      const link = await chainService.appendToChain({
+        db,
+        session,
+        electionId,
+        receiptId: receipt.receiptId,
+        ballotHash: receipt.ballotHash,
+        now,
+      });
+
+      await db.collection('votes').insertOne(
+        {
+          electionId,
+          ...(districtId ? { districtId } : {}),
+          ...choice,
+          receiptId: receipt.receiptId,
+          ballotHash: receipt.ballotHash,
+          ballotSalt: receipt.ballotSalt,
+          serverSig: receipt.serverSig,
+          sigKeyId: receipt.keyId,
+          seq: link.seq,
+          prevHash: link.prevHash,
+          chainHash: link.chainHash,
+          castPeriod: ballot.castPeriod || null,
+          version: 3,
+          meta: {},
+        },
+        { session }
+      );
+
+      await tallyService.recordBallot({ db, session, electionId, districtId, choice, now });
+
+      stored += 1;
+    }
+
+    return stored;
+  });
+}
+
+/**
+ * Store one shuffled batch of pooled participations and count the turnout
+ * of those that voted.
+ *
+ * @returns {Promise<number>} participations stored (0 = nothing due)
+ */
+async function mixParticipations(electionId, { all, now }) {
+  return withTransaction(async ({ db, session }) => {
+    const pool = db.collection('pendingParticipations');
+    const batch = await takeBatch(pool, { session, electionId, all, now });
+
+    let stored = 0;
+
+    for (const pending of batch) {
+      const { deletedCount } = await pool.deleteOne({ _id: pending._id }, { session });
+      if (deletedCount !== 1) {
+        continue; // stored by a concurrent mixer
+      }
+
+      const { voterId, districtId = null, status, blindToken } = pending;
+
+      await db.collection('participations').insertOne(
+        {
+          _id: crypto.randomUUID(),
+          voterId,
+          electionId,
+          ...(districtId ? { districtId } : {}),
+          status,
+          votedAt: pending.votedAt || null,
+          ...(blindToken ? { blindToken } : {}),
+          version: 1,
+          meta: {},
+        },
+        { session }
+      );
+
+      if (status === 'voted') {
+        await tallyService.recordParticipation({ db, session, electionId, districtId, now });
+      }
+
+      stored += 1;
+    }
+
+    return stored;
+  });
+}
+
+/**
+ * Count one batch of due spent ballot tokens in the turnout.
+ *
+ * @returns {Promise<number>} tokens counted (0 = nothing due)
+ */
+async function countSpentTokens(electionId, { all, now }) {
+  return withTransaction(async ({ db, session }) => {
+    const pool = db.collection('spentBallotTokens');
+    const batch = await takeBatch(pool, { session, electionId, all, now, match: { counted: false } });
+
+    let counted = 0;
+
+    for (const spent of batch) {
+      const { modifiedCount } = await pool.updateOne(
+        { _id: spent._id, counted: false },
+        { $set: { counted: true }, $unset: { mixWindow: '', mixKey: '' } },
+        { session }
+      );
+      if (modifiedCount !== 1) {
+        continue; // counted by a concurrent mixer
+      }
+
+      const { districtId = null } = spent;
+      await tallyService.recordParticipation({ db, session, electionId, districtId, now });
+
+      counted += 1;
+    }
+
+    return counted;
+  });
+}
+
+/**
+ * Store the pooled ballots and participations of an election that are due,
+ * and count its due spent ballot tokens:
+ * batches of passed windows while it accepts ballots, everything once it
+ * doesn't (closed after the grace window, finalized, ...).
+ *
+ * @param {string} electionId
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<number>} ballots stored
+ */
+async function flushElection(electionId, { now = new Date() } = {}) {
+  const election = await getDb()
+    .collection('elections')
+    .findOne({ electionId }, { projection: { _id: 0, status: 1, startsAt: 1, endsAt: 1, closedAt: 1 } });
+  const all = !canAcceptAnonymousBallot(election, now);
+
+  let total = 0;
+  for (;;) {
+    const stored = await mixBatch(electionId, { all, now });
+    if (stored === 0) break;
+    total += stored;
+  }
+
+  for (;;) {
+    const stored = await mixParticipations(electionId, { all, now });
+    if (stored === 0) break;
+  }
+
+  for (;;) {
+    const counted = await countSpentTokens(electionId, { all, now });
+    if (counted === 0) break;
+  }
+
+  return total;
+}
+
+module.exports = {
+  coarseTime,
+  mixSlot,
+  holdBallot,
+  holdParticipation,
+  findParticipation,
+  flushElection,
+};
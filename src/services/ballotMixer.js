@@ -0,0 +1,81 @@
+// src/services/ballotMixer.js
+// Background job that empties the mixing pools (ballotMixService):
+// every BALLOT_MIX_WINDOW_MS, each election with pooled ballots,
+// participations or uncounted spent ballot tokens gets its due entries
+// stored (or counted) in shuffled batches.
+//
+// Finalizing and decrypting an election flush its pool themselves, so
+// results never depend on the last tick.
+
+const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const ballotMixService = require('./ballotMixService');
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one mixing pass.
+ *
+ * @returns {Promise<{ stored: Object<string, number> }>} ballots stored per election
+ */
+async function runMixerTick(now = new Date()) {
+  const db = getDb();
+  const electionIds = new Set([
+    ...(await db.collection('pendingBallots').distinct('electionId')),
+    ...(await db.collection('pendingParticipations').distinct('electionId')),
+    ...(await db.collection('spentBallotTokens').distinct('electionId', { counted: false })),
+  ]);
+  const stored = {};
+
+  for (const electionId of electionIds) {
+    const count = await ballotMixService.flushElection(electionId, { now });
+    if (count > 0) {
+      stored[electionId] = count;
+    }
+  }
+
+  return { stored };
+}
+
+/**
+ * Start the periodic mixer (no-op if already running).
+ */
+function startBallotMixer() {
+  const { windowMs } = config.ballotMix;
+
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+
+    try {
+      await runMixerTick();
+    } catch (err) {
+      console.error('[mix] mixing pass failed:', err);
+    } finally {
+      running = false;
+    }
+  }, windowMs);
+
+  // Don't keep the process alive just for the mixer
+  timer.unref();
+
+  console.log(`Ballot mixer started (every ${windowMs} ms)`);
+}
+
+function stopBallotMixer() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runMixerTick,
+  startBallotMixer,
+  stopBallotMixer,
+};
@@ -0,0 +1,871 @@
+// src/services/ballotService.js
+// Admin management of ballot contents: districts, parties and candidates per
+// election.
+//
+// Districts (constituencies) are optional. Once an election has any, every
+// candidate belongs to one district and stands on that district's ballot
+// only; parties stay election-wide and each district has its own candidate
+// list per party and its own seat count.
+//
+// Writes are only allowed while the election is draft or scheduled, because
+// getBallot and submitVote read these collections live. Every write runs in
+// a transaction that also bumps elections.ballotVersion conditionally on the
+// status, so a write racing with "open" either lands before it or fails.
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const { MAX_BALLOT_CANDIDATES } = require('../lib/elgamal');
+const { MAX_SEATS } = require('./electionService');
+
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const ITEM_STATUSES = ['active', 'inactive'];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const NAME_MAX_LENGTH = 200;
+const SYMBOL_MAX_LENGTH = 16;
+// Used by the women's quota in party-list seat allocation
+const GENDERS = ['female', 'male'];
+
+const DISTRICT_PROJECTION = { _id: 0 };
+const PARTY_PROJECTION = { _id: 0 };
+const CANDIDATE_PROJECTION = { _id: 0 };
+
+// ---------- validation ----------
+
+function validateName(input, errors, fields, partial) {
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.name = 'name is required';
+    } else if (input.name.trim().length > NAME_MAX_LENGTH) {
+      errors.name = `name must be at most ${NAME_MAX_LENGTH} characters`;
+    } else {
+      fields.name = input.name.trim();
+    }
+  }
+}
+
+function validateStatus(input, errors, fields) {
+  if (input.status !== undefined) {
+    if (!ITEM_STATUSES.includes(input.status)) {
+      errors.status = `status must be one of: ${ITEM_STATUSES.join(', ')}`;
+    } else {
+      fields.status = input.status;
+    }
+  }
+}
+
+function validateDistrictFields(input, { partial = false } = {}) {
+  const fields = {};
+  const errors = {};
+
+  if (!partial) {
+    if (typeof input.districtId !== 'string' || !ID_PATTERN.test(input.districtId)) {
+      errors.districtId = 'districtId must be 1-64 characters of [A-Za-z0-9_-]';
+    } else {
+      fields.districtId = input.districtId;
+    }
+  }
+
+  validateName(input, errors, fields, partial);
+
+  if (!partial || input.seats !== undefined) {
+    if (!Number.isInteger(input.seats) || input.seats < 1 || input.seats > MAX_SEATS) {
+      errors.seats = `seats must be an integer between 1 and ${MAX_SEATS}`;
+    } else {
+      fields.seats = input.seats;
+    }
+  }
+
+  validateStatus(input, errors, fields);
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid district fields', errors);
+  }
+
+  return fields;
+}
+
+function validatePartyFields(input, { partial = false } = {}) {
+  const fields = {};
+  const errors = {};
+
+  if (!partial) {
+    if (typeof input.partyId !== 'string' || !ID_PATTERN.test(input.partyId)) {
+      errors.partyId = 'partyId must be 1-64 characters of [A-Za-z0-9_-]';
+    } else {
+      fields.partyId = input.partyId;
+    }
+  }
+
+  validateName(input, errors, fields, partial);
+
+  if (input.symbol !== undefined && input.symbol !== null) {
+    if (
+      typeof input.symbol !== 'string' ||
+      input.symbol.trim().length > SYMBOL_MAX_LENGTH
+    ) {
+      errors.symbol = `symbol must be a string of at most ${SYMBOL_MAX_LENGTH} characters`;
+    } else {
+      fields.symbol = input.symbol.trim();
+    }
+  } else if (input.symbol === null) {
+    fields.symbol = null;
+  }
+
+  if (input.color !== undefined && input.color !== null) {
+    if (typeof input.color !== 'string' || !COLOR_PATTERN.test(input.color)) {
+      errors.color = 'color must be a hex color like "#1E40AF"';
+    } else {
+      fields.color = input.color.toUpperCase();
+    }
+  } else if (input.color === null) {
+    fields.color = null;
+  }
+
+  validateStatus(input, errors, fields);
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid party fields', errors);
+  }
+
+  return fields;
+}
+
+function validateCandidateFields(input, { partial = false } = {}) {
+  const fields = {};
+  const errors = {};
+
+  if (!partial) {
+    if (
+      typeof input.candidateId !== 'string' ||
+      !ID_PATTERN.test(input.candidateId)
+    ) {
+      errors.candidateId = 'candidateId must be 1-64 characters of [A-Za-z0-9_-]';
+    } else {
+      fields.candidateId = input.candidateId;
+    }
+  }
+
+  if (!partial || input.partyId !== undefined) {
+    if (typeof input.partyId !== 'string' || !ID_PATTERN.test(input.partyId)) {
+      errors.partyId = 'partyId must be 1-64 characters of [A-Za-z0-9_-]';
+    } else {
+      fields.partyId = input.partyId;
+    }
+  }
+
+  if (input.districtId !== undefined && input.districtId !== null) {
+    if (typeof input.districtId !== 'string' || !ID_PATTERN.test(input.districtId)) {
+      errors.districtId = 'districtId must be 1-64 characters of [A-Za-z0-9_-]';
+    } else {
+      fields.districtId = input.districtId;
+    }
+  } else if (input.districtId === null) {
+    fields.districtId = null;
+  }
+
+  validateName(input, errors, fields, partial);
+  validateStatus(input, errors, fields);
+
+  if (input.gender !== undefined && input.gender !== null) {
+    if (!GENDERS.includes(input.gender)) {
+      errors.gender = `gender must be one of: ${GENDERS.join(', ')}`;
+    } else {
+      fields.gender = input.gender;
+    }
+  } else if (input.gender === null || !partial) {
+    fields.gender = null;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid candidate fields', errors);
+  }
+
+  return fields;
+}
+
+function validateIdList(list, name) {
+  if (
+    !Array.isArray(list) ||
+    list.length === 0 ||
+    !list.every((id) => typeof id === 'string' && ID_PATTERN.test(id))
+  ) {
+    throw httpError(400, 'VALIDATION_ERROR', `${name} must be a non-empty array of ids`, {});
+  }
+
+  if (new Set(list).size !== list.length) {
+    throw httpError(400, 'VALIDATION_ERROR', `${name} must not contain duplicates`, {});
+  }
+}
+
+// ---------- locking ----------
+
+/**
+ * Run `fn` in a transaction after claiming a ballot edit on the election,
+ * then `options.audit` (auditService.adminAuditHook) with its result in the
+ * same transaction.
+ * Throws 404 ELECTION_NOT_FOUND or 409 BALLOT_LOCKED.
+ */
+async function withBallotEdit(electionId, fn, { audit = null } = {}) {
+  return withTransaction(async ({ db, session }) => {
+    const elections = db.collection('elections');
+
+    const result = await elections.updateOne(
+      { electionId, status: { $in: EDITABLE_STATUSES } },
+      { $inc: { ballotVersion: 1 }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+
+    if (result.matchedCount === 0) {
+      const election = await elections.findOne(
+        { electionId },
+        { session, projection: { _id: 0, status: 1 } }
+      );
+
+      if (!election) {
+        throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', {
+          electionId,
+        });
+      }
+
+      throw httpError(
+        409,
+        'BALLOT_LOCKED',
+        'Parties and candidates can only be changed while the election is draft or scheduled',
+        { electionId, status: election.status }
+      );
+    }
+
+    const edited = await fn({ db, session });
+    if (audit) await audit(edited, { db, session });
+    return edited;
+  });
+}
+
+async function assertElectionExists(electionId) {
+  const db = getDb();
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { projection: { _id: 1 } });
+
+  if (!election) {
+    throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', {
+      electionId,
+    });
+  }
+}
+
+function rethrowDuplicate(err, code, message, details) {
+  if (err && err.code === 11000) {
+    throw httpError(409, code, message, details);
+  }
+  throw err;
+}
+
+async function nextOrder(collection, filter, session) {
+  const last = await collection.findOne(filter, {
+    session,
+    sort: { order: -1 },
+    projection: { order: 1 },
+  });
+
+  return last && typeof last.order === 'number' ? last.order + 1 : 1;
+}
+
+// ---------- districts ----------
+
+/**
+ * Districts of an election in display order (no existence check; [] for an
+ * election without districts).
+ *
+ * @param {string} electionId
+ * @param {{ session?: object }} [options]
+ */
+async function getDistricts(electionId, { session } = {}) {
+  return getDb()
+    .collection('districts')
+    .find({ electionId }, { session, projection: DISTRICT_PROJECTION })
+    .sort({ order: 1, districtId: 1 })
+    .toArray();
+}
+
+async function hasDistricts(db, session, electionId) {
+  const district = await db
+    .collection('districts')
+    .findOne({ electionId }, { session, projection: { _id: 1 } });
+
+  return Boolean(district);
+}
+
+async function listDistricts(electionId) {
+  await assertElectionExists(electionId);
+  return getDistricts(electionId);
+}
+
+/**
+ * One district, or null (used for audit "before" snapshots).
+ */
+async function findDistrict(electionId, districtId) {
+  const db = getDb();
+  return db
+    .collection('districts')
+    .findOne({ electionId, districtId }, { projection: DISTRICT_PROJECTION });
+}
+
+async function createDistrict(electionId, input = {}, options = {}) {
+  const fields = validateDistrictFields(input);
+
+  try {
+    return await withBallotEdit(electionId, async ({ db, session }) => {
+      const districts = db.collection('districts');
+      const now = new Date();
+
+      const doc = {
+        electionId,
+        status: 'active',
+        ...fields,
+        order: await nextOrder(districts, { electionId }, session),
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        meta: {},
+      };
+
+      await districts.insertOne(doc, { session });
+      delete doc._id;
+      return doc;
+    }, options);
+  } catch (err) {
+    return rethrowDuplicate(err, 'DISTRICT_EXISTS', 'districtId already exists in this election', {
+      electionId,
+      districtId: fields.districtId,
+    });
+  }
+}
+
+/**
+ * A district can only be deactivated once it has no active candidates and
+ * no voters on the current roll.
+ */
+async function assertDistrictUnused(db, session, electionId, districtId) {
+  const activeCandidates = await db
+    .collection('candidates')
+    .countDocuments({ electionId, districtId, status: 'active' }, { session });
+
+  if (activeCandidates > 0) {
+    throw httpError(
+      409,
+      'DISTRICT_HAS_ACTIVE_CANDIDATES',
+      'Deactivate or move the district candidates first',
+      { electionId, districtId, activeCandidates }
+    );
+  }
+
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { session, projection: { _id: 0, 'voterRoll.rollId': 1 } });
+
+  const rollId = election && election.voterRoll ? election.voterRoll.rollId : null;
+  const onRoll = rollId
+    ? await db
+        .collection('voterRollEntries')
+        .findOne({ rollId, districtId }, { session, projection: { _id: 1 } })
+    : null;
+
+  if (onRoll) {
+    throw httpError(
+      409,
+      'DISTRICT_ON_ROLL',
+      'The current voter roll assigns voters to this district',
+      { electionId, districtId }
+    );
+  }
+}
+
+async function updateDistrict(electionId, districtId, input = {}, options = {}) {
+  const fields = validateDistrictFields(input, { partial: true });
+
+  return withBallotEdit(electionId, async ({ db, session }) => {
+    if (fields.status === 'inactive') {
+      await assertDistrictUnused(db, session, electionId, districtId);
+    }
+
+    const result = await db.collection('districts').findOneAndUpdate(
+      { electionId, districtId },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $inc: { version: 1 },
+      },
+      { session, returnDocument: 'after', projection: DISTRICT_PROJECTION }
+    );
+
+    if (!result) {
+      throw httpError(404, 'DISTRICT_NOT_FOUND', 'District not found', {
+        electionId,
+        districtId,
+      });
+    }
+
+    return result;
+  }, options);
+}
+
+async function deactivateDistrict(electionId, districtId, options = {}) {
+  return updateDistrict(electionId, districtId, { status: 'inactive' }, options);
+}
+
+async function assertActiveDistrict(db, session, electionId, districtId) {
+  const district = await db
+    .collection('districts')
+    .findOne({ electionId, districtId }, { session, projection: { status: 1 } });
+
+  if (!district) {
+    throw httpError(400, 'DISTRICT_NOT_FOUND', 'Candidate district does not exist in this election', {
+      electionId,
+      districtId,
+    });
+  }
+
+  if (district.status !== 'active') {
+    throw httpError(409, 'DISTRICT_INACTIVE', 'Candidate district is not active', {
+      electionId,
+      districtId,
+    });
+  }
+}
+
+/**
+ * The district a candidate goes to: required once the election has
+ * districts, not allowed before.
+ */
+async function assertCandidateDistrict(db, session, electionId, districtId) {
+  const districted = await hasDistricts(db, session, electionId);
+
+  if (districted && !districtId) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid candidate fields', {
+      districtId: 'districtId is required in an election with districts',
+    });
+  }
+
+  if (districtId) {
+    await assertActiveDistrict(db, session, electionId, districtId);
+  }
+}
+
+// ---------- parties ----------
+
+async function listParties(electionId) {
+  await assertElectionExists(electionId);
+
+  const db = getDb();
+  return db
+    .collection('parties')
+    .find({ electionId }, { projection: PARTY_PROJECTION })
+    .sort({ order: 1 })
+    .toArray();
+}
+
+/**
+ * One party, or null (used for audit "before" snapshots).
+ */
+async function findParty(electionId, partyId) {
+  const db = getDb();
+  return db
+    .collection('parties')
+    .findOne({ electionId, partyId }, { projection: PARTY_PROJECTION });
+}
+
+async function createParty(electionId, input = {}, options = {}) {
+  const fields = validatePartyFields(input);
+
+  try {
+    return await withBallotEdit(electionId, async ({ db, session }) => {
+      const parties = db.collection('parties');
+      const now = new Date();
+
+      const doc = {
+        electionId,
+        symbol: null,
+        color: null,
+        status: 'active',
+        ...fields,
+        order: await nextOrder(parties, { electionId }, session),
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        meta: {},
+      };
+
+      await parties.insertOne(doc, { session });
+      delete doc._id;
+      return doc;
+    }, options);
+  } catch (err) {
+    return rethrowDuplicate(err, 'PARTY_EXISTS', 'partyId already exists in this election', {
+      electionId,
+      partyId: fields.partyId,
+    });
+  }
+}
+
+async function updateParty(electionId, partyId, input = {}, options = {}) {
+  const fields = validatePartyFields(input, { partial: true });
+
+  return withBallotEdit(electionId, async ({ db, session }) => {
+    const parties = db.collection('parties');
+
+    if (fields.status === 'inactive') {
+      await assertNoActiveCandidates(db, session, electionId, partyId);
+    }
+
+    const result = await parties.findOneAndUpdate(
+      { electionId, partyId },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $inc: { version: 1 },
+      },
+      { session, returnDocument: 'after', projection: PARTY_PROJECTION }
+    );
+
+    if (!result) {
+      throw httpError(404, 'PARTY_NOT_FOUND', 'Party not found', {
+        electionId,
+        partyId,
+      });
+    }
+
+    return result;
+  }, options);
+}
+
+async function assertNoActiveCandidates(db, session, electionId, partyId) {
+  const activeCandidates = await db
+    .collection('candidates')
+    .countDocuments({ electionId, partyId, status: 'active' }, { session });
+
+  if (activeCandidates > 0) {
+    throw httpError(
+      409,
+      'PARTY_HAS_ACTIVE_CANDIDATES',
+      'Deactivate or move the party candidates first',
+      { electionId, partyId, activeCandidates }
+    );
+  }
+}
+
+async function deactivateParty(electionId, partyId, options = {}) {
+  return updateParty(electionId, partyId, { status: 'inactive' }, options);
+}
+
+/**
+ * Set party order to the position in `partyIds` (1-based).
+ * `partyIds` must list every party of the election exactly once.
+ */
+async function reorderParties(electionId, partyIds, options = {}) {
+  validateIdList(partyIds, 'partyIds');
+
+  return withBallotEdit(electionId, async ({ db, session }) => {
+    const parties = db.collection('parties');
+
+    const existing = await parties
+      .find({ electionId }, { session, projection: { _id: 0, partyId: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map((p) => p.partyId));
+
+    if (
+      existingIds.size !== partyIds.length ||
+      !partyIds.every((id) => existingIds.has(id))
+    ) {
+      throw httpError(
+        400,
+        'REORDER_MISMATCH',
+        'partyIds must list every party of the election exactly once',
+        { expected: Array.from(existingIds) }
+      );
+    }
+
+    const now = new Date();
+    await parties.bulkWrite(
+      partyIds.map((partyId, index) => ({
+        updateOne: {
+          filter: { electionId, partyId },
+          update: { $set: { order: index + 1, updatedAt: now }, $inc: { version: 1 } },
+        },
+      })),
+      { session }
+    );
+
+    return parties
+      .find({ electionId }, { session, projection: PARTY_PROJECTION })
+      .sort({ order: 1 })
+      .toArray();
+  }, options);
+}
+
+// ---------- candidates ----------
+
+async function listCandidates(electionId, { partyId, districtId } = {}) {
+  await assertElectionExists(electionId);
+
+  const db = getDb();
+  const filter = { electionId };
+
+  if (partyId) {
+    filter.partyId = partyId;
+  }
+
+  if (districtId) {
+    filter.districtId = districtId;
+  }
+
+  return db
+    .collection('candidates')
+    .find(filter, { projection: CANDIDATE_PROJECTION })
+    .sort({ partyId: 1, order: 1 })
+    .toArray();
+}
+
+/**
+ * One candidate, or null (used for audit "before" snapshots).
+ */
+async function findCandidate(electionId, candidateId) {
+  const db = getDb();
+  return db
+    .collection('candidates')
+    .findOne({ electionId, candidateId }, { projection: CANDIDATE_PROJECTION });
+}
+
+async function assertActiveParty(db, session, electionId, partyId) {
+  const party = await db
+    .collection('parties')
+    .findOne({ electionId, partyId }, { session, projection: { status: 1 } });
+
+  if (!party) {
+    throw httpError(400, 'PARTY_NOT_FOUND', 'Candidate party does not exist in this election', {
+      electionId,
+      partyId,
+    });
+  }
+
+  if (party.status !== 'active') {
+    throw httpError(409, 'PARTY_INACTIVE', 'Candidate party is not active', {
+      electionId,
+      partyId,
+    });
+  }
+}
+
+/**
+ * Encrypted elections verify a proof per candidate on every ballot, so a
+ * ballot (one per district) lists at most MAX_BALLOT_CANDIDATES of them.
+ * Call after the candidate write, inside the ballot edit.
+ *
+ * @throws {Error} 409 BALLOT_TOO_LARGE
+ */
+async function assertEncryptedBallotSize(db, session, electionId, districtId) {
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { session, projection: { _id: 0, encryption: 1 } });
+
+  if (!election || !election.encryption) {
+    return;
+  }
+
+  const count = await db
+    .collection('candidates')
+    .countDocuments({ electionId, status: 'active', ...(districtId ? { districtId } : {}) }, { session });
+
+  if (count > MAX_BALLOT_CANDIDATES) {
+    throw httpError(409, 'BALLOT_TOO_LARGE', `Encrypted ballots list at most ${MAX_BALLOT_CANDIDATES} candidates`, {
+      electionId,
+      districtId,
+      max: MAX_BALLOT_CANDIDATES,
+    });
+  }
+}
+
+async function createCandidate(electionId, input = {}, options = {}) {
+  const fields = validateCandidateFields(input);
+
+  try {
+    return await withBallotEdit(electionId, async ({ db, session }) => {
+      const candidates = db.collection('candidates');
+      await assertActiveParty(db, session, electionId, fields.partyId);
+      await assertCandidateDistrict(db, session, electionId, fields.districtId);
+
+      const now = new Date();
+      const doc = {
+        electionId,
+        status: 'active',
+        districtId: null,
+        ...fields,
+        // Party lists are per district
+        order: await nextOrder(
+          candidates,
+          { electionId, partyId: fields.partyId, districtId: fields.districtId || null },
+          session
+        ),
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        meta: {},
+      };
+
+      await candidates.insertOne(doc, { session });
+      await assertEncryptedBallotSize(db, session, electionId, doc.districtId);
+      delete doc._id;
+      return doc;
+    }, options);
+  } catch (err) {
+    return rethrowDuplicate(
+      err,
+      'CANDIDATE_EXISTS',
+      'candidateId already exists in this election',
+      { electionId, candidateId: fields.candidateId }
+    );
+  }
+}
+
+async function updateCandidate(electionId, candidateId, input = {}, options = {}) {
+  const fields = validateCandidateFields(input, { partial: true });
+
+  return withBallotEdit(electionId, async ({ db, session }) => {
+    const candidates = db.collection('candidates');
+
+    const existing = await candidates.findOne(
+      { electionId, candidateId },
+      { session, projection: { partyId: 1, districtId: 1 } }
+    );
+
+    if (!existing) {
+      throw httpError(404, 'CANDIDATE_NOT_FOUND', 'Candidate not found', {
+        electionId,
+        candidateId,
+      });
+    }
+
+    const targetPartyId = fields.partyId || existing.partyId;
+    const partyChanged = targetPartyId !== existing.partyId;
+
+    const targetDistrictId =
+      fields.districtId !== undefined ? fields.districtId : existing.districtId || null;
+    const districtChanged = targetDistrictId !== (existing.districtId || null);
+
+    if (partyChanged || fields.status === 'active') {
+      await assertActiveParty(db, session, electionId, targetPartyId);
+    }
+
+    if (districtChanged || fields.status === 'active') {
+      await assertCandidateDistrict(db, session, electionId, targetDistrictId);
+    }
+
+    // Moving to another party or district: goes to the end of that list
+    if (partyChanged || districtChanged) {
+      fields.order = await nextOrder(
+        candidates,
+        { electionId, partyId: targetPartyId, districtId: targetDistrictId },
+        session
+      );
+    }
+
+    const updated = await candidates.findOneAndUpdate(
+      { electionId, candidateId },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $inc: { version: 1 },
+      },
+      { session, returnDocument: 'after', projection: CANDIDATE_PROJECTION }
+    );
+
+    if (updated.status === 'active') {
+      await assertEncryptedBallotSize(db, session, electionId, updated.districtId || null);
+    }
+
+    return updated;
+  }, options);
+}
+
+async function deactivateCandidate(electionId, candidateId, options = {}) {
+  return updateCandidate(electionId, candidateId, { status: 'inactive' }, options);
+}
+
+/**
+ * Set candidate order within one party list (of one district, if the
+ * election has districts).
+ * `candidateIds` must list every candidate of that list exactly once.
+ */
+async function reorderCandidates(electionId, partyId, candidateIds, { districtId = null, audit = null } = {}) {
+  if (typeof partyId !== 'string' || !ID_PATTERN.test(partyId)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'partyId is required', {});
+  }
+  if (districtId !== null && (typeof districtId !== 'string' || !ID_PATTERN.test(districtId))) {
+    throw httpError(400, 'VALIDATION_ERROR', 'districtId must be a district id', {});
+  }
+  validateIdList(candidateIds, 'candidateIds');
+
+  return withBallotEdit(electionId, async ({ db, session }) => {
+    const candidates = db.collection('candidates');
+
+    if (!districtId && (await hasDistricts(db, session, electionId))) {
+      throw httpError(400, 'VALIDATION_ERROR', 'districtId is required in an election with districts', {});
+    }
+
+    // districtId null also matches candidates from before districts existed
+    const listFilter = { electionId, partyId, districtId };
+
+    const existing = await candidates
+      .find(listFilter, { session, projection: { _id: 0, candidateId: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map((c) => c.candidateId));
+
+    if (
+      existingIds.size !== candidateIds.length ||
+      !candidateIds.every((id) => existingIds.has(id))
+    ) {
+      throw httpError(
+        400,
+        'REORDER_MISMATCH',
+        'candidateIds must list every candidate of the list exactly once',
+        { expected: Array.from(existingIds) }
+      );
+    }
+
+    const now = new Date();
+    await candidates.bulkWrite(
+      candidateIds.map((candidateId, index) => ({
+        updateOne: {
+          filter: { electionId, candidateId },
+          update: { $set: { order: index + 1, updatedAt: now }, $inc: { version: 1 } },
+        },
+      })),
+      { session }
+    );
+
+    return candidates
+      .find(listFilter, { session, projection: CANDIDATE_PROJECTION })
+      .sort({ order: 1 })
+      .toArray();
+  }, { audit });
+}
+
+module.exports = {
+  getDistricts,
+  listDistricts,
+  findDistrict,
+  createDistrict,
+  updateDistrict,
+  deactivateDistrict,
+  listParties,
+  findParty,
+  createParty,
+  updateParty,
+  deactivateParty,
+  reorderParties,
+  listCandidates,
+  findCandidate,
+  createCandidate,
+  updateCandidate,
+  deactivateCandidate,
+  reorderCandidates,
+};
@@ -0,0 +1,278 @@
+// src/services/blindTokenService.js
+// Anonymous ballot tokens with RSA blind signatures (lib/blindRsa.js), so
+// that issuing a token to a voter and casting the ballot can't be linked.
+//
+// 1. the voter (signed in) fetches the ballot-token key of the election
+//    (per district for elections with districts; electionKeys)
+// 2. the voter picks a random token, blinds tokenMessage(...) and has the
+//    server sign it: eligibility is checked and the participation recorded
+//    (status "token_issued") in the same step, so each voter gets exactly
+//    one signature
+// 3. later, without authentication, the voter casts the ballot with the
+//    token and the unblinded signature; spentBallotTokens makes each token
+//    single-use. Turnout counts spent tokens, not issued ones: a voter who
+//    never casts the token has not voted. The mixer counts a spent token
+//    (counted: true) some windows after the cast, like the ballot itself
+//
+// participations.blindToken keeps { keyId, blindedMessageHash,
+// blindSignature } so a retried request with the same blinded message gets
+// the same signature. Neither value can be matched with the final token
+// or signature. Like a submitted ballot's, the participation is claimed in
+// pendingParticipations and stored by the mixer (ballotMixService).
+
+const crypto = require('crypto');
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const blindRsa = require('../lib/blindRsa');
+const electionKeyService = require('./electionKeyService');
+const voterRollService = require('./voterRollService');
+const ballotMixService = require('./ballotMixService');
+const { isOpenAt } = require('./voteService');
+
+// 32 random bytes, base64url
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]{1,1024}$/;
+
+/**
+ * Message the blind signature is over: binds the token to its election and
+ * district.
+ *
+ * @returns {Buffer}
+ */
+function tokenMessage(electionId, districtId, token) {
+  return Buffer.from(`evote/ballot-token/v1\n${electionId}\n${districtId || ''}\n${token}`, 'utf8');
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function toPublicKey(keyDoc, districtId) {
+  return {
+    electionId: keyDoc.electionId,
+    districtId,
+    algorithm: keyDoc.algorithm,
+    keyId: keyDoc.keyId,
+    publicKeyPem: keyDoc.publicKeyPem,
+  };
+}
+
+async function getKeyDoc(electionId, districtId) {
+  return electionKeyService.getOrCreateElectionKey(
+    electionId,
+    electionKeyService.ballotTokenPurpose(districtId),
+    { algorithm: blindRsa.ALGORITHM, districtId }
+  );
+}
+
+/**
+ * Eligibility for a ballot token; returns the voter's district (or null).
+ *
+ * @throws {Error} 400 BAD_TOKEN, 409 ELECTION_NOT_OPEN, 404 VOTER_NOT_FOUND,
+ *   403 VOTER_INACTIVE / NOT_ELIGIBLE / NO_DISTRICT
+ */
+async function assertEligible({ db, session, election, voterId, now }) {
+  if (!voterId) {
+    throw httpError(400, 'BAD_TOKEN', 'Token is missing voterId');
+  }
+
+  if (!isOpenAt(election, now)) {
+    throw httpError(409, 'ELECTION_NOT_OPEN', 'Election is not open for voting', {
+      electionId: election ? election.electionId : null,
+    });
+  }
+
+  const voter = await db
+    .collection('voters')
+    .findOne({ voterId }, { session, projection: { _id: 0, status: 1 } });
+
+  if (!voter) {
+    throw httpError(404, 'VOTER_NOT_FOUND', 'Voter not found');
+  }
+  if (voter.status !== 'active') {
+    throw httpError(403, 'VOTER_INACTIVE', 'Voter is not active', { status: voter.status });
+  }
+
+  if (!(await voterRollService.isEligible(election, voterId, { session }))) {
+    throw httpError(403, 'NOT_ELIGIBLE', 'Voter is not on the electoral roll of this election', {
+      electionId: election.electionId,
+    });
+  }
+
+  return voterRollService.getVoterDistrict(election, voterId, { session });
+}
+
+/**
+ * The key a voter's token must be blinded with (created on first use).
+ *
+ * @param {{ db, election: object, voterId: string }} args
+ * @returns {Promise<{ electionId, districtId, algorithm, keyId, publicKeyPem }>}
+ */
+async function getVoterTokenKey({ db, election, voterId }) {
+  const districtId = await assertEligible({ db, election, voterId, now: new Date() });
+  return toPublicKey(await getKeyDoc(election.electionId, districtId), districtId);
+}
+
+/**
+ * Sign a voter's blinded token and record the participation in one
+ * transaction. The ballot-token key is loaded (or created) before it.
+ *
+ * @param {{ election: object, voterId: string, blindedMessage: string }} args
+ *   blindedMessage = base64url
+ * @returns {Promise<{ electionId, districtId, keyId, blindSignature: string }>}
+ * @throws {Error} 400 VALIDATION_ERROR / INVALID_BLINDED_MESSAGE,
+ *   409 ALREADY_VOTED (a different blinded message was signed before) /
+ *   ELECTION_STATE_CONFLICT (the voter's district changed meanwhile), and
+ *   the errors of assertEligible
+ */
+async function issueBlindSignature({ election, voterId, blindedMessage }) {
+  if (typeof blindedMessage !== 'string' || !BASE64URL_PATTERN.test(blindedMessage)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'blindedMessage is required (base64url)', {
+      blindedMessage: 'must be a base64url string',
+    });
+  }
+
+  const blinded = Buffer.from(blindedMessage, 'base64url');
+  const blindedMessageHash = sha256Hex(blinded);
+
+  // Key creation writes outside any session, so it happens first
+  const districtId = await assertEligible({ db: getDb(), election, voterId, now: new Date() });
+  const keyDoc = await getKeyDoc(election.electionId, districtId);
+
+  return withTransaction(async ({ db, session }) => {
+    const now = new Date();
+    const { electionId } = election;
+
+    const currentDistrictId = await assertEligible({ db, session, election, voterId, now });
+    if (currentDistrictId !== districtId) {
+      throw httpError(409, 'ELECTION_STATE_CONFLICT', 'Voter district changed, please retry', {
+        electionId,
+      });
+    }
+
+    const existing = await ballotMixService.findParticipation({ db, session, electionId, voterId });
+
+    if (existing) {
+      // Retry of the same request: hand out the same signature again
+      if (existing.blindToken && existing.blindToken.blindedMessageHash === blindedMessageHash) {
+        return {
+          electionId,
+          districtId,
+          keyId: existing.blindToken.keyId,
+          blindSignature: existing.blindToken.blindSignature,
+        };
+      }
+
+      throw httpError(409, 'ALREADY_VOTED', 'Voter has already cast a vote in this election', {
+        electionId,
+      });
+    }
+
+    let blindSignature;
+    try {
+      blindSignature = blindRsa
+        .blindSign(electionKeyService.loadPrivateKey(keyDoc), blinded)
+        .toString('base64url');
+    } catch (err) {
+      throw httpError(400, 'INVALID_BLINDED_MESSAGE', 'Blinded message does not fit the key', {
+        keyId: keyDoc.keyId,
+      });
+    }
+
+    await ballotMixService.holdParticipation({
+      db,
+      session,
+      electionId,
+      voterId,
+      districtId,
+      status: 'token_issued',
+      blindToken: { keyId: keyDoc.keyId, blindedMessageHash, blindSignature },
+      now,
+    });
+
+    return { electionId, districtId, keyId: keyDoc.keyId, blindSignature };
+  });
+}
+
+/**
+ * Check an anonymous ballot's token and signature.
+ *
+ * @param {{ electionId: string, keyId: string, token: string, signature: string }} input
+ * @returns {Promise<{ districtId: string | null }>}
+ * @throws {Error} 400 VALIDATION_ERROR / INVALID_VOTE_TOKEN
+ */
+async function verifyBallotToken({ electionId, keyId, token, signature }) {
+  const errors = {};
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    errors.token = 'token must be 32 random bytes, base64url';
+  }
+  if (typeof signature !== 'string' || !BASE64URL_PATTERN.test(signature)) {
+    errors.signature = 'signature must be a base64url string';
+  }
+  if (typeof keyId !== 'string' || !keyId) {
+    errors.keyId = 'keyId is required';
+  }
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid ballot token', errors);
+  }
+
+  const keyDoc = await electionKeyService.findElectionKey(electionId, keyId);
+
+  if (!keyDoc || keyDoc.algorithm !== blindRsa.ALGORITHM) {
+    throw httpError(400, 'INVALID_VOTE_TOKEN', 'Invalid voting token', { keyId });
+  }
+
+  const districtId = keyDoc.districtId || null;
+  const valid = blindRsa.verify(
+    keyDoc.publicKeyPem,
+    tokenMessage(electionId, districtId, token),
+    Buffer.from(signature, 'base64url')
+  );
+
+  if (!valid) {
+    throw httpError(400, 'INVALID_VOTE_TOKEN', 'Invalid voting token', { keyId });
+  }
+
+  return { districtId };
+}
+
+/**
+ * Mark a token used, inside the ballot's transaction. The spent token is
+ * pooled (counted: false) and the mixer counts it in the turnout later,
+ * so neither the turnout counters nor a counted token appear at cast time.
+ *
+ * @param {{ db, session, electionId: string, districtId: string | null,
+ *   token: string, now: Date }} args - districtId of the token's key
+ * @throws {Error} 409 TOKEN_ALREADY_USED
+ */
+async function spendBallotToken({ db, session, electionId, districtId = null, token, now = new Date() }) {
+  try {
+    await db
+      .collection('spentBallotTokens')
+      .insertOne(
+        {
+          _id: crypto.randomUUID(),
+          electionId,
+          ...(districtId ? { districtId } : {}),
+          tokenHash: sha256Hex(token),
+          counted: false,
+          ...ballotMixService.mixSlot(now),
+        },
+        { session }
+      );
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(409, 'TOKEN_ALREADY_USED', 'Voting token already used');
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  tokenMessage,
+  getVoterTokenKey,
+  issueBlindSignature,
+  verifyBallotToken,
+  spendBallotToken,
+};
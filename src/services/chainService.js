@@ -0,0 +1,232 @@
+// src/services/chainService.js
+// Per-election hash chain over the votes collection.
+//
+// Every vote stores { seq, prevHash, chainHash } where
+//   chainHash = linkHash(prevHash, { electionId, seq, receiptId, ballotHash })
+// and prevHash is the chainHash of vote seq-1 (genesis for seq 1).
+// The current head lives in voteChains { electionId, seq, head } and is
+// advanced in the same transaction as the vote insert.
+//
+// Inserting, deleting, reordering or editing a vote after the fact breaks
+// the chain (or no longer matches the published head).
+
+const { getDb } = require('../lib/mongo');
+const { genesisHash, linkHash } = require('../lib/hashChain');
+const signing = require('../lib/signing');
+const receiptService = require('./receiptService');
+
+const MAX_REPORTED_BREAKS = 100;
+
+function chainScope(electionId) {
+  return `votes:${electionId}`;
+}
+
+function chainEntry({ electionId, seq, receiptId, ballotHash }) {
+  return { electionId, seq, receiptId, ballotHash };
+}
+
+/**
+ * Reserve the next position in the election chain and compute its link.
+ * Must run inside the vote transaction: the $inc on voteChains makes
+ * concurrent casts conflict and retry, so seq values never collide.
+ *
+ * @param {{ db, session, electionId, receiptId, ballotHash, now }} params
+ * @returns {Promise<{ seq: number, prevHash: string, chainHash: string }>}
+ */
+async function appendToChain({ db, session, electionId, receiptId, ballotHash, now }) {
+  const voteChains = db.collection('voteChains');
+
+  const chain = await voteChains.findOneAndUpdate(
+    { electionId },
+    {
+      $inc: { seq: 1 },
+      $setOnInsert: { electionId, createdAt: now },
+    },
+    { session, upsert: true, returnDocument: 'after' }
+  );
+
+  const seq = chain.seq;
+  const prevHash = chain.head || genesisHash(chainScope(electionId));
+  const chainHash = linkHash(
+    prevHash,
+    chainEntry({ electionId, seq, receiptId, ballotHash })
+  );
+
+  await voteChains.updateOne(
+    { electionId },
+    { $set: { head: chainHash, updatedAt: now } },
+    { session }
+  );
+
+  return { seq, prevHash, chainHash };
+}
+
+/**
+ * Current chain head for an election ({ seq: 0, head: genesis } if empty).
+ */
+async function getChainHead(electionId) {
+  const db = getDb();
+  const chain = await db
+    .collection('voteChains')
+    .findOne({ electionId }, { projection: { _id: 0, seq: 1, head: 1, updatedAt: 1 } });
+
+  return {
+    electionId,
+    seq: (chain && chain.seq) || 0,
+    head: (chain && chain.head) || genesisHash(chainScope(electionId)),
+    updatedAt: (chain && chain.updatedAt) || null,
+  };
+}
+
+/**
+ * Public bulletin-board page: chain entries (no choices) after `afterSeq`.
+ */
+async function listChainEntries(electionId, { afterSeq = 0, limit = 100 } = {}) {
+  const db = getDb();
+
+  return db
+    .collection('votes')
+    .find(
+      { electionId, seq: { $gt: afterSeq } },
+      {
+        projection: {
+          _id: 0,
+          seq: 1,
+          receiptId: 1,
+          ballotHash: 1,
+          prevHash: 1,
+          chainHash: 1,
+        },
+      }
+    )
+    .sort({ seq: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Walk the whole chain and report every break found.
+ *
+ * Checks per vote: seq continuity, prevHash link, chainHash, ballotHash vs
+ * stored choice, server signature. Then: stored head matches the last
+ * link, and no vote of the election sits outside the chain.
+ *
+ * @param {string} electionId
+ * @returns {Promise<{ electionId, ok, checked, head, breakCount, breaks }>}
+ */
+async function verifyChain(electionId) {
+  const db = getDb();
+  const votes = db.collection('votes');
+
+  const breaks = [];
+  let breakCount = 0;
+
+  function report(problem, details = {}) {
+    breakCount += 1;
+    if (breaks.length < MAX_REPORTED_BREAKS) {
+      breaks.push({ problem, ...details });
+    }
+  }
+
+  let expectedSeq = 1;
+  let prevHash = genesisHash(chainScope(electionId));
+  let checked = 0;
+
+  const cursor = votes
+    .find({ electionId, seq: { $exists: true } })
+    .sort({ seq: 1 });
+
+  for await (const vote of cursor) {
+    checked += 1;
+    const where = { seq: vote.seq, receiptId: vote.receiptId };
+
+    if (vote.seq !== expectedSeq) {
+      report(vote.seq < expectedSeq ? 'DUPLICATE_SEQ' : 'MISSING_SEQ', {
+        ...where,
+        expectedSeq,
+      });
+    }
+
+    if (vote.prevHash !== prevHash) {
+      report('PREV_HASH_MISMATCH', where);
+    }
+
+    const expectedChainHash = linkHash(
+      vote.prevHash,
+      chainEntry({
+        electionId,
+        seq: vote.seq,
+        receiptId: vote.receiptId,
+        ballotHash: vote.ballotHash,
+      })
+    );
+
+    if (vote.chainHash !== expectedChainHash) {
+      report('CHAIN_HASH_MISMATCH', where);
+    }
+
+    const expectedBallotHash = receiptService.computeBallotHash({
+      electionId,
+      receiptId: vote.receiptId,
+      choice: receiptService.getStoredChoice(vote),
+      salt: vote.ballotSalt,
+    });
+
+    if (vote.ballotHash !== expectedBallotHash) {
+      report('BALLOT_HASH_MISMATCH', where);
+    }
+
+    const sigOk = signing.verify(
+      receiptService.receiptPayload({
+        receiptId: vote.receiptId,
+        electionId,
+        ballotHash: vote.ballotHash,
+      }),
+      vote.serverSig
+    );
+
+    if (!sigOk) {
+      report('SIGNATURE_INVALID', where);
+    }
+
+    // Continue from what is stored so one edit is reported once
+    prevHash = vote.chainHash;
+    expectedSeq = vote.seq + 1;
+  }
+
+  const head = await getChainHead(electionId);
+
+  if (head.seq !== checked || head.head !== prevHash) {
+    report('HEAD_MISMATCH', {
+      storedSeq: head.seq,
+      storedHead: head.head,
+      walkedSeq: checked,
+      walkedHead: prevHash,
+    });
+  }
+
+  const unchained = await votes.countDocuments({
+    electionId,
+    seq: { $exists: false },
+  });
+
+  if (unchained > 0) {
+    report('UNCHAINED_VOTES', { count: unchained });
+  }
+
+  return {
+    electionId,
+    ok: breakCount === 0,
+    checked,
+    head,
+    breakCount,
+    breaks,
+  };
+}
+
+module.exports = {
+  appendToChain,
+  getChainHead,
+  listChainEntries,
+  verifyChain,
+};
@@ -0,0 +1,181 @@
+// src/services/electionKeyService.js
+// Per-election signing keys. Unlike the server key (lib/signing), each
+// election gets its own random key pairs, created on first use; the
+// private half is stored AES-GCM encrypted and never leaves the server.
+//
+// Collection: electionKeys
+// {
+//   electionId,
+//   purpose: "snapshot" | "ballot-token" | "ballot-token/<districtId>",
+//   algorithm: "Ed25519" | "RSABSSA-SHA384-PSS-Deterministic",
+//   districtId,             // ballot-token keys of elections with districts
+//   keyId,                  // see signing.getKeyId
+//   publicKeyPem,
+//   privateKeyEnc,          // encodePII(PKCS#8 DER, base64)
+//   createdAt
+// }
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { getDb } = require('../lib/mongo');
+const { encodePII, decodePII } = require('../lib/aesgcm');
+const { getKeyId } = require('../lib/signing');
+const blindRsa = require('../lib/blindRsa');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const SNAPSHOT_PURPOSE = 'snapshot';
+const BALLOT_TOKEN_PURPOSE = 'ballot-token';
+
+const KEY_GENERATORS = {
+  Ed25519: () => generateKeyPair('ed25519'),
+  [blindRsa.ALGORITHM]: () => generateKeyPair('rsa', { modulusLength: 2048 }),
+};
+
+/**
+ * Purpose of the blind-signing key for ballot tokens of a district (or of
+ * the whole election).
+ */
+function ballotTokenPurpose(districtId = null) {
+  return districtId ? `${BALLOT_TOKEN_PURPOSE}/${districtId}` : BALLOT_TOKEN_PURPOSE;
+}
+
+/**
+ * Key document for (electionId, purpose), generating it if missing.
+ * Concurrent callers end up with the same key (first insert wins).
+ *
+ * @param {string} electionId
+ * @param {string} [purpose="snapshot"]
+ * @param {{ algorithm?: string, districtId?: string | null }} [options]
+ */
+async function getOrCreateElectionKey(
+  electionId,
+  purpose = SNAPSHOT_PURPOSE,
+  { algorithm = 'Ed25519', districtId = null } = {}
+) {
+  const keys = getDb().collection('electionKeys');
+
+  const existing = await keys.findOne({ electionId, purpose });
+  if (existing) return existing;
+
+  const { privateKey, publicKey } = await KEY_GENERATORS[algorithm]();
+
+  try {
+    await keys.updateOne(
+      { electionId, purpose },
+      {
+        $setOnInsert: {
+          electionId,
+          purpose,
+          algorithm,
+          ...(districtId ? { districtId } : {}),
+          keyId: getKeyId(publicKey),
+          publicKeyPem: publicKey.export({ format: 'pem', type: 'spki' }),
+          privateKeyEnc: encodePII(
+            privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+          ),
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Lost an upsert race on the unique index: the other key is kept
+    if (!err || err.code !== 11000) throw err;
+  }
+
+  return keys.findOne({ electionId, purpose });
+}
+
+/**
+ * Sign data with an election key.
+ *
+ * @param {object} keyDoc - electionKeys document
+ * @param {string|Buffer} data
+ * @returns {string} base64url signature
+ */
+function signWithKey(keyDoc, data) {
+  return crypto.sign(null, Buffer.from(data), loadPrivateKey(keyDoc)).toString('base64url');
+}
+
+/**
+ * Decrypted private half of an election key.
+ *
+ * @param {object} keyDoc - electionKeys document
+ * @returns {crypto.KeyObject}
+ */
+function loadPrivateKey(keyDoc) {
+  return crypto.createPrivateKey({
+    key: Buffer.from(decodePII(keyDoc.privateKeyEnc), 'base64'),
+    format: 'der',
+    type: 'pkcs8',
+  });
+}
+
+/**
+ * Verify an election-key signature. Returns false on any malformed input.
+ *
+ * @param {{ publicKeyPem: string }} keyDoc
+ * @param {string|Buffer} data
+ * @param {string} signature - base64url
+ * @returns {boolean}
+ */
+function verifyWithKey(keyDoc, data, signature) {
+  if (!keyDoc || typeof signature !== 'string' || !signature) return false;
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(data),
+      crypto.createPublicKey(keyDoc.publicKeyPem),
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Find one key of an election by keyId (public fields only are needed for
+ * verification, but the whole document is returned).
+ */
+async function findElectionKey(electionId, keyId) {
+  return getDb().collection('electionKeys').findOne({ electionId, keyId });
+}
+
+/**
+ * Public halves of all keys of an election, oldest first.
+ */
+async function listPublicKeys(electionId) {
+  return getDb()
+    .collection('electionKeys')
+    .find(
+      { electionId },
+      {
+        projection: {
+          _id: 0,
+          purpose: 1,
+          algorithm: 1,
+          districtId: 1,
+          keyId: 1,
+          publicKeyPem: 1,
+          createdAt: 1,
+        },
+      }
+    )
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+module.exports = {
+  SNAPSHOT_PURPOSE,
+  BALLOT_TOKEN_PURPOSE,
+  ballotTokenPurpose,
+  getOrCreateElectionKey,
+  signWithKey,
+  loadPrivateKey,
+  verifyWithKey,
+  findElectionKey,
+  listPublicKeys,
+};
@@ -0,0 +1,124 @@
+// src/services/electionScheduler.js
+// Background job that moves election status at startsAt / endsAt:
+// - scheduled -> open   once startsAt has passed
+// - open      -> closed once endsAt has passed
+//
+// Transitions go through electionService.transitionElection, so they are
+// validated, conditional (safe with several app instances) and recorded in
+// electionTransitions and the audit log with actor { type: "scheduler" }.
+
+const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const electionService = require('./electionService');
+
+const SCHEDULER_ACTOR = { type: 'scheduler' };
+
+let timer = null;
+let running = false;
+
+async function applyTransition(electionId, to, reason) {
+  try {
+    await electionService.transitionElection(electionId, to, {
+      actor: SCHEDULER_ACTOR,
+      reason,
+      audit: { actor: SCHEDULER_ACTOR },
+    });
+    console.log(`[scheduler] ${electionId} -> ${to} (${reason})`);
+    return true;
+  } catch (err) {
+    // Another instance (or an admin) got there first; nothing to do.
+    if (
+      err &&
+      (err.code === 'ELECTION_STATE_CONFLICT' || err.code === 'INVALID_TRANSITION')
+    ) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run one scheduler pass.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ opened: string[], closed: string[] }>}
+ */
+async function runSchedulerTick(now = new Date()) {
+  const db = getDb();
+  const elections = db.collection('elections');
+
+  const opened = [];
+  const closed = [];
+
+  const due = await elections
+    .find(
+      { status: 'scheduled', startsAt: { $lte: now } },
+      { projection: { _id: 0, electionId: 1 } }
+    )
+    .toArray();
+
+  for (const e of due) {
+    // If the window is already over (e.g. server was down), the close pass
+    // below closes it right away, so the history still shows both steps.
+    if (await applyTransition(e.electionId, 'open', 'startsAt reached')) {
+      opened.push(e.electionId);
+    }
+  }
+
+  const ended = await elections
+    .find(
+      { status: 'open', endsAt: { $lte: now } },
+      { projection: { _id: 0, electionId: 1 } }
+    )
+    .toArray();
+
+  for (const e of ended) {
+    if (await applyTransition(e.electionId, 'closed', 'endsAt reached')) {
+      closed.push(e.electionId);
+    }
+  }
+
+  return { opened, closed };
+}
+
+/**
+ * Start the periodic scheduler (no-op if disabled or already running).
+ */
+function startElectionScheduler() {
+  if (!config.schedulerEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return; // previous tick still in progress
+    running = true;
+
+    try {
+      await runSchedulerTick();
+    } catch (err) {
+      console.error('[scheduler] tick failed:', err);
+    } finally {
+      running = false;
+    }
+  }, config.schedulerIntervalMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(
+    `Election scheduler started (every ${config.schedulerIntervalMs} ms)`
+  );
+}
+
+function stopElectionScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runSchedulerTick,
+  startElectionScheduler,
+  stopElectionScheduler,
+};
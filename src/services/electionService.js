@@ -0,0 +1,662 @@
+// src/services/electionService.js
+// Election lifecycle: explicit creation + enforced status state machine.
+// Every status change is recorded in the electionTransitions collection.
+//
+// Lifecycle:
+//   draft ──► scheduled ──► open ──► closed ──► finalized ──► archived
+//     │  ◄──────┘            ▲
+//     └──────────────────────┘   (draft/scheduled can also be archived)
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const auditService = require('./auditService');
+const {
+  SEAT_ALLOCATION_METHODS,
+  DEFAULT_FIRST_DIVISOR,
+} = require('../lib/seatAllocation');
+
+const ELECTION_STATUSES = [
+  'draft',
+  'scheduled',
+  'open',
+  'closed',
+  'finalized',
+  'archived',
+];
+
+// Allowed transitions: from -> [to, ...]
+const TRANSITIONS = {
+  draft: ['scheduled', 'open', 'archived'],
+  scheduled: ['draft', 'open', 'archived'],
+  open: ['closed'],
+  closed: ['finalized'],
+  finalized: ['archived'],
+  archived: [],
+};
+
+// Statuses in which the election definition (title, ballot type, ...) may still change
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+// single:   one candidateId
+// ranked:   ordered ranking (IRV if seats = 1, STV otherwise)
+// multi:    pick between ballotRules.minSelections and maxSelections candidates
+// approval: approve any number of candidates (at least minSelections)
+const BALLOT_TYPES = ['single', 'ranked', 'multi', 'approval'];
+const SELECTION_BALLOT_TYPES = ['multi', 'approval'];
+
+const MAX_SELECTIONS = 500;
+const MAX_SEATS = 500;
+
+const ELECTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 2000;
+
+function parseOptionalDate(value) {
+  if (value === null) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate a party-list seat allocation rule:
+ * { method, firstDivisor?, threshold?, womenQuota?: { share } } or null.
+ * The number of seats is the election's `seats`.
+ *
+ * @returns {{ value?: object|null, error?: string }}
+ */
+function validateSeatAllocation(input) {
+  if (input === null) {
+    return { value: null };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'seatAllocation must be an object' };
+  }
+
+  if (!SEAT_ALLOCATION_METHODS.includes(input.method)) {
+    return {
+      error: `seatAllocation.method must be one of: ${SEAT_ALLOCATION_METHODS.join(', ')}`,
+    };
+  }
+
+  const value = {
+    method: input.method,
+    firstDivisor: null,
+    threshold: 0,
+    womenQuota: null,
+  };
+
+  if (input.method === 'modified-sainte-lague') {
+    const divisor =
+      input.firstDivisor === undefined || input.firstDivisor === null
+        ? DEFAULT_FIRST_DIVISOR
+        : input.firstDivisor;
+
+    // Must stay between the plain Sainte-Laguë first divisor and the second (3)
+    if (typeof divisor !== 'number' || !(divisor >= 1 && divisor < 3)) {
+      return { error: 'seatAllocation.firstDivisor must be a number in [1, 3)' };
+    }
+    value.firstDivisor = divisor;
+  } else if (input.firstDivisor !== undefined && input.firstDivisor !== null) {
+    return { error: 'seatAllocation.firstDivisor only applies to modified-sainte-lague' };
+  }
+
+  if (input.threshold !== undefined && input.threshold !== null) {
+    if (
+      typeof input.threshold !== 'number' ||
+      !(input.threshold >= 0 && input.threshold < 1)
+    ) {
+      return { error: 'seatAllocation.threshold must be a vote share in [0, 1), e.g. 0.05' };
+    }
+    value.threshold = input.threshold;
+  }
+
+  if (input.womenQuota !== undefined && input.womenQuota !== null) {
+    const quota = input.womenQuota;
+    if (
+      typeof quota !== 'object' ||
+      typeof quota.share !== 'number' ||
+      !(quota.share > 0 && quota.share <= 1)
+    ) {
+      return { error: 'seatAllocation.womenQuota must be { share } with share in (0, 1]' };
+    }
+    value.womenQuota = { share: quota.share };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate the editable election fields.
+ *
+ * @param {object} input
+ * @param {{ partial?: boolean }} options - partial: only validate fields present
+ * @returns {object} normalized fields
+ * @throws {Error} 400 VALIDATION_ERROR
+ */
+function validateElectionFields(input, { partial = false } = {}) {
+  const fields = {};
+  const errors = {};
+
+  if (!partial || input.title !== undefined) {
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      errors.title = 'title is required';
+    } else if (input.title.trim().length > TITLE_MAX_LENGTH) {
+      errors.title = `title must be at most ${TITLE_MAX_LENGTH} characters`;
+    } else {
+      fields.title = input.title.trim();
+    }
+  }
+
+  if (input.description !== undefined && input.description !== null) {
+    if (typeof input.description !== 'string') {
+      errors.description = 'description must be a string';
+    } else if (input.description.length > DESCRIPTION_MAX_LENGTH) {
+      errors.description = `description must be at most ${DESCRIPTION_MAX_LENGTH} characters`;
+    } else {
+      fields.description = input.description.trim();
+    }
+  } else if (!partial) {
+    fields.description = '';
+  }
+
+  if (input.timezone !== undefined) {
+    if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+      errors.timezone = 'timezone must be a valid IANA timezone (e.g. "Asia/Baghdad")';
+    } else {
+      fields.timezone = input.timezone;
+    }
+  } else if (!partial) {
+    fields.timezone = 'UTC';
+  }
+
+  if (input.ballotType !== undefined) {
+    if (!BALLOT_TYPES.includes(input.ballotType)) {
+      errors.ballotType = `ballotType must be one of: ${BALLOT_TYPES.join(', ')}`;
+    } else {
+      fields.ballotType = input.ballotType;
+    }
+  } else if (!partial) {
+    fields.ballotType = 'single';
+  }
+
+  if (input.seats !== undefined) {
+    if (!Number.isInteger(input.seats) || input.seats < 1 || input.seats > MAX_SEATS) {
+      errors.seats = `seats must be an integer between 1 and ${MAX_SEATS}`;
+    } else {
+      fields.seats = input.seats;
+    }
+  } else if (!partial) {
+    fields.seats = 1;
+  }
+
+  if (input.ballotRules !== undefined) {
+    const rules = input.ballotRules;
+
+    if (rules === null) {
+      fields.ballotRules = null;
+    } else if (typeof rules !== 'object' || Array.isArray(rules)) {
+      errors.ballotRules = 'ballotRules must be an object';
+    } else {
+      const normalized = {};
+
+      for (const name of ['minSelections', 'maxSelections']) {
+        const value = rules[name];
+        if (value === undefined || value === null) {
+          normalized[name] = null;
+        } else if (!Number.isInteger(value) || value < 0 || value > MAX_SELECTIONS) {
+          errors.ballotRules = `${name} must be an integer between 0 and ${MAX_SELECTIONS}`;
+        } else {
+          normalized[name] = value;
+        }
+      }
+
+      fields.ballotRules = normalized;
+    }
+  } else if (!partial) {
+    fields.ballotRules = null;
+  }
+
+  if (input.seatAllocation !== undefined) {
+    const result = validateSeatAllocation(input.seatAllocation);
+    if (result.error) {
+      errors.seatAllocation = result.error;
+    } else {
+      fields.seatAllocation = result.value;
+    }
+  } else if (!partial) {
+    fields.seatAllocation = null;
+  }
+
+  // Ballots only through blind-signed tokens (/vote/blind-sign + /vote/anonymous)
+  if (input.anonymousBallots !== undefined) {
+    if (typeof input.anonymousBallots !== 'boolean') {
+      errors.anonymousBallots = 'anonymousBallots must be a boolean';
+    } else {
+      fields.anonymousBallots = input.anonymousBallots;
+    }
+  } else if (!partial) {
+    fields.anonymousBallots = false;
+  }
+
+  for (const name of ['startsAt', 'endsAt']) {
+    if (input[name] !== undefined) {
+      const date = parseOptionalDate(input[name]);
+      if (date === undefined) {
+        errors[name] = `${name} must be an ISO 8601 date or null`;
+      } else {
+        fields[name] = date;
+      }
+    } else if (!partial) {
+      fields[name] = null;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', errors);
+  }
+
+  return fields;
+}
+
+/**
+ * Check startsAt < endsAt on the merged (stored + patched) election.
+ */
+function assertValidWindow(election) {
+  const { startsAt, endsAt } = election;
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      endsAt: 'endsAt must be after startsAt',
+    });
+  }
+}
+
+/**
+ * Check ballotRules against ballotType on the merged election:
+ * multi needs maxSelections >= 1, min <= max, and selection rules only
+ * apply to multi/approval ballots.
+ */
+function assertValidBallotRules(election) {
+  const ballotType = election.ballotType || 'single';
+  const rules = election.ballotRules || null;
+
+  if (!SELECTION_BALLOT_TYPES.includes(ballotType)) {
+    if (rules && (rules.minSelections !== null || rules.maxSelections !== null)) {
+      throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+        ballotRules: 'ballotRules only apply to multi and approval ballots',
+      });
+    }
+    return;
+  }
+
+  const min = rules && rules.minSelections !== null ? rules.minSelections : 1;
+  const max = rules ? rules.maxSelections : null;
+
+  if (ballotType === 'multi' && (max === null || max < 1)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      ballotRules: 'multi ballots require ballotRules.maxSelections >= 1',
+    });
+  }
+
+  if (ballotType === 'approval' && max !== null) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      ballotRules: 'approval ballots have no maxSelections (any number may be approved)',
+    });
+  }
+
+  if (max !== null && min > max) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      ballotRules: 'minSelections must not exceed maxSelections',
+    });
+  }
+}
+
+/**
+ * Party-list seat allocation needs one party vote per ballot, so it is
+ * only available for single-choice ballots.
+ */
+function assertValidSeatAllocation(election) {
+  if (election.seatAllocation && (election.ballotType || 'single') !== 'single') {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      seatAllocation: 'seatAllocation requires ballotType "single"',
+    });
+  }
+}
+
+/**
+ * Encrypted ballots (see encryptionService) are added up as 0/1 per
+ * candidate, which preferential ballots can't be.
+ */
+function assertValidEncryption(election) {
+  if (election.encryption && election.ballotType === 'ranked') {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      ballotType: 'encrypted ballots do not support ballotType "ranked"',
+    });
+  }
+}
+
+/**
+ * Selection limits for multi/approval ballots, with defaults applied.
+ *
+ * @returns {{ minSelections: number, maxSelections: number | null }}
+ */
+function getSelectionRules(election) {
+  const rules = election.ballotRules || {};
+
+  return {
+    minSelections:
+      rules.minSelections !== null && rules.minSelections !== undefined
+        ? rules.minSelections
+        : 1,
+    maxSelections:
+      election.ballotType === 'multi' ? rules.maxSelections : null,
+  };
+}
+
+/**
+ * Load an election or throw 404 ELECTION_NOT_FOUND.
+ */
+async function getElectionOrThrow(electionId, { session } = {}) {
+  const db = getDb();
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { session, projection: { _id: 0 } });
+
+  if (!election) {
+    throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', {
+      electionId,
+    });
+  }
+
+  return election;
+}
+
+/**
+ * Create a new election in "draft" status.
+ *
+ * @param {object} input - { electionId, title, description?, timezone?, ballotType?,
+ *                            ballotRules?, seats?, seatAllocation?, startsAt?, endsAt? }
+ * @returns {Promise<object>} the stored election document
+ */
+async function createElection(input = {}) {
+  const { electionId } = input;
+
+  if (typeof electionId !== 'string' || !ELECTION_ID_PATTERN.test(electionId)) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid election fields', {
+      electionId: 'electionId must be 1-64 characters of [A-Za-z0-9_-]',
+    });
+  }
+
+  const fields = validateElectionFields(input);
+  assertValidWindow(fields);
+  assertValidBallotRules(fields);
+  assertValidSeatAllocation(fields);
+  const now = new Date();
+
+  const doc = {
+    electionId,
+    ...fields,
+    status: 'draft',
+    // No ballots yet, so the (empty) tally counters are already exact
+    tallyCounters: { status: 'ready', rebuiltAt: now, checkedAt: null, driftAt: null },
+    // Plaintext ballots until POST /admin/elections/:electionId/encryption
+    encryption: null,
+    createdAt: now,
+    updatedAt: now,
+    version: 1,
+    meta: {},
+  };
+
+  const db = getDb();
+
+  try {
+    await db.collection('elections').insertOne(doc);
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(409, 'ELECTION_EXISTS', 'Election already exists', {
+        electionId,
+      });
+    }
+    throw err;
+  }
+
+  delete doc._id;
+  return doc;
+}
+
+/**
+ * Update title/description/timezone/ballotType/ballotRules/seats/seatAllocation/
+ * startsAt/endsAt while the election is still draft or scheduled.
+ */
+async function updateElection(electionId, input = {}) {
+  const election = await getElectionOrThrow(electionId);
+
+  if (!EDITABLE_STATUSES.includes(election.status)) {
+    throw httpError(
+      409,
+      'ELECTION_LOCKED',
+      'Election can only be edited while draft or scheduled',
+      { electionId, status: election.status }
+    );
+  }
+
+  const fields = validateElectionFields(input, { partial: true });
+
+  if (Object.keys(fields).length === 0) {
+    return election;
+  }
+
+  const merged = { ...election, ...fields };
+  assertValidWindow(merged);
+  assertValidBallotRules(merged);
+  assertValidSeatAllocation(merged);
+  assertValidEncryption(merged);
+
+  if (merged.status === 'scheduled' && (!merged.startsAt || !merged.endsAt)) {
+    throw httpError(
+      409,
+      'SCHEDULE_REQUIRED',
+      'A scheduled election must keep both startsAt and endsAt',
+      { electionId }
+    );
+  }
+
+  const db = getDb();
+  const result = await db.collection('elections').findOneAndUpdate(
+    { electionId, version: election.version },
+    {
+      $set: { ...fields, updatedAt: new Date() },
+      $inc: { version: 1 },
+    },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+
+  if (!result) {
+    throw httpError(
+      409,
+      'ELECTION_STATE_CONFLICT',
+      'Election was modified concurrently, please retry',
+      { electionId }
+    );
+  }
+
+  return result;
+}
+
+async function listElections({ status } = {}) {
+  const db = getDb();
+  const filter = {};
+
+  if (status) {
+    filter.status = status;
+  }
+
+  return db
+    .collection('elections')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Throw 409 INVALID_TRANSITION unless `election` may move to `to`.
+ * Scheduling additionally requires a voting window (409 SCHEDULE_REQUIRED).
+ */
+function assertTransition(election, to) {
+  if (!ELECTION_STATUSES.includes(to)) {
+    throw httpError(400, 'INVALID_STATUS', 'Unknown election status', {
+      status: to,
+      allowed: ELECTION_STATUSES,
+    });
+  }
+
+  const allowed = TRANSITIONS[election.status] || [];
+
+  if (!allowed.includes(to)) {
+    throw httpError(
+      409,
+      'INVALID_TRANSITION',
+      `Election cannot move from "${election.status}" to "${to}"`,
+      {
+        electionId: election.electionId,
+        from: election.status,
+        to,
+        allowed,
+      }
+    );
+  }
+
+  if (to === 'scheduled' && (!election.startsAt || !election.endsAt)) {
+    throw httpError(
+      409,
+      'SCHEDULE_REQUIRED',
+      'Set startsAt and endsAt before scheduling the election',
+      { electionId: election.electionId }
+    );
+  }
+}
+
+/**
+ * Move an election to a new status, enforcing the state machine.
+ * The update is conditional on the status we validated against, so two
+ * concurrent transitions (e.g. scheduler + admin) can't both succeed.
+ *
+ * @param {string} electionId
+ * @param {string} to - target status
+ * @param {object} [options]
+ * @param {{ type: "admin" | "scheduler", id?: string }} [options.actor]
+ * @param {string} [options.reason]
+ * @param {import('mongodb').ClientSession} [options.session] - run inside a transaction
+ * @param {object} [options.audit] - audit context (auditService.requestContext,
+ *   or { actor }): record election.transition in the same transaction
+ * @returns {Promise<object>} updated election document
+ */
+async function transitionElection(electionId, to, options = {}) {
+  const election = await getElectionOrThrow(electionId);
+  assertTransition(election, to);
+
+  if (options.audit && !options.session) {
+    return withTransaction(({ db, session }) =>
+      applyTransition(election, to, { ...options, db, session })
+    );
+  }
+
+  return applyTransition(election, to, options);
+}
+
+async function applyTransition(election, to, options) {
+  const { electionId } = election;
+  const actor = options.actor || { type: 'system' };
+  const session = options.session || undefined;
+  const now = new Date();
+  const db = options.db || getDb();
+
+  const result = await db.collection('elections').findOneAndUpdate(
+    { electionId, status: election.status },
+    {
+      $set: {
+        status: to,
+        [`${to}At`]: now,
+        updatedAt: now,
+      },
+      $inc: { version: 1 },
+    },
+    { returnDocument: 'after', projection: { _id: 0 }, session }
+  );
+
+  if (!result) {
+    throw httpError(
+      409,
+      'ELECTION_STATE_CONFLICT',
+      'Election status changed concurrently, please retry',
+      { electionId }
+    );
+  }
+
+  await db.collection('electionTransitions').insertOne(
+    {
+      electionId,
+      from: election.status,
+      to,
+      at: now,
+      actor,
+      reason: options.reason || null,
+    },
+    { session }
+  );
+
+  if (options.audit) {
+    await auditService.recordAction(
+      options.audit,
+      {
+        action: 'election.transition',
+        target: { type: 'election', id: electionId, electionId },
+        before: { status: election.status },
+        after: { status: to },
+        details: options.reason ? { reason: options.reason } : {},
+      },
+      { db, session }
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Transition history for an election, oldest first.
+ */
+async function listTransitions(electionId) {
+  const db = getDb();
+
+  return db
+    .collection('electionTransitions')
+    .find({ electionId }, { projection: { _id: 0 } })
+    .sort({ at: 1 })
+    .toArray();
+}
+
+module.exports = {
+  MAX_SEATS,
+  ELECTION_STATUSES,
+  EDITABLE_STATUSES,
+  TRANSITIONS,
+  BALLOT_TYPES,
+  getSelectionRules,
+  getElectionOrThrow,
+  createElection,
+  updateElection,
+  listElections,
+  assertTransition,
+  transitionElection,
+  listTransitions,
+};
@@ -0,0 +1,585 @@
+// src/services/encryptionService.js
+// Encrypted-ballot mode (exponential ElGamal, see lib/elgamal.js).
+//
+// elections.encryption (null = plaintext ballots):
+//   { scheme: "elgamal-exp", group, ceremonyId, threshold, trustees,
+//     publicKey, verificationKeys: [{ index, key }], keyCreatedAt }
+//
+// Flow:
+// - a key ceremony (keyCeremonyService) run while the election is
+//   draft/scheduled generates the key pair, splits its secret into one
+//   share per trustee (any `threshold` of them decrypt), seals each share to
+//   its trustee's passphrase and installs the public part here; the secret
+//   is never stored
+// - voters send one ciphertext per candidate on their ballot plus proofs
+//   (checked in submitVote); votes store the ciphertexts, never a choice
+// - after the close (and grace window) the ciphertexts are multiplied per
+//   candidate into one encrypted total each (encryptedTallies)
+// - trustees unseal and submit their shares; each is checked against its
+//   verification key, turned into partial decryptions of the totals (with proofs) and
+//   discarded (decryptionShares)
+// - finalization combines `threshold` partial decryptions into the counts
+//   and puts the whole decryption transcript into the snapshot
+
+const crypto = require('crypto');
+
+const { getDb } = require('../lib/mongo');
+const canonicalJson = require('../lib/canonicalJson');
+const httpError = require('../lib/httpError');
+const elgamal = require('../lib/elgamal');
+const ballotVerifier = require('../lib/ballotVerifier');
+const { EDITABLE_STATUSES, getSelectionRules } = require('./electionService');
+const { getGraceEndsAt } = require('./voteService');
+const ballotMixService = require('./ballotMixService');
+
+const SCHEME = 'elgamal-exp';
+const MAX_TRUSTEES = 20;
+
+// Preferential ballots can't be added up as 0/1 ciphertexts
+const ENCRYPTED_BALLOT_TYPES = ['single', 'multi', 'approval'];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function isEncrypted(election) {
+  return Boolean(election && election.encryption);
+}
+
+async function loadEditableElection(electionId, { db = getDb(), session } = {}) {
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { session, projection: { _id: 0 } });
+
+  if (!election) {
+    throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', { electionId });
+  }
+
+  if (!EDITABLE_STATUSES.includes(election.status)) {
+    throw httpError(
+      409,
+      'ELECTION_LOCKED',
+      'Ballot encryption can only be changed while the election is draft or scheduled',
+      { electionId, status: election.status }
+    );
+  }
+
+  return election;
+}
+
+/**
+ * An election that may get an encryption key: editable, of a ballot type
+ * that can be encrypted, and with at most elgamal.MAX_BALLOT_CANDIDATES
+ * active candidates on any ballot (per district).
+ *
+ * @throws {Error} 404 ELECTION_NOT_FOUND, 409 ELECTION_LOCKED, 400 VALIDATION_ERROR
+ */
+async function loadEncryptableElection(electionId, options = {}) {
+  const election = await loadEditableElection(electionId, options);
+
+  if (!ENCRYPTED_BALLOT_TYPES.includes(election.ballotType || 'single')) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid encryption settings', {
+      ballotType: `encrypted ballots support ballotType ${ENCRYPTED_BALLOT_TYPES.join(', ')}`,
+    });
+  }
+
+  const { db = getDb(), session } = options;
+  const candidates = await db
+    .collection('candidates')
+    .find({ electionId, status: 'active' }, { session, projection: { _id: 0, districtId: 1 } })
+    .toArray();
+
+  const perBallot = new Map();
+  for (const { districtId } of candidates) {
+    const key = districtId || null;
+    perBallot.set(key, (perBallot.get(key) || 0) + 1);
+  }
+
+  const largest = Math.max(0, ...perBallot.values());
+  if (largest > elgamal.MAX_BALLOT_CANDIDATES) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid encryption settings', {
+      candidates: `encrypted ballots list at most ${elgamal.MAX_BALLOT_CANDIDATES} candidates (largest ballot has ${largest})`,
+    });
+  }
+
+  return election;
+}
+
+async function setEncryption(election, encryption, { db = getDb(), session } = {}) {
+  const result = await db
+    .collection('elections')
+    .findOneAndUpdate(
+      { electionId: election.electionId, version: election.version },
+      { $set: { encryption, updatedAt: new Date() }, $inc: { version: 1 } },
+      { session, returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+  if (!result) {
+    throw httpError(
+      409,
+      'ELECTION_STATE_CONFLICT',
+      'Election was modified concurrently, please retry',
+      { electionId: election.electionId }
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Switch an election to encrypted ballots with the key of a completed
+ * ceremony (replacing any earlier key). Pass the ceremony's transaction.
+ *
+ * @param {{ db, session, electionId: string, ceremonyId: string,
+ *   threshold: number, trustees: number, publicKey: string,
+ *   verificationKeys: Array<{ index, key }> }} args
+ * @returns {Promise<object>} updated election
+ */
+async function installKey({ db, session, electionId, ceremonyId, threshold, trustees, publicKey, verificationKeys }) {
+  const election = await loadEncryptableElection(electionId, { db, session });
+
+  return setEncryption(
+    election,
+    {
+      scheme: SCHEME,
+      group: elgamal.GROUP_ID,
+      ceremonyId,
+      threshold,
+      trustees,
+      publicKey,
+      verificationKeys,
+      keyCreatedAt: new Date(),
+    },
+    { db, session }
+  );
+}
+
+/**
+ * Back to plaintext ballots (draft / scheduled only).
+ */
+async function disableEncryption(electionId) {
+  const election = await loadEditableElection(electionId);
+  return setEncryption(election, null);
+}
+
+/**
+ * What a client needs to encrypt a ballot (null for plaintext elections).
+ *
+ * @param {object} election
+ * @param {number} candidateCount - candidates on this voter's ballot
+ */
+function getBallotEncryption(election, candidateCount) {
+  if (!isEncrypted(election)) {
+    return null;
+  }
+
+  return {
+    scheme: election.encryption.scheme,
+    group: election.encryption.group,
+    publicKey: election.encryption.publicKey,
+    ...getSelectionBounds(election, candidateCount),
+  };
+}
+
+/**
+ * Allowed number of selections on an encrypted ballot.
+ */
+function getSelectionBounds(election, candidateCount) {
+  const ballotType = election.ballotType || 'single';
+
+  if (ballotType === 'single') {
+    return { minSelections: 1, maxSelections: 1 };
+  }
+
+  const { minSelections, maxSelections } = getSelectionRules(election);
+
+  return {
+    minSelections,
+    maxSelections:
+      maxSelections === null ? candidateCount : Math.min(maxSelections, candidateCount),
+  };
+}
+
+/**
+ * Check an encrypted ballot against the active candidates of the voter's
+ * ballot (its district, if any), with its proofs bound to the voting
+ * credential (tokenId or blind-signed token). Runs inside the vote
+ * transaction; the proofs are checked in a worker thread.
+ *
+ * @throws {Error} 400 INVALID_BALLOT
+ */
+async function assertValidEncryptedBallot({ db, session, election, districtId = null, credential, encryptedBallot }) {
+  const { electionId } = election;
+
+  const candidateIds = (
+    await db
+      .collection('candidates')
+      .find(
+        { electionId, status: 'active', ...(districtId ? { districtId } : {}) },
+        { session, projection: { _id: 0, candidateId: 1 } }
+      )
+      .toArray()
+  ).map((c) => c.candidateId);
+
+  const result = await ballotVerifier.verifyBallot({
+    publicKey: election.encryption.publicKey,
+    electionId,
+    binding: elgamal.ballotBinding(credential),
+    candidateIds,
+    ...getSelectionBounds(election, candidateIds.length),
+    ballot: encryptedBallot,
+  });
+
+  if (!result.valid) {
+    throw httpError(400, 'INVALID_BALLOT', `Encrypted ballot rejected: ${result.reason}`, {
+      ...(result.candidateId ? { candidateId: result.candidateId } : {}),
+    });
+  }
+}
+
+// ---------- Encrypted totals & decryption ----------
+
+/**
+ * @throws {Error} 409 ELECTION_NOT_ENCRYPTED / ELECTION_NOT_CLOSED / GRACE_WINDOW_ACTIVE
+ */
+function assertDecryptable(election) {
+  const { electionId } = election;
+
+  if (!isEncrypted(election)) {
+    throw httpError(409, 'ELECTION_NOT_ENCRYPTED', 'This election uses plaintext ballots', {
+      electionId,
+    });
+  }
+
+  if (election.status !== 'closed') {
+    throw httpError(409, 'ELECTION_NOT_CLOSED', 'Results can only be decrypted once the election is closed', {
+      electionId,
+      status: election.status,
+    });
+  }
+
+  // Late ballots may still arrive during the grace window
+  const graceEndsAt = getGraceEndsAt(election);
+  if (graceEndsAt && graceEndsAt > new Date()) {
+    throw httpError(409, 'GRACE_WINDOW_ACTIVE', 'Results cannot be decrypted until the grace window ends', {
+      electionId,
+      graceEndsAt,
+    });
+  }
+}
+
+/**
+ * Multiply every ballot's ciphertexts per candidate. Candidates nobody
+ * voted for get the neutral ciphertext (1, 1), i.e. 0 votes.
+ */
+async function computeEncryptedTotals(electionId) {
+  const db = getDb();
+
+  const candidateIds = (
+    await db
+      .collection('candidates')
+      .find({ electionId }, { projection: { _id: 0, candidateId: 1 } })
+      .sort({ candidateId: 1 })
+      .toArray()
+  ).map((c) => c.candidateId);
+
+  const sums = new Map(candidateIds.map((id) => [id, elgamal.ZERO_CIPHERTEXT]));
+  let ballotsCounted = 0;
+
+  const cursor = db
+    .collection('votes')
+    .find(
+      { electionId, encryptedBallot: { $exists: true } },
+      {
+        projection: {
+          _id: 0,
+          'encryptedBallot.ciphertexts.candidateId': 1,
+          'encryptedBallot.ciphertexts.a': 1,
+          'encryptedBallot.ciphertexts.b': 1,
+        },
+      }
+    );
+
+  for await (const vote of cursor) {
+    ballotsCounted += 1;
+
+    // Proofs (and group membership) were checked when the ballot was cast
+    for (const { candidateId, a, b } of vote.encryptedBallot.ciphertexts) {
+      const sum = sums.get(candidateId) || elgamal.ZERO_CIPHERTEXT;
+      sums.set(
+        candidateId,
+        elgamal.addCiphertexts(sum, { a: elgamal.fromHex(a), b: elgamal.fromHex(b) })
+      );
+    }
+  }
+
+  const aggregate = Array.from(sums.keys())
+    .sort()
+    .map((candidateId) => ({ candidateId, ...elgamal.ciphertextToJson(sums.get(candidateId)) }));
+
+  return {
+    electionId,
+    ballotsCounted,
+    aggregate,
+    aggregateHash: sha256Hex(canonicalJson({ electionId, ballotsCounted, aggregate })),
+  };
+}
+
+/**
+ * The encrypted totals of a closed election, computed on first use and
+ * then kept (no ballots can arrive any more).
+ */
+async function getEncryptedTally(election) {
+  assertDecryptable(election);
+
+  const { electionId } = election;
+  const tallies = getDb().collection('encryptedTallies');
+
+  const existing = await tallies.findOne({ electionId }, { projection: { _id: 0 } });
+  if (existing) {
+    return existing;
+  }
+
+  // The aggregate is taken once: empty the mixing pool first
+  await ballotMixService.flushElection(electionId);
+
+  const tally = { ...(await computeEncryptedTotals(electionId)), computedAt: new Date() };
+
+  try {
+    await tallies.insertOne({ ...tally });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      return tallies.findOne({ electionId }, { projection: { _id: 0 } });
+    }
+    throw err;
+  }
+
+  return tally;
+}
+
+function partialContext(electionId, trusteeIndex, candidateId) {
+  return { type: 'evote-partial-decryption', v: 1, electionId, trusteeIndex, candidateId };
+}
+
+function getVerificationKey(election, trusteeIndex) {
+  const entry = election.encryption.verificationKeys.find((v) => v.index === trusteeIndex);
+  return entry ? entry.key : null;
+}
+
+/**
+ * Trustee `trusteeIndex` hands in its (unsealed) share: it must match the
+ * trustee's verification key. Only the partial decryptions of the encrypted totals
+ * (with proofs) are stored; a new submission replaces the trustee's
+ * earlier one.
+ *
+ * @returns {Promise<object>} decryption status (see getDecryptionStatus)
+ */
+async function submitDecryptionShare(election, input = {}) {
+  const { electionId } = election;
+  assertDecryptable(election);
+
+  const { trusteeIndex, trusteeId = null } = input;
+  const share = typeof input.share === 'string' ? input.share.trim().toLowerCase() : null;
+  const verificationKey = Number.isInteger(trusteeIndex)
+    ? getVerificationKey(election, trusteeIndex)
+    : null;
+
+  const errors = {};
+  if (!verificationKey) {
+    errors.trusteeIndex = `trusteeIndex must be an integer between 1 and ${election.encryption.trustees}`;
+  }
+  if (!share) {
+    errors.share = 'share is required (hex)';
+  }
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid decryption share', errors);
+  }
+
+  if (!elgamal.shareMatches(share, verificationKey)) {
+    throw httpError(400, 'INVALID_SHARE', "Share does not match the trustee's verification key", {
+      trusteeIndex,
+    });
+  }
+
+  const tally = await getEncryptedTally(election);
+
+  const partials = tally.aggregate.map(({ candidateId, a, b }) => ({
+    candidateId,
+    ...elgamal.partialDecrypt({
+      share,
+      verificationKey,
+      ciphertext: { a: elgamal.fromHex(a), b: elgamal.fromHex(b) },
+      context: partialContext(electionId, trusteeIndex, candidateId),
+    }),
+  }));
+
+  await getDb()
+    .collection('decryptionShares')
+    .updateOne(
+      { electionId, trusteeIndex },
+      {
+        $set: {
+          trusteeId,
+          aggregateHash: tally.aggregateHash,
+          partials,
+          submittedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+
+  return getDecryptionStatus(election);
+}
+
+/**
+ * Partial decryptions of the current encrypted totals whose proofs verify.
+ */
+async function loadValidPartials(election, tally) {
+  const { electionId } = election;
+  const docs = await getDb()
+    .collection('decryptionShares')
+    .find({ electionId, aggregateHash: tally.aggregateHash }, { projection: { _id: 0 } })
+    .sort({ trusteeIndex: 1 })
+    .toArray();
+
+  const byCandidate = new Map(tally.aggregate.map((c) => [c.candidateId, c]));
+
+  return docs.filter((doc) => {
+    const verificationKey = getVerificationKey(election, doc.trusteeIndex);
+
+    return (
+      verificationKey &&
+      doc.partials.length === tally.aggregate.length &&
+      doc.partials.every((partial) => {
+        const total = byCandidate.get(partial.candidateId);
+        return (
+          total &&
+          elgamal.verifyPartialDecryption({
+            verificationKey,
+            ciphertext: { a: elgamal.fromHex(total.a), b: elgamal.fromHex(total.b) },
+            context: partialContext(electionId, doc.trusteeIndex, partial.candidateId),
+            partial,
+          })
+        );
+      })
+    );
+  });
+}
+
+/**
+ * Which trustees have handed in shares for the current encrypted totals.
+ */
+async function getDecryptionStatus(election) {
+  const { electionId } = election;
+
+  if (!isEncrypted(election)) {
+    return { electionId, encrypted: false };
+  }
+
+  const { threshold, trustees } = election.encryption;
+  const tally = await getDb()
+    .collection('encryptedTallies')
+    .findOne({ electionId }, { projection: { _id: 0, aggregateHash: 1, ballotsCounted: 1 } });
+
+  const received = tally
+    ? await getDb()
+        .collection('decryptionShares')
+        .find(
+          { electionId, aggregateHash: tally.aggregateHash },
+          { projection: { _id: 0, trusteeIndex: 1, trusteeId: 1, submittedAt: 1 } }
+        )
+        .sort({ trusteeIndex: 1 })
+        .toArray()
+    : [];
+
+  return {
+    electionId,
+    encrypted: true,
+    threshold,
+    trustees,
+    aggregateHash: tally ? tally.aggregateHash : null,
+    ballotsCounted: tally ? tally.ballotsCounted : null,
+    received,
+    ready: received.length >= threshold,
+  };
+}
+
+/**
+ * Decrypt the totals from `threshold` trustees' partial decryptions.
+ *
+ * @returns {Promise<{ candidates: Object<string, number>, transcript: object }>}
+ *   transcript = everything needed to re-check the decryption (snapshot)
+ * @throws {Error} 409 DECRYPTION_PENDING while fewer trustees have submitted
+ */
+async function decryptTotals(election) {
+  const { electionId } = election;
+  const { threshold } = election.encryption;
+
+  const tally = await getEncryptedTally(election);
+  const valid = await loadValidPartials(election, tally);
+
+  if (valid.length < threshold) {
+    throw httpError(
+      409,
+      'DECRYPTION_PENDING',
+      `${threshold} trustees must submit their shares before the results can be decrypted`,
+      { electionId, threshold, received: valid.map((doc) => doc.trusteeIndex) }
+    );
+  }
+
+  const used = valid.slice(0, threshold);
+  const candidates = {};
+
+  for (const { candidateId, a, b } of tally.aggregate) {
+    const votes = elgamal.combinePartials(
+      { a: elgamal.fromHex(a), b: elgamal.fromHex(b) },
+      used.map((doc) => ({
+        index: doc.trusteeIndex,
+        d: doc.partials.find((p) => p.candidateId === candidateId).d,
+      })),
+      tally.ballotsCounted
+    );
+
+    if (votes === null) {
+      throw new Error(`Decrypted total out of range for candidate ${candidateId}`);
+    }
+
+    candidates[candidateId] = votes;
+  }
+
+  return {
+    candidates,
+    transcript: {
+      scheme: election.encryption.scheme,
+      group: election.encryption.group,
+      ceremonyId: election.encryption.ceremonyId,
+      publicKey: election.encryption.publicKey,
+      threshold,
+      verificationKeys: election.encryption.verificationKeys,
+      ballotsCounted: tally.ballotsCounted,
+      aggregateHash: tally.aggregateHash,
+      aggregate: tally.aggregate,
+      partialDecryptions: used.map((doc) => ({
+        trusteeIndex: doc.trusteeIndex,
+        partials: doc.partials,
+      })),
+    },
+  };
+}
+
+module.exports = {
+  SCHEME,
+  MAX_TRUSTEES,
+  ENCRYPTED_BALLOT_TYPES,
+  isEncrypted,
+  loadEncryptableElection,
+  installKey,
+  disableEncryption,
+  getBallotEncryption,
+  assertValidEncryptedBallot,
+  assertDecryptable,
+  getEncryptedTally,
+  submitDecryptionShare,
+  getDecryptionStatus,
+  decryptTotals,
+};
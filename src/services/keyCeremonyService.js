@@ -0,0 +1,614 @@
+// src/services/keyCeremonyService.js
+// Trustees and the key ceremony of encrypted elections.
+//
+// Trust model: the server is the dealer. It generates the election key
+// pair in completeCeremony and holds the full secret key in memory until
+// the shares are sealed; it is never stored or returned, but a compromised
+// or malicious server process at that moment can keep it. After the
+// ceremony no single party holds the key: decryption needs `threshold`
+// trustees' passphrases, and the final snapshot needs `threshold` trustee
+// co-signatures (snapshotService.endorseSnapshot).
+//
+// Collection trustees: { trusteeId, name, status: "active" | "retired",
+//   createdBy, createdAt, updatedAt }
+// trusteeId is the adminId of an admin account with role "trustee"; the
+// trustee signs in with it for every ceremony step.
+//
+// Collection keyCeremonies: { ceremonyId, electionId,
+//   status: "enrolling" | "completed" | "cancelled", threshold,
+//   trustees: [{ index, trusteeId, name, enrolledAt, publicKey, kdf, sealedShare,
+//     signingKey }],
+//   publicKey, verificationKeys, createdBy, createdAt, completedAt, cancelledAt }
+//
+// Ceremony:
+// 1. an election manager starts it with k-of-n registered trustees
+// 2. each trustee enrolls a passphrase; only a public key derived from it
+//    is stored (lib/passphraseBox.js). The trustee also registers an
+//    Ed25519 public key (signingKey) whose private half it keeps, to
+//    co-sign the final snapshot
+// 3. when the last trustee has enrolled, the election key is generated,
+//    its secret split with Shamir's scheme, each share sealed to its
+//    trustee's passphrase key, and the public key installed on the election
+//    (encryptionService.installKey); the secret and plain shares are dropped
+// 4. after the close each trustee submits its passphrase; the sealed share
+//    is opened and turned into partial decryptions (encryptionService).
+//    Finalization needs k of them.
+
+const crypto = require('crypto');
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const elgamal = require('../lib/elgamal');
+const passphraseBox = require('../lib/passphraseBox');
+const { normalizeRole } = require('../lib/permissions');
+const encryptionService = require('./encryptionService');
+const { getElectionOrThrow } = require('./electionService');
+
+const TRUSTEE_STATUSES = ['active', 'retired'];
+const TRUSTEE_NAME_MAX_LENGTH = 200;
+const PASSPHRASE_MIN_LENGTH = 12;
+const PASSPHRASE_MAX_LENGTH = 1024;
+
+const CEREMONY_ENROLLING = 'enrolling';
+const CEREMONY_COMPLETED = 'completed';
+const CEREMONY_CANCELLED = 'cancelled';
+
+// ---------- Trustees ----------
+
+async function getTrusteeOrThrow(trusteeId) {
+  const trustee = await getDb()
+    .collection('trustees')
+    .findOne({ trusteeId }, { projection: { _id: 0 } });
+
+  if (!trustee) {
+    throw httpError(404, 'TRUSTEE_NOT_FOUND', 'Trustee not found', { trusteeId });
+  }
+
+  return trustee;
+}
+
+async function listTrustees({ status } = {}) {
+  const filter = TRUSTEE_STATUSES.includes(status) ? { status } : {};
+
+  return getDb()
+    .collection('trustees')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ trusteeId: 1 })
+    .toArray();
+}
+
+/**
+ * Register the admin account `trusteeId` (role "trustee") as a trustee.
+ *
+ * @param {{ trusteeId: string, name: string }} input
+ * @param {{ actorId: string }} context
+ * @throws {Error} 400 VALIDATION_ERROR, 404 ADMIN_NOT_FOUND, 409 TRUSTEE_EXISTS
+ */
+async function registerTrustee(input, { actorId }) {
+  const { trusteeId } = input || {};
+  const name = typeof (input || {}).name === 'string' ? input.name.trim() : '';
+  const errors = {};
+
+  if (typeof trusteeId !== 'string' || !trusteeId) {
+    errors.trusteeId = 'trusteeId (the adminId of the trustee account) is required';
+  }
+  if (!name || name.length > TRUSTEE_NAME_MAX_LENGTH) {
+    errors.name = `name is required (at most ${TRUSTEE_NAME_MAX_LENGTH} characters)`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid trustee fields', errors);
+  }
+
+  const db = getDb();
+  const admin = await db
+    .collection('admins')
+    .findOne({ adminId: trusteeId }, { projection: { _id: 0, adminId: 1, role: 1 } });
+
+  if (!admin) {
+    throw httpError(404, 'ADMIN_NOT_FOUND', 'Admin not found', { adminId: trusteeId });
+  }
+
+  // A trustee account must not be able to run or finalize elections itself
+  if (normalizeRole(admin.role) !== 'trustee') {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid trustee fields', {
+      trusteeId: 'the admin account must have role "trustee"',
+    });
+  }
+
+  const now = new Date();
+  const doc = {
+    trusteeId,
+    name,
+    status: 'active',
+    createdBy: actorId,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await db.collection('trustees').insertOne({ ...doc });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(409, 'TRUSTEE_EXISTS', 'Trustee already registered', { trusteeId });
+    }
+    throw err;
+  }
+
+  return doc;
+}
+
+/**
+ * Retired trustees can't be picked for new ceremonies. Keys already issued
+ * are unaffected: their shares still count for decryption.
+ */
+async function retireTrustee(trusteeId) {
+  const trustee = await getDb()
+    .collection('trustees')
+    .findOneAndUpdate(
+      { trusteeId },
+      { $set: { status: 'retired', updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+  if (!trustee) {
+    throw httpError(404, 'TRUSTEE_NOT_FOUND', 'Trustee not found', { trusteeId });
+  }
+
+  return trustee;
+}
+
+// ---------- Ceremonies ----------
+
+/**
+ * Ceremony without key material of the trustees (kdf, sealed shares).
+ */
+function toPublicCeremony(ceremony) {
+  if (!ceremony) return null;
+
+  const { _id, trustees, ...rest } = ceremony;
+  return {
+    ...rest,
+    trustees: trustees.map(({ index, trusteeId, name, enrolledAt, publicKey, signingKey }) => ({
+      index,
+      trusteeId,
+      name,
+      enrolledAt,
+      publicKey,
+      signingKey: signingKey || null,
+    })),
+  };
+}
+
+function validateCeremonyInput(input = {}) {
+  const { threshold, trusteeIds } = input;
+  const max = encryptionService.MAX_TRUSTEES;
+  const errors = {};
+
+  if (
+    !Array.isArray(trusteeIds) ||
+    trusteeIds.length < 1 ||
+    trusteeIds.length > max ||
+    !trusteeIds.every((id) => typeof id === 'string' && id)
+  ) {
+    errors.trusteeIds = `trusteeIds must list 1 to ${max} trustees`;
+  } else if (new Set(trusteeIds).size !== trusteeIds.length) {
+    errors.trusteeIds = 'trusteeIds must not repeat a trustee';
+  }
+
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    errors.threshold = 'threshold must be a positive integer';
+  } else if (Array.isArray(trusteeIds) && threshold > trusteeIds.length) {
+    errors.threshold = 'threshold must not exceed the number of trustees';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid key ceremony', errors);
+  }
+
+  return { threshold, trusteeIds };
+}
+
+/**
+ * Start a k-of-n key ceremony for a draft/scheduled election. Trustees are
+ * numbered (share index) in the order given.
+ *
+ * @param {string} electionId
+ * @param {{ threshold: number, trusteeIds: string[] }} input
+ * @param {{ actorId: string }} context
+ * @throws {Error} 400 VALIDATION_ERROR, 409 ELECTION_LOCKED / CEREMONY_IN_PROGRESS
+ */
+async function startCeremony(electionId, input, { actorId }) {
+  const { threshold, trusteeIds } = validateCeremonyInput(input);
+  await encryptionService.loadEncryptableElection(electionId);
+
+  const db = getDb();
+  const trustees = await db
+    .collection('trustees')
+    .find({ trusteeId: { $in: trusteeIds } }, { projection: { _id: 0 } })
+    .toArray();
+  const byId = new Map(trustees.map((t) => [t.trusteeId, t]));
+
+  const unavailable = trusteeIds.filter(
+    (id) => !byId.has(id) || byId.get(id).status !== 'active'
+  );
+  if (unavailable.length > 0) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid key ceremony', {
+      trusteeIds: `not registered active trustees: ${unavailable.join(', ')}`,
+    });
+  }
+
+  const ceremony = {
+    ceremonyId: crypto.randomUUID(),
+    electionId,
+    status: CEREMONY_ENROLLING,
+    threshold,
+    trustees: trusteeIds.map((trusteeId, i) => ({
+      index: i + 1,
+      trusteeId,
+      name: byId.get(trusteeId).name,
+      enrolledAt: null,
+      publicKey: null,
+      kdf: null,
+      sealedShare: null,
+    })),
+    publicKey: null,
+    verificationKeys: null,
+    createdBy: actorId,
+    createdAt: new Date(),
+    completedAt: null,
+    cancelledAt: null,
+  };
+
+  try {
+    // Unique while enrolling: one ceremony in progress per election
+    await db.collection('keyCeremonies').insertOne({ ...ceremony });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw httpError(
+        409,
+        'CEREMONY_IN_PROGRESS',
+        'A key ceremony is already in progress for this election',
+        { electionId }
+      );
+    }
+    throw err;
+  }
+
+  return toPublicCeremony(ceremony);
+}
+
+/**
+ * Latest ceremony of an election (null if none).
+ */
+async function getLatestCeremony(electionId) {
+  const ceremony = await getDb()
+    .collection('keyCeremonies')
+    .findOne({ electionId }, { sort: { createdAt: -1 }, projection: { _id: 0 } });
+
+  return toPublicCeremony(ceremony);
+}
+
+/**
+ * Abandon the ceremony in progress (enrolled passphrases are discarded
+ * with it). A completed ceremony is undone with DELETE .../encryption.
+ */
+async function cancelCeremony(electionId) {
+  const ceremony = await getDb()
+    .collection('keyCeremonies')
+    .findOneAndUpdate(
+      { electionId, status: CEREMONY_ENROLLING },
+      { $set: { status: CEREMONY_CANCELLED, cancelledAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+  if (!ceremony) {
+    throw httpError(409, 'NO_CEREMONY_IN_PROGRESS', 'No key ceremony is in progress', {
+      electionId,
+    });
+  }
+
+  return toPublicCeremony(ceremony);
+}
+
+/**
+ * Ceremonies a trustee takes part in (newest first), with its own slot.
+ */
+async function listTrusteeCeremonies(trusteeId) {
+  const ceremonies = await getDb()
+    .collection('keyCeremonies')
+    .find(
+      { 'trustees.trusteeId': trusteeId, status: { $ne: CEREMONY_CANCELLED } },
+      { projection: { _id: 0 } }
+    )
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return ceremonies.map((ceremony) => {
+    const slot = ceremony.trustees.find((t) => t.trusteeId === trusteeId);
+    return {
+      ...toPublicCeremony(ceremony),
+      trusteeIndex: slot.index,
+      enrolled: Boolean(slot.enrolledAt),
+    };
+  });
+}
+
+function validatePassphrase(passphrase) {
+  if (
+    typeof passphrase !== 'string' ||
+    passphrase.length < PASSPHRASE_MIN_LENGTH ||
+    passphrase.length > PASSPHRASE_MAX_LENGTH
+  ) {
+    throw httpError(400, 'VALIDATION_ERROR', 'Invalid passphrase', {
+      passphrase: `passphrase must be ${PASSPHRASE_MIN_LENGTH}-${PASSPHRASE_MAX_LENGTH} characters`,
+    });
+  }
+  return passphrase;
+}
+
+/**
+ * A trustee's snapshot signing key: raw Ed25519 public key, base64url
+ * (the "x" of its JWK).
+ */
+function validateSigningKey(signingKey) {
+  const invalid = () =>
+    httpError(400, 'VALIDATION_ERROR', 'Invalid enrollment', {
+      signingKey: 'signingKey must be a base64url raw Ed25519 public key (32 bytes)',
+    });
+
+  if (typeof signingKey !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(signingKey)) {
+    throw invalid();
+  }
+
+  try {
+    crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: signingKey }, format: 'jwk' });
+  } catch (err) {
+    throw invalid();
+  }
+
+  return signingKey;
+}
+
+// Binds a sealed share to its ceremony, election and trustee slot
+function shareAad(ceremony, index) {
+  return `evote/trustee-share/v1:${ceremony.ceremonyId}:${ceremony.electionId}:${index}`;
+}
+
+/**
+ * Why a trustee can't enroll in `ceremonyId` (the enroll update matched
+ * nothing).
+ */
+async function enrollmentError(ceremonyId, trusteeId) {
+  const ceremony = await getDb()
+    .collection('keyCeremonies')
+    .findOne({ ceremonyId }, { projection: { _id: 0, status: 1, trustees: 1 } });
+  const slot = ceremony && ceremony.trustees.find((t) => t.trusteeId === trusteeId);
+
+  if (!slot) {
+    return httpError(404, 'CEREMONY_NOT_FOUND', 'Key ceremony not found', { ceremonyId });
+  }
+  if (ceremony.status !== CEREMONY_ENROLLING) {
+    return httpError(409, 'CEREMONY_CLOSED', 'The key ceremony is no longer enrolling', {
+      ceremonyId,
+      status: ceremony.status,
+    });
+  }
+  return httpError(409, 'ALREADY_ENROLLED', 'You have already enrolled in this ceremony', {
+    ceremonyId,
+  });
+}
+
+/**
+ * Once every trustee has enrolled: generate the election key, seal the
+ * shares and install the public key, in one transaction.
+ *
+ * @param {string} ceremonyId
+ * @returns {Promise<object | null>} completed ceremony, or null if trustees
+ *   are still missing or another request completed (or cancelled) it first
+ */
+async function completeCeremony(ceremonyId) {
+  const ceremony = await getDb()
+    .collection('keyCeremonies')
+    .findOne({ ceremonyId, status: CEREMONY_ENROLLING }, { projection: { _id: 0 } });
+
+  if (!ceremony || !ceremony.trustees.every((t) => t.enrolledAt)) {
+    return null;
+  }
+
+  const { electionId, threshold, trustees } = ceremony;
+  const key = elgamal.generateThresholdKey({ threshold, trustees: trustees.length });
+
+  const set = {
+    status: CEREMONY_COMPLETED,
+    publicKey: key.publicKey,
+    verificationKeys: key.verificationKeys,
+    completedAt: new Date(),
+  };
+  trustees.forEach((trustee, i) => {
+    const { share } = key.shares.find((s) => s.index === trustee.index);
+    set[`trustees.${i}.sealedShare`] = passphraseBox.seal(
+      trustee.publicKey,
+      share,
+      shareAad(ceremony, trustee.index)
+    );
+  });
+
+  return withTransaction(async ({ db, session }) => {
+    const completed = await db
+      .collection('keyCeremonies')
+      .findOneAndUpdate(
+        { ceremonyId, status: CEREMONY_ENROLLING },
+        { $set: set },
+        { session, returnDocument: 'after', projection: { _id: 0 } }
+      );
+
+    if (!completed) {
+      return null;
+    }
+
+    await encryptionService.installKey({
+      db,
+      session,
+      electionId,
+      ceremonyId,
+      threshold,
+      trustees: trustees.length,
+      publicKey: key.publicKey,
+      verificationKeys: key.verificationKeys,
+    });
+
+    return toPublicCeremony(completed);
+  });
+}
+
+/**
+ * Enroll the signed-in trustee's passphrase. Follow with completeCeremony
+ * (the last enrollment completes the ceremony).
+ *
+ * @param {string} ceremonyId
+ * @param {string} trusteeId - signed-in admin
+ * @param {{ passphrase: string, signingKey: string }} input
+ * @returns {Promise<{ ceremony: object, trusteeIndex: number }>}
+ */
+async function enrollTrustee(ceremonyId, trusteeId, input = {}) {
+  const passphrase = validatePassphrase(input.passphrase);
+  const signingKey = validateSigningKey(input.signingKey);
+  const db = getDb();
+
+  const pending = await db
+    .collection('keyCeremonies')
+    .findOne({ ceremonyId }, { projection: { _id: 0, electionId: 1 } });
+  if (pending) {
+    // Fail early rather than after every trustee has enrolled
+    await encryptionService.loadEncryptableElection(pending.electionId);
+  }
+
+  const { publicKey, kdf } = await passphraseBox.createRecipient(passphrase);
+
+  const ceremony = await db.collection('keyCeremonies').findOneAndUpdate(
+    {
+      ceremonyId,
+      status: CEREMONY_ENROLLING,
+      trustees: { $elemMatch: { trusteeId, enrolledAt: null } },
+    },
+    {
+      $set: {
+        'trustees.$.enrolledAt': new Date(),
+        'trustees.$.publicKey': publicKey,
+        'trustees.$.kdf': kdf,
+        'trustees.$.signingKey': signingKey,
+      },
+    },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+
+  if (!ceremony) {
+    throw await enrollmentError(ceremonyId, trusteeId);
+  }
+
+  const { index: trusteeIndex } = ceremony.trustees.find((t) => t.trusteeId === trusteeId);
+
+  return { ceremony: toPublicCeremony(ceremony), trusteeIndex };
+}
+
+/**
+ * The signed-in trustee unseals its share of an election's key with its
+ * passphrase and submits it for decryption.
+ *
+ * @returns {Promise<{ trusteeIndex: number, status: object }>}
+ *   status = encryptionService.getDecryptionStatus
+ * @throws {Error} 403 NOT_A_TRUSTEE, 400 INVALID_PASSPHRASE, and the
+ *   errors of encryptionService.submitDecryptionShare
+ */
+async function submitTrusteeShare(electionId, trusteeId, input = {}) {
+  const passphrase = validatePassphrase(input.passphrase);
+  const election = await getElectionOrThrow(electionId);
+
+  // Before the (slow) passphrase check, so early attempts fail fast
+  encryptionService.assertDecryptable(election);
+
+  const ceremony = await getDb()
+    .collection('keyCeremonies')
+    .findOne(
+      { ceremonyId: election.encryption.ceremonyId, status: CEREMONY_COMPLETED },
+      { projection: { _id: 0 } }
+    );
+  const slot = ceremony && ceremony.trustees.find((t) => t.trusteeId === trusteeId);
+
+  if (!slot) {
+    throw httpError(403, 'NOT_A_TRUSTEE', "You are not a trustee of this election's key", {
+      electionId,
+    });
+  }
+
+  const share = await passphraseBox.open(
+    passphrase,
+    slot.kdf,
+    slot.sealedShare,
+    shareAad(ceremony, slot.index)
+  );
+
+  if (share === null) {
+    throw httpError(400, 'INVALID_PASSPHRASE', 'Passphrase does not open your key share', {
+      electionId,
+      trusteeIndex: slot.index,
+    });
+  }
+
+  const status = await encryptionService.submitDecryptionShare(election, {
+    trusteeIndex: slot.index,
+    trusteeId,
+    share,
+  });
+
+  return { trusteeIndex: slot.index, status };
+}
+
+/**
+ * Who must co-sign the final snapshot of an election: the trustees of the
+ * ceremony that made its key (with their signing keys), `threshold` of
+ * them. null for plaintext elections.
+ *
+ * @returns {Promise<{ ceremonyId: string, threshold: number,
+ *   trustees: Array<{ index, trusteeId, signingKey }> } | null>}
+ */
+async function getSnapshotEndorsers(election, { db = getDb(), session } = {}) {
+  if (!encryptionService.isEncrypted(election)) {
+    return null;
+  }
+
+  const ceremony = await db
+    .collection('keyCeremonies')
+    .findOne(
+      { ceremonyId: election.encryption.ceremonyId, status: CEREMONY_COMPLETED },
+      { session, projection: { _id: 0 } }
+    );
+
+  if (!ceremony) {
+    return null;
+  }
+
+  return {
+    ceremonyId: ceremony.ceremonyId,
+    threshold: ceremony.threshold,
+    trustees: ceremony.trustees
+      .filter((t) => t.signingKey)
+      .map(({ index, trusteeId, signingKey }) => ({ index, trusteeId, signingKey })),
+  };
+}
+
+module.exports = {
+  TRUSTEE_STATUSES,
+  getTrusteeOrThrow,
+  listTrustees,
+  registerTrustee,
+  retireTrustee,
+  startCeremony,
+  getLatestCeremony,
+  cancelCeremony,
+  listTrusteeCeremonies,
+  enrollTrustee,
+  completeCeremony,
+  submitTrusteeShare,
+  getSnapshotEndorsers,
+};
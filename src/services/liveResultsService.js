@@ -0,0 +1,349 @@
+// src/services/liveResultsService.js
+// Live turnout and tallies per election, shared by every connected
+// dashboard (SSE / WebSocket).
+//
+// One feed per election with at least one subscriber:
+// - starts from a full count (voteService.computeTotals)
+// - "change-stream" mode: applies inserts on votes / participations as they
+//   are committed (needs a replica set, as the vote transaction does), and
+//   spent blind-signed tokens once the mixer counts them (counted: true),
+//   never at the moment the token is spent
+// - "polling" mode (change streams disabled or unavailable): recounts every
+//   LIVE_RESULTS_POLL_MS and publishes only when something changed
+// - recounts every LIVE_RESULTS_RESYNC_MS in either mode (registered voters,
+//   election status, candidates added meanwhile)
+// Updates are published at most once per second.
+
+const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const canonicalJson = require('../lib/canonicalJson');
+const electionService = require('./electionService');
+const voteService = require('./voteService');
+const tallyService = require('./tallyService');
+
+const PUBLISH_INTERVAL_MS = 1000;
+
+const feeds = new Map(); // electionId -> feed
+
+function logFeed(feed, message, err) {
+  console.error(
+    JSON.stringify({
+      code: 'LIVE_RESULTS',
+      electionId: feed.electionId,
+      mode: feed.mode,
+      message,
+      error: err ? err.message : undefined,
+    })
+  );
+}
+
+async function loadState(electionId) {
+  const election = await electionService.getElectionOrThrow(electionId);
+  const totals = await voteService.computeTotals(election);
+
+  return {
+    electionId,
+    status: election.status,
+    ballotType: totals.ballotType,
+    countingBasis: totals.countingBasis,
+    turnout: totals.turnout,
+    ballots: totals.ballots,
+    candidateTotals: totals.candidateTotals,
+    partyTotals: totals.partyTotals,
+  };
+}
+
+/**
+ * Compare two states ignoring update metadata (polling mode).
+ */
+function sameCounts(a, b) {
+  const strip = ({ seq, updatedAt, mode, ...rest }) => rest;
+  return canonicalJson(strip(a)) === canonicalJson(strip(b));
+}
+
+function publish(feed) {
+  feed.publishTimer = null;
+  feed.lastPublishedAt = Date.now();
+  feed.seq += 1;
+
+  feed.state = {
+    ...feed.state,
+    seq: feed.seq,
+    mode: feed.mode,
+    updatedAt: new Date(),
+  };
+
+  for (const listener of feed.listeners) {
+    try {
+      listener(feed.state);
+    } catch (err) {
+      logFeed(feed, 'listener failed', err);
+    }
+  }
+}
+
+function schedulePublish(feed) {
+  if (feed.publishTimer || feed.stopped) return;
+
+  const wait = Math.max(0, feed.lastPublishedAt + PUBLISH_INTERVAL_MS - Date.now());
+  feed.publishTimer = setTimeout(() => publish(feed), wait);
+}
+
+/**
+ * Full recount; publishes if the counts changed.
+ */
+async function recount(feed) {
+  if (feed.recounting || feed.stopped) return;
+  feed.recounting = true;
+
+  try {
+    const next = await loadState(feed.electionId);
+    if (feed.stopped) return;
+
+    const changed = !feed.state || !sameCounts(feed.state, next);
+    feed.state = { ...feed.state, ...next };
+
+    if (changed) {
+      schedulePublish(feed);
+    }
+  } catch (err) {
+    logFeed(feed, 'recount failed', err);
+  } finally {
+    feed.recounting = false;
+  }
+}
+
+function applyVote(feed, vote) {
+  const { state } = feed;
+  if (!state) return; // first count still running
+
+  const candidateIds = tallyService.countedCandidateIds(vote);
+
+  state.ballots = {
+    ballotsCast: state.ballots.ballotsCast + 1,
+    selectionsMade: state.ballots.selectionsMade + candidateIds.length,
+  };
+
+  let unknown = false;
+
+  for (const candidateId of candidateIds) {
+    const row = state.candidateTotals.find((c) => c.candidateId === candidateId);
+    if (!row) {
+      unknown = true;
+      continue;
+    }
+
+    row.votes += 1;
+
+    const party = state.partyTotals.find((p) => p.partyId === (row.partyId || null));
+    if (party) {
+      party.votes += 1;
+    } else {
+      unknown = true;
+    }
+  }
+
+  // First vote for a candidate: name/party are only in the full count
+  if (unknown) {
+    recount(feed);
+    return;
+  }
+
+  schedulePublish(feed);
+}
+
+function applyParticipation(feed) {
+  if (!feed.state) return;
+
+  const turnout = { ...feed.state.turnout };
+  turnout.votersVoted += 1;
+  turnout.turnoutRate =
+    turnout.totalVoters > 0 ? turnout.votersVoted / turnout.totalVoters : 0;
+
+  feed.state.turnout = turnout;
+  schedulePublish(feed);
+}
+
+function closeStreams(feed) {
+  for (const stream of feed.streams) {
+    stream.close().catch(() => {});
+  }
+  feed.streams = [];
+}
+
+function startPolling(feed, reason) {
+  if (feed.stopped || feed.mode === 'polling') return;
+
+  closeStreams(feed);
+  feed.mode = 'polling';
+  if (reason) logFeed(feed, `falling back to polling: ${reason}`);
+
+  clearInterval(feed.resyncTimer);
+  feed.resyncTimer = setInterval(() => recount(feed), config.liveResults.pollIntervalMs);
+}
+
+function startChangeStreams(feed) {
+  const db = getDb();
+  const { electionId } = feed;
+
+  const match = (projection, filter = {}) => [
+    { $match: { operationType: 'insert', 'fullDocument.electionId': electionId, ...filter } },
+    { $project: { operationType: 1, ...projection } },
+  ];
+
+  const votes = db.collection('votes').watch(
+    match({
+      'fullDocument.candidateId': 1,
+      'fullDocument.ranking': 1,
+      'fullDocument.selections': 1,
+    })
+  );
+  const participations = db
+    .collection('participations')
+    .watch(match({ 'fullDocument.electionId': 1 }, { 'fullDocument.status': { $ne: 'token_issued' } }));
+  const spentTokens = db.collection('spentBallotTokens').watch(
+    [
+      {
+        $match: {
+          operationType: 'update',
+          'updateDescription.updatedFields.counted': true,
+          'fullDocument.electionId': electionId,
+        },
+      },
+      { $project: { operationType: 1 } },
+    ],
+    { fullDocument: 'updateLookup' }
+  );
+
+  feed.streams = [votes, participations, spentTokens];
+  feed.mode = 'change-stream';
+
+  votes.on('change', (change) => applyVote(feed, change.fullDocument));
+  participations.on('change', () => applyParticipation(feed));
+  spentTokens.on('change', () => applyParticipation(feed));
+
+  for (const stream of feed.streams) {
+    // e.g. standalone server: "$changeStream stage is only supported on replica sets"
+    stream.on('error', (err) => startPolling(feed, err.message));
+  }
+
+  feed.resyncTimer = setInterval(() => recount(feed), config.liveResults.resyncIntervalMs);
+}
+
+async function startFeed(electionId) {
+  const feed = {
+    electionId,
+    listeners: new Set(),
+    state: null,
+    seq: 0,
+    mode: null,
+    streams: [],
+    resyncTimer: null,
+    publishTimer: null,
+    lastPublishedAt: 0,
+    recounting: false,
+    stopped: false,
+  };
+  feeds.set(electionId, feed);
+
+  // Inserts seen while the first count runs are skipped; one that the count
+  // missed is picked up by the next resync.
+  if (config.liveResults.changeStreams) {
+    try {
+      startChangeStreams(feed);
+    } catch (err) {
+      startPolling(feed, err.message);
+    }
+  } else {
+    startPolling(feed);
+  }
+
+  feed.ready = loadState(electionId).then(
+    (state) => {
+      feed.state = state;
+      feed.seq = 0;
+      publish(feed);
+    },
+    (err) => {
+      stopFeed(feed);
+      throw err;
+    }
+  );
+
+  return feed;
+}
+
+function stopFeed(feed) {
+  feed.stopped = true;
+  closeStreams(feed);
+  clearInterval(feed.resyncTimer);
+  clearTimeout(feed.publishTimer);
+
+  if (feeds.get(feed.electionId) === feed) {
+    feeds.delete(feed.electionId);
+  }
+}
+
+/**
+ * Receive live state updates for an election. The listener is called with
+ * the current state right away, then on every change:
+ * { electionId, status, ballotType, countingBasis, turnout, ballots,
+ *   candidateTotals, partyTotals, seq, mode, updatedAt }
+ *
+ * @param {string} electionId
+ * @param {(state: object) => void} listener
+ * @returns {Promise<() => void>} unsubscribe
+ * @throws {Error} 404 ELECTION_NOT_FOUND
+ */
+async function subscribe(electionId, listener) {
+  const feed = feeds.get(electionId) || (await startFeed(electionId));
+
+  await feed.ready;
+
+  feed.listeners.add(listener);
+  listener(feed.state);
+
+  return () => {
+    feed.listeners.delete(listener);
+    if (feed.listeners.size === 0) {
+      stopFeed(feed);
+    }
+  };
+}
+
+/**
+ * Counters anyone allowed to watch the election may see.
+ */
+function toTurnoutEvent(state) {
+  return {
+    electionId: state.electionId,
+    status: state.status,
+    turnout: state.turnout,
+    ballotsCast: state.ballots.ballotsCast,
+    seq: state.seq,
+    mode: state.mode,
+    updatedAt: state.updatedAt,
+  };
+}
+
+/**
+ * Per-candidate and per-party totals (results:read only).
+ */
+function toTallyEvent(state) {
+  return {
+    electionId: state.electionId,
+    ballotType: state.ballotType,
+    countingBasis: state.countingBasis,
+    ballots: state.ballots,
+    candidateTotals: state.candidateTotals,
+    partyTotals: state.partyTotals,
+    seq: state.seq,
+    updatedAt: state.updatedAt,
+  };
+}
+
+module.exports = {
+  subscribe,
+  toTurnoutEvent,
+  toTallyEvent,
+};
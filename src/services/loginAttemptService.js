@@ -0,0 +1,101 @@
+// src/services/loginAttemptService.js
+// Failed-login tracking and lockout, shared by voter and admin login.
+//
+// Collection: login_attempts, one document per account key:
+// { voterId | adminId, count, windowEndsAt (TTL), createdAt, meta }
+// The window starts at the first failure; after LOGIN_MAX_FAILED failures
+// inside it the account is locked until windowEndsAt.
+
+const { getDb } = require('../lib/mongo');
+
+const LOGIN_WINDOW_MS = 15 * 60 * 1000; // 15 min for lockout window
+const LOGIN_MAX_FAILED = 5;             // Lock after 5 failed attempts
+
+/**
+ * Current attempt document and whether the account is locked.
+ *
+ * @param {{ voterId: string } | { adminId: string }} key
+ * @param {Date} now
+ * @returns {Promise<{ locked: boolean, attemptDoc: object|null }>}
+ */
+async function checkLockout(key, now) {
+  const db = getDb();
+  const attemptDoc = await db.collection('login_attempts').findOne(key);
+
+  const locked = Boolean(
+    attemptDoc &&
+      attemptDoc.windowEndsAt &&
+      attemptDoc.windowEndsAt > now &&
+      attemptDoc.count >= LOGIN_MAX_FAILED
+  );
+
+  return { locked, attemptDoc };
+}
+
+/**
+ * Body for the 423 ACCOUNT_LOCKED response.
+ */
+function lockedError() {
+  return {
+    code: 'ACCOUNT_LOCKED',
+    message:
+      'Too many failed login attempts. Please try again after the lockout window.',
+    details: {
+      maxFailedAttempts: LOGIN_MAX_FAILED,
+      windowMs: LOGIN_WINDOW_MS,
+    },
+  };
+}
+
+/**
+ * Count one failed attempt (starts a new window if the old one ended).
+ *
+ * @param {{ voterId: string } | { adminId: string }} key
+ * @param {object|null} attemptDoc - from checkLockout
+ * @param {Date} now
+ */
+async function recordLoginFailure(key, attemptDoc, now) {
+  const loginAttempts = getDb().collection('login_attempts');
+
+  if (
+    !attemptDoc ||
+    !attemptDoc.windowEndsAt ||
+    attemptDoc.windowEndsAt <= now
+  ) {
+    const windowEndsAt = new Date(now.getTime() + LOGIN_WINDOW_MS);
+    await loginAttempts.updateOne(
+      key,
+      {
+        $set: {
+          ...key,
+          count: 1,
+          windowEndsAt,
+          createdAt: now,
+          meta: {},
+        },
+      },
+      { upsert: true }
+    );
+  } else {
+    await loginAttempts.updateOne(
+      key,
+      { $inc: { count: 1 } }
+    );
+  }
+}
+
+/**
+ * Successful login: clear attempts.
+ */
+async function clearLoginFailures(key) {
+  await getDb().collection('login_attempts').deleteOne(key);
+}
+
+module.exports = {
+  LOGIN_WINDOW_MS,
+  LOGIN_MAX_FAILED,
+  checkLockout,
+  lockedError,
+  recordLoginFailure,
+  clearLoginFailures,
+};
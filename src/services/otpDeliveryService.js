@@ -0,0 +1,169 @@
+// src/services/otpDeliveryService.js
+// Sends OTP messages through the configured providers with retries and
+// failover, and records every delivery in the otpDeliveries collection.
+//
+// Delivery records never contain the phone number or the code, only the
+// phoneHash, so they can be inspected by admins without leaking either.
+
+const crypto = require('crypto');
+const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+const { getOtpProviders } = require('../lib/otpProviders');
+
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildMessage(code, ttlMinutes) {
+  return `Your e-vote verification code is ${code}. It expires in ${ttlMinutes} minutes.`;
+}
+
+/**
+ * Try one provider up to 1 + OTP_SEND_RETRIES times (retryable errors only),
+ * with exponential backoff starting at OTP_RETRY_DELAY_MS.
+ *
+ * @returns {Promise<{ ok: boolean, providerMessageId?: string|null, attempts: object[] }>}
+ */
+async function sendWithRetries(provider, message) {
+  const attempts = [];
+  const maxAttempts = 1 + config.otpSendRetries;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const at = new Date();
+
+    try {
+      const result = await provider.send(message);
+      attempts.push({ provider: provider.name, attempt, at, ok: true });
+      return { ok: true, providerMessageId: result.providerMessageId, attempts };
+    } catch (err) {
+      const retryable = Boolean(err && err.retryable);
+
+      attempts.push({
+        provider: provider.name,
+        attempt,
+        at,
+        ok: false,
+        error: (err && err.message) || 'Unknown error',
+        retryable,
+        providerStatus: (err && err.providerStatus) || null,
+      });
+
+      if (!retryable || attempt === maxAttempts) {
+        break;
+      }
+
+      await sleep(config.otpRetryDelayMs * 2 ** (attempt - 1));
+    }
+  }
+
+  return { ok: false, attempts };
+}
+
+/**
+ * Deliver an OTP code: providers are tried in configured order until one
+ * accepts the message.
+ *
+ * @param {object} params
+ * @param {string} params.phone - normalized phone (only passed to providers)
+ * @param {string} params.phoneHash
+ * @param {string} params.purpose - OTP purpose (registration, login, ...)
+ * @param {string} params.code
+ * @param {number} params.ttlMinutes
+ * @returns {Promise<{ deliveryId: string, provider: string }>}
+ * @throws {Error} 502 OTP_DELIVERY_FAILED when every provider failed
+ */
+async function deliverOtp({ phone, phoneHash, purpose, code, ttlMinutes }) {
+  const db = getDb();
+  const deliveries = db.collection('otpDeliveries');
+  const deliveryId = crypto.randomUUID();
+  const now = new Date();
+
+  await deliveries.insertOne({
+    deliveryId,
+    phoneHash,
+    purpose,
+    status: 'pending',
+    provider: null,
+    providerMessageId: null,
+    attempts: [],
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null,
+    meta: {},
+  });
+
+  const message = {
+    to: phone,
+    code,
+    ttlMinutes,
+    text: buildMessage(code, ttlMinutes),
+  };
+
+  const attempts = [];
+
+  for (const provider of getOtpProviders()) {
+    const result = await sendWithRetries(provider, message);
+    attempts.push(...result.attempts);
+
+    if (result.ok) {
+      const sentAt = new Date();
+
+      await deliveries.updateOne(
+        { deliveryId },
+        {
+          $set: {
+            status: 'sent',
+            provider: provider.name,
+            providerMessageId: result.providerMessageId || null,
+            attempts,
+            sentAt,
+            updatedAt: sentAt,
+          },
+        }
+      );
+
+      return { deliveryId, provider: provider.name };
+    }
+  }
+
+  await deliveries.updateOne(
+    { deliveryId },
+    { $set: { status: 'failed', attempts, updatedAt: new Date() } }
+  );
+
+  throw httpError(502, 'OTP_DELIVERY_FAILED', 'Could not deliver the OTP code. Please try again later.', {
+    deliveryId,
+  });
+}
+
+/**
+ * Recent deliveries, newest first (admin view).
+ *
+ * @param {{ status?: string, limit?: number }} [filter]
+ */
+async function listDeliveries({ status, limit = 50 } = {}) {
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    throw httpError(400, 'INVALID_STATUS', 'Unknown delivery status', {
+      allowed: DELIVERY_STATUSES,
+    });
+  }
+
+  const db = getDb();
+  const query = status ? { status } : {};
+
+  return db
+    .collection('otpDeliveries')
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  deliverOtp,
+  listDeliveries,
+};
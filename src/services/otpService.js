@@ -1,69 +1,164 @@
 // src/services/otpService.js
-// OTP sending & verification logic (DEV STUB).
-// In production you'd integrate with SMS/WhatsApp/email provider
-// and store OTPs in a secure store or DB.
+// OTP generation & verification. Delivery goes through the configured
+// providers (see services/otpDeliveryService.js).
+//
+// Collection: otps (one active code per phoneHash + purpose)
+// {
+//   phoneHash, purpose,
+//   codeHash,        // HMAC-SHA256(otp key, phoneHash:purpose:code), never the code
+//   attempts, maxAttempts,
+//   expiresAt,       // TTL index removes expired codes
+//   deliveryId, createdAt
+// }
+//
+// The code is bound to the phone and the purpose through the HMAC input,
+// so a registration code can't be replayed as a login or password reset code.
+
+const crypto = require('crypto');
+const { getDb } = require('../lib/mongo');
+const { deriveKey } = require('../lib/keyDerivation');
+const otpDeliveryService = require('./otpDeliveryService');
 
 const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const OTP_MAX_ATTEMPTS = 5;       // wrong guesses allowed per code
+const OTP_PURPOSES = ['registration', 'password_reset', 'login'];
 
-// In-memory store: phoneHash -> { code, expiresAt }
-const otpStore = new Map();
+const otpKey = deriveKey('evote/otp-code-hmac');
+
+function assertPurpose(purpose) {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+}
 
 function generateOtpCode() {
-  // 6-digit numeric code
-  return String(Math.floor(100000 + Math.random() * 900000));
+  // 6-digit numeric code from the CSPRNG
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function hashOtpCode(phoneHash, purpose, code) {
+  return crypto
+    .createHmac('sha256', otpKey)
+    .update(`${phoneHash}:${purpose}:${code}`)
+    .digest('hex');
 }
 
 /**
- * Generate + "send" OTP.
- * For dev we just log it to console.
+ * Generate + send OTP. A new code replaces any earlier one for the same
+ * phone and purpose.
+ *
+ * If no provider could deliver it, the code is discarded again so it
+ * can't be used.
  *
  * @param {string} phone - normalized phone string
  * @param {string} phoneHash - sha256(phone)
- * @returns {{ code: string, expiresAt: Date }}
+ * @param {string} purpose - one of OTP_PURPOSES
+ * @returns {Promise<{ expiresAt: Date, deliveryId: string }>}
+ * @throws {Error} 502 OTP_DELIVERY_FAILED
  */
-async function sendOtp(phone, phoneHash) {
+async function sendOtp(phone, phoneHash, purpose) {
+  assertPurpose(purpose);
+
+  const db = getDb();
+  const otps = db.collection('otps');
+
   const code = generateOtpCode();
-  const expiresAt = new Date(Date.now() + OTP_TTL_MS);
+  const codeHash = hashOtpCode(phoneHash, purpose, code);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MS);
 
-  otpStore.set(phoneHash, { code, expiresAt });
+  await otps.replaceOne(
+    { phoneHash, purpose },
+    {
+      phoneHash,
+      purpose,
+      codeHash,
+      attempts: 0,
+      maxAttempts: OTP_MAX_ATTEMPTS,
+      expiresAt,
+      deliveryId: null,
+      createdAt: now,
+    },
+    { upsert: true }
+  );
 
-  // DEV ONLY: log to console
-  console.log(`[OTP] For phone ${phone}: ${code} (valid 5 minutes)`);
+  try {
+    const { deliveryId } = await otpDeliveryService.deliverOtp({
+      phone,
+      phoneHash,
+      purpose,
+      code,
+      ttlMinutes: OTP_TTL_MS / 60000,
+    });
 
-  return { code, expiresAt };
+    await otps.updateOne({ phoneHash, purpose, codeHash }, { $set: { deliveryId } });
+
+    return { expiresAt, deliveryId };
+  } catch (err) {
+    await otps.deleteOne({ phoneHash, purpose, codeHash });
+    throw err;
+  }
 }
 
 /**
- * Verify OTP code for a phone.
+ * Verify OTP code for a phone and purpose.
+ *
+ * Every check counts as an attempt (claimed atomically before comparing),
+ * so parallel guesses can't exceed maxAttempts. The code is deleted when
+ * it matches (one-time use) or when the last attempt is used up.
  *
- * @param {string} phone - normalized phone
  * @param {string} phoneHash
  * @param {string|number} code
+ * @param {string} purpose - one of OTP_PURPOSES
  * @returns {Promise<boolean>} true if valid, false otherwise
  */
-async function verifyOtp(phone, phoneHash, code) {
-  const entry = otpStore.get(phoneHash);
-  if (!entry) return false;
+async function verifyOtp(phoneHash, code, purpose) {
+  assertPurpose(purpose);
 
-  const now = new Date();
-  if (entry.expiresAt < now) {
-    otpStore.delete(phoneHash);
+  const provided = String(code === undefined || code === null ? '' : code).trim();
+  if (!/^\d{6}$/.test(provided)) {
+    return false;
+  }
+
+  const db = getDb();
+  const otps = db.collection('otps');
+
+  const entry = await otps.findOneAndUpdate(
+    {
+      phoneHash,
+      purpose,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] },
+    },
+    { $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+
+  if (!entry) {
     return false;
   }
 
-  const expected = String(entry.code).trim();
-  const provided = String(code || '').trim();
+  const expected = Buffer.from(entry.codeHash, 'hex');
+  const actual = Buffer.from(hashOtpCode(phoneHash, purpose, provided), 'hex');
 
-  if (expected !== provided) {
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    if (entry.attempts >= entry.maxAttempts) {
+      await otps.deleteOne({ _id: entry._id, codeHash: entry.codeHash });
+    }
     return false;
   }
 
-  // One-time use
-  otpStore.delete(phoneHash);
-  return true;
+  // One-time use: only the request that deletes the code wins
+  const { deletedCount } = await otps.deleteOne({
+    _id: entry._id,
+    codeHash: entry.codeHash,
+  });
+
+  return deletedCount === 1;
 }
 
 module.exports = {
+  OTP_PURPOSES,
   sendOtp,
   verifyOtp,
 };
@@ -0,0 +1,170 @@
+// src/services/receiptService.js
+// Verifiable vote receipts.
+//
+// For every stored ballot:
+//   ballotHash = sha256(canonical { electionId, receiptId, choice, salt })
+//   serverSig  = Ed25519(canonical { type, v, receiptId, electionId, ballotHash })
+//
+// The voter gets { receiptId, electionId, ballotHash, signature, keyId }.
+// The salt stays server-side, so the receipt can't be brute-forced back to
+// a candidate by third parties, while the server can still prove the stored
+// choice matches the hash it signed.
+
+const crypto = require('crypto');
+
+const { getDb } = require('../lib/mongo');
+const canonicalJson = require('../lib/canonicalJson');
+const signing = require('../lib/signing');
+
+const RECEIPT_TYPE = 'evote-receipt';
+const RECEIPT_VERSION = 1;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function computeBallotHash({ electionId, receiptId, choice, salt }) {
+  return sha256Hex(canonicalJson({ electionId, receiptId, choice, salt }));
+}
+
+function receiptPayload({ receiptId, electionId, ballotHash }) {
+  return canonicalJson({
+    type: RECEIPT_TYPE,
+    v: RECEIPT_VERSION,
+    receiptId,
+    electionId,
+    ballotHash,
+  });
+}
+
+/**
+ * The choice part of a stored vote document, as it was hashed.
+ */
+function getStoredChoice(vote) {
+  if (vote.encryptedBallot) {
+    return { encryptedBallot: vote.encryptedBallot };
+  }
+  if (vote.ranking) {
+    return { ranking: vote.ranking };
+  }
+  if (vote.selections) {
+    return { selections: vote.selections };
+  }
+  return { candidateId: vote.candidateId };
+}
+
+/**
+ * Create receipt material for a new ballot.
+ *
+ * @param {{ electionId: string, choice: object }} input
+ * @returns {{ receiptId, ballotHash, ballotSalt, serverSig, keyId }}
+ */
+function createReceipt({ electionId, choice }) {
+  const receiptId = crypto.randomUUID();
+  const ballotSalt = crypto.randomBytes(16).toString('hex');
+  const ballotHash = computeBallotHash({
+    electionId,
+    receiptId,
+    choice,
+    salt: ballotSalt,
+  });
+
+  const serverSig = signing.sign(
+    receiptPayload({ receiptId, electionId, ballotHash })
+  );
+
+  return {
+    receiptId,
+    ballotHash,
+    ballotSalt,
+    serverSig,
+    keyId: signing.keyId,
+  };
+}
+
+/**
+ * Shape returned to the voter (never contains the choice or salt).
+ */
+function toPublicReceipt({ receiptId, electionId, ballotHash, serverSig, keyId }) {
+  return {
+    receiptId,
+    electionId,
+    ballotHash,
+    signature: serverSig,
+    keyId,
+  };
+}
+
+/**
+ * Check a receipt:
+ * - signatureValid: the server really signed (receiptId, electionId, ballotHash)
+ * - included: a stored ballot with this receiptId + ballotHash exists
+ * - recordIntact: the stored choice still hashes to ballotHash and the
+ *   stored signature still verifies (detects edits to the vote document)
+ * - pending: not stored yet, the ballot is still in the mixing pool
+ *   (ballotMixService)
+ *
+ * @param {{ receiptId, electionId, ballotHash, signature }} receipt
+ */
+async function verifyReceipt({ receiptId, electionId, ballotHash, signature }) {
+  const signatureValid = signing.verify(
+    receiptPayload({ receiptId, electionId, ballotHash }),
+    signature
+  );
+
+  const db = getDb();
+  const vote = await db.collection('votes').findOne({ receiptId, electionId });
+
+  const included = !!vote && vote.ballotHash === ballotHash;
+
+  let recordIntact = false;
+  if (included) {
+    const recomputed = computeBallotHash({
+      electionId: vote.electionId,
+      receiptId: vote.receiptId,
+      choice: getStoredChoice(vote),
+      salt: vote.ballotSalt,
+    });
+
+    recordIntact =
+      recomputed === vote.ballotHash &&
+      signing.verify(
+        receiptPayload({
+          receiptId: vote.receiptId,
+          electionId: vote.electionId,
+          ballotHash: vote.ballotHash,
+        }),
+        vote.serverSig
+      );
+  }
+
+  let pending = false;
+  if (!vote) {
+    const pooled = await db
+      .collection('pendingBallots')
+      .findOne(
+        { 'receipt.receiptId': receiptId, electionId },
+        { projection: { _id: 0, 'receipt.ballotHash': 1 } }
+      );
+    pending = !!pooled && pooled.receipt.ballotHash === ballotHash;
+  }
+
+  return {
+    receiptId,
+    electionId,
+    valid: signatureValid && included && recordIntact,
+    signatureValid,
+    included,
+    recordIntact,
+    pending,
+  };
+}
+
+module.exports = {
+  computeBallotHash,
+  receiptPayload,
+  getStoredChoice,
+  createReceipt,
+  toPublicReceipt,
+  verifyReceipt,
+};
@@ -0,0 +1,583 @@
+// src/services/resultsExportService.js
+// Results exports: CSV tables, canonical JSON and a self-contained HTML
+// report (Arabic RTL or English), from the finalized snapshot or live totals.
+//
+// Two signatures, both with the server key (lib/signing):
+//
+// - results attestation, embedded in the JSON and HTML files:
+//     resultsHash = sha256(canonical results)
+//     signature   = Ed25519(canonical { type: "evote-results", v, electionId,
+//                                       source, resultsHash, generatedAt })
+//   For source "snapshot" the results are the signed content of the
+//   electionSnapshots document, so resultsHash equals its snapshotHash
+//   (snapshotService); the JSON file also carries the snapshot signature.
+//
+// - file manifest, sent as response headers with every format:
+//     contentHash = sha256(file bytes)
+//     signature   = Ed25519(canonical { type: "evote-results-export", v,
+//                   electionId, source, format, table, lang, contentHash,
+//                   resultsHash, generatedAt })
+
+const crypto = require('crypto');
+
+const canonicalJson = require('../lib/canonicalJson');
+const signing = require('../lib/signing');
+const httpError = require('../lib/httpError');
+const { csvLine } = require('../lib/csv');
+const voteService = require('./voteService');
+const snapshotService = require('./snapshotService');
+
+const RESULTS_TYPE = 'evote-results';
+const EXPORT_TYPE = 'evote-results-export';
+const EXPORT_VERSION = 1;
+
+const EXPORT_FORMATS = ['csv', 'json', 'html'];
+const EXPORT_SOURCES = ['snapshot', 'live'];
+const CSV_TABLES = ['candidates', 'parties', 'districts'];
+const REPORT_LANGUAGES = ['ar', 'en'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+const LABELS = {
+  ar: {
+    report: 'تقرير النتائج',
+    finalResults: 'النتائج النهائية',
+    liveResults: 'نتائج غير نهائية',
+    election: 'الانتخابات',
+    status: 'الحالة',
+    generatedAt: 'تاريخ الإصدار',
+    summary: 'ملخص',
+    totalVoters: 'عدد الناخبين',
+    votersVoted: 'عدد المصوتين',
+    turnout: 'نسبة المشاركة',
+    ballotsCast: 'الأوراق المقترعة',
+    selectionsMade: 'الاختيارات',
+    candidates: 'المرشحون',
+    parties: 'الكيانات السياسية',
+    candidate: 'المرشح',
+    party: 'الكيان',
+    votes: 'الأصوات',
+    share: 'النسبة',
+    seats: 'المقاعد',
+    seatTable: 'توزيع المقاعد',
+    elected: 'الفائزون',
+    passedThreshold: 'تجاوز العتبة',
+    yes: 'نعم',
+    no: 'لا',
+    rankedResult: 'نتيجة العد التفضيلي',
+    districts: 'الدوائر الانتخابية',
+    district: 'الدائرة',
+    integrity: 'التحقق',
+    resultsHash: 'بصمة النتائج (SHA-256)',
+    chainHead: 'رأس سلسلة الأصوات',
+    signature: 'التوقيع (Ed25519)',
+    keyId: 'معرّف المفتاح',
+    snapshotSignature: 'توقيع مفتاح الانتخابات',
+  },
+  en: {
+    report: 'Results report',
+    finalResults: 'Final results',
+    liveResults: 'Provisional results',
+    election: 'Election',
+    status: 'Status',
+    generatedAt: 'Generated at',
+    summary: 'Summary',
+    totalVoters: 'Eligible voters',
+    votersVoted: 'Voters who voted',
+    turnout: 'Turnout',
+    ballotsCast: 'Ballots cast',
+    selectionsMade: 'Selections made',
+    candidates: 'Candidates',
+    parties: 'Parties',
+    candidate: 'Candidate',
+    party: 'Party',
+    votes: 'Votes',
+    share: 'Share',
+    seats: 'Seats',
+    seatTable: 'Seat allocation',
+    elected: 'Elected',
+    passedThreshold: 'Passed threshold',
+    yes: 'yes',
+    no: 'no',
+    rankedResult: 'Preferential count',
+    districts: 'Districts',
+    district: 'District',
+    integrity: 'Verification',
+    resultsHash: 'Results hash (SHA-256)',
+    chainHead: 'Vote chain head',
+    signature: 'Signature (Ed25519)',
+    keyId: 'Key ID',
+    snapshotSignature: 'Election key signature',
+  },
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function attestationPayload({ electionId, source, resultsHash, generatedAt }) {
+  return canonicalJson({
+    type: RESULTS_TYPE,
+    v: EXPORT_VERSION,
+    electionId,
+    source,
+    resultsHash,
+    generatedAt,
+  });
+}
+
+function manifestPayload({
+  electionId,
+  source,
+  format,
+  table,
+  lang,
+  contentHash,
+  resultsHash,
+  generatedAt,
+}) {
+  return canonicalJson({
+    type: EXPORT_TYPE,
+    v: EXPORT_VERSION,
+    electionId,
+    source,
+    format,
+    table: table || null,
+    lang: lang || null,
+    contentHash,
+    resultsHash,
+    generatedAt,
+  });
+}
+
+/**
+ * Results to export plus their signed attestation.
+ *
+ * @param {object} election - elections document
+ * @param {"snapshot" | "live"} source
+ * @throws {Error} 404 SNAPSHOT_NOT_FOUND
+ */
+async function loadResults(election, source) {
+  const { electionId } = election;
+  let results;
+  let snapshotSignature = null;
+
+  if (source === 'snapshot') {
+    const snapshot = await snapshotService.getSnapshot(electionId);
+    if (!snapshot) {
+      throw httpError(404, 'SNAPSHOT_NOT_FOUND', 'Election has no finalized snapshot', {
+        electionId,
+      });
+    }
+    results = snapshotService.snapshotContent(snapshot);
+    snapshotSignature = snapshot.signature || null;
+  } else {
+    results = await voteService.computeTotals(election);
+  }
+
+  const generatedAt = new Date().toISOString();
+  const resultsHash = sha256Hex(canonicalJson(results));
+
+  return {
+    electionId,
+    source,
+    generatedAt,
+    resultsHash,
+    results,
+    snapshotSignature,
+    signature: signing.sign(
+      attestationPayload({ electionId, source, resultsHash, generatedAt })
+    ),
+    keyId: signing.keyId,
+  };
+}
+
+// ---------- formats ----------
+
+function shareOf(votes, total) {
+  return total > 0 ? (votes / total).toFixed(6) : '0.000000';
+}
+
+function renderCsv({ results }, table) {
+  const partyNames = new Map(
+    (results.partyTotals || []).map((p) => [p.partyId, p.name])
+  );
+  const candidateVotes = (results.candidateTotals || []).reduce(
+    (sum, c) => sum + (c.votes || 0),
+    0
+  );
+  const seatsByParty = new Map(
+    ((results.seatTable && results.seatTable.parties) || []).map((p) => [p.partyId, p.seats])
+  );
+
+  const lines = [];
+  const districted = Array.isArray(results.districts);
+
+  if (table === 'districts') {
+    lines.push(
+      csvLine([
+        'districtId',
+        'name',
+        'seats',
+        'totalVoters',
+        'votersVoted',
+        'turnoutRate',
+        'ballotsCast',
+        'selectionsMade',
+      ])
+    );
+
+    for (const d of results.districts || []) {
+      lines.push(
+        csvLine([
+          d.districtId,
+          d.name,
+          d.seats,
+          d.turnout.totalVoters,
+          d.turnout.votersVoted,
+          d.turnout.turnoutRate.toFixed(6),
+          d.ballots.ballotsCast,
+          d.ballots.selectionsMade,
+        ])
+      );
+    }
+  } else if (table === 'parties') {
+    lines.push(csvLine(['partyId', 'name', 'votes', 'share', 'seats']));
+
+    const rows = [...(results.partyTotals || [])].sort(
+      (a, b) => b.votes - a.votes || String(a.partyId).localeCompare(String(b.partyId))
+    );
+    for (const p of rows) {
+      lines.push(
+        csvLine([
+          p.partyId,
+          p.name,
+          p.votes,
+          shareOf(p.votes, candidateVotes),
+          seatsByParty.has(p.partyId) ? seatsByParty.get(p.partyId) : null,
+        ])
+      );
+    }
+  } else {
+    // Elections with districts: which district each candidate stood in
+    const header = ['candidateId', 'name', 'partyId', 'partyName', 'votes', 'share'];
+    lines.push(csvLine(districted ? [...header, 'districtId'] : header));
+
+    const rows = [...(results.candidateTotals || [])].sort(
+      (a, b) => b.votes - a.votes || String(a.candidateId).localeCompare(String(b.candidateId))
+    );
+    for (const c of rows) {
+      const fields = [
+        c.candidateId,
+        c.name,
+        c.partyId,
+        partyNames.get(c.partyId) || null,
+        c.votes,
+        shareOf(c.votes, candidateVotes),
+      ];
+      lines.push(csvLine(districted ? [...fields, c.districtId || null] : fields));
+    }
+  }
+
+  // BOM so spreadsheet apps read Arabic names as UTF-8
+  return `\uFEFF${lines.join('')}`;
+}
+
+/**
+ * The attestation, the results and the signatures in one canonical JSON
+ * document (verifiable offline with GET /elections/:electionId/keys).
+ */
+function renderJson(loaded) {
+  return canonicalJson({
+    type: RESULTS_TYPE,
+    v: EXPORT_VERSION,
+    electionId: loaded.electionId,
+    source: loaded.source,
+    generatedAt: loaded.generatedAt,
+    resultsHash: loaded.resultsHash,
+    results: loaded.results,
+    snapshotSignature: loaded.snapshotSignature,
+    signature: loaded.signature,
+    keyId: loaded.keyId,
+  });
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function percent(votes, total) {
+  return total > 0 ? `${((votes / total) * 100).toFixed(2)}%` : '0.00%';
+}
+
+function htmlTable(headers, rows) {
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${row
+          .map((cell) => `<td><bdi>${escapeHtml(cell)}</bdi></td>`)
+          .join('')}</tr>`
+    )
+    .join('\n');
+
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Self-contained HTML report (no external assets). The JSON export is
+ * embedded as well, so the report can be verified like the JSON file.
+ */
+function renderHtml(loaded, election, lang) {
+  const t = LABELS[lang];
+  const { results } = loaded;
+  const dir = lang === 'ar' ? 'rtl' : 'ltr';
+
+  const partyNames = new Map(
+    (results.partyTotals || []).map((p) => [p.partyId, p.name])
+  );
+  const candidateVotes = (results.candidateTotals || []).reduce(
+    (sum, c) => sum + (c.votes || 0),
+    0
+  );
+  const turnout = results.turnout || {};
+  const ballots = results.ballots || {};
+
+  const sections = [];
+
+  sections.push(`<h2>${escapeHtml(t.summary)}</h2>`);
+  sections.push(
+    htmlTable(
+      [t.totalVoters, t.votersVoted, t.turnout, t.ballotsCast, t.selectionsMade],
+      [
+        [
+          turnout.totalVoters,
+          turnout.votersVoted,
+          `${((turnout.turnoutRate || 0) * 100).toFixed(2)}%`,
+          ballots.ballotsCast,
+          ballots.selectionsMade,
+        ],
+      ]
+    )
+  );
+
+  if (results.districts) {
+    sections.push(`<h2>${escapeHtml(t.districts)}</h2>`);
+    sections.push(
+      htmlTable(
+        [t.district, t.seats, t.totalVoters, t.votersVoted, t.turnout, t.ballotsCast],
+        results.districts.map((d) => [
+          d.name || d.districtId,
+          d.seats,
+          d.turnout.totalVoters,
+          d.turnout.votersVoted,
+          `${(d.turnout.turnoutRate * 100).toFixed(2)}%`,
+          d.ballots.ballotsCast,
+        ])
+      )
+    );
+  }
+
+  sections.push(`<h2>${escapeHtml(t.candidates)}</h2>`);
+  sections.push(
+    htmlTable(
+      [t.candidate, t.party, t.votes, t.share],
+      [...(results.candidateTotals || [])]
+        .sort((a, b) => b.votes - a.votes)
+        .map((c) => [
+          c.name,
+          partyNames.get(c.partyId) || c.partyId || '',
+          c.votes,
+          percent(c.votes, candidateVotes),
+        ])
+    )
+  );
+
+  sections.push(`<h2>${escapeHtml(t.parties)}</h2>`);
+  sections.push(
+    htmlTable(
+      [t.party, t.votes, t.share],
+      [...(results.partyTotals || [])]
+        .sort((a, b) => b.votes - a.votes)
+        .map((p) => [p.name || p.partyId || '', p.votes, percent(p.votes, candidateVotes)])
+    )
+  );
+
+  if (results.seatTable) {
+    sections.push(`<h2>${escapeHtml(t.seatTable)}</h2>`);
+    sections.push(
+      htmlTable(
+        [t.party, t.votes, t.share, t.passedThreshold, t.seats, t.elected],
+        results.seatTable.parties.map((p) => [
+          p.name || p.partyId,
+          p.votes,
+          `${(p.share * 100).toFixed(2)}%`,
+          p.passedThreshold ? t.yes : t.no,
+          p.seats,
+          p.elected.map((c) => c.name).join('، '),
+        ])
+      )
+    );
+  }
+
+  if (results.rankedResult) {
+    sections.push(`<h2>${escapeHtml(t.rankedResult)}</h2>`);
+    sections.push(
+      htmlTable(
+        [t.elected, t.party],
+        results.rankedResult.elected.map((c) => [
+          c.name,
+          partyNames.get(c.partyId) || c.partyId || '',
+        ])
+      )
+    );
+  }
+
+  const integrityRows = [
+    [t.resultsHash, loaded.resultsHash],
+    [t.signature, loaded.signature],
+    [t.keyId, loaded.keyId],
+  ];
+  if (results.chainHead) {
+    integrityRows.splice(1, 0, [
+      t.chainHead,
+      `${results.chainHead.seq} / ${results.chainHead.head}`,
+    ]);
+  }
+  if (loaded.snapshotSignature) {
+    integrityRows.push([
+      t.snapshotSignature,
+      `${loaded.snapshotSignature.keyId} / ${loaded.snapshotSignature.value}`,
+    ]);
+  }
+
+  // "<" escaped so the JSON can't close the script element
+  const embedded = renderJson(loaded).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="evote-results-hash" content="${escapeHtml(loaded.resultsHash)}">
+<title>${escapeHtml(t.report)}: ${escapeHtml(election.title || election.electionId)}</title>
+<style>
+body { font-family: "Noto Naskh Arabic", "Segoe UI", Tahoma, Arial, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; min-width: 50%; }
+th, td { border: 1px solid #bbb; padding: 0.35rem 0.75rem; text-align: start; }
+th { background: #f0f0f0; }
+td:nth-child(n+2) { font-variant-numeric: tabular-nums; }
+.integrity td { font-family: monospace; word-break: break-all; direction: ltr; unicode-bidi: embed; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(loaded.source === 'snapshot' ? t.finalResults : t.liveResults)}</h1>
+<p>${escapeHtml(t.election)}: <bdi>${escapeHtml(election.title || election.electionId)}</bdi>
+(<bdi>${escapeHtml(election.electionId)}</bdi>)<br>
+${escapeHtml(t.status)}: <bdi>${escapeHtml(election.status)}</bdi><br>
+${escapeHtml(t.generatedAt)}: <bdi>${escapeHtml(loaded.generatedAt)}</bdi></p>
+${sections.join('\n')}
+<h2>${escapeHtml(t.integrity)}</h2>
+<div class="integrity">
+${htmlTable(['', ''], integrityRows)}
+</div>
+<script type="application/json" id="evote-results">${embedded}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build one export file and its signed manifest.
+ *
+ * @param {object} election - elections document
+ * @param {{ source: string, format: string, table?: string, lang?: string }} options
+ * @returns {Promise<{ body: string, contentType: string, filename: string,
+ *   manifest: object, signature: string, keyId: string }>}
+ */
+async function buildExport(election, { source, format, table = null, lang = null }) {
+  const loaded = await loadResults(election, source);
+
+  let body;
+  if (format === 'csv') {
+    body = renderCsv(loaded, table);
+  } else if (format === 'html') {
+    body = renderHtml(loaded, election, lang);
+  } else {
+    body = renderJson(loaded);
+  }
+
+  const manifest = {
+    electionId: election.electionId,
+    source,
+    format,
+    table: format === 'csv' ? table : null,
+    lang: format === 'html' ? lang : null,
+    contentHash: sha256Hex(body),
+    resultsHash: loaded.resultsHash,
+    generatedAt: loaded.generatedAt,
+  };
+
+  const stamp = loaded.generatedAt.replace(/[:.]/g, '-');
+  const suffix = manifest.table ? `-${manifest.table}` : '';
+
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `results-${election.electionId}-${source}${suffix}-${stamp}.${format}`,
+    manifest,
+    signature: signing.sign(manifestPayload(manifest)),
+    keyId: signing.keyId,
+  };
+}
+
+/**
+ * Check a results attestation (from a JSON/HTML file) or a file manifest
+ * (from the export headers, when contentHash is given), and compare
+ * resultsHash with the stored snapshot.
+ *
+ * @param {object} input - { electionId, source, resultsHash, generatedAt, signature,
+ *                           format?, table?, lang?, contentHash? }
+ * @returns {Promise<{ kind, signatureValid, keyId, snapshot }>}
+ */
+async function verifyExport(input) {
+  const kind = input.contentHash ? 'manifest' : 'attestation';
+
+  const signatureValid = signing.verify(
+    kind === 'manifest' ? manifestPayload(input) : attestationPayload(input),
+    input.signature
+  );
+
+  const snapshot = await snapshotService.getSnapshot(input.electionId);
+  const snapshotHash = snapshot ? snapshotService.hashSnapshot(snapshot) : null;
+
+  return {
+    kind,
+    signatureValid,
+    keyId: signing.keyId,
+    snapshot: {
+      found: Boolean(snapshot),
+      createdAt: snapshot ? snapshot.createdAt : null,
+      resultsHash: snapshotHash,
+      matches: snapshotHash !== null && snapshotHash === input.resultsHash,
+    },
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SOURCES,
+  CSV_TABLES,
+  REPORT_LANGUAGES,
+  buildExport,
+  verifyExport,
+};
@@ -0,0 +1,429 @@
+// src/services/snapshotService.js
+// Final results snapshots: written once per election, when it is finalized,
+// and signed with the election's snapshot key (electionKeyService).
+//
+//   snapshotHash = sha256(canonical snapshot without _id and signature)
+//   signature    = Ed25519(canonical { type: "evote-snapshot", v, electionId,
+//                                      keyId, snapshotHash })
+//
+// Stored as electionSnapshots.signature { algorithm, keyId, snapshotHash, value }.
+// A unique index on electionId (signed snapshots) makes finalization
+// one-time: a second finalize gets the stored snapshot back.
+//
+// Encrypted elections: the snapshot names the trustees of the key ceremony
+// as `endorsers` { ceremonyId, threshold, trustees: [{ index, trusteeId,
+// signingKey }] }, and is only complete once `threshold` of them co-signed
+// it with their own Ed25519 keys (the server never holds those):
+//
+//   endorsement = Ed25519(canonical { type: "evote-snapshot-endorsement", v,
+//                                     electionId, snapshotHash, trusteeIndex })
+//
+// stored as electionSnapshots.endorsements.<trusteeIndex> { trusteeId,
+// signedAt, value } (outside the hashed content, like signature).
+
+const crypto = require('crypto');
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const canonicalJson = require('../lib/canonicalJson');
+const httpError = require('../lib/httpError');
+const electionService = require('./electionService');
+const auditService = require('./auditService');
+const electionKeyService = require('./electionKeyService');
+const voteService = require('./voteService');
+const chainService = require('./chainService');
+const encryptionService = require('./encryptionService');
+const keyCeremonyService = require('./keyCeremonyService');
+
+const SNAPSHOT_TYPE = 'evote-snapshot';
+const SNAPSHOT_VERSION = 1;
+const ENDORSEMENT_TYPE = 'evote-snapshot-endorsement';
+const ENDORSEMENT_VERSION = 1;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * The signed part of a snapshot (everything but _id, signature and
+ * endorsements).
+ */
+function snapshotContent(snapshot) {
+  const { _id, signature, endorsements, ...content } = snapshot;
+  return content;
+}
+
+function hashSnapshot(snapshot) {
+  return sha256Hex(canonicalJson(snapshotContent(snapshot)));
+}
+
+function signaturePayload({ electionId, keyId, snapshotHash }) {
+  return canonicalJson({
+    type: SNAPSHOT_TYPE,
+    v: SNAPSHOT_VERSION,
+    electionId,
+    keyId,
+    snapshotHash,
+  });
+}
+
+/**
+ * What a trustee signs to endorse a snapshot.
+ */
+function endorsementPayload({ electionId, snapshotHash, trusteeIndex }) {
+  return canonicalJson({
+    type: ENDORSEMENT_TYPE,
+    v: ENDORSEMENT_VERSION,
+    electionId,
+    snapshotHash,
+    trusteeIndex,
+  });
+}
+
+function verifyEndorsement(signingKey, payload, value) {
+  if (typeof value !== 'string' || !value) return false;
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(payload),
+      crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: signingKey }, format: 'jwk' }),
+      Buffer.from(value, 'base64url')
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check the trustee co-signatures of a snapshot against the endorsers it
+ * names. Snapshots without endorsers (plaintext elections) need none.
+ *
+ * @param {object} snapshot
+ * @param {string} snapshotHash - hashSnapshot(snapshot)
+ * @returns {{ required: number, valid: number[], invalid: number[], endorsed: boolean }}
+ *   valid / invalid = trustee indexes
+ */
+function checkEndorsements(snapshot, snapshotHash) {
+  const { endorsers } = snapshot;
+
+  if (!endorsers) {
+    return { required: 0, valid: [], invalid: [], endorsed: true };
+  }
+
+  const valid = [];
+  const invalid = [];
+
+  for (const [key, endorsement] of Object.entries(snapshot.endorsements || {})) {
+    const trusteeIndex = Number(key);
+    const signer = endorsers.trustees.find((t) => t.index === trusteeIndex);
+    const payload = endorsementPayload({ electionId: snapshot.electionId, snapshotHash, trusteeIndex });
+
+    if (signer && verifyEndorsement(signer.signingKey, payload, endorsement.value)) {
+      valid.push(trusteeIndex);
+    } else {
+      invalid.push(trusteeIndex);
+    }
+  }
+
+  return {
+    required: endorsers.threshold,
+    valid,
+    invalid,
+    endorsed: valid.length >= endorsers.threshold,
+  };
+}
+
+/**
+ * The snapshot of an election (the signed one if present, else the latest
+ * legacy one), without _id; null if it was never finalized.
+ */
+async function getSnapshot(electionId) {
+  return getDb()
+    .collection('electionSnapshots')
+    .findOne(
+      { electionId },
+      { projection: { _id: 0 }, sort: { 'signature.keyId': -1, createdAt: -1 } }
+    );
+}
+
+/**
+ * Count the final results, sign them and mark the election finalized, in
+ * one transaction. The caller has checked that the election may be
+ * finalized.
+ *
+ * Encrypted elections are decrypted here from the trustees' partial
+ * decryptions (409 DECRYPTION_PENDING until enough trustees submitted);
+ * the snapshot keeps the decryption transcript as `decryption`.
+ *
+ * If another finalize won the race, its snapshot is returned instead.
+ *
+ * @param {object} election - elections document (status "closed")
+ * @param {{ actor: object, audit?: object }} options - audit: context for the
+ *   election.finalize entry, written in the same transaction
+ * @returns {Promise<{ snapshot: object, created: boolean }>}
+ */
+async function createFinalSnapshot(election, { actor, audit = null }) {
+  const { electionId } = election;
+
+  const decryption = encryptionService.isEncrypted(election)
+    ? await encryptionService.decryptTotals(election)
+    : null;
+
+  const totals = await voteService.computeTotals(election, {
+    candidateCounts: decryption ? decryption.candidates : null,
+  });
+  const chainHead = await chainService.getChainHead(electionId);
+
+  const snapshot = {
+    electionId,
+    createdAt: new Date(),
+    ...totals,
+    // Final vote hash-chain head: ties these totals to the published board
+    chainHead: {
+      seq: chainHead.seq,
+      head: chainHead.head,
+    },
+  };
+
+  if (decryption) {
+    snapshot.decryption = decryption.transcript;
+  }
+
+  // Trustees who must co-sign it (encrypted elections)
+  const endorsers = await keyCeremonyService.getSnapshotEndorsers(election);
+  if (endorsers) {
+    snapshot.endorsers = endorsers;
+  }
+
+  // Preferential elections: IRV / STV count with round-by-round report
+  // (per district when the election has districts)
+  if (election.ballotType === 'ranked' && snapshot.districts) {
+    for (const district of snapshot.districts) {
+      district.rankedResult = await voteService.computeRankedResult(election, {
+        districtId: district.districtId,
+        seats: district.seats,
+      });
+    }
+  } else if (election.ballotType === 'ranked') {
+    snapshot.rankedResult = await voteService.computeRankedResult(election);
+  }
+
+  // Canonical form: exactly what is hashed is what gets stored
+  const content = JSON.parse(canonicalJson(snapshot));
+  content.createdAt = snapshot.createdAt;
+
+  const key = await electionKeyService.getOrCreateElectionKey(
+    electionId,
+    electionKeyService.SNAPSHOT_PURPOSE
+  );
+  const snapshotHash = hashSnapshot(content);
+
+  const signed = {
+    ...content,
+    signature: {
+      algorithm: key.algorithm,
+      keyId: key.keyId,
+      snapshotHash,
+      value: electionKeyService.signWithKey(
+        key,
+        signaturePayload({ electionId, keyId: key.keyId, snapshotHash })
+      ),
+    },
+  };
+
+  try {
+    await withTransaction(async ({ db, session }) => {
+      await db.collection('electionSnapshots').insertOne({ ...signed }, { session });
+      await electionService.transitionElection(electionId, 'finalized', {
+        actor,
+        session,
+      });
+
+      if (audit) {
+        await auditService.recordAction(
+          audit,
+          {
+            action: 'election.finalize',
+            target: { type: 'election', id: electionId, electionId },
+            before: { status: election.status },
+            after: { status: 'finalized' },
+            details: { chainHead: signed.chainHead, signature: signed.signature },
+          },
+          { db, session }
+        );
+      }
+    });
+  } catch (err) {
+    const conflict =
+      (err && err.code === 11000) || (err && err.code === 'ELECTION_STATE_CONFLICT');
+    if (!conflict) throw err;
+
+    const existing = await getSnapshot(electionId);
+    if (!existing) throw err;
+
+    return { snapshot: existing, created: false };
+  }
+
+  return { snapshot: signed, created: true };
+}
+
+/**
+ * The signed snapshot of an election and the slot of trustee `trusteeId`
+ * among its endorsers.
+ *
+ * @throws {Error} 404 SNAPSHOT_NOT_FOUND, 409 ENDORSEMENT_NOT_REQUIRED,
+ *   403 NOT_A_TRUSTEE
+ */
+async function loadEndorsableSnapshot(electionId, trusteeId) {
+  const snapshot = await getSnapshot(electionId);
+
+  if (!snapshot || !snapshot.signature) {
+    throw httpError(404, 'SNAPSHOT_NOT_FOUND', 'Election has no finalized snapshot', { electionId });
+  }
+
+  if (!snapshot.endorsers) {
+    throw httpError(409, 'ENDORSEMENT_NOT_REQUIRED', 'This snapshot has no trustee endorsers', {
+      electionId,
+    });
+  }
+
+  const signer = snapshot.endorsers.trustees.find((t) => t.trusteeId === trusteeId);
+  if (!signer) {
+    throw httpError(403, 'NOT_A_TRUSTEE', "You are not an endorser of this election's snapshot", {
+      electionId,
+    });
+  }
+
+  return { snapshot, signer };
+}
+
+/**
+ * What the signed-in trustee is asked to sign: the snapshot (to check
+ * against the published results), its hash and the payload.
+ *
+ * @returns {Promise<{ electionId, trusteeIndex, snapshotHash, payload: string,
+ *   endorsed: boolean, snapshot: object }>} endorsed = this trustee already signed
+ */
+async function getEndorsementRequest(electionId, trusteeId) {
+  const { snapshot, signer } = await loadEndorsableSnapshot(electionId, trusteeId);
+  const snapshotHash = hashSnapshot(snapshot);
+
+  return {
+    electionId,
+    trusteeIndex: signer.index,
+    snapshotHash,
+    payload: endorsementPayload({ electionId, snapshotHash, trusteeIndex: signer.index }),
+    endorsed: Boolean(snapshot.endorsements && snapshot.endorsements[signer.index]),
+    snapshot: snapshotContent(snapshot),
+  };
+}
+
+/**
+ * Store the signed-in trustee's co-signature of the final snapshot.
+ *
+ * @param {{ signature: string }} input - base64url Ed25519 signature of
+ *   endorsementPayload with the trustee's enrolled signing key
+ * @returns {Promise<{ electionId, trusteeIndex, snapshotHash, endorsements }>}
+ *   endorsements = checkEndorsements after this one
+ * @throws {Error} 400 INVALID_SIGNATURE, 409 ALREADY_ENDORSED and the
+ *   errors of loadEndorsableSnapshot
+ */
+async function endorseSnapshot(electionId, trusteeId, input = {}) {
+  const { snapshot, signer } = await loadEndorsableSnapshot(electionId, trusteeId);
+  const snapshotHash = hashSnapshot(snapshot);
+  const trusteeIndex = signer.index;
+
+  const payload = endorsementPayload({ electionId, snapshotHash, trusteeIndex });
+  if (!verifyEndorsement(signer.signingKey, payload, input.signature)) {
+    throw httpError(400, 'INVALID_SIGNATURE', 'Signature does not match your signing key and this snapshot', {
+      electionId,
+      trusteeIndex,
+      snapshotHash,
+    });
+  }
+
+  const updated = await getDb()
+    .collection('electionSnapshots')
+    .findOneAndUpdate(
+      {
+        electionId,
+        'signature.keyId': snapshot.signature.keyId,
+        [`endorsements.${trusteeIndex}`]: { $exists: false },
+      },
+      {
+        $set: {
+          [`endorsements.${trusteeIndex}`]: { trusteeId, signedAt: new Date(), value: input.signature },
+        },
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+  if (!updated) {
+    throw httpError(409, 'ALREADY_ENDORSED', 'You already endorsed this snapshot', {
+      electionId,
+      trusteeIndex,
+    });
+  }
+
+  return {
+    electionId,
+    trusteeIndex,
+    snapshotHash,
+    endorsements: checkEndorsements(updated, snapshotHash),
+  };
+}
+
+/**
+ * Re-hash a stored snapshot and check its signature against the election
+ * key it names, and its trustee co-signatures against the endorsers it
+ * names.
+ *
+ * @returns {Promise<{ signed, hashValid, signatureValid, keyId, snapshotHash,
+ *   endorsements: { required, valid, invalid, endorsed } }>}
+ */
+async function verifySnapshot(snapshot) {
+  const snapshotHash = hashSnapshot(snapshot);
+  const { signature } = snapshot;
+  const endorsements = checkEndorsements(snapshot, snapshotHash);
+
+  if (!signature) {
+    return {
+      signed: false,
+      hashValid: false,
+      signatureValid: false,
+      keyId: null,
+      snapshotHash,
+      endorsements,
+    };
+  }
+
+  const key = await electionKeyService.findElectionKey(snapshot.electionId, signature.keyId);
+
+  return {
+    signed: true,
+    hashValid: signature.snapshotHash === snapshotHash,
+    signatureValid: electionKeyService.verifyWithKey(
+      key,
+      signaturePayload({
+        electionId: snapshot.electionId,
+        keyId: signature.keyId,
+        snapshotHash,
+      }),
+      signature.value
+    ),
+    keyId: signature.keyId,
+    snapshotHash,
+    endorsements,
+  };
+}
+
+module.exports = {
+  snapshotContent,
+  hashSnapshot,
+  endorsementPayload,
+  getSnapshot,
+  createFinalSnapshot,
+  getEndorsementRequest,
+  endorseSnapshot,
+  verifySnapshot,
+};
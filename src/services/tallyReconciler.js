@@ -0,0 +1,119 @@
+// src/services/tallyReconciler.js
+// Background job that checks the tally counters against the raw votes:
+// - open / closed elections with ready counters are reconciled; drift flags
+//   the counters (totals then come from the raw votes) and is logged and
+//   audited as tally.drift
+// - open / closed elections without counters (created before they existed)
+//   get them built from their votes
+//
+// Flagged counters are not rebuilt automatically: an admin looks at the
+// report and calls POST /admin/elections/:electionId/tally/rebuild.
+
+const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const tallyService = require('./tallyService');
+const auditService = require('./auditService');
+
+const RECONCILER_ACTOR = { type: 'reconciler' };
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one reconciliation pass.
+ *
+ * @returns {Promise<{ checked: string[], drift: string[], built: string[] }>}
+ */
+async function runReconcilerTick() {
+  const elections = await getDb()
+    .collection('elections')
+    .find(
+      { status: { $in: ['open', 'closed'] } },
+      { projection: { _id: 0, electionId: 1, tallyCounters: 1 } }
+    )
+    .toArray();
+
+  const checked = [];
+  const drift = [];
+  const built = [];
+
+  for (const election of elections) {
+    const { electionId } = election;
+
+    if (!election.tallyCounters) {
+      await tallyService.rebuildCounters(electionId);
+      console.log(`[tally] ${electionId}: counters built from votes`);
+      built.push(electionId);
+      continue;
+    }
+
+    if (!tallyService.countersReady(election)) {
+      continue; // already flagged, waiting for a rebuild
+    }
+
+    const report = await tallyService.reconcileElection(electionId, {
+      actor: RECONCILER_ACTOR,
+    });
+    checked.push(electionId);
+
+    if (report.status === tallyService.COUNTERS_DRIFT) {
+      drift.push(electionId);
+      console.error(
+        JSON.stringify({ code: 'TALLY_DRIFT', electionId, drift: report.drift })
+      );
+
+      await auditService.recordAction(
+        { actor: RECONCILER_ACTOR },
+        {
+          action: 'tally.drift',
+          target: { type: 'election', id: electionId, electionId },
+          details: { checkedAt: report.checkedAt, drift: report.drift },
+        }
+      );
+    }
+  }
+
+  return { checked, drift, built };
+}
+
+/**
+ * Start the periodic reconciler (no-op if disabled or already running).
+ */
+function startTallyReconciler() {
+  const { reconcileEnabled, reconcileIntervalMs } = config.tallyCounters;
+
+  if (!reconcileEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) return; // previous pass still in progress
+    running = true;
+
+    try {
+      await runReconcilerTick();
+    } catch (err) {
+      console.error('[tally] reconcile pass failed:', err);
+    } finally {
+      running = false;
+    }
+  }, reconcileIntervalMs);
+
+  // Don't keep the process alive just for the reconciler
+  timer.unref();
+
+  console.log(`Tally reconciler started (every ${reconcileIntervalMs} ms)`);
+}
+
+function stopTallyReconciler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runReconcilerTick,
+  startTallyReconciler,
+  stopTallyReconciler,
+};
@@ -0,0 +1,427 @@
+// src/services/tallyService.js
+// Running tally counters per election, so totals don't re-aggregate every
+// ballot.
+//
+// Collection tallyCounters: { electionId, shard, ballotsCast, votersVoted,
+//   candidates: { <candidateId>: votes },
+//   districts: { <districtId>: { ballotsCast, votersVoted } }, updatedAt }
+// Participations are counted in the transaction that records them, ballots
+// in the one that stores them from the mixing pool (ballotMixService). Each
+// increments one shard (picked at random out of TALLY_COUNTER_SHARDS), so
+// concurrent writes rarely hit the same document. Reads add up every shard.
+//
+// elections.tallyCounters tracks whether the counters can be trusted:
+//   { status: "ready" | "drift", rebuiltAt, checkedAt, driftAt }
+// Totals come from the counters only while status is "ready"; otherwise
+// (never built, or drift found) they are counted from the raw votes.
+// reconcileElection compares both and records a report in
+// tallyReconciliations; rebuildCounters recounts from the votes.
+
+const crypto = require('crypto');
+
+const { getDb, withTransaction } = require('../lib/mongo');
+const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+
+const COUNTERS_READY = 'ready';
+const COUNTERS_DRIFT = 'drift';
+
+/**
+ * Candidates a ballot counts for in the totals: ranked ballots count their
+ * first preference, multi/approval every selection, single the candidate.
+ * Encrypted ballots count for nobody here (only trustees can decrypt them).
+ *
+ * @param {object} choice - { candidateId } | { ranking } | { selections }
+ * @returns {string[]}
+ */
+function countedCandidateIds(choice) {
+  if (Array.isArray(choice.ranking)) return choice.ranking.slice(0, 1);
+  if (Array.isArray(choice.selections)) return choice.selections;
+  return choice.candidateId ? [choice.candidateId] : [];
+}
+
+/**
+ * Whether totals for this election may be read from the counters.
+ */
+function countersReady(election) {
+  return Boolean(
+    election && election.tallyCounters && election.tallyCounters.status === COUNTERS_READY
+  );
+}
+
+async function incrementShard({ db, session, electionId, inc, now }) {
+  await db.collection('tallyCounters').updateOne(
+    { electionId, shard: crypto.randomInt(config.tallyCounters.shards) },
+    { $inc: inc, $set: { updatedAt: now } },
+    { session, upsert: true }
+  );
+}
+
+/**
+ * Count one stored ballot. Call inside the transaction that inserts the
+ * vote so the counters commit or abort together with it.
+ *
+ * @param {{ db, session, electionId: string, districtId?: string | null,
+ *   choice: object, now?: Date }} args
+ */
+async function recordBallot({ db, session, electionId, districtId = null, choice, now = new Date() }) {
+  const inc = { ballotsCast: 1 };
+  if (districtId) inc[`districts.${districtId}.ballotsCast`] = 1;
+
+  // candidateIds and districtIds match [A-Za-z0-9_-], so they are safe as field names
+  for (const candidateId of new Set(countedCandidateIds(choice))) {
+    inc[`candidates.${candidateId}`] = 1;
+  }
+
+  await incrementShard({ db, session, electionId, inc, now });
+}
+
+/**
+ * Count a participation (the ballot is counted separately, when it leaves
+ * the mixing pool). Call inside the transaction that records it.
+ *
+ * @param {{ db, session, electionId: string, districtId?: string | null, now?: Date }} args
+ */
+async function recordParticipation({ db, session, electionId, districtId = null, now = new Date() }) {
+  const inc = { votersVoted: 1 };
+  if (districtId) inc[`districts.${districtId}.votersVoted`] = 1;
+
+  await incrementShard({ db, session, electionId, inc, now });
+}
+
+function emptyCounts() {
+  return { ballotsCast: 0, votersVoted: 0, candidates: {}, districts: {} };
+}
+
+function districtCounts(counts, districtId) {
+  if (!counts.districts[districtId]) {
+    counts.districts[districtId] = { ballotsCast: 0, votersVoted: 0 };
+  }
+  return counts.districts[districtId];
+}
+
+/**
+ * Sum of every counter shard of an election.
+ *
+ * @returns {Promise<{ ballotsCast: number, votersVoted: number,
+ *   candidates: Object<string, number>,
+ *   districts: Object<string, { ballotsCast, votersVoted }>, shards: number }>}
+ */
+async function readCounters(electionId, { session } = {}) {
+  const docs = await getDb()
+    .collection('tallyCounters')
+    .find({ electionId }, { session, projection: { _id: 0 } })
+    .toArray();
+
+  const counts = { ...emptyCounts(), shards: docs.length };
+
+  for (const doc of docs) {
+    counts.ballotsCast += doc.ballotsCast || 0;
+    counts.votersVoted += doc.votersVoted || 0;
+
+    for (const [candidateId, votes] of Object.entries(doc.candidates || {})) {
+      counts.candidates[candidateId] = (counts.candidates[candidateId] || 0) + votes;
+    }
+
+    for (const [districtId, d] of Object.entries(doc.districts || {})) {
+      const sum = districtCounts(counts, districtId);
+      sum.ballotsCast += d.ballotsCast || 0;
+      sum.votersVoted += d.votersVoted || 0;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * The same counts taken from the raw votes / participations (full scan).
+ * Voters who only got a blind-signed token count once the mixer has
+ * counted the spent token (spentBallotTokens), not when it was issued.
+ * (Tokens spent before pooling have no counted field and count.)
+ *
+ * @returns {Promise<{ ballotsCast: number, votersVoted: number,
+ *   candidates: Object<string, number>,
+ *   districts: Object<string, { ballotsCast, votersVoted }> }>}
+ */
+async function countVotes(electionId, { session } = {}) {
+  const db = getDb();
+  const votes = db.collection('votes');
+
+  // Sequential: operations of one transaction must not run in parallel
+  const ballotsCast = await votes.countDocuments({ electionId }, { session });
+  const votersVoted =
+    (await db
+      .collection('participations')
+      .countDocuments({ electionId, status: { $ne: 'token_issued' } }, { session })) +
+    (await db
+      .collection('spentBallotTokens')
+      .countDocuments({ electionId, counted: { $ne: false } }, { session }));
+  const picks = await votes
+    .aggregate(
+      [
+        { $match: { electionId } },
+        {
+          // single: candidateId; ranked: first preference; multi/approval: every selection
+          $project: {
+            picks: {
+              $ifNull: [
+                '$selections',
+                [{ $ifNull: ['$candidateId', { $arrayElemAt: ['$ranking', 0] }] }],
+              ],
+            },
+          },
+        },
+        { $unwind: '$picks' },
+        { $group: { _id: '$picks', votes: { $sum: 1 } } },
+      ],
+      { session }
+    )
+    .toArray();
+
+  const byDistrict = (collection, filter = {}) =>
+    db
+      .collection(collection)
+      .aggregate(
+        [
+          { $match: { electionId, districtId: { $type: 'string' }, ...filter } },
+          { $group: { _id: '$districtId', count: { $sum: 1 } } },
+        ],
+        { session }
+      )
+      .toArray();
+  const ballotsByDistrict = await byDistrict('votes');
+  const votersByDistrict = [
+    ...(await byDistrict('participations', { status: { $ne: 'token_issued' } })),
+    ...(await byDistrict('spentBallotTokens', { counted: { $ne: false } })),
+  ];
+
+  const counts = { ...emptyCounts(), ballotsCast, votersVoted };
+  for (const { _id: candidateId, votes: n } of picks) {
+    if (typeof candidateId === 'string') {
+      counts.candidates[candidateId] = n;
+    }
+  }
+
+  for (const { _id: districtId, count } of ballotsByDistrict) {
+    districtCounts(counts, districtId).ballotsCast = count;
+  }
+  for (const { _id: districtId, count } of votersByDistrict) {
+    districtCounts(counts, districtId).votersVoted += count;
+  }
+
+  return counts;
+}
+
+/**
+ * Counts the totals are built from: counters when ready, raw votes otherwise.
+ *
+ * @param {object} election - elections document
+ * @returns {Promise<{ source: "counters" | "votes", ballotsCast, votersVoted, candidates }>}
+ */
+async function loadCounts(election) {
+  if (countersReady(election)) {
+    const { shards, ...counts } = await readCounters(election.electionId);
+    return { source: 'counters', ...counts };
+  }
+
+  return { source: 'votes', ...(await countVotes(election.electionId)) };
+}
+
+/**
+ * Differences between counter and recount values (empty = no drift).
+ *
+ * @returns {Array<{ field: string, candidateId?: string, districtId?: string,
+ *   counters: number, votes: number }>}
+ */
+function diffCounts(counters, votes) {
+  const drift = [];
+
+  for (const field of ['ballotsCast', 'votersVoted']) {
+    if (counters[field] !== votes[field]) {
+      drift.push({ field, counters: counters[field], votes: votes[field] });
+    }
+  }
+
+  const candidateIds = new Set([
+    ...Object.keys(counters.candidates),
+    ...Object.keys(votes.candidates),
+  ]);
+
+  for (const candidateId of [...candidateIds].sort()) {
+    const a = counters.candidates[candidateId] || 0;
+    const b = votes.candidates[candidateId] || 0;
+    if (a !== b) {
+      drift.push({ field: 'candidates', candidateId, counters: a, votes: b });
+    }
+  }
+
+  const districtIds = new Set([
+    ...Object.keys(counters.districts),
+    ...Object.keys(votes.districts),
+  ]);
+
+  for (const districtId of [...districtIds].sort()) {
+    const a = counters.districts[districtId] || {};
+    const b = votes.districts[districtId] || {};
+
+    for (const field of ['ballotsCast', 'votersVoted']) {
+      if ((a[field] || 0) !== (b[field] || 0)) {
+        drift.push({
+          field: `districts.${field}`,
+          districtId,
+          counters: a[field] || 0,
+          votes: b[field] || 0,
+        });
+      }
+    }
+  }
+
+  return drift;
+}
+
+async function getElection(db, electionId, session) {
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { session, projection: { _id: 0, electionId: 1, tallyCounters: 1 } });
+
+  if (!election) {
+    throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', { electionId });
+  }
+  return election;
+}
+
+/**
+ * Recompute from the raw votes and compare with the counters. Both are read
+ * in one transaction, so ballots committed meanwhile can't show up as drift.
+ * The report is stored in tallyReconciliations; on drift the counters are
+ * flagged and totals fall back to the raw votes until rebuildCounters.
+ *
+ * Elections whose counters were never built are reported with
+ * status "not-built" and left unchanged.
+ *
+ * @param {string} electionId
+ * @param {{ actor?: object }} [options]
+ * @returns {Promise<{ electionId, status: "ok" | "drift" | "not-built", checkedAt: Date,
+ *   counters, votes, drift: Array }>}
+ */
+async function reconcileElection(electionId, { actor = null } = {}) {
+  return withTransaction(async ({ db, session }) => {
+    const election = await getElection(db, electionId, session);
+    const checkedAt = new Date();
+
+    const counters = await readCounters(electionId, { session });
+    const votes = await countVotes(electionId, { session });
+
+    const drift = diffCounts(counters, votes);
+
+    let status = drift.length > 0 ? COUNTERS_DRIFT : 'ok';
+    if (!election.tallyCounters) status = 'not-built';
+
+    const report = {
+      electionId,
+      status,
+      checkedAt,
+      counters,
+      votes,
+      drift,
+      actor,
+    };
+
+    await db.collection('tallyReconciliations').insertOne({ ...report }, { session });
+
+    if (election.tallyCounters) {
+      const set = { 'tallyCounters.checkedAt': checkedAt };
+      if (drift.length > 0) {
+        set['tallyCounters.status'] = COUNTERS_DRIFT;
+        set['tallyCounters.driftAt'] = checkedAt;
+      }
+      await db.collection('elections').updateOne({ electionId }, { $set: set }, { session });
+    }
+
+    return report;
+  });
+}
+
+/**
+ * Replace the counters of an election with a recount of its raw votes and
+ * mark them ready. Runs in a transaction: a ballot committed concurrently
+ * either is in the recount or keeps its own shard increment.
+ *
+ * @param {string} electionId
+ * @returns {Promise<{ electionId, rebuiltAt: Date, previous: object | null, counts }>}
+ */
+async function rebuildCounters(electionId) {
+  return withTransaction(async ({ db, session }) => {
+    const election = await getElection(db, electionId, session);
+    const rebuiltAt = new Date();
+
+    const counts = await countVotes(electionId, { session });
+    const counters = db.collection('tallyCounters');
+
+    await counters.deleteMany({ electionId }, { session });
+    await counters.insertOne(
+      { electionId, shard: 0, ...counts, updatedAt: rebuiltAt },
+      { session }
+    );
+
+    await db.collection('elections').updateOne(
+      { electionId },
+      {
+        $set: {
+          tallyCounters: {
+            status: COUNTERS_READY,
+            rebuiltAt,
+            checkedAt: rebuiltAt,
+            driftAt: null,
+          },
+        },
+      },
+      { session }
+    );
+
+    return {
+      electionId,
+      rebuiltAt,
+      previous: election.tallyCounters || null,
+      counts,
+    };
+  });
+}
+
+/**
+ * Counter state of an election for the admin API.
+ */
+async function getTallyStatus(electionId) {
+  const db = getDb();
+  const election = await getElection(db, electionId);
+
+  const [counters, lastReconciliation] = await Promise.all([
+    readCounters(electionId),
+    db
+      .collection('tallyReconciliations')
+      .findOne({ electionId }, { sort: { checkedAt: -1 }, projection: { _id: 0 } }),
+  ]);
+
+  return {
+    electionId,
+    tallyCounters: election.tallyCounters || null,
+    servedFrom: countersReady(election) ? 'counters' : 'votes',
+    counters,
+    lastReconciliation,
+  };
+}
+
+module.exports = {
+  COUNTERS_READY,
+  COUNTERS_DRIFT,
+  countedCandidateIds,
+  countersReady,
+  recordBallot,
+  recordParticipation,
+  readCounters,
+  countVotes,
+  loadCounts,
+  reconcileElection,
+  rebuildCounters,
+  getTallyStatus,
+};
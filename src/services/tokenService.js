@@ -0,0 +1,393 @@
+// src/services/tokenService.js
+// Session tokens: short-lived JWT access tokens + rotating opaque refresh
+// tokens stored in MongoDB, and a jti denylist for revoked access tokens.
+//
+// Collection: refreshTokens (one document per refresh token ever issued)
+// {
+//   tokenId, familyId,            // all rotations of one login share familyId
+//   subjectType: "voter" | "admin", subjectId,
+//   tokenHash,                    // sha256 of the full token, never the token
+//   accessJti, accessExpiresAt,   // access token issued together with it
+//   status: "active" | "rotated" | "revoked",
+//   createdAt, expiresAt,         // TTL index
+//   rotatedAt?, replacedBy?, revokedAt?, revokedReason?
+// }
+//
+// Collection: revokedJtis { jti, reason, revokedAt, expiresAt (TTL = token exp) }
+// (reason: "logout" | "reuse_detected" | "subject_inactive" | "voter_blocked"
+//  | "stream_ticket_used")
+//
+// Stream tickets: single-use JWTs (scope "live-results", 60 s) for opening
+// a live results stream where no Authorization header can be sent
+// (EventSource, WebSocket).
+//
+// Presenting a refresh token that was already rotated (or revoked) means
+// it was copied: the whole family is revoked, including the access tokens
+// issued from it.
+
+const crypto = require('crypto');
+const { getDb } = require('../lib/mongo');
+const { signJwt, verifyJwt } = require('../lib/jwt');
+const httpError = require('../lib/httpError');
+const { normalizeRole } = require('../lib/permissions');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+const REFRESH_TOKEN_TTL_MS = {
+  voter: 7 * 24 * 60 * 60 * 1000, // 7 days
+  admin: 12 * 60 * 60 * 1000,     // 12 hours
+};
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Current claims for a subject; throws if the account is gone or inactive,
+ * so a suspended voter/admin can't refresh.
+ */
+async function loadSubjectClaims(db, subjectType, subjectId) {
+  if (subjectType === 'voter') {
+    const voter = await db
+      .collection('voters')
+      .findOne({ voterId: subjectId }, { projection: { _id: 0, voterId: 1, status: 1 } });
+
+    if (!voter) {
+      throw httpError(401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+    if (voter.status !== 'active') {
+      throw httpError(403, 'VOTER_INACTIVE', 'Voter is not active', {
+        status: voter.status,
+      });
+    }
+
+    return { voterId: voter.voterId, scope: ['voter'] };
+  }
+
+  const admin = await db
+    .collection('admins')
+    .findOne(
+      { adminId: subjectId },
+      { projection: { _id: 0, adminId: 1, role: 1, status: 1 } }
+    );
+
+  if (!admin) {
+    throw httpError(401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+  if (admin.status !== 'active') {
+    throw httpError(403, 'ADMIN_INACTIVE', 'Admin account is not active', {
+      status: admin.status,
+    });
+  }
+
+  return { adminId: admin.adminId, role: normalizeRole(admin.role), scope: ['admin'] };
+}
+
+/**
+ * Sign an access token and store a new refresh token in `familyId`.
+ */
+async function issueTokenPair(db, { subjectType, subjectId, claims, familyId }) {
+  const now = new Date();
+
+  const accessJti = crypto.randomUUID();
+  const accessToken = signJwt(
+    { ...claims, sid: familyId },
+    {
+      subject: subjectId,
+      jwtid: accessJti,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    }
+  );
+  const accessExpiresAt = new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+
+  // Opaque refresh token: "<tokenId>.<secret>"
+  const tokenId = crypto.randomUUID();
+  const refreshToken = `${tokenId}.${crypto.randomBytes(32).toString('base64url')}`;
+  const refreshExpiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS[subjectType]);
+
+  await db.collection('refreshTokens').insertOne({
+    tokenId,
+    familyId,
+    subjectType,
+    subjectId,
+    tokenHash: sha256Hex(refreshToken),
+    accessJti,
+    accessExpiresAt,
+    status: 'active',
+    createdAt: now,
+    expiresAt: refreshExpiresAt,
+  });
+
+  return {
+    tokenId,
+    response: {
+      token: accessToken,
+      tokenExpiresAt: accessExpiresAt,
+      refreshToken,
+      refreshTokenExpiresAt: refreshExpiresAt,
+    },
+  };
+}
+
+/**
+ * Start a new session (login).
+ *
+ * @param {{ subjectType: "voter" | "admin", subjectId: string, claims: object }} params
+ * @returns {Promise<{ token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt }>}
+ */
+async function createSession({ subjectType, subjectId, claims }) {
+  const db = getDb();
+  const { response } = await issueTokenPair(db, {
+    subjectType,
+    subjectId,
+    claims,
+    familyId: crypto.randomUUID(),
+  });
+  return response;
+}
+
+/**
+ * Deny-list an access token until it expires anyway.
+ */
+async function revokeJti(db, jti, expiresAt, reason) {
+  if (!jti || !expiresAt || expiresAt <= new Date()) return;
+
+  await db.collection('revokedJtis').updateOne(
+    { jti },
+    { $setOnInsert: { jti, reason, revokedAt: new Date(), expiresAt } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Revoke every refresh token of a family and the access tokens issued
+ * with them.
+ */
+async function revokeFamily(db, familyId, reason) {
+  const refreshTokens = db.collection('refreshTokens');
+  const now = new Date();
+
+  const members = await refreshTokens
+    .find(
+      { familyId, accessExpiresAt: { $gt: now } },
+      { projection: { _id: 0, accessJti: 1, accessExpiresAt: 1 } }
+    )
+    .toArray();
+
+  await refreshTokens.updateMany(
+    { familyId, status: { $ne: 'revoked' } },
+    { $set: { status: 'revoked', revokedAt: now, revokedReason: reason } }
+  );
+
+  for (const member of members) {
+    await revokeJti(db, member.accessJti, member.accessExpiresAt, reason);
+  }
+}
+
+/**
+ * Revoke every live session of a voter/admin (e.g. after blocking them).
+ *
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeSubjectSessions(subjectType, subjectId, reason) {
+  const db = getDb();
+
+  const familyIds = await db.collection('refreshTokens').distinct('familyId', {
+    subjectType,
+    subjectId,
+    status: 'active',
+  });
+
+  for (const familyId of familyIds) {
+    await revokeFamily(db, familyId, reason);
+  }
+
+  return familyIds.length;
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [tokenId, secret, extra] = refreshToken.split('.');
+  if (!tokenId || !secret || extra !== undefined) return null;
+
+  return { tokenId };
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The presented token is marked "rotated" and can't be used again.
+ *
+ * @param {string} refreshToken
+ * @throws {Error} 401 INVALID_REFRESH_TOKEN / REFRESH_TOKEN_REUSED,
+ *                 403 VOTER_INACTIVE / ADMIN_INACTIVE
+ */
+async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw httpError(401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+
+  const db = getDb();
+  const refreshTokens = db.collection('refreshTokens');
+  const tokenHash = sha256Hex(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so two parallel refreshes can't both win
+  const current = await refreshTokens.findOneAndUpdate(
+    { tokenId: parsed.tokenId, tokenHash, status: 'active', expiresAt: { $gt: now } },
+    { $set: { status: 'rotated', rotatedAt: now } },
+    { returnDocument: 'before' }
+  );
+
+  if (!current) {
+    const known = await refreshTokens.findOne({ tokenId: parsed.tokenId, tokenHash });
+
+    if (known && known.status !== 'active') {
+      await revokeFamily(db, known.familyId, 'reuse_detected');
+      throw httpError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used; session revoked');
+    }
+
+    throw httpError(401, 'INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+  }
+
+  let claims;
+  try {
+    claims = await loadSubjectClaims(db, current.subjectType, current.subjectId);
+  } catch (err) {
+    await revokeFamily(db, current.familyId, 'subject_inactive');
+    throw err;
+  }
+
+  const next = await issueTokenPair(db, {
+    subjectType: current.subjectType,
+    subjectId: current.subjectId,
+    claims,
+    familyId: current.familyId,
+  });
+
+  await refreshTokens.updateOne(
+    { tokenId: current.tokenId },
+    { $set: { replacedBy: next.tokenId } }
+  );
+
+  return next.response;
+}
+
+/**
+ * End the session of an authenticated request: deny-list the presented
+ * access token and revoke its refresh-token family.
+ *
+ * @param {object} accessPayload - decoded access token (req.user)
+ */
+async function logout(accessPayload) {
+  const db = getDb();
+
+  if (accessPayload.sid) {
+    await revokeFamily(db, accessPayload.sid, 'logout');
+  }
+
+  await revokeJti(
+    db,
+    accessPayload.jti,
+    accessPayload.exp ? new Date(accessPayload.exp * 1000) : null,
+    'logout'
+  );
+}
+
+/**
+ * Issue a stream ticket for one election.
+ *
+ * @param {{ adminId: string, electionId: string }} params
+ * @returns {{ ticket: string, ticketExpiresAt: Date }}
+ */
+function createStreamTicket({ adminId, electionId }) {
+  const ticket = signJwt(
+    { adminId, electionId, scope: ['live-results'] },
+    { subject: adminId, expiresIn: STREAM_TICKET_TTL_SECONDS }
+  );
+
+  return {
+    ticket,
+    ticketExpiresAt: new Date(Date.now() + STREAM_TICKET_TTL_SECONDS * 1000),
+  };
+}
+
+/**
+ * Redeem a stream ticket (first use only) and return the admin it was
+ * issued to, re-read from the database.
+ *
+ * @returns {Promise<{ adminId: string, role: string }>}
+ * @throws {Error} 401 INVALID_TICKET, 403 ADMIN_INACTIVE
+ */
+async function consumeStreamTicket(ticket, electionId) {
+  const invalid = () =>
+    httpError(401, 'INVALID_TICKET', 'Invalid, expired or already used stream ticket');
+
+  let payload;
+  try {
+    payload = verifyJwt(ticket);
+  } catch (err) {
+    throw invalid();
+  }
+
+  const scope = Array.isArray(payload.scope) ? payload.scope : [];
+  if (!scope.includes('live-results') || payload.electionId !== electionId || !payload.jti) {
+    throw invalid();
+  }
+
+  const db = getDb();
+
+  // Single use: the first redemption deny-lists the jti
+  const result = await db.collection('revokedJtis').updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        reason: 'stream_ticket_used',
+        revokedAt: new Date(),
+        expiresAt: new Date(payload.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+
+  if (!result.upsertedCount) {
+    throw invalid();
+  }
+
+  let claims;
+  try {
+    claims = await loadSubjectClaims(db, 'admin', payload.adminId);
+  } catch (err) {
+    throw err.status === 401 ? invalid() : err;
+  }
+
+  return { adminId: claims.adminId, role: claims.role };
+}
+
+/**
+ * Is this access token deny-listed? Checked by authVoter / authAdmin.
+ */
+async function isJtiRevoked(jti) {
+  if (!jti) return false;
+
+  const db = getDb();
+  const doc = await db
+    .collection('revokedJtis')
+    .findOne({ jti }, { projection: { _id: 1 } });
+
+  return Boolean(doc);
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  refreshSession,
+  logout,
+  revokeSubjectSessions,
+  createStreamTicket,
+  consumeStreamTicket,
+  isJtiRevoked,
+};
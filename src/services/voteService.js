@@ -1,34 +1,882 @@
 // src/services/voteService.js
-// Voting-related logic (e.g., election status, totals).
+// Voting-related logic (e.g., election status, voting window, totals).
 
 const { getDb } = require('../lib/mongo');
+const config = require('../lib/config');
+const httpError = require('../lib/httpError');
+const { countRanked } = require('../lib/rankedTally');
+const { allocateSeats, fillListSeats } = require('../lib/seatAllocation');
+const { getSelectionRules } = require('./electionService');
+const tallyService = require('./tallyService');
+const ballotService = require('./ballotService');
+const voterRollService = require('./voterRollService');
+
+const MAX_RANKING_LENGTH = 100;
+const MAX_ENCRYPTED_CHOICES = 500;
+
+/**
+ * Is the election accepting new voting tokens at `now`?
+ *
+ * Both the stored status AND the configured window must agree:
+ * status "open", now >= startsAt (if set), now < endsAt (if set).
+ * The scheduler moves the stored status at those times, but checking the
+ * window here means voting stops exactly at endsAt even between ticks.
+ *
+ * @param {object|null} election - elections document
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isOpenAt(election, now = new Date()) {
+  if (!election || election.status !== 'open') {
+    return false;
+  }
+
+  if (election.startsAt && now < election.startsAt) {
+    return false;
+  }
+
+  if (election.endsAt && now >= election.endsAt) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Effective time voting stopped (or will stop): the earlier of endsAt and
+ * the moment the election was actually closed. null if neither is known.
+ */
+function getCloseTime(election) {
+  const candidates = [election.endsAt, election.closedAt].filter(Boolean);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return new Date(Math.min(...candidates.map((d) => d.getTime())));
+}
+
+/**
+ * End of the grace window (close time + VOTE_GRACE_MS), or null.
+ */
+function getGraceEndsAt(election) {
+  const closeTime = getCloseTime(election);
+
+  if (!closeTime) {
+    return null;
+  }
+
+  return new Date(closeTime.getTime() + config.voteGraceMs);
+}
+
+/**
+ * Expiry for a token issued at `now`: the normal TTL, but never later than
+ * the end of the grace window.
+ */
+function getTokenExpiresAt(election, now, ttlMs) {
+  const expiresAt = new Date(now.getTime() + ttlMs);
+  const graceEndsAt = election.endsAt
+    ? new Date(election.endsAt.getTime() + config.voteGraceMs)
+    : null;
+
+  if (graceEndsAt && graceEndsAt < expiresAt) {
+    return graceEndsAt;
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Can a ballot cast with `tokenDoc` be accepted at `now`?
+ *
+ * - While the election is open: yes.
+ * - After close (scheduled or manual): only if the token was issued before
+ *   the close time and we're still inside the grace window.
+ */
+function canAcceptBallot(election, tokenDoc, now = new Date()) {
+  if (isOpenAt(election, now)) {
+    return true;
+  }
+
+  if (!election || !['open', 'closed'].includes(election.status)) {
+    return false;
+  }
+
+  if (config.voteGraceMs <= 0) {
+    return false;
+  }
+
+  const closeTime = getCloseTime(election);
+
+  if (!closeTime || !tokenDoc.createdAt || tokenDoc.createdAt >= closeTime) {
+    return false;
+  }
+
+  return now < getGraceEndsAt(election);
+}
+
+/**
+ * Same rule for anonymous ballots (blind-signed tokens). Their issue time
+ * is unknown, but tokens are only signed while the election is open, so
+ * every valid one was issued before the close.
+ */
+function canAcceptAnonymousBallot(election, now = new Date()) {
+  if (isOpenAt(election, now)) {
+    return true;
+  }
+
+  if (!election || !['open', 'closed'].includes(election.status) || config.voteGraceMs <= 0) {
+    return false;
+  }
+
+  const graceEndsAt = getGraceEndsAt(election);
+  return Boolean(graceEndsAt) && now < graceEndsAt;
+}
 
 /**
  * Check if an election is open.
  *
  * Collection: elections
  * Document shape (simple):
- * { electionId, status: "open" | "closed" | "finalized", ... }
+ * { electionId, status: "draft" | "scheduled" | "open" | "closed" | "finalized" | "archived",
+ *   startsAt?, endsAt?, ... }
  *
- * For dev:
- * - If no document is found for this electionId, we treat it as OPEN.
- *   (Admin routes in Step 11 will manage this properly.)
+ * Unknown elections are NOT open: elections must be created explicitly
+ * via POST /admin/elections.
  */
-async function isElectionOpen(electionId) {
+async function isElectionOpen(electionId, now = new Date()) {
   const db = getDb();
   const elections = db.collection('elections');
 
   const doc = await elections.findOne({ electionId });
 
-  if (!doc) {
-    // Default to "open" in dev if not explicitly created
-    return true;
+  return isOpenAt(doc, now);
+}
+
+/**
+ * Validate the choice part of a submission against the election ballot type.
+ *
+ * - single: { candidateId }
+ * - ranked: { ranking: [candidateId, ...] } (most preferred first, no repeats,
+ *           partial rankings allowed)
+ * - multi / approval: { selections: [candidateId, ...] } (no repeats, count
+ *           within the election's ballotRules)
+ * - encrypted elections (any of the above): { encryptedBallot: { ciphertexts:
+ *           [{ candidateId, a, b, proof }], proof } }; only the shape is
+ *           checked here, the proofs by encryptionService
+ *
+ * @param {object} election
+ * @param {object} body - request body
+ * @returns {object} normalized choice, stored as-is on the vote document
+ * @throws {Error} 400 VALIDATION_ERROR / INVALID_BALLOT
+ */
+function parseChoice(election, body = {}) {
+  const ballotType = (election && election.ballotType) || 'single';
+
+  if (election && election.encryption) {
+    return parseEncryptedChoice(body.encryptedBallot, ballotType);
+  }
+
+  if (ballotType === 'ranked') {
+    const { ranking } = body;
+
+    if (
+      !Array.isArray(ranking) ||
+      ranking.length === 0 ||
+      ranking.length > MAX_RANKING_LENGTH ||
+      !ranking.every((id) => typeof id === 'string' && id.trim())
+    ) {
+      throw httpError(
+        400,
+        'INVALID_BALLOT',
+        `ranking must be a non-empty array of up to ${MAX_RANKING_LENGTH} candidateIds`,
+        { ballotType }
+      );
+    }
+
+    const trimmed = ranking.map((id) => id.trim());
+
+    if (new Set(trimmed).size !== trimmed.length) {
+      throw httpError(400, 'INVALID_BALLOT', 'ranking must not repeat a candidate', {
+        ballotType,
+      });
+    }
+
+    return { ranking: trimmed };
+  }
+
+  if (ballotType === 'multi' || ballotType === 'approval') {
+    const { selections } = body;
+    const { minSelections, maxSelections } = getSelectionRules(election);
+    const limit = maxSelections !== null ? maxSelections : MAX_RANKING_LENGTH;
+
+    if (
+      !Array.isArray(selections) ||
+      !selections.every((id) => typeof id === 'string' && id.trim())
+    ) {
+      throw httpError(400, 'INVALID_BALLOT', 'selections must be an array of candidateIds', {
+        ballotType,
+      });
+    }
+
+    const trimmed = selections.map((id) => id.trim());
+
+    if (new Set(trimmed).size !== trimmed.length) {
+      throw httpError(400, 'INVALID_BALLOT', 'selections must not repeat a candidate', {
+        ballotType,
+      });
+    }
+
+    if (trimmed.length < minSelections || trimmed.length > limit) {
+      throw httpError(
+        400,
+        'INVALID_BALLOT',
+        `Select between ${minSelections} and ${limit} candidates`,
+        { ballotType, minSelections, maxSelections, selected: trimmed.length }
+      );
+    }
+
+    return { selections: trimmed };
+  }
+
+  const { candidateId } = body;
+
+  if (typeof candidateId !== 'string' || !candidateId.trim()) {
+    throw httpError(400, 'VALIDATION_ERROR', 'candidateId is required', {
+      ballotType,
+    });
+  }
+
+  return { candidateId: candidateId.trim() };
+}
+
+/**
+ * Copy only the known fields of an encrypted ballot (stored as-is).
+ */
+function parseEncryptedChoice(encryptedBallot, ballotType) {
+  const ballot = encryptedBallot || {};
+
+  if (
+    !Array.isArray(ballot.ciphertexts) ||
+    ballot.ciphertexts.length === 0 ||
+    ballot.ciphertexts.length > MAX_ENCRYPTED_CHOICES ||
+    !ballot.ciphertexts.every((c) => c && typeof c.candidateId === 'string') ||
+    !ballot.proof
+  ) {
+    throw httpError(
+      400,
+      'INVALID_BALLOT',
+      'encryptedBallot must have { ciphertexts: [{ candidateId, a, b, proof }], proof }',
+      { ballotType, encrypted: true }
+    );
+  }
+
+  const proofOf = (proof) => ({
+    challenges: proof && proof.challenges,
+    responses: proof && proof.responses,
+  });
+
+  return {
+    encryptedBallot: {
+      ciphertexts: ballot.ciphertexts.map((c) => ({
+        candidateId: c.candidateId,
+        a: c.a,
+        b: c.b,
+        proof: proofOf(c.proof),
+      })),
+      proof: proofOf(ballot.proof),
+    },
+  };
+}
+
+/**
+ * Candidate ids referenced by a parsed choice (encrypted ballots: every
+ * candidate they carry a ciphertext for).
+ */
+function getChoiceCandidateIds(choice) {
+  if (choice.encryptedBallot) return choice.encryptedBallot.ciphertexts.map((c) => c.candidateId);
+  if (choice.ranking) return choice.ranking;
+  if (choice.selections) return choice.selections;
+  return [choice.candidateId];
+}
+
+/**
+ * Every referenced candidate must be active in this election and, when the
+ * voter has a district, stand in that district.
+ * Runs inside the vote transaction.
+ *
+ * @throws {Error} 400 INVALID_CANDIDATE / CANDIDATE_OUTSIDE_DISTRICT
+ */
+async function assertActiveCandidates({ db, session, electionId, candidateIds, districtId = null }) {
+  const found = await db
+    .collection('candidates')
+    .find(
+      { electionId, candidateId: { $in: candidateIds }, status: 'active' },
+      { session, projection: { _id: 0, candidateId: 1, districtId: 1 } }
+    )
+    .toArray();
+
+  if (found.length !== candidateIds.length) {
+    const foundIds = new Set(found.map((c) => c.candidateId));
+
+    throw httpError(400, 'INVALID_CANDIDATE', 'Invalid candidate for this election', {
+      invalid: candidateIds.filter((id) => !foundIds.has(id)),
+    });
+  }
+
+  if (districtId) {
+    const outside = found.filter((c) => c.districtId !== districtId);
+
+    if (outside.length > 0) {
+      throw httpError(
+        400,
+        'CANDIDATE_OUTSIDE_DISTRICT',
+        "Candidate is not on the ballot of the voter's district",
+        { districtId, invalid: outside.map((c) => c.candidateId) }
+      );
+    }
+  }
+}
+
+/**
+ * Voters an election's turnout is measured against: those on its current
+ * roll, or every registered voter while it has no roll.
+ *
+ * @param {{ voterRoll?: object } | null} election
+ * @returns {Promise<number>}
+ */
+async function countElectorate(election) {
+  const db = getDb();
+
+  if (election && election.voterRoll) {
+    return db.collection('voterRollEntries').countDocuments({ rollId: election.voterRoll.rollId });
   }
 
-  return doc.status === 'open';
+  return db.collection('voters').countDocuments({});
+}
+
+/**
+ * Turnout for one election.
+ *
+ * totalVoters: voters on the election's roll (see countElectorate)
+ * votersVoted: voters with a participation record for this election,
+ *   blind-signed tokens counting once the mixer counted them as spent
+ */
+async function computeTurnout(electionId) {
+  const db = getDb();
+  const election = await db
+    .collection('elections')
+    .findOne({ electionId }, { projection: { _id: 0, voterRoll: 1 } });
+
+  const [totalVoters, voted, spentTokens] = await Promise.all([
+    countElectorate(election),
+    db.collection('participations').countDocuments({ electionId, status: { $ne: 'token_issued' } }),
+    db.collection('spentBallotTokens').countDocuments({ electionId, counted: { $ne: false } }),
+  ]);
+  const votersVoted = voted + spentTokens;
+
+  const turnoutRate = totalVoters > 0 ? votersVoted / totalVoters : 0;
+
+  return { totalVoters, votersVoted, turnoutRate };
+}
+
+/**
+ * Turnout + candidate and party totals for one election.
+ * Shared by GET /admin/totals and POST /admin/finalize.
+ *
+ * Counts come from the sharded tally counters while they are marked ready,
+ * otherwise from the raw votes (see tallyService.loadCounts).
+ *
+ * For ranked ballots the candidate/party totals count first preferences
+ * (countingBasis: "first-preferences"); see computeRankedResult.
+ * For multi/approval ballots every selection counts once for its candidate
+ * (countingBasis: "selections"), so candidate votes add up to
+ * ballots.selectionsMade rather than ballots.ballotsCast.
+ *
+ * If the election has a seatAllocation rule, the party-list seat table is
+ * included as `seatTable` (see computeSeatTable).
+ *
+ * Elections with districts also get `districts`: the same breakdown per
+ * district (see computeDistrictTotals); the top-level figures are the
+ * national aggregate and the seat table sums the district seat tables.
+ *
+ * Encrypted elections have no per-candidate counts until the trustees
+ * decrypt them (`candidateCounts`, at finalization): until then the
+ * candidate / party totals are empty (`encrypted: true`, no seat table).
+ *
+ * @param {object} election - elections document
+ * @param {{ candidateCounts?: Object<string, number> }} [options]
+ * @returns {Promise<{ electionId, ballotType, countingBasis, turnout, ballots,
+ *   candidateTotals, partyTotals, seatTable?, districts?, encrypted? }>}
+ */
+async function computeTotals(election, { candidateCounts = null } = {}) {
+  const { electionId } = election;
+  const ballotType = election.ballotType || 'single';
+  const db = getDb();
+  const parties = db.collection('parties');
+
+  const [totalVoters, counts, districts] = await Promise.all([
+    countElectorate(election),
+    tallyService.loadCounts(election),
+    ballotService.getDistricts(electionId),
+  ]);
+
+  if (election.encryption) {
+    counts.candidates = candidateCounts || {};
+  }
+  const sealed = Boolean(election.encryption) && !candidateCounts;
+
+  const { ballotsCast, votersVoted } = counts;
+  const turnout = {
+    totalVoters,
+    votersVoted,
+    turnoutRate: totalVoters > 0 ? votersVoted / totalVoters : 0,
+  };
+
+  // Candidate totals: counts of candidates that still exist in this election
+  const candidateDocs = await db
+    .collection('candidates')
+    .find(
+      { electionId, candidateId: { $in: Object.keys(counts.candidates) } },
+      { projection: { _id: 0, candidateId: 1, name: 1, partyId: 1, districtId: 1 } }
+    )
+    .toArray();
+
+  const candidateTotals = candidateDocs.map((c) => ({
+    votes: counts.candidates[c.candidateId],
+    candidateId: c.candidateId,
+    name: c.name,
+    partyId: c.partyId,
+    ...(c.districtId ? { districtId: c.districtId } : {}),
+  }));
+
+  // Party info
+  const partyDocs = await parties
+    .find(
+      { electionId },
+      { projection: { _id: 0, partyId: 1, name: 1 } }
+    )
+    .toArray();
+
+  const partyInfoById = new Map();
+  for (const p of partyDocs) {
+    partyInfoById.set(p.partyId, {
+      partyId: p.partyId,
+      name: p.name,
+    });
+  }
+
+  const partyTotals = sumPartyTotals(candidateTotals, partyInfoById);
+  const selectionsMade = sumVotes(candidateTotals);
+
+  let countingBasis = 'votes';
+  if (ballotType === 'ranked') countingBasis = 'first-preferences';
+  if (ballotType === 'multi' || ballotType === 'approval') countingBasis = 'selections';
+
+  const totals = {
+    electionId,
+    ballotType,
+    countingBasis,
+    ...(election.encryption ? { encrypted: true } : {}),
+    turnout,
+    ballots: { ballotsCast, selectionsMade },
+    candidateTotals,
+    partyTotals,
+  };
+
+  if (districts.length > 0) {
+    totals.districts = await computeDistrictTotals(election, {
+      districts,
+      counts,
+      candidateTotals,
+      partyInfoById,
+    });
+  }
+
+  if (election.seatAllocation && !sealed) {
+    totals.seatTable = totals.districts
+      ? sumSeatTables(election, totals.districts)
+      : await computeSeatTable(election, totals);
+  }
+
+  return totals;
+}
+
+function sumVotes(candidateTotals) {
+  return candidateTotals.reduce((sum, ct) => sum + (ct.votes || 0), 0);
+}
+
+/**
+ * Party totals derived from candidate totals.
+ */
+function sumPartyTotals(candidateTotals, partyInfoById) {
+  const partyTotalsMap = new Map();
+  for (const ct of candidateTotals) {
+    const partyId = ct.partyId || null;
+    const votesCount = ct.votes || 0;
+
+    if (!partyTotalsMap.has(partyId)) {
+      const info = partyInfoById.get(partyId) || {
+        partyId,
+        name: null,
+      };
+      partyTotalsMap.set(partyId, {
+        partyId: info.partyId,
+        name: info.name,
+        votes: 0,
+      });
+    }
+
+    const entry = partyTotalsMap.get(partyId);
+    entry.votes += votesCount;
+  }
+
+  return Array.from(partyTotalsMap.values());
+}
+
+/**
+ * Per-district breakdown, in district order. totalVoters counts the
+ * district's voters on the current roll; the seat table (if any) shares the
+ * district's own seats.
+ *
+ * @returns {Promise<Array<{ districtId, name, seats, turnout, ballots,
+ *   candidateTotals, partyTotals, seatTable? }>>}
+ */
+async function computeDistrictTotals(election, { districts, counts, candidateTotals, partyInfoById }) {
+  const rollCounts = await voterRollService.countRollByDistrict(election);
+  const result = [];
+
+  for (const district of districts) {
+    const { districtId } = district;
+    const districtCounts = counts.districts[districtId] || { ballotsCast: 0, votersVoted: 0 };
+    const totalVoters = rollCounts.get(districtId) || 0;
+    const districtCandidates = candidateTotals.filter((c) => c.districtId === districtId);
+
+    const entry = {
+      districtId,
+      name: district.name,
+      seats: district.seats,
+      turnout: {
+        totalVoters,
+        votersVoted: districtCounts.votersVoted,
+        turnoutRate: totalVoters > 0 ? districtCounts.votersVoted / totalVoters : 0,
+      },
+      ballots: {
+        ballotsCast: districtCounts.ballotsCast,
+        selectionsMade: sumVotes(districtCandidates),
+      },
+      candidateTotals: districtCandidates,
+      partyTotals: sumPartyTotals(districtCandidates, partyInfoById),
+    };
+
+    if (election.seatAllocation) {
+      entry.seatTable = await computeSeatTable(election, entry, {
+        districtId,
+        seats: district.seats,
+      });
+    }
+
+    result.push(entry);
+  }
+
+  return result;
+}
+
+/**
+ * National seat table of an election with districts: the district seat
+ * tables added up per party (elected candidates carry their districtId).
+ */
+function sumSeatTables(election, districtTotals) {
+  const rule = election.seatAllocation;
+  const rows = new Map();
+  let seats = 0;
+  let validVotes = 0;
+
+  for (const { districtId, seatTable } of districtTotals) {
+    seats += seatTable.seats;
+    validVotes += seatTable.validVotes;
+
+    for (const p of seatTable.parties) {
+      if (!rows.has(p.partyId)) {
+        rows.set(p.partyId, {
+          partyId: p.partyId,
+          name: p.name,
+          votes: 0,
+          share: 0,
+          passedThreshold: false,
+          seats: 0,
+          elected: [],
+          womenRequired: 0,
+          quotaReplacements: [],
+          vacant: 0,
+        });
+      }
+
+      const row = rows.get(p.partyId);
+      row.votes += p.votes;
+      row.passedThreshold = row.passedThreshold || p.passedThreshold;
+      row.seats += p.seats;
+      row.elected.push(...p.elected.map((c) => ({ ...c, districtId })));
+      row.womenRequired += p.womenRequired;
+      row.quotaReplacements.push(...p.quotaReplacements.map((r) => ({ ...r, districtId })));
+      row.vacant += p.vacant;
+    }
+  }
+
+  const parties = Array.from(rows.values());
+  for (const row of parties) {
+    row.share = validVotes > 0 ? row.votes / validVotes : 0;
+  }
+
+  return {
+    method: rule.method,
+    firstDivisor: rule.firstDivisor || null,
+    threshold: rule.threshold || 0,
+    womenQuota: rule.womenQuota || null,
+    seats,
+    validVotes,
+    byDistrict: true,
+    parties,
+  };
+}
+
+/**
+ * Party-list seat table: seats per party by the election's allocation
+ * method and threshold, then the elected candidates of each list.
+ *
+ * Within a list candidates are ranked by their own votes, then by list
+ * order. The women's quota (if any) is applied per list afterwards.
+ *
+ * With `districtId` only that district's lists compete, for its `seats`;
+ * parties without candidates there are left out.
+ *
+ * @param {object} election - elections document with seatAllocation
+ * @param {{ candidateTotals: Array, partyTotals: Array }} totals
+ * @param {{ districtId?: string, seats?: number }} [options]
+ */
+async function computeSeatTable(election, { candidateTotals, partyTotals }, options = {}) {
+  const { electionId } = election;
+  const rule = election.seatAllocation;
+  const seats = options.seats || election.seats || 1;
+  const districtFilter = options.districtId ? { districtId: options.districtId } : {};
+  const db = getDb();
+
+  const [electionParties, candidateDocs] = await Promise.all([
+    db
+      .collection('parties')
+      .find(
+        { electionId, status: 'active' },
+        { projection: { _id: 0, partyId: 1, name: 1, order: 1 } }
+      )
+      .sort({ order: 1, partyId: 1 })
+      .toArray(),
+    db
+      .collection('candidates')
+      .find(
+        { electionId, status: 'active', ...districtFilter },
+        { projection: { _id: 0, candidateId: 1, name: 1, partyId: 1, gender: 1, order: 1 } }
+      )
+      .toArray(),
+  ]);
+
+  const standing = new Set(candidateDocs.map((c) => c.partyId));
+  const partyDocs = options.districtId
+    ? electionParties.filter((p) => standing.has(p.partyId))
+    : electionParties;
+
+  const partyVotes = new Map(partyTotals.map((p) => [p.partyId, p.votes]));
+  const candidateVotes = new Map(candidateTotals.map((c) => [c.candidateId, c.votes]));
+
+  const parties = partyDocs.map((p) => ({
+    partyId: p.partyId,
+    votes: partyVotes.get(p.partyId) || 0,
+  }));
+
+  const allocation = allocateSeats({
+    parties,
+    seats,
+    method: rule.method,
+    firstDivisor: rule.firstDivisor || undefined,
+    threshold: rule.threshold || 0,
+  });
+
+  const eligible = new Set(allocation.eligible);
+
+  const partyRows = partyDocs.map((p) => {
+    const votes = partyVotes.get(p.partyId) || 0;
+    const seatsWon = allocation.seatsByParty[p.partyId] || 0;
+
+    const list = candidateDocs
+      .filter((c) => c.partyId === p.partyId)
+      .map((c) => ({ ...c, votes: candidateVotes.get(c.candidateId) || 0 }))
+      .sort(
+        (a, b) =>
+          b.votes - a.votes ||
+          (a.order || 0) - (b.order || 0) ||
+          (a.candidateId < b.candidateId ? -1 : 1)
+      );
+
+    const filled = fillListSeats({
+      candidates: list,
+      seatsWon,
+      womenShare: rule.womenQuota ? rule.womenQuota.share : null,
+    });
+
+    return {
+      partyId: p.partyId,
+      name: p.name,
+      votes,
+      share: allocation.validVotes > 0 ? votes / allocation.validVotes : 0,
+      passedThreshold: eligible.has(p.partyId),
+      seats: seatsWon,
+      elected: filled.elected.map((c) => ({
+        candidateId: c.candidateId,
+        name: c.name,
+        gender: c.gender || null,
+        votes: c.votes,
+      })),
+      womenRequired: filled.womenRequired,
+      quotaReplacements: filled.replacements,
+      vacant: filled.vacant,
+    };
+  });
+
+  return {
+    method: rule.method,
+    firstDivisor: rule.firstDivisor || null,
+    threshold: rule.threshold || 0,
+    womenQuota: rule.womenQuota || null,
+    seats,
+    validVotes: allocation.validVotes,
+    thresholdVotes: allocation.thresholdVotes,
+    parties: partyRows,
+    allocations: allocation.allocations,
+  };
+}
+
+/**
+ * Full preferential count (IRV for 1 seat, STV otherwise) with the
+ * round-by-round elimination and transfer report.
+ *
+ * With `districtId` only that district's ballots and candidates are
+ * counted, for its `seats`.
+ *
+ * @param {object} election - elections document with ballotType "ranked"
+ * @param {{ districtId?: string, seats?: number }} [options]
+ */
+async function computeRankedResult(election, options = {}) {
+  const { electionId } = election;
+  const seats = options.seats || election.seats || 1;
+  const districtFilter = options.districtId ? { districtId: options.districtId } : {};
+  const db = getDb();
+
+  // Identical rankings are grouped to keep memory proportional to the
+  // number of distinct rankings, not ballots.
+  const ballots = await db
+    .collection('votes')
+    .aggregate([
+      { $match: { electionId, ...districtFilter, ranking: { $exists: true } } },
+      { $group: { _id: '$ranking', count: { $sum: 1 } } },
+      { $project: { _id: 0, ranking: '$_id', count: 1 } },
+    ])
+    .toArray();
+
+  const candidateDocs = await db
+    .collection('candidates')
+    .find(
+      { electionId, status: 'active', ...districtFilter },
+      { projection: { _id: 0, candidateId: 1, name: 1, partyId: 1 } }
+    )
+    .sort({ candidateId: 1 })
+    .toArray();
+
+  const result = countRanked({
+    ballots,
+    candidateIds: candidateDocs.map((c) => c.candidateId),
+    seats,
+  });
+
+  const byId = new Map(candidateDocs.map((c) => [c.candidateId, c]));
+
+  return {
+    ...result,
+    elected: result.elected.map((id) => byId.get(id)),
+  };
+}
+
+// Elections a voter can see in GET /me
+const VOTER_VISIBLE_STATUSES = ['scheduled', 'open', 'closed', 'finalized'];
+
+/**
+ * Participation status of one voter for each visible election
+ * (plus any other election they took part in). A blind-signed token that
+ * was issued is not a vote (turnout doesn't count it either):
+ * participationStatus "token_issued", hasVoted false.
+ *
+ * @param {string} voterId
+ * @returns {Promise<Array<{ electionId, title, electionStatus, hasVoted,
+ *   participationStatus: "voted" | "token_issued" | null, votedAt }>>}
+ */
+async function listParticipation(voterId) {
+  const db = getDb();
+
+  // Participations still in the mixing pool count as well
+  const participationDocs = [];
+  for (const name of ['participations', 'pendingParticipations']) {
+    participationDocs.push(
+      ...(await db
+        .collection(name)
+        .find({ voterId }, { projection: { _id: 0, electionId: 1, status: 1, votedAt: 1 } })
+        .toArray())
+    );
+  }
+
+  const participationByElection = new Map(participationDocs.map((p) => [p.electionId, p]));
+
+  const electionDocs = await db
+    .collection('elections')
+    .find(
+      {
+        $or: [
+          { status: { $in: VOTER_VISIBLE_STATUSES } },
+          { electionId: { $in: Array.from(participationByElection.keys()) } },
+        ],
+      },
+      { projection: { _id: 0, electionId: 1, title: 1, status: 1 } }
+    )
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return electionDocs.map((e) => {
+    const participation = participationByElection.get(e.electionId);
+    const participationStatus = participation ? participation.status || 'voted' : null;
+    const hasVoted = participationStatus === 'voted';
+
+    return {
+      electionId: e.electionId,
+      title: e.title || null,
+      electionStatus: e.status,
+      hasVoted,
+      participationStatus,
+      votedAt: (hasVoted && participation.votedAt) || null,
+    };
+  });
 }
 
 module.exports = {
+  isOpenAt,
+  getCloseTime,
+  getGraceEndsAt,
+  getTokenExpiresAt,
+  canAcceptBallot,
+  canAcceptAnonymousBallot,
   isElectionOpen,
-  // later: computeTotals(electionId), finalizeElection(electionId), etc.
+  computeTurnout,
+  computeTotals,
+  computeRankedResult,
+  computeSeatTable,
+  parseChoice,
+  getChoiceCandidateIds,
+  assertActiveCandidates,
+  listParticipation,
 };
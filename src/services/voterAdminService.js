@@ -0,0 +1,72 @@
+// src/services/voterAdminService.js
+// Registrar actions on voter accounts.
+
+const { withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const tokenService = require('./tokenService');
+
+// "pending" is only set by registration itself
+const SETTABLE_VOTER_STATUSES = ['active', 'blocked'];
+
+const VOTER_PROJECTION = { _id: 0, passwordHash: 0, phoneEnc: 0 };
+
+/**
+ * Block or reactivate a voter. Blocking also ends their sessions; login,
+ * token issuance and vote submission already refuse non-active voters.
+ *
+ * @param {string} voterId
+ * @param {"active" | "blocked"} status
+ * @param {{ actorId: string, reason?: string, audit?: Function }} context
+ *   audit = auditService.adminAuditHook, run in the same transaction
+ * @returns {Promise<{ before: object, after: object }>}
+ * @throws {Error} 400 INVALID_STATUS, 404 VOTER_NOT_FOUND
+ */
+async function setVoterStatus(voterId, status, { actorId, reason = null, audit = null }) {
+  if (!SETTABLE_VOTER_STATUSES.includes(status)) {
+    throw httpError(400, 'INVALID_STATUS', 'Unknown voter status', {
+      allowed: SETTABLE_VOTER_STATUSES,
+    });
+  }
+
+  const result = await withTransaction(async ({ db, session }) => {
+    const before = await db
+      .collection('voters')
+      .findOneAndUpdate(
+        { voterId },
+        {
+          $set: {
+            status,
+            updatedAt: new Date(),
+            'meta.statusChangedBy': actorId,
+            'meta.statusReason': reason,
+          },
+          $inc: { version: 1 },
+        },
+        { session, returnDocument: 'before', projection: VOTER_PROJECTION }
+      );
+
+    if (!before) {
+      throw httpError(404, 'VOTER_NOT_FOUND', 'Voter not found', { voterId });
+    }
+
+    const after = await db
+      .collection('voters')
+      .findOne({ voterId }, { session, projection: VOTER_PROJECTION });
+
+    const changed = { before, after };
+    if (audit) await audit(changed, { db, session });
+    return changed;
+  });
+
+  // After the commit, so a rolled-back block never ends anyone's sessions
+  if (status === 'blocked') {
+    await tokenService.revokeSubjectSessions('voter', voterId, 'voter_blocked');
+  }
+
+  return result;
+}
+
+module.exports = {
+  SETTABLE_VOTER_STATUSES,
+  setVoterStatus,
+};
@@ -0,0 +1,838 @@
+// src/services/voterRollService.js
+// Electoral roll per election: versioned imports of eligible voterIds,
+// optionally bound to a phone number, and assigned to a district when the
+// election has districts. Once an election has a roll, registration and
+// voting tokens are only granted to voterIds on it; elections without a
+// roll keep the original rule (any active registered voter).
+//
+// Collection: voterRolls (one document per import)
+// {
+//   rollId, electionId,
+//   version,                 // 1, 2, 3, ... once activated (null otherwise)
+//   status: "importing" | "active" | "superseded" | "rejected" | "failed",
+//   format: "csv" | "ndjson" | "json",
+//   rowCount, entryCount, errorCount,
+//   errors: [{ row, voterId, code, message }],   // first MAX_REPORTED_ERRORS
+//   contentHash,             // sha256 over the sorted (voterId, phoneHash, districtId) rows
+//   diff: { fromVersion, added, removed, changed },
+//   importedBy, createdAt, completedAt, activatedAt
+// }
+//
+// Collection: voterRollEntries
+// { rollId, electionId, voterId, phoneHash | null, phoneEnc | null,
+//   districtId | null, row }
+//
+// elections.voterRoll = { rollId, version, contentHash, entryCount, activatedAt }
+// points at the current roll. Older versions keep their entries for diffs.
+//
+// Re-uploading the same content is a no-op (same contentHash as the
+// current roll), so an import can safely be retried.
+
+const crypto = require('crypto');
+const { getDb, withTransaction } = require('../lib/mongo');
+const httpError = require('../lib/httpError');
+const { encodePII, decodePII } = require('../lib/aesgcm');
+const hashPhone = require('../lib/phoneHash');
+const { parseCsv } = require('../lib/csv');
+const { parseNdjson } = require('../lib/ndjson');
+
+// Same as ballot edits: the roll is fixed once voting starts
+const ROLL_EDITABLE_STATUSES = ['draft', 'scheduled'];
+// Elections whose roll allows registering a voter account
+const REGISTRATION_STATUSES = ['draft', 'scheduled', 'open'];
+
+const ROLL_FORMATS = ['csv', 'ndjson', 'json'];
+const VOTER_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const DISTRICT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PHONE_PATTERN = /^\+?[0-9]{6,15}$/;
+
+const INSERT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 1000;
+
+// ---------- reading uploads ----------
+
+/**
+ * CSV with a header row; columns "voterId" (required), "phone" and
+ * "districtId" (optional), any order, extra columns ignored. Rows are
+ * numbered like spreadsheet lines (header = 1).
+ */
+async function* csvRows(stream) {
+  let columns = null;
+
+  for await (const { record, fields } of parseCsv(stream)) {
+    if (!columns) {
+      const names = fields.map((name) => name.trim().toLowerCase());
+      columns = {
+        voterId: names.findIndex((n) => n === 'voterid' || n === 'voter_id'),
+        phone: names.indexOf('phone'),
+        districtId: names.findIndex(
+          (n) => n === 'districtid' || n === 'district_id' || n === 'district'
+        ),
+      };
+
+      if (columns.voterId === -1) {
+        throw httpError(400, 'INVALID_ROLL_HEADER', 'CSV header must contain a voterId column', {
+          header: fields,
+        });
+      }
+      continue;
+    }
+
+    yield {
+      row: record,
+      input: {
+        voterId: fields[columns.voterId],
+        phone: columns.phone === -1 ? undefined : fields[columns.phone],
+        districtId: columns.districtId === -1 ? undefined : fields[columns.districtId],
+      },
+    };
+  }
+}
+
+/**
+ * One JSON object per line: { "voterId": "...", "phone": "...", "districtId": "..." }.
+ */
+async function* ndjsonRows(stream) {
+  for await (const { line, value, error } of parseNdjson(stream)) {
+    if (error) {
+      yield { row: line, error: { code: 'INVALID_JSON', message: error } };
+    } else {
+      yield { row: line, input: value };
+    }
+  }
+}
+
+/**
+ * Parsed JSON array: objects like the NDJSON lines, or plain voterId strings.
+ */
+async function* jsonRows(items) {
+  for (let i = 0; i < items.length; i += 1) {
+    const item = items[i];
+    yield { row: i + 1, input: typeof item === 'string' ? { voterId: item } : item };
+  }
+}
+
+/**
+ * Rows of an upload in the given format.
+ *
+ * @param {"csv" | "ndjson" | "json"} format
+ * @param {AsyncIterable|Array} source - request stream, or the parsed array for "json"
+ * @returns {AsyncIterable<{ row: number, input?: object, error?: object }>}
+ */
+function readRollRows(format, source) {
+  if (format === 'csv') return csvRows(source);
+  if (format === 'ndjson') return ndjsonRows(source);
+  return jsonRows(source);
+}
+
+/**
+ * @returns {{ value?: { voterId: string, phone: string|null, districtId: string|null },
+ *   error?: { code, message } }}
+ */
+function normalizeRollRow(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: { code: 'INVALID_ROW', message: 'Row must be an object' } };
+  }
+
+  const voterId = typeof input.voterId === 'string' ? input.voterId.trim() : '';
+  if (!VOTER_ID_PATTERN.test(voterId)) {
+    return {
+      error: {
+        code: 'INVALID_VOTER_ID',
+        message: 'voterId must be 1-64 characters of [A-Za-z0-9_.-]',
+      },
+    };
+  }
+
+  let phone = null;
+  if (input.phone !== undefined && input.phone !== null && input.phone !== '') {
+    phone = typeof input.phone === 'string' ? input.phone.trim() : '';
+
+    if (!PHONE_PATTERN.test(phone)) {
+      return {
+        voterId,
+        error: {
+          code: 'INVALID_PHONE',
+          message: 'phone must be 6-15 digits with an optional leading +',
+        },
+      };
+    }
+  }
+
+  let districtId = null;
+  if (input.districtId !== undefined && input.districtId !== null && input.districtId !== '') {
+    districtId = typeof input.districtId === 'string' ? input.districtId.trim() : '';
+
+    if (!DISTRICT_ID_PATTERN.test(districtId)) {
+      return {
+        voterId,
+        error: {
+          code: 'INVALID_DISTRICT_ID',
+          message: 'districtId must be 1-64 characters of [A-Za-z0-9_-]',
+        },
+      };
+    }
+  }
+
+  return { value: { voterId, phone, districtId } };
+}
+
+/**
+ * Row error for a district that doesn't fit the election: required once it
+ * has districts, must be one of its active districts.
+ *
+ * @param {Set<string> | null} districtIds - active districts, null = no districts
+ */
+function checkRowDistrict(districtId, districtIds) {
+  if (!districtIds) {
+    return districtId
+      ? { code: 'UNKNOWN_DISTRICT', message: 'This election has no districts' }
+      : null;
+  }
+
+  if (!districtId) {
+    return { code: 'DISTRICT_REQUIRED', message: 'districtId is required in this election' };
+  }
+
+  if (!districtIds.has(districtId)) {
+    return { code: 'UNKNOWN_DISTRICT', message: 'districtId is not an active district of this election' };
+  }
+
+  return null;
+}
+
+// ---------- import ----------
+
+async function loadElection(electionId) {
+  const election = await getDb()
+    .collection('elections')
+    .findOne({ electionId }, { projection: { _id: 0, electionId: 1, status: 1, voterRoll: 1 } });
+
+  if (!election) {
+    throw httpError(404, 'ELECTION_NOT_FOUND', 'Election not found', { electionId });
+  }
+
+  return election;
+}
+
+function assertRollEditable(election) {
+  if (!ROLL_EDITABLE_STATUSES.includes(election.status)) {
+    throw httpError(
+      409,
+      'ROLL_LOCKED',
+      'The voter roll can only be changed while the election is draft or scheduled',
+      { electionId: election.electionId, status: election.status }
+    );
+  }
+}
+
+/**
+ * sha256 over "voterId\tphoneHash[\tdistrictId]\n" lines in voterId order:
+ * equal for two rolls with the same voters, phone bindings and districts,
+ * whatever the row order. (No districtId column without a district, so
+ * hashes of rolls from before districts are unchanged.)
+ */
+async function computeContentHash(rollId) {
+  const hash = crypto.createHash('sha256');
+
+  const cursor = getDb()
+    .collection('voterRollEntries')
+    .find({ rollId }, { projection: { _id: 0, voterId: 1, phoneHash: 1, districtId: 1 } })
+    .sort({ voterId: 1 });
+
+  for await (const entry of cursor) {
+    const district = entry.districtId ? `\t${entry.districtId}` : '';
+    hash.update(`${entry.voterId}\t${entry.phoneHash || ''}${district}\n`);
+  }
+
+  return hash.digest('hex');
+}
+
+// `onDiscard(tx)` runs in the transaction that closes the roll (its audit entry)
+async function discardRoll(rollId, status, fields = {}, onDiscard = null) {
+  await getDb().collection('voterRollEntries').deleteMany({ rollId });
+  await withTransaction(async ({ db, session }) => {
+    await db
+      .collection('voterRolls')
+      .updateOne({ rollId }, { $set: { status, completedAt: new Date(), ...fields } }, { session });
+    if (onDiscard) await onDiscard({ db, session });
+  });
+}
+
+/**
+ * Import a complete roll for an election from a row stream.
+ *
+ * Invalid and duplicate rows are reported per row. By default any row
+ * error rejects the whole upload (status "rejected", nothing changes);
+ * with skipInvalid the valid rows become the new roll.
+ *
+ * @param {string} electionId
+ * @param {AsyncIterable} rows - from readRollRows
+ * @param {{ format: string, actorId: string, skipInvalid?: boolean, audit?: Function }} options
+ *   audit = auditService.adminAuditHook, called with the report in the
+ *   transaction that activates or rejects the roll (not for unchanged ones)
+ * @returns {Promise<object>} import report (see README)
+ * @throws {Error} 404 ELECTION_NOT_FOUND, 409 ROLL_LOCKED / ROLL_CONFLICT,
+ *                 400 ROLL_EMPTY / INVALID_ROLL_HEADER / CSV_* / NDJSON_*
+ */
+async function importRoll(electionId, rows, { format, actorId, skipInvalid = false, audit = null }) {
+  const election = await loadElection(electionId);
+  assertRollEditable(election);
+
+  const db = getDb();
+  const rolls = db.collection('voterRolls');
+  const entries = db.collection('voterRollEntries');
+
+  const rollId = crypto.randomUUID();
+  const current = election.voterRoll || null;
+
+  const districts = await db
+    .collection('districts')
+    .find({ electionId }, { projection: { _id: 0, districtId: 1, status: 1 } })
+    .toArray();
+  const districtIds =
+    districts.length > 0
+      ? new Set(districts.filter((d) => d.status === 'active').map((d) => d.districtId))
+      : null;
+
+  await rolls.insertOne({
+    rollId,
+    electionId,
+    version: null,
+    status: 'importing',
+    format,
+    rowCount: 0,
+    entryCount: 0,
+    errorCount: 0,
+    errors: [],
+    contentHash: null,
+    diff: null,
+    importedBy: actorId,
+    createdAt: new Date(),
+    completedAt: null,
+    activatedAt: null,
+  });
+
+  const report = { rowCount: 0, errorCount: 0, errors: [] };
+
+  function rowError(row, voterId, { code, message }) {
+    report.errorCount += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ row, voterId: voterId || null, code, message });
+    }
+  }
+
+  let batch = [];
+
+  async function flush() {
+    if (batch.length === 0) return;
+    const docs = batch;
+    batch = [];
+
+    try {
+      await entries.insertMany(docs, { ordered: false });
+    } catch (err) {
+      const writeErrors = err && err.writeErrors ? [].concat(err.writeErrors) : null;
+      if (!writeErrors || writeErrors.some((e) => e.code !== 11000)) {
+        throw err;
+      }
+
+      // First occurrence wins; later rows with the same voterId are errors
+      for (const writeError of writeErrors) {
+        const doc = docs[writeError.index];
+        rowError(doc.row, doc.voterId, {
+          code: 'DUPLICATE_VOTER_ID',
+          message: 'voterId appears more than once in this roll',
+        });
+      }
+    }
+  }
+
+  let entryCount;
+
+  try {
+    for await (const { row, input, error } of rows) {
+      report.rowCount += 1;
+
+      if (error) {
+        rowError(row, null, error);
+        continue;
+      }
+
+      const normalized = normalizeRollRow(input);
+      if (normalized.error) {
+        const rawId = input && typeof input.voterId === 'string' ? input.voterId.slice(0, 64) : null;
+        rowError(row, normalized.voterId || rawId, normalized.error);
+        continue;
+      }
+
+      const { voterId, phone, districtId } = normalized.value;
+
+      const districtError = checkRowDistrict(districtId, districtIds);
+      if (districtError) {
+        rowError(row, voterId, districtError);
+        continue;
+      }
+
+      batch.push({
+        rollId,
+        electionId,
+        voterId,
+        phoneHash: phone ? hashPhone(phone) : null,
+        phoneEnc: phone ? encodePII(phone) : null,
+        districtId,
+        row,
+      });
+
+      if (batch.length >= INSERT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    entryCount = await entries.countDocuments({ rollId });
+  } catch (err) {
+    await discardRoll(rollId, 'failed', { errorCount: report.errorCount });
+    throw err;
+  }
+
+  const summary = {
+    electionId,
+    rollId,
+    format,
+    rowCount: report.rowCount,
+    entryCount,
+    errorCount: report.errorCount,
+    errors: report.errors,
+  };
+
+  if (report.errorCount > 0 && !skipInvalid) {
+    const rejected = { ...summary, status: 'rejected', version: null, unchanged: false };
+    await discardRoll(
+      rollId,
+      'rejected',
+      {
+        rowCount: report.rowCount,
+        errorCount: report.errorCount,
+        errors: report.errors,
+      },
+      audit && ((tx) => audit(rejected, tx))
+    );
+    return rejected;
+  }
+
+  if (entryCount === 0) {
+    await discardRoll(rollId, 'rejected', { rowCount: report.rowCount });
+    throw httpError(400, 'ROLL_EMPTY', 'The uploaded roll has no valid entries', {
+      electionId,
+      rowCount: report.rowCount,
+      errorCount: report.errorCount,
+    });
+  }
+
+  const contentHash = await computeContentHash(rollId);
+
+  // Same content as the current roll: keep it (idempotent re-upload)
+  if (current && current.contentHash === contentHash) {
+    await entries.deleteMany({ rollId });
+    await rolls.deleteOne({ rollId });
+
+    return {
+      ...summary,
+      rollId: current.rollId,
+      status: 'active',
+      version: current.version,
+      unchanged: true,
+      contentHash,
+      diff: { fromVersion: current.version, added: 0, removed: 0, changed: 0 },
+    };
+  }
+
+  const diff = current
+    ? { fromVersion: current.version, ...(await diffEntries(current.rollId, rollId, { limit: 0 })).counts }
+    : { fromVersion: null, added: entryCount, removed: 0, changed: 0 };
+
+  const version = current ? current.version + 1 : 1;
+  const now = new Date();
+  const activated = { ...summary, status: 'active', version, unchanged: false, contentHash, diff };
+
+  try {
+    await withTransaction(async ({ db: tx, session }) => {
+      // Conditional on status and on the roll we diffed against, so a
+      // concurrent import or "open" can't interleave
+      const result = await tx.collection('elections').updateOne(
+        {
+          electionId,
+          status: { $in: ROLL_EDITABLE_STATUSES },
+          'voterRoll.rollId': current ? current.rollId : null,
+        },
+        {
+          $set: {
+            voterRoll: { rollId, version, contentHash, entryCount, activatedAt: now },
+            updatedAt: now,
+          },
+        },
+        { session }
+      );
+
+      if (result.matchedCount === 0) {
+        throw httpError(
+          409,
+          'ROLL_CONFLICT',
+          'The election or its roll changed during the import, please retry',
+          { electionId }
+        );
+      }
+
+      await tx.collection('voterRolls').updateOne(
+        { rollId },
+        {
+          $set: {
+            version,
+            status: 'active',
+            rowCount: report.rowCount,
+            entryCount,
+            errorCount: report.errorCount,
+            errors: report.errors,
+            contentHash,
+            diff,
+            completedAt: now,
+            activatedAt: now,
+          },
+        },
+        { session }
+      );
+
+      if (current) {
+        await tx
+          .collection('voterRolls')
+          .updateOne({ rollId: current.rollId }, { $set: { status: 'superseded' } }, { session });
+      }
+
+      if (audit) await audit(activated, { db: tx, session });
+    });
+  } catch (err) {
+    await discardRoll(rollId, 'failed');
+    throw err;
+  }
+
+  return activated;
+}
+
+// ---------- reading rolls ----------
+
+/**
+ * Merge-walk two rolls in voterId order.
+ *
+ * @returns {Promise<{ counts: { added, removed, changed }, added: string[], removed: string[], changed: string[] }>}
+ *          id lists hold at most `limit` voterIds each
+ */
+async function diffEntries(fromRollId, toRollId, { limit = 100 } = {}) {
+  const entries = getDb().collection('voterRollEntries');
+  const open = (rollId) =>
+    entries
+      .find({ rollId }, { projection: { _id: 0, voterId: 1, phoneHash: 1, districtId: 1 } })
+      .sort({ voterId: 1 });
+
+  const from = open(fromRollId);
+  const to = open(toRollId);
+
+  const result = {
+    counts: { added: 0, removed: 0, changed: 0 },
+    added: [],
+    removed: [],
+    changed: [],
+  };
+
+  function note(kind, voterId) {
+    result.counts[kind] += 1;
+    if (result[kind].length < limit) result[kind].push(voterId);
+  }
+
+  let a = await from.next();
+  let b = await to.next();
+
+  while (a || b) {
+    if (!b || (a && a.voterId < b.voterId)) {
+      note('removed', a.voterId);
+      a = await from.next();
+    } else if (!a || b.voterId < a.voterId) {
+      note('added', b.voterId);
+      b = await to.next();
+    } else {
+      if (
+        (a.phoneHash || null) !== (b.phoneHash || null) ||
+        (a.districtId || null) !== (b.districtId || null)
+      ) {
+        note('changed', a.voterId);
+      }
+      a = await from.next();
+      b = await to.next();
+    }
+  }
+
+  return result;
+}
+
+async function getRollByVersion(electionId, version) {
+  const roll = await getDb()
+    .collection('voterRolls')
+    .findOne({ electionId, version }, { projection: { _id: 0, errors: 0 } });
+
+  if (!roll) {
+    throw httpError(404, 'ROLL_VERSION_NOT_FOUND', 'Roll version not found', {
+      electionId,
+      version,
+    });
+  }
+
+  return roll;
+}
+
+/**
+ * Current roll and import history (newest first, without row errors).
+ */
+async function getRollOverview(electionId, { limit = 50 } = {}) {
+  const election = await loadElection(electionId);
+
+  const imports = await getDb()
+    .collection('voterRolls')
+    .find({ electionId }, { projection: { _id: 0, errors: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+
+  return { electionId, current: election.voterRoll || null, imports };
+}
+
+/**
+ * Entries of one roll version (current by default), in voterId order.
+ * Phones are never returned, only whether one is bound.
+ */
+async function listRollEntries(electionId, { version, afterVoterId, limit = 100 } = {}) {
+  const election = await loadElection(electionId);
+
+  let roll = election.voterRoll || null;
+  if (version !== undefined) {
+    roll = await getRollByVersion(electionId, version);
+  }
+
+  if (!roll) {
+    return { electionId, version: null, entries: [] };
+  }
+
+  const filter = { rollId: roll.rollId };
+  if (afterVoterId) {
+    filter.voterId = { $gt: afterVoterId };
+  }
+
+  const entries = await getDb()
+    .collection('voterRollEntries')
+    .find(filter, { projection: { _id: 0, voterId: 1, phoneHash: 1, districtId: 1 } })
+    .sort({ voterId: 1 })
+    .limit(limit)
+    .toArray();
+
+  return {
+    electionId,
+    version: roll.version,
+    entries: entries.map((e) => ({
+      voterId: e.voterId,
+      phoneBound: Boolean(e.phoneHash),
+      districtId: e.districtId || null,
+    })),
+  };
+}
+
+/**
+ * Differences between two activated versions (`to` defaults to the
+ * current one, `from` to the version before `to`).
+ */
+async function diffRollVersions(electionId, { from, to, limit = 100 } = {}) {
+  const election = await loadElection(electionId);
+
+  const toVersion = to !== undefined ? to : election.voterRoll && election.voterRoll.version;
+  if (!toVersion) {
+    throw httpError(404, 'ROLL_VERSION_NOT_FOUND', 'This election has no voter roll yet', {
+      electionId,
+    });
+  }
+
+  const fromVersion = from !== undefined ? from : toVersion - 1;
+  if (fromVersion < 1) {
+    throw httpError(400, 'VALIDATION_ERROR', 'There is no earlier version to compare with', {
+      electionId,
+      to: toVersion,
+    });
+  }
+
+  const [fromRoll, toRoll] = await Promise.all([
+    getRollByVersion(electionId, fromVersion),
+    getRollByVersion(electionId, toVersion),
+  ]);
+
+  const diff = await diffEntries(fromRoll.rollId, toRoll.rollId, { limit });
+
+  return { electionId, from: fromVersion, to: toVersion, ...diff };
+}
+
+// ---------- eligibility ----------
+
+/**
+ * The voter's entry on the current roll of this election, or null (also
+ * when the election has no roll).
+ *
+ * @param {{ voterRoll?: object }} election
+ * @param {string} voterId
+ * @param {{ session?: object }} [options]
+ * @returns {Promise<{ voterId: string, districtId: string | null } | null>}
+ */
+async function getRollEntry(election, voterId, { session } = {}) {
+  if (!election || !election.voterRoll) return null;
+
+  const entry = await getDb()
+    .collection('voterRollEntries')
+    .findOne(
+      { rollId: election.voterRoll.rollId, voterId },
+      { session, projection: { _id: 0, voterId: 1, districtId: 1 } }
+    );
+
+  return entry ? { voterId: entry.voterId, districtId: entry.districtId || null } : null;
+}
+
+/**
+ * District whose ballot this voter gets, from the current roll; null when
+ * the election has no districts.
+ *
+ * @param {{ electionId: string, voterRoll?: object }} election
+ * @param {string} voterId
+ * @param {{ session?: object }} [options]
+ * @returns {Promise<string | null>}
+ * @throws {Error} 403 NOT_ELIGIBLE (not on the roll) / NO_DISTRICT
+ */
+async function getVoterDistrict(election, voterId, { session } = {}) {
+  const district = await getDb()
+    .collection('districts')
+    .findOne({ electionId: election.electionId }, { session, projection: { _id: 1 } });
+
+  if (!district) return null;
+
+  // Districts are only assigned by a roll
+  if (!election.voterRoll) {
+    throw httpError(403, 'NO_DISTRICT', 'This election has districts but no electoral roll to assign them', {
+      electionId: election.electionId,
+    });
+  }
+
+  const entry = await getRollEntry(election, voterId, { session });
+
+  if (!entry) {
+    throw httpError(403, 'NOT_ELIGIBLE', 'Voter is not on the electoral roll of this election', {
+      electionId: election.electionId,
+    });
+  }
+
+  if (!entry.districtId) {
+    throw httpError(403, 'NO_DISTRICT', 'The electoral roll assigns this voter to no district', {
+      electionId: election.electionId,
+    });
+  }
+
+  return entry.districtId;
+}
+
+/**
+ * May the voter vote in this election as far as the roll is concerned? On
+ * its current roll - registered with the phone the entry binds, if it binds
+ * one - or any voter while the election has no roll.
+ *
+ * @param {{ voterRoll?: object }} election
+ */
+async function isEligible(election, voterId, { session } = {}) {
+  if (!election || !election.voterRoll) return true;
+
+  const db = getDb();
+  const entry = await db
+    .collection('voterRollEntries')
+    .findOne(
+      { rollId: election.voterRoll.rollId, voterId },
+      { session, projection: { _id: 0, phoneHash: 1 } }
+    );
+
+  if (!entry) return false;
+  if (!entry.phoneHash) return true;
+
+  // Hashed from the stored phone, so it follows re-keyed roll entries
+  const voter = await db
+    .collection('voters')
+    .findOne({ voterId }, { session, projection: { _id: 0, phoneEnc: 1 } });
+
+  return Boolean(voter && voter.phoneEnc) && hashPhone(decodePII(voter.phoneEnc)) === entry.phoneHash;
+}
+
+/**
+ * Voters on the current roll per district (for per-district turnout).
+ *
+ * @returns {Promise<Map<string, number>>} districtId -> entries
+ */
+async function countRollByDistrict(election) {
+  const counts = new Map();
+  if (!election || !election.voterRoll) return counts;
+
+  const groups = await getDb()
+    .collection('voterRollEntries')
+    .aggregate([
+      { $match: { rollId: election.voterRoll.rollId, districtId: { $type: 'string' } } },
+      { $group: { _id: '$districtId', count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  for (const { _id: districtId, count } of groups) {
+    counts.set(districtId, count);
+  }
+  return counts;
+}
+
+/**
+ * May this voterId register with this phone? It must be on the current
+ * roll of an election that isn't over yet, and if that roll entry binds a
+ * phone, it must be the same phone. Only while none of those elections
+ * has a roll may anyone register, as before rolls existed.
+ */
+async function canRegister(voterId, phoneHash) {
+  const db = getDb();
+
+  const elections = await db
+    .collection('elections')
+    .find(
+      { status: { $in: REGISTRATION_STATUSES }, 'voterRoll.rollId': { $exists: true } },
+      { projection: { _id: 0, 'voterRoll.rollId': 1 } }
+    )
+    .toArray();
+
+  if (elections.length === 0) return true;
+
+  const entries = await db
+    .collection('voterRollEntries')
+    .find(
+      { rollId: { $in: elections.map((e) => e.voterRoll.rollId) }, voterId },
+      { projection: { _id: 0, phoneHash: 1 } }
+    )
+    .toArray();
+
+  return entries.some((e) => !e.phoneHash || e.phoneHash === phoneHash);
+}
+
+module.exports = {
+  ROLL_FORMATS,
+  readRollRows,
+  importRoll,
+  getRollOverview,
+  listRollEntries,
+  diffRollVersions,
+  getRollEntry,
+  getVoterDistrict,
+  isEligible,
+  countRollByDistrict,
+  canRegister,
+};
@@ -0,0 +1,206 @@
+// test/audit.test.js
+// Audit log: hash chaining, writes inside the caller's transaction, and
+// failed writes failing the caller instead of being dropped.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const auditService = require('../src/services/auditService');
+const electionService = require('../src/services/electionService');
+const voterAdminService = require('../src/services/voterAdminService');
+
+const ADMIN = { type: 'admin', id: 'admin1', role: 'superadmin' };
+
+function failingDb(message) {
+  return {
+    collection() {
+      return {
+        async findOneAndUpdate() {
+          throw new Error(message);
+        },
+      };
+    },
+  };
+}
+
+test('entries are chained and verify', async () => {
+  memoryDb.install();
+
+  const first = await auditService.appendAudit({ action: 'admin.login', actor: ADMIN });
+  const second = await auditService.appendAudit({
+    action: 'election.update',
+    actor: ADMIN,
+    target: { type: 'election', id: 'e1', electionId: 'e1' },
+    before: { title: 'Old', passwordHash: 'x' },
+    after: { title: 'New' },
+  });
+
+  assert.equal(first.seq, 1);
+  assert.equal(second.seq, 2);
+
+  const entries = await auditService.listAuditEntries();
+  assert.equal(entries[1].prevHash, first.entryHash);
+  assert.deepEqual(entries[1].before, { title: 'Old' });
+
+  const report = await auditService.verifyAuditLog();
+  assert.equal(report.ok, true);
+  assert.equal(report.checked, 2);
+});
+
+test('with a transaction, the entry is written through it', async () => {
+  const db = memoryDb.install();
+  let ownTransactions = 0;
+  memoryDb.setTransaction((fn) => {
+    ownTransactions += 1;
+    return fn({ db, session: null });
+  });
+
+  await auditService.recordAction({ actor: ADMIN }, { action: 'tally.rebuild' }, { db, session: null });
+
+  assert.equal(ownTransactions, 0);
+  assert.equal(await db.collection('auditLog').countDocuments({ action: 'tally.rebuild' }), 1);
+});
+
+test('a failed write inside a transaction rethrows the driver error', async () => {
+  await assert.rejects(
+    auditService.recordAction(
+      { actor: ADMIN },
+      { action: 'election.finalize' },
+      { db: failingDb('WriteConflict'), session: null }
+    ),
+    { message: 'WriteConflict' }
+  );
+});
+
+test('a failed write outside a transaction fails with AUDIT_WRITE_FAILED', async () => {
+  memoryDb.install();
+  memoryDb.setTransaction(async () => {
+    throw new Error('not primary');
+  });
+
+  await assert.rejects(
+    auditService.recordAdminAction(
+      { admin: { adminId: 'admin1', role: 'superadmin' }, ip: '10.0.0.1', requestId: 'req-1' },
+      { action: 'voter.status_change' }
+    ),
+    (err) => {
+      assert.equal(err.status, 500);
+      assert.equal(err.code, 'AUDIT_WRITE_FAILED');
+      assert.deepEqual(err.details, { action: 'voter.status_change', requestId: 'req-1' });
+      return true;
+    }
+  );
+});
+
+test('election transitions are audited in the same transaction', async () => {
+  const db = memoryDb.install();
+  await db.collection('elections').insertOne({ electionId: 'e1', status: 'draft', version: 1 });
+
+  let transactions = 0;
+  memoryDb.setTransaction((fn) => {
+    transactions += 1;
+    return fn({ db, session: null });
+  });
+
+  const election = await electionService.transitionElection('e1', 'open', {
+    actor: ADMIN,
+    reason: 'manual',
+    audit: { actor: ADMIN, requestId: 'req-2' },
+  });
+  assert.equal(election.status, 'open');
+
+  assert.equal(transactions, 1);
+
+  const [entry] = await auditService.listAuditEntries({ action: 'election.transition' });
+  assert.deepEqual(entry.before, { status: 'draft' });
+  assert.deepEqual(entry.after, { status: 'open' });
+  assert.deepEqual(entry.details, { reason: 'manual' });
+  assert.equal(entry.requestId, 'req-2');
+  assert.equal(await db.collection('electionTransitions').countDocuments({ electionId: 'e1' }), 1);
+});
+
+test('a failed audit write fails the transition', async () => {
+  const db = memoryDb.install();
+  await db.collection('elections').insertOne({ electionId: 'e2', status: 'open', version: 1 });
+
+  // Election writes succeed, the audit chain write does not
+  memoryDb.setTransaction((fn) =>
+    fn({
+      db: {
+        collection(name) {
+          return name === 'auditChains' ? failingDb('WriteConflict').collection() : db.collection(name);
+        },
+      },
+      session: null,
+    })
+  );
+
+  await assert.rejects(
+    electionService.transitionElection('e2', 'closed', { actor: ADMIN, audit: { actor: ADMIN } }),
+    { message: 'WriteConflict' }
+  );
+});
+
+test('admin actions are audited through the service transaction', async () => {
+  const db = memoryDb.install();
+  await db.collection('voters').insertOne({ voterId: 'V-1', status: 'active', version: 1 });
+
+  const txDbs = [];
+  memoryDb.setTransaction((fn) => {
+    const tx = {
+      collection(name) {
+        txDbs.push(name);
+        return db.collection(name);
+      },
+    };
+    return fn({ db: tx, session: null });
+  });
+
+  const req = { admin: { adminId: 'admin1', role: 'registrar' }, requestId: 'req-3' };
+  const { after } = await voterAdminService.setVoterStatus('V-1', 'blocked', {
+    actorId: 'admin1',
+    audit: auditService.adminAuditHook(req, ({ before, after: changed }) => ({
+      action: 'voter.status_change',
+      target: { type: 'voter', id: 'V-1' },
+      before: { status: before.status },
+      after: { status: changed.status },
+    })),
+  });
+  assert.equal(after.status, 'blocked');
+
+  assert.ok(txDbs.includes('voters'));
+  assert.ok(txDbs.includes('auditChains'));
+
+  const [entry] = await auditService.listAuditEntries({ action: 'voter.status_change' });
+  assert.deepEqual(entry.after, { status: 'blocked' });
+  assert.equal(entry.requestId, 'req-3');
+
+  // No entry, no action: the audit failure fails the whole transaction
+  memoryDb.setTransaction((fn) =>
+    fn({
+      db: {
+        collection(name) {
+          return name === 'auditChains' ? failingDb('WriteConflict').collection() : db.collection(name);
+        },
+      },
+      session: null,
+    })
+  );
+
+  await assert.rejects(
+    voterAdminService.setVoterStatus('V-1', 'active', {
+      actorId: 'admin1',
+      audit: auditService.adminAuditHook(req, () => ({
+        action: 'voter.status_change',
+        target: { type: 'voter', id: 'V-1' },
+      })),
+    }),
+    { message: 'WriteConflict' }
+  );
+});
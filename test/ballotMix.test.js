@@ -0,0 +1,118 @@
+// test/ballotMix.test.js
+// Mixing pools: cast-time documents carry no creation time, each draws its
+// own delay, and participations are stored (and counted) by the mixer, not
+// at cast time.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const config = require('../src/lib/config');
+const ballotMixService = require('../src/services/ballotMixService');
+const tallyService = require('../src/services/tallyService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+async function seed(status) {
+  const db = memoryDb.install();
+  memoryDb.setTransaction((fn) => fn({ db, session: null }));
+  await db.collection('elections').insertOne({ electionId: 'e1', status, version: 1 });
+  return db;
+}
+
+async function cast(db, voterId, now) {
+  await ballotMixService.holdBallot({
+    db,
+    session: null,
+    electionId: 'e1',
+    districtId: null,
+    choice: { candidateId: 'c1' },
+    receipt: { receiptId: `r-${voterId}`, ballotHash: 'h', ballotSalt: 's', serverSig: 'sig', keyId: 'k1' },
+    now,
+  });
+  await ballotMixService.holdParticipation({
+    db, session: null, electionId: 'e1', voterId, districtId: null, status: 'voted', now,
+  });
+}
+
+test('a cast only writes to the pools, with random _ids', async () => {
+  const db = await seed('open');
+  await cast(db, 'V-1', new Date());
+
+  const [ballot] = await db.collection('pendingBallots').find({}).toArray();
+  const [pending] = await db.collection('pendingParticipations').find({}).toArray();
+  assert.match(ballot._id, UUID_PATTERN);
+  assert.match(pending._id, UUID_PATTERN);
+  assert.equal(pending.voterId, 'V-1');
+
+  assert.equal(await db.collection('participations').countDocuments({}), 0);
+  assert.equal((await tallyService.readCounters('e1')).votersVoted, 0);
+
+  // The pooled claim already counts as a participation
+  const found = await ballotMixService.findParticipation({ db, electionId: 'e1', voterId: 'V-1' });
+  assert.equal(found.status, 'voted');
+});
+
+test('ballots and participations draw their delays independently', async () => {
+  const db = await seed('open');
+  const now = new Date();
+  const castWindow = Math.floor(now.getTime() / config.ballotMix.windowMs);
+
+  for (let i = 0; i < 20; i += 1) {
+    await cast(db, `V-${i}`, now);
+  }
+
+  const windows = async (name) =>
+    (await db.collection(name).find({}).toArray()).map((doc) => doc.mixWindow - castWindow);
+  const ballotDelays = await windows('pendingBallots');
+  const participationDelays = await windows('pendingParticipations');
+
+  for (const delay of [...ballotDelays, ...participationDelays]) {
+    assert.ok(delay >= 0 && delay <= config.ballotMix.maxDelayWindows);
+  }
+  // Same cast time, yet not all in one window (1 in 6^39 by chance)
+  assert.ok(new Set([...ballotDelays, ...participationDelays]).size > 1);
+});
+
+test('the mixer stores pooled participations and counts the turnout', async () => {
+  const db = await seed('closed');
+  await cast(db, 'V-1', new Date());
+  await cast(db, 'V-2', new Date());
+
+  assert.equal(await ballotMixService.flushElection('e1'), 2);
+
+  assert.equal(await db.collection('pendingBallots').countDocuments({}), 0);
+  assert.equal(await db.collection('pendingParticipations').countDocuments({}), 0);
+
+  const participations = await db.collection('participations').find({}).toArray();
+  assert.deepEqual(participations.map((p) => p.voterId).sort(), ['V-1', 'V-2']);
+  for (const participation of participations) {
+    assert.match(participation._id, UUID_PATTERN);
+    assert.equal(participation.status, 'voted');
+    assert.equal(participation.mixKey, undefined);
+  }
+
+  const counters = await tallyService.readCounters('e1');
+  assert.equal(counters.votersVoted, 2);
+  assert.equal(counters.ballotsCast, 2);
+});
+
+test('blind-signing claims are stored without counting the turnout', async () => {
+  const db = await seed('closed');
+  const blindToken = { keyId: 'k1', blindedMessageHash: 'h', blindSignature: 'sig' };
+  await ballotMixService.holdParticipation({
+    db, session: null, electionId: 'e1', voterId: 'V-1', districtId: null, status: 'token_issued', blindToken, now: new Date(),
+  });
+
+  await ballotMixService.flushElection('e1');
+
+  const participation = await db.collection('participations').findOne({ voterId: 'V-1' });
+  assert.equal(participation.status, 'token_issued');
+  assert.deepEqual(participation.blindToken, blindToken);
+  assert.equal((await tallyService.readCounters('e1')).votersVoted, 0);
+});
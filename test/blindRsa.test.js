@@ -0,0 +1,110 @@
+// test/blindRsa.test.js
+// RFC 9474 RSABSSA-SHA384-PSS-Deterministic: our blind / blindSign /
+// finalize against an independent implementation of the RFC
+// (@cloudflare/blindrsa-ts, which is checked against the RFC 9474 appendix A
+// vectors), in both directions, plus the RFC's error cases.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const blindRsa = require('../src/lib/blindRsa');
+
+const { subtle } = crypto.webcrypto;
+const RSA_PSS_SHA384 = { name: 'RSA-PSS', hash: 'SHA-384' };
+
+let keys;
+let webKeys;
+let reference;
+
+test.before(async () => {
+  keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  webKeys = {
+    publicKey: await subtle.importKey(
+      'spki',
+      keys.publicKey.export({ type: 'spki', format: 'der' }),
+      RSA_PSS_SHA384,
+      true,
+      ['verify']
+    ),
+    privateKey: await subtle.importKey(
+      'pkcs8',
+      keys.privateKey.export({ type: 'pkcs8', format: 'der' }),
+      RSA_PSS_SHA384,
+      true,
+      ['sign']
+    ),
+  };
+
+  const { RSABSSA } = await import('@cloudflare/blindrsa-ts');
+  reference = RSABSSA.SHA384.PSS.Deterministic();
+});
+
+test('uses the RFC 9474 deterministic PSS variant', () => {
+  assert.equal(blindRsa.ALGORITHM, 'RSABSSA-SHA384-PSS-Deterministic');
+  assert.equal(reference.toString(), 'RSABSSA-SHA384-PSS-Deterministic');
+});
+
+test('blinded by us, signed and finalized by the reference', async () => {
+  const msg = crypto.randomBytes(32);
+
+  const { blindedMsg, inv } = blindRsa.blind(keys.publicKey, msg);
+  const blindSig = Buffer.from(await reference.blindSign(webKeys.privateKey, new Uint8Array(blindedMsg)));
+  const signature = blindRsa.finalize(keys.publicKey, msg, blindSig, inv);
+
+  assert.equal(await reference.verify(webKeys.publicKey, new Uint8Array(signature), new Uint8Array(msg)), true);
+});
+
+test('blinded by the reference, signed by us', async () => {
+  const msg = crypto.randomBytes(32);
+
+  const { blindedMsg, inv } = await reference.blind(webKeys.publicKey, new Uint8Array(msg));
+  const blindSig = blindRsa.blindSign(keys.privateKey, Buffer.from(blindedMsg));
+  const signature = await reference.finalize(webKeys.publicKey, new Uint8Array(msg), new Uint8Array(blindSig), inv);
+
+  assert.equal(blindRsa.verify(keys.publicKey, msg, Buffer.from(signature)), true);
+  // A plain RSASSA-PSS (SHA-384, 48-byte salt) signature
+  assert.equal(
+    crypto.verify('sha384', msg, {
+      key: keys.publicKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: 48,
+    }, Buffer.from(signature)),
+    true
+  );
+});
+
+test('the signer learns nothing linking blind and final signature', () => {
+  const msg = crypto.randomBytes(32);
+
+  const first = blindRsa.blind(keys.publicKey, msg);
+  const second = blindRsa.blind(keys.publicKey, msg);
+
+  // Same message, fresh salt and blinding factor each time
+  assert.notDeepEqual(first.blindedMsg, second.blindedMsg);
+
+  const sig1 = blindRsa.finalize(keys.publicKey, msg, blindRsa.blindSign(keys.privateKey, first.blindedMsg), first.inv);
+  const sig2 = blindRsa.finalize(keys.publicKey, msg, blindRsa.blindSign(keys.privateKey, second.blindedMsg), second.inv);
+
+  assert.ok(blindRsa.verify(keys.publicKey, msg, sig1));
+  assert.ok(blindRsa.verify(keys.publicKey, msg, sig2));
+});
+
+test('rejects wrong sizes, out-of-range inputs and bad signatures', () => {
+  const msg = crypto.randomBytes(32);
+  const { blindedMsg, inv } = blindRsa.blind(keys.publicKey, msg);
+
+  assert.throws(() => blindRsa.blindSign(keys.privateKey, blindedMsg.subarray(1)), /out of range/);
+  assert.throws(() => blindRsa.blindSign(keys.privateKey, Buffer.alloc(blindedMsg.length, 0xff)), /out of range/);
+
+  const blindSig = blindRsa.blindSign(keys.privateKey, blindedMsg);
+  assert.throws(() => blindRsa.finalize(keys.publicKey, msg, blindSig.subarray(1), inv), /unexpected input size/);
+  assert.throws(() => blindRsa.finalize(keys.publicKey, crypto.randomBytes(32), blindSig, inv), /invalid signature/);
+
+  const signature = blindRsa.finalize(keys.publicKey, msg, blindSig, inv);
+  const tampered = Buffer.from(signature);
+  tampered[tampered.length - 1] ^= 1;
+  assert.equal(blindRsa.verify(keys.publicKey, msg, tampered), false);
+  assert.equal(blindRsa.verify(keys.publicKey, Buffer.concat([msg, Buffer.from([0])]), signature), false);
+});
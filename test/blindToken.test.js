@@ -0,0 +1,141 @@
+// test/blindToken.test.js
+// Blind-signed ballot tokens: the key exists before the signing
+// transaction, turnout counts spent tokens rather than issued ones (once
+// the mixer has counted them), and anonymous-only elections refuse the
+// authenticated ballot paths.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const blindRsa = require('../src/lib/blindRsa');
+const blindTokenService = require('../src/services/blindTokenService');
+const ballotMixService = require('../src/services/ballotMixService');
+const electionService = require('../src/services/electionService');
+const tallyService = require('../src/services/tallyService');
+const voteService = require('../src/services/voteService');
+const voteController = require('../src/controllers/voteController');
+
+async function seed(electionFields = {}) {
+  const db = memoryDb.install();
+  const election = { electionId: 'e1', status: 'open', version: 1, ...electionFields };
+  await db.collection('elections').insertOne(election);
+  await db.collection('voters').insertOne({ voterId: 'V-1', status: 'active' });
+  return { db, election };
+}
+
+async function blindToken(db, election) {
+  const key = await blindTokenService.getVoterTokenKey({ db, election, voterId: 'V-1' });
+  const token = crypto.randomBytes(32).toString('base64url');
+  const msg = blindTokenService.tokenMessage(election.electionId, key.districtId, token);
+  const { blindedMsg } = blindRsa.blind(key.publicKeyPem, msg);
+  return { token, blindedMessage: blindedMsg.toString('base64url') };
+}
+
+function fakeResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+test('the token key is created before the signing transaction', async () => {
+  const { db, election } = await seed();
+  let keysAtStart = null;
+  memoryDb.setTransaction(async (fn) => {
+    keysAtStart = await db.collection('electionKeys').countDocuments({});
+    return fn({ db, session: null });
+  });
+
+  // Any value below the modulus signs; the key doesn't exist yet
+  const blinded = Buffer.concat([Buffer.alloc(1), crypto.randomBytes(255)]);
+  assert.equal(await db.collection('electionKeys').countDocuments({}), 0);
+
+  await blindTokenService.issueBlindSignature({ election, voterId: 'V-1', blindedMessage: blinded.toString('base64url') });
+
+  assert.equal(keysAtStart, 1);
+});
+
+test('turnout counts spent tokens, not issued ones', async () => {
+  const { db, election } = await seed();
+  const { token, blindedMessage } = await blindToken(db, election);
+
+  const issued = await blindTokenService.issueBlindSignature({ election, voterId: 'V-1', blindedMessage });
+  assert.equal(issued.electionId, 'e1');
+
+  // Retry of the same request: same signature; another message: refused
+  const retried = await blindTokenService.issueBlindSignature({ election, voterId: 'V-1', blindedMessage });
+  assert.equal(retried.blindSignature, issued.blindSignature);
+  const other = await blindToken(db, election);
+  await assert.rejects(
+    blindTokenService.issueBlindSignature({ election, voterId: 'V-1', blindedMessage: other.blindedMessage }),
+    { code: 'ALREADY_VOTED' }
+  );
+
+  assert.equal((await tallyService.readCounters('e1')).votersVoted, 0);
+  assert.equal((await voteService.computeTurnout('e1')).votersVoted, 0);
+
+  await blindTokenService.spendBallotToken({ db, session: null, electionId: 'e1', token });
+
+  // Nothing turnout-related changes at cast time
+  const [spent] = await db.collection('spentBallotTokens').find({}).toArray();
+  assert.equal(spent.counted, false);
+  assert.equal((await tallyService.readCounters('e1')).votersVoted, 0);
+  assert.equal((await voteService.computeTurnout('e1')).votersVoted, 0);
+
+  await db.collection('elections').updateOne({ electionId: 'e1' }, { $set: { status: 'closed' } });
+  await ballotMixService.flushElection('e1');
+
+  const [counted] = await db.collection('spentBallotTokens').find({}).toArray();
+  assert.equal(counted.counted, true);
+  assert.equal(counted.mixWindow, undefined);
+  assert.equal((await tallyService.readCounters('e1')).votersVoted, 1);
+  assert.equal((await voteService.computeTurnout('e1')).votersVoted, 1);
+});
+
+test('anonymousBallots is a boolean election setting', async () => {
+  await seed({ status: 'draft' });
+
+  await assert.rejects(electionService.updateElection('e1', { anonymousBallots: 'yes' }), (err) => {
+    assert.equal(err.code, 'VALIDATION_ERROR');
+    assert.ok(err.details.anonymousBallots);
+    return true;
+  });
+
+  const updated = await electionService.updateElection('e1', { anonymousBallots: true });
+  assert.equal(updated.anonymousBallots, true);
+});
+
+test('anonymous-only elections refuse issue-token and submit', async () => {
+  const { db } = await seed({ anonymousBallots: true });
+  memoryDb.setTransaction((fn) => fn({ db, session: null }));
+
+  const req = { user: { voterId: 'V-1' }, body: { electionId: 'e1', tokenId: 't1', candidateId: 'c1' } };
+
+  const issued = fakeResponse();
+  await voteController.issueToken(req, issued, assert.fail);
+  assert.equal(issued.statusCode, 409);
+  assert.equal(issued.body.code, 'ANONYMOUS_BALLOTS_ONLY');
+
+  const submitted = fakeResponse();
+  await voteController.submitVote(req, submitted, assert.fail);
+  assert.equal(submitted.statusCode, 409);
+  assert.equal(submitted.body.code, 'ANONYMOUS_BALLOTS_ONLY');
+
+  assert.equal(await db.collection('votingTokens').countDocuments({}), 0);
+});
@@ -0,0 +1,222 @@
+// test/elgamal.test.js
+// Exponential ElGamal round-trips: group parameters, encrypt / prove /
+// verify / threshold-decrypt, and the ways a ballot or a partial
+// decryption can be tampered with.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const elgamal = require('../src/lib/elgamal');
+const ballotVerifier = require('../src/lib/ballotVerifier');
+
+const ELECTION = 'e-2026';
+const CANDIDATES = ['c1', 'c2', 'c3'];
+const BINDING = elgamal.ballotBinding('token-1');
+
+function bigIntBuffer(n) {
+  const hex = n.toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+}
+
+function decryptWith(key, trustees, ciphertext, max) {
+  const partials = trustees.map((index) => {
+    const { share } = key.shares.find((s) => s.index === index);
+    const { key: verificationKey } = key.verificationKeys.find((v) => v.index === index);
+    return { index, ...elgamal.partialDecrypt({ share, verificationKey, ciphertext, context: { t: 'test' } }) };
+  });
+  return elgamal.combinePartials(ciphertext, partials, max);
+}
+
+const key = elgamal.generateThresholdKey({ threshold: 2, trustees: 3 });
+const publicKey = elgamal.fromHex(key.publicKey);
+
+test('group parameters', () => {
+  assert.equal(elgamal.P.toString(2).length, 2048);
+  assert.equal(elgamal.Q.toString(2).length, 256);
+  assert.ok(crypto.checkPrimeSync(bigIntBuffer(elgamal.P)));
+  assert.ok(crypto.checkPrimeSync(bigIntBuffer(elgamal.Q)));
+  assert.equal((elgamal.P - 1n) % elgamal.Q, 0n);
+  assert.ok(elgamal.G !== 1n && elgamal.isGroupElement(elgamal.G));
+});
+
+test('threshold key: any 2 of 3 trustees decrypt, shares match their keys', () => {
+  assert.ok(elgamal.isGroupElement(publicKey));
+  for (const { index, share } of key.shares) {
+    const { key: verificationKey } = key.verificationKeys.find((v) => v.index === index);
+    assert.ok(elgamal.shareMatches(share, verificationKey));
+  }
+  assert.equal(elgamal.shareMatches(key.shares[0].share, key.verificationKeys[1].key), false);
+
+  const ciphertext = elgamal.encrypt(publicKey, 5);
+  assert.equal(decryptWith(key, [1, 2], ciphertext, 10), 5);
+  assert.equal(decryptWith(key, [1, 3], ciphertext, 10), 5);
+  assert.equal(decryptWith(key, [3, 2], ciphertext, 10), 5);
+  // One share alone gives nothing useful
+  assert.notEqual(decryptWith(key, [1], ciphertext, 10), 5);
+  // Out of the searched range
+  assert.equal(decryptWith(key, [1, 2], ciphertext, 4), null);
+});
+
+test('ciphertexts add homomorphically', () => {
+  const values = [1, 0, 1, 1, 0, 1];
+  const sum = values
+    .map((m) => elgamal.encrypt(publicKey, m))
+    .reduce(elgamal.addCiphertexts, elgamal.ZERO_CIPHERTEXT);
+
+  assert.equal(decryptWith(key, [2, 3], sum, values.length), 4);
+  assert.equal(decryptWith(key, [1, 2], elgamal.ZERO_CIPHERTEXT, 3), 0);
+});
+
+test('ciphertext JSON round-trip rejects non-group values', () => {
+  const ciphertext = elgamal.encrypt(publicKey, 1);
+  const json = elgamal.ciphertextToJson(ciphertext);
+
+  assert.deepEqual(elgamal.ciphertextFromJson(json), { a: ciphertext.a, b: ciphertext.b });
+  assert.equal(elgamal.ciphertextFromJson({ ...json, a: '0' }), null);
+  assert.equal(elgamal.ciphertextFromJson({ ...json, b: elgamal.toHex(elgamal.P - 1n) }), null);
+  assert.equal(elgamal.ciphertextFromJson({ ...json, a: '0x12' }), null);
+});
+
+test('one-of proofs: valid, bound to their context, value must be allowed', () => {
+  const { r, ...ciphertext } = elgamal.encrypt(publicKey, 1);
+  const context = { type: 'test', electionId: ELECTION };
+  const proof = elgamal.proveOneOf({ publicKey, ciphertext, value: 1, randomness: r, allowed: [0, 1], context });
+
+  assert.ok(elgamal.verifyOneOf({ publicKey, ciphertext, allowed: [0, 1], context, proof }));
+  assert.equal(
+    elgamal.verifyOneOf({ publicKey, ciphertext, allowed: [0, 1], context: { ...context, electionId: 'other' }, proof }),
+    false
+  );
+  assert.equal(elgamal.verifyOneOf({ publicKey, ciphertext, allowed: [0, 2], context, proof }), false);
+  assert.throws(
+    () => elgamal.proveOneOf({ publicKey, ciphertext, value: 2, randomness: r, allowed: [0, 1], context }),
+    /not one of the allowed values/
+  );
+});
+
+test('encrypted ballot: encrypt, verify, tally, decrypt', () => {
+  const params = { publicKey: key.publicKey, electionId: ELECTION, candidateIds: CANDIDATES, minSelections: 1, maxSelections: 2 };
+  const ballots = [['c1'], ['c1', 'c3'], ['c2']].map((selected, i) => ({
+    binding: elgamal.ballotBinding(`token-${i}`),
+    ballot: elgamal.encryptBallot({ ...params, binding: elgamal.ballotBinding(`token-${i}`), selected }),
+  }));
+
+  const totals = new Map(CANDIDATES.map((id) => [id, elgamal.ZERO_CIPHERTEXT]));
+  for (const { binding, ballot } of ballots) {
+    const result = elgamal.verifyBallot({ ...params, binding, ballot });
+    assert.equal(result.valid, true);
+    for (const [id, ciphertext] of result.ciphertexts) {
+      totals.set(id, elgamal.addCiphertexts(totals.get(id), ciphertext));
+    }
+  }
+
+  assert.deepEqual(
+    CANDIDATES.map((id) => decryptWith(key, [1, 3], totals.get(id), ballots.length)),
+    [2, 1, 1]
+  );
+});
+
+test('encrypted ballot: rejects tampering and wrong shapes', () => {
+  const params = { publicKey: key.publicKey, electionId: ELECTION, binding: BINDING, candidateIds: CANDIDATES, minSelections: 1, maxSelections: 1 };
+  const ballot = elgamal.encryptBallot({ ...params, selected: ['c2'] });
+  const verify = (b, overrides = {}) => elgamal.verifyBallot({ ...params, ...overrides, ballot: b });
+
+  // Selecting nobody or too many can't be proven
+  assert.throws(() => elgamal.encryptBallot({ ...params, selected: [] }), /not one of the allowed values/);
+  assert.throws(() => elgamal.encryptBallot({ ...params, selected: ['c1', 'c2'] }), /not one of the allowed values/);
+
+  // Same ballot for another election, or copied and cast with another token
+  assert.deepEqual(verify(ballot, { electionId: 'other' }), { valid: false, reason: 'invalid proof', candidateId: 'c1' });
+  assert.deepEqual(verify(ballot, { binding: elgamal.ballotBinding('token-2') }),
+    { valid: false, reason: 'invalid proof', candidateId: 'c1' });
+  assert.equal(verify(ballot, { binding: undefined }).reason, 'missing ballot binding');
+
+  // Ciphertexts swapped between candidates
+  const swapped = {
+    ...ballot,
+    ciphertexts: ballot.ciphertexts.map((c, i, all) => ({ ...all[(i + 1) % all.length], candidateId: c.candidateId })),
+  };
+  assert.equal(verify(swapped).valid, false);
+
+  // Re-randomized "1" (a, b * G) - proof no longer matches
+  const bumped = {
+    ...ballot,
+    ciphertexts: ballot.ciphertexts.map((c) =>
+      c.candidateId === 'c1'
+        ? { ...c, b: elgamal.toHex((elgamal.fromHex(c.b) * elgamal.G) % elgamal.P) }
+        : c
+    ),
+  };
+  assert.equal(verify(bumped).reason, 'invalid proof');
+
+  assert.equal(verify({ ...ballot, ciphertexts: ballot.ciphertexts.slice(1) }).reason,
+    'every candidate on the ballot needs a ciphertext');
+  assert.equal(verify({ ...ballot, ciphertexts: [...ballot.ciphertexts, ballot.ciphertexts[0]] }).reason,
+    'unknown or repeated candidate');
+  assert.equal(verify({ ...ballot, proof: { challenges: [], responses: [] } }).reason,
+    'invalid selection count proof');
+  assert.equal(verify(null).reason, 'ciphertexts must be an array');
+});
+
+test('ballot size is capped', () => {
+  const candidateIds = Array.from({ length: elgamal.MAX_BALLOT_CANDIDATES + 1 }, (_, i) => `c${i}`);
+  const params = { publicKey: key.publicKey, electionId: ELECTION, binding: BINDING, candidateIds, minSelections: 1, maxSelections: 1 };
+
+  assert.throws(() => elgamal.encryptBallot({ ...params, selected: ['c1'] }), /at most 50 candidates/);
+  assert.equal(elgamal.verifyBallot({ ...params, ballot: { ciphertexts: [] } }).reason,
+    'more than 50 candidates on the ballot');
+});
+
+test('ballots verify in a worker thread', async () => {
+  const params = { publicKey: key.publicKey, electionId: ELECTION, binding: BINDING, candidateIds: CANDIDATES, minSelections: 1, maxSelections: 1 };
+  const ballot = elgamal.encryptBallot({ ...params, selected: ['c3'] });
+
+  const [valid, copied] = await Promise.all([
+    ballotVerifier.verifyBallot({ ...params, ballot }),
+    ballotVerifier.verifyBallot({ ...params, binding: elgamal.ballotBinding('token-2'), ballot }),
+  ]);
+
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.ciphertexts, elgamal.verifyBallot({ ...params, ballot }).ciphertexts);
+  assert.equal(copied.valid, false);
+});
+
+test('partial decryptions are verified against the trustee key', () => {
+  const ciphertext = elgamal.encrypt(publicKey, 3);
+  const context = { type: 'test' };
+  const [first, second] = key.shares;
+  const partial = elgamal.partialDecrypt({
+    share: first.share,
+    verificationKey: key.verificationKeys[0].key,
+    ciphertext,
+    context,
+  });
+
+  assert.ok(elgamal.verifyPartialDecryption({ verificationKey: key.verificationKeys[0].key, ciphertext, context, partial }));
+  // Someone else's key, another context, or a forged d
+  assert.equal(
+    elgamal.verifyPartialDecryption({ verificationKey: key.verificationKeys[1].key, ciphertext, context, partial }),
+    false
+  );
+  assert.equal(
+    elgamal.verifyPartialDecryption({ verificationKey: key.verificationKeys[0].key, ciphertext, context: { type: 'x' }, partial }),
+    false
+  );
+
+  const forged = elgamal.partialDecrypt({
+    share: second.share,
+    verificationKey: key.verificationKeys[1].key,
+    ciphertext,
+    context,
+  });
+  assert.equal(
+    elgamal.verifyPartialDecryption({
+      verificationKey: key.verificationKeys[0].key,
+      ciphertext,
+      context,
+      partial: { ...partial, d: forged.d },
+    }),
+    false
+  );
+});
@@ -0,0 +1,20 @@
+// test/helpers/env.js
+// Environment for loading src/lib/config.js in tests. Require it before
+// anything from src/. Values already set in the environment win.
+
+const defaults = {
+  NODE_ENV: 'test',
+  MONGO_URI: 'mongodb://127.0.0.1:1/evote-test', // never connected to
+  JWT_SECRET: 'test-jwt-secret',
+  AES_GCM_KEY: Buffer.alloc(32, 7).toString('base64'),
+  ADMIN_INIT_PASSWORD: 'test-admin-password',
+  SCHEDULER_ENABLED: 'false',
+  TALLY_RECONCILE_ENABLED: 'false',
+  OTP_RETRY_DELAY_MS: '1',
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+}
@@ -0,0 +1,184 @@
+// test/helpers/memoryDb.js
+// In-memory stand-in for the few driver calls the services under test use
+// (no MongoDB in unit tests). install() points lib/mongo's getDb and
+// withTransaction at it; call it before requiring the services, which
+// destructure those functions at load time.
+
+const mongo = require('../../src/lib/mongo');
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((branch) => matches(doc, branch));
+
+    const value = getPath(doc, path);
+
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([op, arg]) => {
+        switch (op) {
+          case '$in': return arg.includes(value);
+          case '$ne': return value !== arg;
+          case '$exists': return (value !== undefined) === arg;
+          case '$lt': return value < arg;
+          case '$gt': return value > arg;
+          default: throw new Error(`memoryDb: unsupported operator ${op}`);
+        }
+      });
+    }
+
+    return value === condition;
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [path, value] of Object.entries(update.$set || {})) setPath(doc, path, value);
+  for (const [path, value] of Object.entries(update.$inc || {})) {
+    setPath(doc, path, (getPath(doc, path) || 0) + value);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    const keys = path.split('.');
+    const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+    if (parent) delete parent[keys[keys.length - 1]];
+  }
+}
+
+function project(doc, projection) {
+  const copy = structuredClone(doc);
+  if (projection && projection._id === 0) delete copy._id;
+  return copy;
+}
+
+function cursor(docs, projection) {
+  let result = docs;
+  const api = {
+    sort(spec) {
+      const [[path, direction]] = Object.entries(spec);
+      result = [...result].sort((a, b) => {
+        const x = getPath(a, path);
+        const y = getPath(b, path);
+        return (x < y ? -1 : x > y ? 1 : 0) * direction;
+      });
+      return api;
+    },
+    limit(n) {
+      result = result.slice(0, n);
+      return api;
+    },
+    async toArray() {
+      return result.map((doc) => project(doc, projection));
+    },
+    async *[Symbol.asyncIterator]() {
+      yield* result.map((doc) => project(doc, projection));
+    },
+  };
+  return api;
+}
+
+function createMemoryDb() {
+  const data = {};
+  let nextId = 1;
+
+  function collection(name) {
+    data[name] = data[name] || [];
+    const docs = data[name];
+
+    function upsert(filter, update, options) {
+      let doc = docs.find((d) => matches(d, filter));
+      const matched = Boolean(doc);
+      if (!doc && !options.upsert) return { doc: null, matched };
+      if (!doc) {
+        const equalities = Object.entries(filter).filter(([, v]) => v === null || typeof v !== 'object');
+        doc = { _id: nextId++ };
+        for (const [path, value] of equalities) setPath(doc, path, value);
+        docs.push(doc);
+        for (const [path, value] of Object.entries(update.$setOnInsert || {})) setPath(doc, path, value);
+      }
+      applyUpdate(doc, update);
+      return { doc, matched };
+    }
+
+    return {
+      async insertOne(doc) {
+        const stored = structuredClone({ _id: nextId++, ...doc });
+        docs.push(stored);
+        return { insertedId: stored._id };
+      },
+      async findOne(filter = {}, options = {}) {
+        const doc = docs.find((d) => matches(d, filter));
+        return doc ? project(doc, options.projection) : null;
+      },
+      find(filter = {}, options = {}) {
+        return cursor(docs.filter((d) => matches(d, filter)), options.projection);
+      },
+      async updateOne(filter, update, options = {}) {
+        const { doc, matched } = upsert(filter, update, options);
+        return { matchedCount: matched ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+      },
+      async findOneAndUpdate(filter, update, options = {}) {
+        const before = docs.find((d) => matches(d, filter));
+        const snapshot = before ? project(before, options.projection) : null;
+        const { doc } = upsert(filter, update, options);
+        if (!doc) return null;
+        return options.returnDocument === 'after' ? project(doc, options.projection) : snapshot;
+      },
+      async distinct(path, filter = {}) {
+        return [...new Set(docs.filter((d) => matches(d, filter)).map((d) => getPath(d, path)))];
+      },
+      async deleteOne(filter) {
+        const index = docs.findIndex((d) => matches(d, filter));
+        if (index === -1) return { deletedCount: 0 };
+        docs.splice(index, 1);
+        return { deletedCount: 1 };
+      },
+      async countDocuments(filter = {}) {
+        return docs.filter((d) => matches(d, filter)).length;
+      },
+    };
+  }
+
+  return { data, collection };
+}
+
+let current = null;
+let transaction = null;
+
+/**
+ * Point lib/mongo's getDb / withTransaction at a fresh in-memory db (again
+ * on every call: services keep the functions, which follow `current`).
+ * Transactions are not isolated: the callback just runs.
+ */
+function install() {
+  current = createMemoryDb();
+  transaction = null;
+  mongo.getDb = () => current;
+  mongo.withTransaction = async (fn) =>
+    transaction ? transaction(fn, current) : fn({ db: current, session: null });
+  return current;
+}
+
+/**
+ * Run withTransaction callbacks through `wrapper(fn, db)` until the next
+ * install() (count transactions, hand the callback a failing db, ...).
+ */
+function setTransaction(wrapper) {
+  transaction = wrapper;
+}
+
+module.exports = {
+  createMemoryDb,
+  install,
+  setTransaction,
+};
@@ -0,0 +1,107 @@
+// test/liveResultsWebSocket.test.js
+// Live results over WebSocket: ticket check before the handshake, events
+// pushed as JSON, tally events only for results:read, unsubscribe on close.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const httpError = require('../src/lib/httpError');
+const electionService = require('../src/services/electionService');
+const liveResultsService = require('../src/services/liveResultsService');
+const tokenService = require('../src/services/tokenService');
+const liveResultsController = require('../src/controllers/liveResultsController');
+
+const STATE = { seq: 7, electionId: 'e1' };
+
+let server;
+let baseUrl;
+let unsubscribed = 0;
+
+test.before(async () => {
+  tokenService.consumeStreamTicket = async (ticket, electionId) => {
+    if (electionId !== 'e1') throw httpError(401, 'INVALID_TICKET', 'Invalid ticket');
+    if (ticket === 'manager') return { adminId: 'a1', role: 'electionManager' };
+    if (ticket === 'registrar') return { adminId: 'a2', role: 'registrar' };
+    throw httpError(401, 'INVALID_TICKET', 'Invalid ticket');
+  };
+  electionService.getElectionOrThrow = async (electionId) => ({ electionId });
+  liveResultsService.toTurnoutEvent = (state) => ({ seq: state.seq, votersVoted: 3 });
+  liveResultsService.toTallyEvent = (state) => ({ seq: state.seq, candidates: { c1: 3 } });
+  liveResultsService.subscribe = async (electionId, onState) => {
+    setImmediate(() => onState(STATE));
+    return () => {
+      unsubscribed += 1;
+    };
+  };
+
+  server = http.createServer((req, res) => res.end());
+  server.on('upgrade', liveResultsController.handleUpgrade);
+  server.listen(0);
+  await once(server, 'listening');
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+function connect(path) {
+  const ws = new WebSocket(`${baseUrl}${path}`);
+  ws.on('error', () => {});
+  return ws;
+}
+
+function messages(ws, count) {
+  const received = [];
+  return new Promise((resolve) => {
+    ws.on('message', (data) => {
+      received.push(JSON.parse(data));
+      if (received.length === count) resolve(received);
+    });
+  });
+}
+
+test('rejects a missing ticket and unknown paths before the handshake', async () => {
+  const [, noTicket] = await once(connect('/admin/elections/e1/live/ws'), 'unexpected-response');
+  assert.equal(noTicket.statusCode, 401);
+
+  const [, wrongPath] = await once(connect('/admin/elections/e1/live'), 'unexpected-response');
+  assert.equal(wrongPath.statusCode, 404);
+});
+
+test('pushes turnout and tally events, unsubscribes on close', async () => {
+  const ws = connect('/admin/elections/e1/live/ws?ticket=manager');
+
+  assert.deepEqual(await messages(ws, 2), [
+    { event: 'turnout', id: 7, data: { seq: 7, votersVoted: 3 } },
+    { event: 'tally', id: 7, data: { seq: 7, candidates: { c1: 3 } } },
+  ]);
+
+  const before = unsubscribed;
+  ws.close();
+  await once(ws, 'close');
+  // The server side sees the close frame on its next tick
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(unsubscribed, before + 1);
+});
+
+test('roles without results:read only get turnout', async () => {
+  const ws = connect('/admin/elections/e1/live/ws?ticket=registrar');
+  const received = [];
+  ws.on('message', (data) => received.push(JSON.parse(data)));
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  ws.close();
+  await once(ws, 'close');
+
+  assert.deepEqual(received.map((m) => m.event), ['turnout']);
+});
@@ -0,0 +1,179 @@
+// test/otpDelivery.test.js
+// OTP delivery (retries, provider failover, delivery records) against the
+// fake SMS gateway from scripts/fakeSmsGateway.js.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const memoryDb = require('./helpers/memoryDb');
+const mongo = require('../src/lib/mongo');
+const otpProviders = require('../src/lib/otpProviders');
+const createHttpSmsProvider = require('../src/lib/otpProviders/httpSmsProvider');
+const deliveryError = require('../src/lib/otpProviders/deliveryError');
+const { createFakeSmsGateway } = require('../scripts/fakeSmsGateway');
+
+// Providers per test, in failover order
+let providers = [];
+otpProviders.getOtpProviders = () => providers;
+memoryDb.install();
+
+const otpDeliveryService = require('../src/services/otpDeliveryService');
+
+const PHONE = '+9647701234567';
+const PHONE_HASH = 'a'.repeat(64);
+
+async function startGateway(options) {
+  const gateway = createFakeSmsGateway(options);
+  await new Promise((resolve) => gateway.server.listen(0, '127.0.0.1', resolve));
+  gateway.url = `http://127.0.0.1:${gateway.server.address().port}/sms`;
+  return gateway;
+}
+
+function httpProvider(gateway, token = null) {
+  return createHttpSmsProvider({ url: gateway.url, token, sender: 'EVOTE', timeoutMs: 2000 });
+}
+
+function deliver(code = '123456') {
+  return otpDeliveryService.deliverOtp({
+    phone: PHONE,
+    phoneHash: PHONE_HASH,
+    purpose: 'registration',
+    code,
+    ttlMinutes: 5,
+  });
+}
+
+function getRecord(deliveryId) {
+  return mongo.getDb().collection('otpDeliveries').findOne({ deliveryId });
+}
+
+test('OTP delivery', async (t) => {
+  const gateways = [];
+  t.after(() => Promise.all(gateways.map((g) => new Promise((r) => g.server.close(r)))));
+
+  await t.test('retries a retryable gateway error on the same provider', async () => {
+    memoryDb.install();
+    const gateway = await startGateway({ failFirst: 2, failStatus: 503 });
+    gateways.push(gateway);
+    providers = [httpProvider(gateway)];
+
+    const { deliveryId, provider } = await deliver('482913');
+    assert.equal(provider, 'http');
+
+    // 2 failures + 1 success (OTP_SEND_RETRIES defaults to 2)
+    assert.equal(gateway.requests, 3);
+    assert.equal(gateway.messages.length, 1);
+    assert.equal(gateway.messages[0].to, PHONE);
+    assert.equal(gateway.messages[0].from, 'EVOTE');
+    assert.match(gateway.messages[0].text, /482913/);
+
+    const record = await getRecord(deliveryId);
+    assert.equal(record.status, 'sent');
+    assert.equal(record.provider, 'http');
+    assert.equal(record.providerMessageId, gateway.messages[0].id);
+    assert.deepEqual(
+      record.attempts.map((a) => [a.attempt, a.ok, a.providerStatus || null]),
+      [[1, false, 503], [2, false, 503], [3, true, null]]
+    );
+    assert.ok(record.sentAt instanceof Date);
+  });
+
+  await t.test('fails over to the next provider on a permanent error', async () => {
+    memoryDb.install();
+    const rejecting = await startGateway({ failFirst: Infinity, failStatus: 400 });
+    const backup = await startGateway();
+    gateways.push(rejecting, backup);
+
+    const secondary = { ...httpProvider(backup), name: 'backup' };
+    providers = [httpProvider(rejecting), secondary];
+
+    const { deliveryId, provider } = await deliver('111222');
+    assert.equal(provider, 'backup');
+
+    // 400 is not retried
+    assert.equal(rejecting.requests, 1);
+    assert.equal(rejecting.messages.length, 0);
+    assert.equal(backup.messages.length, 1);
+    assert.match(backup.messages[0].text, /111222/);
+
+    const record = await getRecord(deliveryId);
+    assert.equal(record.status, 'sent');
+    assert.equal(record.provider, 'backup');
+    assert.deepEqual(
+      record.attempts.map((a) => [a.provider, a.ok, a.retryable === true]),
+      [['http', false, false], ['backup', true, false]]
+    );
+  });
+
+  await t.test('fails over when the gateway rejects the credentials', async () => {
+    memoryDb.install();
+    const gateway = await startGateway({ token: 'right-token' });
+    gateways.push(gateway);
+
+    const fallback = {
+      name: 'fallback',
+      sent: [],
+      async send(message) {
+        this.sent.push(message);
+        return { providerMessageId: 'fallback-1' };
+      },
+    };
+    providers = [httpProvider(gateway, 'wrong-token'), fallback];
+
+    const { provider } = await deliver();
+    assert.equal(provider, 'fallback');
+    assert.equal(gateway.messages.length, 0);
+    assert.equal(fallback.sent.length, 1);
+  });
+
+  await t.test('records a failed delivery when every provider fails', async () => {
+    memoryDb.install();
+    const gateway = await startGateway({ failFirst: Infinity, failStatus: 503 });
+    gateways.push(gateway);
+
+    const broken = {
+      name: 'broken',
+      async send() {
+        throw deliveryError('provider down', { retryable: false });
+      },
+    };
+    providers = [httpProvider(gateway), broken];
+
+    await assert.rejects(deliver(), (err) => {
+      assert.equal(err.status, 502);
+      assert.equal(err.code, 'OTP_DELIVERY_FAILED');
+      assert.ok(err.details.deliveryId);
+      return true;
+    });
+
+    assert.equal(gateway.requests, 3);
+
+    const [record] = await otpDeliveryService.listDeliveries({ status: 'failed' });
+    assert.equal(record.status, 'failed');
+    assert.equal(record.provider, null);
+    assert.equal(record.attempts.length, 4);
+    assert.deepEqual(await otpDeliveryService.listDeliveries({ status: 'sent' }), []);
+  });
+
+  await t.test('never stores the phone number or the code', async () => {
+    memoryDb.install();
+    const gateway = await startGateway();
+    gateways.push(gateway);
+    providers = [httpProvider(gateway)];
+
+    const { deliveryId } = await deliver('909090');
+    const stored = JSON.stringify(await getRecord(deliveryId));
+
+    assert.ok(!stored.includes('909090'));
+    assert.ok(!stored.includes(PHONE));
+    assert.ok(stored.includes(PHONE_HASH));
+  });
+
+  await t.test('rejects unknown status filters', async () => {
+    await assert.rejects(otpDeliveryService.listDeliveries({ status: 'lost' }), {
+      code: 'INVALID_STATUS',
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// test/rankedTally.test.js
+// Instant-runoff and STV counting against the worked examples on Wikipedia
+// ("Instant-runoff voting": Tennessee capital; "Single transferable vote":
+// the food election).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { countRanked } = require('../src/lib/rankedTally');
+
+test('IRV: Tennessee capital election', () => {
+  const result = countRanked({
+    candidateIds: ['memphis', 'nashville', 'chattanooga', 'knoxville'],
+    ballots: [
+      { ranking: ['memphis', 'nashville', 'chattanooga', 'knoxville'], count: 42 },
+      { ranking: ['nashville', 'chattanooga', 'knoxville', 'memphis'], count: 26 },
+      { ranking: ['chattanooga', 'knoxville', 'nashville', 'memphis'], count: 15 },
+      { ranking: ['knoxville', 'chattanooga', 'nashville', 'memphis'], count: 17 },
+    ],
+  });
+
+  assert.equal(result.method, 'irv');
+  assert.equal(result.validBallots, 100);
+  assert.equal(result.quota, null);
+  assert.deepEqual(result.elected, ['knoxville']);
+
+  assert.deepEqual(
+    result.rounds.map((r) => [r.tallies, r.eliminated, r.elected]),
+    [
+      [{ memphis: 42, nashville: 26, knoxville: 17, chattanooga: 15 }, 'chattanooga', []],
+      [{ memphis: 42, knoxville: 32, nashville: 26 }, 'nashville', []],
+      [{ knoxville: 58, memphis: 42 }, null, ['knoxville']],
+    ]
+  );
+  assert.deepEqual(result.rounds[0].transfer.to, { knoxville: 15 });
+  assert.deepEqual(result.rounds[1].transfer.to, { knoxville: 26 });
+});
+
+test('STV: food election, 3 seats', () => {
+  const result = countRanked({
+    seats: 3,
+    candidateIds: ['oranges', 'pears', 'chocolate', 'strawberries', 'sweets'],
+    ballots: [
+      { ranking: ['oranges'], count: 4 },
+      { ranking: ['pears', 'oranges'], count: 2 },
+      { ranking: ['chocolate', 'strawberries'], count: 8 },
+      { ranking: ['chocolate', 'sweets'], count: 4 },
+      { ranking: ['strawberries'], count: 1 },
+      { ranking: ['sweets'], count: 1 },
+    ],
+  });
+
+  assert.equal(result.method, 'stv');
+  assert.equal(result.validBallots, 20);
+  // Droop: floor(20 / (3 + 1)) + 1
+  assert.equal(result.quota, 6);
+  assert.deepEqual(result.elected, ['chocolate', 'oranges', 'strawberries']);
+
+  const [first, second, third] = result.rounds;
+
+  // Chocolate reaches the quota; its surplus of 6 moves at 6/12 = 0.5
+  assert.deepEqual(first.tallies, { chocolate: 12, oranges: 4, pears: 2, strawberries: 1, sweets: 1 });
+  assert.deepEqual(first.elected, ['chocolate']);
+  assert.equal(first.transfer.type, 'surplus');
+  assert.equal(first.transfer.amount, 6);
+  assert.deepEqual(first.transfer.to, { strawberries: 4, sweets: 2 });
+
+  // Nobody at the quota: Pears is eliminated and goes to Oranges
+  assert.deepEqual(second.tallies, { strawberries: 5, oranges: 4, sweets: 3, pears: 2 });
+  assert.equal(second.eliminated, 'pears');
+  assert.deepEqual(second.transfer.to, { oranges: 2 });
+
+  assert.deepEqual(third.tallies, { oranges: 6, strawberries: 5, sweets: 3 });
+  assert.deepEqual(third.elected, ['oranges']);
+
+  // Sweets is eliminated (its votes exhaust), Strawberries takes the last seat
+  const last = result.rounds[result.rounds.length - 1];
+  assert.deepEqual(last.elected, ['strawberries']);
+  assert.ok(result.rounds.some((r) => r.eliminated === 'sweets'));
+});
+
+test('ignores preferences for candidates who are not standing', () => {
+  const result = countRanked({
+    candidateIds: ['a', 'b'],
+    ballots: [
+      { ranking: ['withdrawn', 'a'], count: 3 },
+      { ranking: ['b'], count: 2 },
+      { ranking: ['withdrawn'], count: 5 },
+    ],
+  });
+
+  assert.equal(result.validBallots, 5);
+  assert.deepEqual(result.elected, ['a']);
+});
+
+test('breaks ties by earlier rounds, then by candidateId', () => {
+  // Round 1: c is last. Round 2: a and b tie at 3 - b was behind in round 1
+  const result = countRanked({
+    candidateIds: ['a', 'b', 'c'],
+    ballots: [
+      { ranking: ['a'], count: 3 },
+      { ranking: ['b'], count: 2 },
+      { ranking: ['c', 'b'], count: 1 },
+    ],
+  });
+
+  assert.deepEqual(result.elected, ['a']);
+  assert.equal(result.rounds[0].eliminated, 'c');
+  assert.equal(result.rounds[1].eliminated, 'b');
+
+  const tied = countRanked({
+    candidateIds: ['x', 'y'],
+    ballots: [
+      { ranking: ['x'], count: 1 },
+      { ranking: ['y'], count: 1 },
+    ],
+  });
+
+  // No earlier round: the larger id is eliminated
+  assert.equal(tied.rounds[0].eliminated, 'y');
+  assert.deepEqual(tied.elected, ['x']);
+});
@@ -0,0 +1,112 @@
+// test/seatAllocation.test.js
+// Highest-averages tables from the Wikipedia examples (D'Hondt method,
+// Sainte-Laguë method: parties A-D with 100,000 / 80,000 / 30,000 / 20,000
+// votes) and the women's quota on a list.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { allocateSeats, fillListSeats } = require('../src/lib/seatAllocation');
+
+const PARTIES = [
+  { partyId: 'A', votes: 100000 },
+  { partyId: 'B', votes: 80000 },
+  { partyId: 'C', votes: 30000 },
+  { partyId: 'D', votes: 20000 },
+];
+
+function seatOrder(result) {
+  return result.allocations.map((a) => [a.partyId, a.divisor, a.quotient]);
+}
+
+test("D'Hondt, 8 seats", () => {
+  const result = allocateSeats({ parties: PARTIES, seats: 8, method: 'dhondt' });
+
+  assert.equal(result.validVotes, 230000);
+  assert.deepEqual(result.seatsByParty, { A: 4, B: 3, C: 1, D: 0 });
+  assert.deepEqual(seatOrder(result), [
+    ['A', 1, 100000],
+    ['B', 1, 80000],
+    ['A', 2, 50000],
+    ['B', 2, 40000],
+    ['A', 3, 33333.333333],
+    ['C', 1, 30000],
+    ['B', 3, 26666.666667],
+    ['A', 4, 25000],
+  ]);
+});
+
+test('Sainte-Laguë, 8 seats', () => {
+  const result = allocateSeats({ parties: PARTIES, seats: 8, method: 'sainte-lague' });
+
+  assert.deepEqual(result.seatsByParty, { A: 3, B: 3, C: 1, D: 1 });
+  assert.deepEqual(seatOrder(result), [
+    ['A', 1, 100000],
+    ['B', 1, 80000],
+    ['A', 3, 33333.333333],
+    ['C', 1, 30000],
+    ['B', 3, 26666.666667],
+    // Tie at 20,000: the party with more votes takes the seat first
+    ['A', 5, 20000],
+    ['D', 1, 20000],
+    ['B', 5, 16000],
+  ]);
+});
+
+test('modified Sainte-Laguë raises the bar for the first seat', () => {
+  const plain = allocateSeats({ parties: PARTIES, seats: 7, method: 'sainte-lague' });
+  const modified = allocateSeats({
+    parties: PARTIES,
+    seats: 7,
+    method: 'modified-sainte-lague',
+    firstDivisor: 1.4,
+  });
+
+  assert.deepEqual(plain.seatsByParty, { A: 3, B: 2, C: 1, D: 1 });
+  assert.deepEqual(modified.seatsByParty, { A: 3, B: 3, C: 1, D: 0 });
+  assert.deepEqual(modified.allocations[0], { seat: 1, partyId: 'A', divisor: 1.4, quotient: 71428.571429 });
+});
+
+test('parties below the threshold get no seats', () => {
+  const result = allocateSeats({ parties: PARTIES, seats: 8, method: 'dhondt', threshold: 0.1 });
+
+  // 10% of 230,000 = 23,000: D is out
+  assert.equal(result.thresholdVotes, 23000);
+  assert.deepEqual(result.eligible, ['A', 'B', 'C']);
+  assert.equal(result.seatsByParty.D, 0);
+  assert.equal(
+    Object.values(result.seatsByParty).reduce((sum, n) => sum + n, 0),
+    8
+  );
+});
+
+test('rejects unknown methods', () => {
+  assert.throws(() => allocateSeats({ parties: PARTIES, seats: 1, method: 'hare' }), /Unknown seat allocation method/);
+});
+
+test("women's quota replaces the lowest-ranked elected men", () => {
+  const candidates = [
+    { candidateId: 'm1', gender: 'male' },
+    { candidateId: 'm2', gender: 'male' },
+    { candidateId: 'm3', gender: 'male' },
+    { candidateId: 'm4', gender: 'male' },
+    { candidateId: 'm5', gender: 'male' },
+    { candidateId: 'f1', gender: 'female' },
+    { candidateId: 'm6', gender: 'male' },
+    { candidateId: 'f2', gender: 'female' },
+  ];
+
+  const result = fillListSeats({ candidates, seatsWon: 4, womenShare: 0.25 });
+
+  assert.equal(result.womenRequired, 1);
+  assert.deepEqual(result.elected.map((c) => c.candidateId), ['m1', 'm2', 'm3', 'f1']);
+  assert.deepEqual(result.replacements, [{ removed: 'm4', added: 'f1' }]);
+  assert.equal(result.vacant, 0);
+
+  const short = fillListSeats({ candidates, seatsWon: 7, womenShare: 0.5 });
+
+  // 3 women required, only 2 on the list
+  assert.equal(short.womenRequired, 3);
+  assert.deepEqual(short.replacements, [{ removed: 'm6', added: 'f2' }]);
+  assert.equal(short.elected.filter((c) => c.gender === 'female').length, 2);
+});
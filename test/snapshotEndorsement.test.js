@@ -0,0 +1,147 @@
+// test/snapshotEndorsement.test.js
+// Trustee co-signatures of the final snapshot: endorsers come from the key
+// ceremony, each endorsement is checked against the trustee's own key, and
+// the snapshot only verifies with `threshold` of them.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const snapshotService = require('../src/services/snapshotService');
+const keyCeremonyService = require('../src/services/keyCeremonyService');
+
+const trustees = [1, 2, 3].map((index) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    index,
+    trusteeId: `trustee${index}`,
+    privateKey,
+    signingKey: publicKey.export({ format: 'jwk' }).x,
+  };
+});
+
+const ELECTION = { electionId: 'e1', encryption: { ceremonyId: 'c1' } };
+
+async function seed() {
+  const db = memoryDb.install();
+
+  await db.collection('keyCeremonies').insertOne({
+    ceremonyId: 'c1',
+    electionId: 'e1',
+    status: 'completed',
+    threshold: 2,
+    trustees: trustees.map(({ index, trusteeId, signingKey }) => ({
+      index,
+      trusteeId,
+      signingKey,
+      kdf: { alg: 'scrypt' },
+      sealedShare: { data: 'x' },
+    })),
+  });
+
+  const endorsers = await keyCeremonyService.getSnapshotEndorsers(ELECTION);
+  await db.collection('electionSnapshots').insertOne({
+    electionId: 'e1',
+    createdAt: new Date(0),
+    candidateTotals: [{ candidateId: 'c1', votes: 3 }],
+    endorsers,
+    signature: { algorithm: 'Ed25519', keyId: 'k1', snapshotHash: 'x', value: 'x' },
+  });
+
+  return db;
+}
+
+async function endorse(trustee, { signedBy = trustee } = {}) {
+  const { payload } = await snapshotService.getEndorsementRequest('e1', trustee.trusteeId);
+  const signature = crypto.sign(null, Buffer.from(payload), signedBy.privateKey).toString('base64url');
+  return snapshotService.endorseSnapshot('e1', trustee.trusteeId, { signature });
+}
+
+test('endorsers are the ceremony trustees with their signing keys', async () => {
+  await seed();
+
+  const endorsers = await keyCeremonyService.getSnapshotEndorsers(ELECTION);
+  assert.deepEqual(endorsers, {
+    ceremonyId: 'c1',
+    threshold: 2,
+    trustees: trustees.map(({ index, trusteeId, signingKey }) => ({ index, trusteeId, signingKey })),
+  });
+  assert.equal(await keyCeremonyService.getSnapshotEndorsers({ electionId: 'e2', encryption: null }), null);
+});
+
+test('the snapshot needs threshold valid co-signatures', async () => {
+  const db = await seed();
+
+  const request = await snapshotService.getEndorsementRequest('e1', 'trustee2');
+  assert.equal(request.trusteeIndex, 2);
+  assert.equal(request.endorsed, false);
+  assert.equal(request.snapshotHash, snapshotService.hashSnapshot(request.snapshot));
+
+  const first = await endorse(trustees[1]);
+  assert.deepEqual(first.endorsements, { required: 2, valid: [2], invalid: [], endorsed: false });
+
+  const second = await endorse(trustees[2]);
+  assert.deepEqual(second.endorsements, { required: 2, valid: [2, 3], invalid: [], endorsed: true });
+
+  // Endorsements are outside the hashed content
+  const stored = await db.collection('electionSnapshots').findOne({ electionId: 'e1' });
+  assert.equal(snapshotService.hashSnapshot(stored), request.snapshotHash);
+
+  const report = await snapshotService.verifySnapshot(stored);
+  assert.deepEqual(report.endorsements, { required: 2, valid: [2, 3], invalid: [], endorsed: true });
+});
+
+test('rejects foreign keys, repeats and non-trustees', async () => {
+  const db = await seed();
+
+  await assert.rejects(endorse(trustees[0], { signedBy: trustees[1] }), { code: 'INVALID_SIGNATURE' });
+  await assert.rejects(
+    snapshotService.endorseSnapshot('e1', 'trustee1', { signature: 'AAAA' }),
+    { code: 'INVALID_SIGNATURE' }
+  );
+
+  await endorse(trustees[0]);
+  await assert.rejects(endorse(trustees[0]), { code: 'ALREADY_ENDORSED' });
+  await assert.rejects(snapshotService.getEndorsementRequest('e1', 'admin1'), { code: 'NOT_A_TRUSTEE' });
+
+  // A signature moved to another trustee's slot doesn't count
+  const stored = await db.collection('electionSnapshots').findOne({ electionId: 'e1' });
+  stored.endorsements['2'] = stored.endorsements['1'];
+  const report = await snapshotService.verifySnapshot(stored);
+  assert.deepEqual(report.endorsements, { required: 2, valid: [1], invalid: [2], endorsed: false });
+});
+
+test('plaintext snapshots have no endorsers', async () => {
+  const db = memoryDb.install();
+  await db.collection('electionSnapshots').insertOne({
+    electionId: 'e1',
+    signature: { algorithm: 'Ed25519', keyId: 'k1', snapshotHash: 'x', value: 'x' },
+  });
+
+  await assert.rejects(endorse(trustees[0]), { code: 'ENDORSEMENT_NOT_REQUIRED' });
+  const stored = await db.collection('electionSnapshots').findOne({ electionId: 'e1' });
+  assert.deepEqual((await snapshotService.verifySnapshot(stored)).endorsements,
+    { required: 0, valid: [], invalid: [], endorsed: true });
+});
+
+test('enrollment requires an Ed25519 signing key', async () => {
+  memoryDb.install();
+
+  await assert.rejects(
+    keyCeremonyService.enrollTrustee('c1', 'trustee1', { passphrase: 'correct horse battery' }),
+    (err) => err.code === 'VALIDATION_ERROR' && 'signingKey' in err.details
+  );
+  await assert.rejects(
+    keyCeremonyService.enrollTrustee('c1', 'trustee1', {
+      passphrase: 'correct horse battery',
+      signingKey: crypto.randomBytes(32).toString('base64url').slice(0, 42),
+    }),
+    { code: 'VALIDATION_ERROR' }
+  );
+});
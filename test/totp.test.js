@@ -0,0 +1,63 @@
+// test/totp.test.js
+// HOTP / TOTP against the RFC 4226 appendix D and RFC 6238 appendix B test
+// vectors (SHA-1 key "12345678901234567890"). The RFC 6238 values are
+// 8 digits; we issue 6, which are their last 6 digits.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const totpLib = require('../src/lib/totp');
+
+const RFC_SECRET = totpLib.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+test('base32 round-trip of the RFC secret', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(totpLib.base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+});
+
+test('RFC 4226 HOTP values', () => {
+  const expected = [
+    '755224', '287082', '359152', '969429', '338314',
+    '254676', '287922', '162583', '399871', '520489',
+  ];
+
+  expected.forEach((code, counter) => {
+    assert.equal(totpLib.hotp(RFC_SECRET, counter), code, `counter ${counter}`);
+  });
+});
+
+test('RFC 6238 TOTP values (SHA-1)', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    assert.equal(totpLib.totp(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+  }
+});
+
+test('verifyTotp accepts one step of drift and returns the step', () => {
+  const now = 1111111111 * 1000; // step 37037037
+  const previous = totpLib.hotp(RFC_SECRET, 37037036);
+  const next = totpLib.hotp(RFC_SECRET, 37037038);
+
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, '050471', { now }), 37037037);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, previous, { now }), 37037036);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, next, { now }), 37037038);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, previous, { now, window: 0 }), null);
+});
+
+test('verifyTotp rejects malformed and wrong codes', () => {
+  const now = 59 * 1000;
+
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, '28708', { now }), null);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, '2870821', { now }), null);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, '000000', { now }), null);
+  assert.equal(totpLib.verifyTotp(RFC_SECRET, ' 287082 ', { now }), 1);
+});
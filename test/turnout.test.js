@@ -0,0 +1,64 @@
+// test/turnout.test.js
+// Turnout is measured against the election's roll, and a blind-signed
+// token that was issued is not a vote, neither in the turnout nor in /me.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const voteService = require('../src/services/voteService');
+
+async function seed({ withRoll }) {
+  const db = memoryDb.install();
+
+  await db.collection('elections').insertOne({
+    electionId: 'e1',
+    status: 'open',
+    ...(withRoll ? { voterRoll: { rollId: 'r1', version: 1 } } : {}),
+  });
+  for (const voterId of ['V-1', 'V-2', 'V-3', 'V-4']) {
+    await db.collection('voters').insertOne({ voterId, status: 'active' });
+  }
+  for (const voterId of ['V-1', 'V-2']) {
+    await db.collection('voterRollEntries').insertOne({ rollId: 'r1', electionId: 'e1', voterId, phoneHash: null });
+  }
+
+  await db.collection('participations').insertOne({ voterId: 'V-1', electionId: 'e1', status: 'voted', votedAt: null });
+  await db.collection('participations').insertOne({
+    voterId: 'V-2', electionId: 'e1', status: 'token_issued', votedAt: null,
+  });
+  return db;
+}
+
+test('turnout of a rolled election is measured against its roll', async () => {
+  await seed({ withRoll: true });
+
+  assert.deepEqual(await voteService.computeTurnout('e1'), { totalVoters: 2, votersVoted: 1, turnoutRate: 0.5 });
+});
+
+test('without a roll every registered voter counts', async () => {
+  await seed({ withRoll: false });
+
+  assert.deepEqual(await voteService.computeTurnout('e1'), { totalVoters: 4, votersVoted: 1, turnoutRate: 0.25 });
+});
+
+test('/me reports an issued blind-signed token separately from a vote', async () => {
+  await seed({ withRoll: true });
+
+  const [voted] = await voteService.listParticipation('V-1');
+  assert.equal(voted.hasVoted, true);
+  assert.equal(voted.participationStatus, 'voted');
+
+  const [issued] = await voteService.listParticipation('V-2');
+  assert.equal(issued.hasVoted, false);
+  assert.equal(issued.participationStatus, 'token_issued');
+
+  const [none] = await voteService.listParticipation('V-3');
+  assert.equal(none.hasVoted, false);
+  assert.equal(none.participationStatus, null);
+});
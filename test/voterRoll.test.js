@@ -0,0 +1,111 @@
+// test/voterRoll.test.js
+// Roll eligibility (with and without a roll) and the keyed phone hash.
+
+require('./helpers/env');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const memoryDb = require('./helpers/memoryDb');
+
+memoryDb.install();
+
+const mongo = require('../src/lib/mongo');
+const hashPhone = require('../src/lib/phoneHash');
+const { encodePII } = require('../src/lib/aesgcm');
+const voterRollService = require('../src/services/voterRollService');
+
+const PHONE = '+9647701234567';
+
+async function seed({ withRoll = true, districts = false } = {}) {
+  const db = memoryDb.install();
+  const election = { electionId: 'e1', status: 'scheduled' };
+
+  if (withRoll) {
+    election.voterRoll = { rollId: 'r1', version: 1 };
+    await db.collection('voterRollEntries').insertOne({
+      rollId: 'r1', electionId: 'e1', voterId: 'V-1', phoneHash: hashPhone(PHONE), districtId: districts ? 'd1' : null,
+    });
+    await db.collection('voterRollEntries').insertOne({
+      rollId: 'r1', electionId: 'e1', voterId: 'V-2', phoneHash: null, districtId: null,
+    });
+  }
+  if (districts) {
+    await db.collection('districts').insertOne({ electionId: 'e1', districtId: 'd1' });
+  }
+
+  await db.collection('elections').insertOne(election);
+  return election;
+}
+
+test('phone hashes are keyed, not plain sha256', () => {
+  const plain = crypto.createHash('sha256').update(PHONE).digest('hex');
+
+  assert.match(hashPhone(PHONE), /^[0-9a-f]{64}$/);
+  assert.equal(hashPhone(PHONE), hashPhone(PHONE));
+  assert.notEqual(hashPhone(PHONE), plain);
+  assert.notEqual(hashPhone(PHONE), hashPhone('+9647701234568'));
+});
+
+test('with a roll, only voters on it are eligible', async () => {
+  const election = await seed();
+  await mongo.getDb().collection('voters').insertOne({ voterId: 'V-1', phoneEnc: encodePII(PHONE) });
+
+  assert.equal(await voterRollService.isEligible(election, 'V-1'), true);
+  assert.equal(await voterRollService.isEligible(election, 'V-2'), true);
+  assert.equal(await voterRollService.isEligible(election, 'V-9'), false);
+});
+
+test('without a roll, every voter is eligible', async () => {
+  const election = await seed({ withRoll: false });
+
+  assert.equal(await voterRollService.isEligible(election, 'V-9'), true);
+  assert.equal(await voterRollService.getRollEntry(election, 'V-9'), null);
+  assert.equal(await voterRollService.getVoterDistrict(election, 'V-9'), null);
+});
+
+test('districts come from the roll', async () => {
+  const election = await seed({ districts: true });
+
+  assert.equal(await voterRollService.getVoterDistrict(election, 'V-1'), 'd1');
+  await assert.rejects(voterRollService.getVoterDistrict(election, 'V-2'), { code: 'NO_DISTRICT' });
+  await assert.rejects(voterRollService.getVoterDistrict(election, 'V-9'), { code: 'NOT_ELIGIBLE' });
+
+  const noRoll = await seed({ withRoll: false, districts: true });
+  await assert.rejects(voterRollService.getVoterDistrict(noRoll, 'V-1'), { code: 'NO_DISTRICT' });
+});
+
+test('registration: roll entry and bound phone', async () => {
+  await seed();
+
+  assert.equal(await voterRollService.canRegister('V-1', hashPhone(PHONE)), true);
+  assert.equal(await voterRollService.canRegister('V-1', hashPhone('+9647700000000')), false);
+  assert.equal(await voterRollService.canRegister('V-2', hashPhone('+9647700000000')), true);
+  assert.equal(await voterRollService.canRegister('V-9', hashPhone(PHONE)), false);
+});
+
+test('registration stays open while an election has no roll', async () => {
+  await seed({ withRoll: false });
+  assert.equal(await voterRollService.canRegister('V-9', hashPhone(PHONE)), true);
+
+  memoryDb.install();
+  assert.equal(await voterRollService.canRegister('V-9', hashPhone(PHONE)), true);
+});
+
+test('a phone-bound voterId registered with another phone cannot vote', async () => {
+  const election = await seed();
+  const db = mongo.getDb();
+  // A new election without a roll doesn't reopen registration
+  await db.collection('elections').insertOne({ electionId: 'e2', status: 'draft' });
+
+  const otherPhone = '+9647700000000';
+  assert.equal(await voterRollService.canRegister('V-1', hashPhone(otherPhone)), false);
+
+  // Registered before the roll bound the phone, or by any other way
+  await db.collection('voters').insertOne({ voterId: 'V-1', phoneEnc: encodePII(otherPhone) });
+  assert.equal(await voterRollService.isEligible(election, 'V-1'), false);
+
+  await db.collection('voters').updateOne({ voterId: 'V-1' }, { $set: { phoneEnc: encodePII(PHONE) } });
+  assert.equal(await voterRollService.isEligible(election, 'V-1'), true);
+});